@@ -12,12 +12,32 @@ const path = require('path');
 const fs = require('fs');
 const {
   redisInit,
+  redisMigrate,
+  redisBackup,
+  redisRestore,
+  redisIncrementalBackup,
+  redisTestScripts,
+  inspectBackup,
+  listBackups,
+  pruneBackups,
+  lintSchemas,
   performHealthCheck,
-  generateDocumentation,
-  backupRedisData
+  generateDocumentation
 } = require('../lib/index');
+const { formatDiagnostic } = require('../lib/schema-loader');
+const { resolveTemplateVariables, DEFAULT_ENV_PREFIX } = require('../lib/variables');
 const packageJson = require('../package.json');
 
+/**
+ * Collect the values of a repeatable option
+ * @param {string} value - Option value
+ * @param {Array} previous - Values collected so far
+ * @returns {Array} - Collected values
+ */
+function collect(value, previous) {
+  return previous.concat(value);
+}
+
 // Configure the CLI
 program
   .version(packageJson.version)
@@ -30,6 +50,10 @@ program
   .option('-t, --timeout <ms>', 'Connection timeout in milliseconds', '5000')
   .option('-c, --config <path>', 'Path to Redis configuration file')
   .option('-m, --deployment <type>', 'Deployment type: standalone, cluster, sentinel', 'standalone')
+  .option('--cluster-nodes <nodes>', 'Comma-separated host:port seed nodes for cluster deployments')
+  .option('--sentinels <nodes>', 'Comma-separated host:port sentinel addresses for sentinel deployments')
+  .option('--sentinel-master <name>', 'Master name monitored by the sentinels', 'mymaster')
+  .option('--sentinel-password <password>', 'Password for the sentinels')
   .option('-s, --ssl', 'Use SSL for Redis connection', false)
   .option('--dry-run', 'Parse and validate schemas without applying them', false)
   .option('--no-color', 'Disable colored output')
@@ -37,7 +61,13 @@ program
   .option('--prefix <prefix>', 'Key prefix to apply to all Redis keys')
   .option('-n, --db <number>', 'Redis database number', '0')
   .option('--flush-mode <mode>', 'Flush mode: all, db, prefix', 'db')
-  .option('--variables <path>', 'Path to JSON file with template variables')
+  .option('--variables <path>', 'Path to JSON or YAML file with template variables (repeatable)', collect, [])
+  .option('--env-file <path>', 'Path to .env file with template variables (repeatable)', collect, [])
+  .option('--env-prefix <prefix>', 'Prefix of environment variables used as template variables', DEFAULT_ENV_PREFIX)
+  .option('--set <KEY=VALUE>', 'Set a template variable (repeatable)', collect, [])
+  .option('--seed <seed>', 'Seed for RANDOM_ID, UUID, RANDOM_INT and FAKE_* template variables')
+  .option('--now <time>', 'Time (ISO date or milliseconds) for TIMESTAMP, ISO_DATE, DATE and TIME')
+  .option('--print-variables', 'Print the resolved template variables and where each came from, then exit')
   .option('--backup <path>', 'Create backup before making changes')
   .option('--batch-size <size>', 'Number of commands to process in a batch', '100')
   .option('--with-ttl <path>', 'Path to JSON file with TTL rules')
@@ -45,220 +75,763 @@ program
   .option('--health-check', 'Run health check before initialization')
   .option('--generate-docs <path>', 'Generate documentation for schemas')
   .option('--regions <path>', 'Path to JSON file with multi-region configuration')
-  .option('--use-transactions', 'Use Redis transactions for atomic operations')
-  .parse(process.argv);
+  .option('--use-transactions', 'Use Redis transactions for atomic operations');
 
-const options = program.opts();
-
-// Configure chalk based on color option
-const colorize = program.opts().color;
-
-// Display banner
-console.log(chalk.bold(colorize ? chalk.blue('Redis Database Initialization Tool') : 'Redis Database Initialization Tool'));
-console.log(colorize ? chalk.blue('-------------------------------') : '-------------------------------');
+/**
+ * Print the CLI banner
+ * @param {boolean} colorize - Whether to use colors
+ */
+function printBanner(colorize) {
+  console.log(chalk.bold(colorize ? chalk.blue('Redis Database Initialization Tool') : 'Redis Database Initialization Tool'));
+  console.log(colorize ? chalk.blue('-------------------------------') : '-------------------------------');
+}
 
-// Load template variables if specified
-let variables = {};
-if (options.variables) {
+/**
+ * Resolve template variables from files, the environment and --set flags
+ * @param {Object} options - Parsed CLI options
+ * @param {boolean} colorize - Whether to use colors
+ * @param {boolean} quiet - Whether to skip the confirmation message
+ * @returns {Object} - Template variables and the source of each one
+ */
+function loadVariables(options, colorize, quiet = false) {
   try {
-    variables = JSON.parse(fs.readFileSync(options.variables, 'utf8'));
-    console.log(colorize ? chalk.blue(`Loaded template variables from ${chalk.yellow(options.variables)}`) : `Loaded template variables from ${options.variables}`);
+    const resolved = resolveTemplateVariables({
+      variableFiles: options.variables,
+      envFiles: options.envFile,
+      envPrefix: options.envPrefix,
+      set: options.set,
+      seed: options.seed,
+      now: options.now
+    });
+
+    for (const file of [...options.variables, ...options.envFile]) {
+      if (!quiet) console.log(colorize ? chalk.blue(`Loaded template variables from ${chalk.yellow(file)}`) : `Loaded template variables from ${file}`);
+    }
+    return resolved;
   } catch (error) {
     console.error(colorize ? chalk.red(`Failed to load template variables: ${error.message}`) : `Failed to load template variables: ${error.message}`);
     process.exit(1);
   }
 }
 
-// Load TTL rules if specified
-let ttlRules = {};
-if (options.withTtl) {
-  try {
-    ttlRules = JSON.parse(fs.readFileSync(options.withTtl, 'utf8'));
-    console.log(colorize ? chalk.blue(`Loaded TTL rules from ${chalk.yellow(options.withTtl)}`) : `Loaded TTL rules from ${options.withTtl}`);
-  } catch (error) {
-    console.error(colorize ? chalk.red(`Failed to load TTL rules: ${error.message}`) : `Failed to load TTL rules: ${error.message}`);
-    process.exit(1);
+/**
+ * Print resolved template variables with the source of each one
+ * @param {Object} resolved - Result of resolveTemplateVariables
+ * @param {boolean} colorize - Whether to use colors
+ */
+function printVariables(resolved, colorize) {
+  const names = Object.keys(resolved.variables).sort();
+  const width = Math.max(0, ...names.map(name => name.length));
+
+  for (const name of names) {
+    const value = resolved.variables[name];
+    const text = typeof value === 'function' ? '<generated>' : typeof value === 'string' ? value : JSON.stringify(value);
+    const source = `(${resolved.sources[name]})`;
+    console.log(colorize
+      ? `${chalk.yellow(name.padEnd(width))} = ${text} ${chalk.gray(source)}`
+      : `${name.padEnd(width)} = ${text} ${source}`);
   }
 }
 
-// Load ACL configuration if specified
-let aclSetup = null;
-if (options.aclSetup) {
-  try {
-    aclSetup = JSON.parse(fs.readFileSync(options.aclSetup, 'utf8'));
-    console.log(colorize ? chalk.blue(`Loaded ACL configuration from ${chalk.yellow(options.aclSetup)}`) : `Loaded ACL configuration from ${options.aclSetup}`);
-  } catch (error) {
-    console.error(colorize ? chalk.red(`Failed to load ACL configuration: ${error.message}`) : `Failed to load ACL configuration: ${error.message}`);
-    process.exit(1);
+/**
+ * Run schema initialization
+ * @param {Object} options - Parsed CLI options
+ */
+function runInit(options) {
+  // Configure chalk based on color option
+  const colorize = options.color;
+
+  if (options.printVariables) {
+    printVariables(loadVariables(options, colorize, true), colorize);
+    process.exit(0);
   }
-}
 
-// Load multi-region configuration if specified
-let regions = null;
-if (options.regions) {
-  try {
-    regions = JSON.parse(fs.readFileSync(options.regions, 'utf8'));
-    console.log(colorize ? chalk.blue(`Loaded multi-region configuration from ${chalk.yellow(options.regions)}`) : `Loaded multi-region configuration from ${options.regions}`);
-  } catch (error) {
-    console.error(colorize ? chalk.red(`Failed to load multi-region configuration: ${error.message}`) : `Failed to load multi-region configuration: ${error.message}`);
-    process.exit(1);
+  printBanner(colorize);
+
+  // Resolve template variables from all sources
+  const { variables } = loadVariables(options, colorize);
+
+  // Load TTL rules if specified
+  let ttlRules = {};
+  if (options.withTtl) {
+    try {
+      ttlRules = JSON.parse(fs.readFileSync(options.withTtl, 'utf8'));
+      console.log(colorize ? chalk.blue(`Loaded TTL rules from ${chalk.yellow(options.withTtl)}`) : `Loaded TTL rules from ${options.withTtl}`);
+    } catch (error) {
+      console.error(colorize ? chalk.red(`Failed to load TTL rules: ${error.message}`) : `Failed to load TTL rules: ${error.message}`);
+      process.exit(1);
+    }
   }
-}
 
-// Log execution parameters
-console.log(colorize ? chalk.blue(`Host:       ${chalk.yellow(options.host)}`) : `Host:       ${options.host}`);
-console.log(colorize ? chalk.blue(`Port:       ${chalk.yellow(options.port)}`) : `Port:       ${options.port}`);
-console.log(colorize ? chalk.blue(`Auth:       ${options.auth ? chalk.yellow('***') : chalk.yellow('none')}`) : `Auth:       ${options.auth ? '***' : 'none'}`);
-console.log(colorize ? chalk.blue(`Database:   ${chalk.yellow(options.db)}`) : `Database:   ${options.db}`);
-console.log(colorize ? chalk.blue(`Schemas:    ${chalk.yellow(options.dir)}`) : `Schemas:    ${options.dir}`);
-console.log(colorize ? chalk.blue(`Prefix:     ${options.prefix ? chalk.yellow(options.prefix) : chalk.yellow('none')}`) : `Prefix:     ${options.prefix || 'none'}`);
-console.log(colorize ? chalk.blue(`Deployment: ${chalk.yellow(options.deployment)}`) : `Deployment: ${options.deployment}`);
-console.log(colorize ? chalk.blue(`Flush DB:   ${chalk.yellow(options.flush)}`) : `Flush DB:   ${options.flush}`);
-if (options.flush) {
-  console.log(colorize ? chalk.blue(`Flush Mode: ${chalk.yellow(options.flushMode)}`) : `Flush Mode: ${options.flushMode}`);
-}
-console.log(colorize ? chalk.blue(`Dry Run:    ${chalk.yellow(options.dryRun)}`) : `Dry Run:    ${options.dryRun}`);
-console.log(colorize ? chalk.blue(`Batch Size: ${chalk.yellow(options.batchSize)}`) : `Batch Size: ${options.batchSize}`);
-console.log(colorize ? chalk.blue(`Transactions: ${chalk.yellow(options.useTransactions)}`) : `Transactions: ${options.useTransactions}`);
-console.log();
+  // Load ACL configuration if specified
+  let aclSetup = null;
+  if (options.aclSetup) {
+    try {
+      aclSetup = JSON.parse(fs.readFileSync(options.aclSetup, 'utf8'));
+      console.log(colorize ? chalk.blue(`Loaded ACL configuration from ${chalk.yellow(options.aclSetup)}`) : `Loaded ACL configuration from ${options.aclSetup}`);
+    } catch (error) {
+      console.error(colorize ? chalk.red(`Failed to load ACL configuration: ${error.message}`) : `Failed to load ACL configuration: ${error.message}`);
+      process.exit(1);
+    }
+  }
 
-// Generate schema documentation if requested
-if (options.generateDocs) {
-  console.log(colorize ? chalk.blue(`Generating schema documentation...`) : `Generating schema documentation...`);
+  // Load multi-region configuration if specified
+  let regions = null;
+  if (options.regions) {
+    try {
+      regions = JSON.parse(fs.readFileSync(options.regions, 'utf8'));
+      console.log(colorize ? chalk.blue(`Loaded multi-region configuration from ${chalk.yellow(options.regions)}`) : `Loaded multi-region configuration from ${options.regions}`);
+    } catch (error) {
+      console.error(colorize ? chalk.red(`Failed to load multi-region configuration: ${error.message}`) : `Failed to load multi-region configuration: ${error.message}`);
+      process.exit(1);
+    }
+  }
 
-  try {
-    const docs = generateDocumentation(options.dir);
-    fs.writeFileSync(options.generateDocs, JSON.stringify(docs, null, 2));
-    console.log(colorize ? chalk.green(`Documentation saved to ${options.generateDocs}`) : `Documentation saved to ${options.generateDocs}`);
+  // Log execution parameters
+  console.log(colorize ? chalk.blue(`Host:       ${chalk.yellow(options.host)}`) : `Host:       ${options.host}`);
+  console.log(colorize ? chalk.blue(`Port:       ${chalk.yellow(options.port)}`) : `Port:       ${options.port}`);
+  console.log(colorize ? chalk.blue(`Auth:       ${options.auth ? chalk.yellow('***') : chalk.yellow('none')}`) : `Auth:       ${options.auth ? '***' : 'none'}`);
+  console.log(colorize ? chalk.blue(`Database:   ${chalk.yellow(options.db)}`) : `Database:   ${options.db}`);
+  console.log(colorize ? chalk.blue(`Schemas:    ${chalk.yellow(options.dir)}`) : `Schemas:    ${options.dir}`);
+  console.log(colorize ? chalk.blue(`Prefix:     ${options.prefix ? chalk.yellow(options.prefix) : chalk.yellow('none')}`) : `Prefix:     ${options.prefix || 'none'}`);
+  console.log(colorize ? chalk.blue(`Deployment: ${chalk.yellow(options.deployment)}`) : `Deployment: ${options.deployment}`);
+  console.log(colorize ? chalk.blue(`Flush DB:   ${chalk.yellow(options.flush)}`) : `Flush DB:   ${options.flush}`);
+  if (options.flush) {
+    console.log(colorize ? chalk.blue(`Flush Mode: ${chalk.yellow(options.flushMode)}`) : `Flush Mode: ${options.flushMode}`);
+  }
+  console.log(colorize ? chalk.blue(`Dry Run:    ${chalk.yellow(options.dryRun)}`) : `Dry Run:    ${options.dryRun}`);
+  console.log(colorize ? chalk.blue(`Batch Size: ${chalk.yellow(options.batchSize)}`) : `Batch Size: ${options.batchSize}`);
+  console.log(colorize ? chalk.blue(`Transactions: ${chalk.yellow(options.useTransactions)}`) : `Transactions: ${options.useTransactions}`);
+  if (options.backup) {
+    console.log(colorize ? chalk.blue(`Backup:     ${chalk.yellow(options.backup)}`) : `Backup:     ${options.backup}`);
+  }
+  console.log();
 
-    if (!options.host) {
-      // If only generating docs without connecting to Redis, exit
-      process.exit(0);
+  // Generate schema documentation if requested
+  if (options.generateDocs) {
+    console.log(colorize ? chalk.blue(`Generating schema documentation...`) : `Generating schema documentation...`);
+
+    try {
+      const docs = generateDocumentation(options.dir);
+      fs.writeFileSync(options.generateDocs, JSON.stringify(docs, null, 2));
+      console.log(colorize ? chalk.green(`Documentation saved to ${options.generateDocs}`) : `Documentation saved to ${options.generateDocs}`);
+
+      if (!options.host) {
+        // If only generating docs without connecting to Redis, exit
+        process.exit(0);
+      }
+    } catch (error) {
+      console.error(colorize ? chalk.red(`Failed to generate documentation: ${error.message}`) : `Failed to generate documentation: ${error.message}`);
+      process.exit(1);
     }
-  } catch (error) {
-    console.error(colorize ? chalk.red(`Failed to generate documentation: ${error.message}`) : `Failed to generate documentation: ${error.message}`);
-    process.exit(1);
   }
-}
 
-// Create Redis client configuration
-const redisConfig = {
-  host: options.host,
-  port: options.port,
-  password: options.auth,
-  schemasDir: options.dir,
-  flush: options.flush,
-  timeout: parseInt(options.timeout),
-  deploymentType: options.deployment,
-  ssl: options.ssl,
-  dryRun: options.dryRun,
-  verbose: options.verbose,
-  color: colorize,
-  prefix: options.prefix,
-  database: parseInt(options.db),
-  flushMode: options.flushMode,
-  variables: variables,
-  backupFile: options.backup,
-  batchSize: parseInt(options.batchSize),
-  ttlRules: ttlRules,
-  aclSetup: aclSetup,
-  useTransactions: options.useTransactions
-};
-
-// Execute health check if requested
-if (options.healthCheck) {
-  console.log(colorize ? chalk.blue(`Running Redis health check...`) : `Running Redis health check...`);
-
-  performHealthCheck(redisConfig)
-    .then(health => {
-      if (health.status === 'healthy') {
-        console.log(colorize ? chalk.green(`Health check passed:`) : `Health check passed:`);
-        console.log(JSON.stringify(health, null, 2));
-      } else {
-        console.error(colorize ? chalk.red(`Health check failed:`) : `Health check failed:`);
-        console.error(JSON.stringify(health, null, 2));
+  // Create Redis client configuration
+  const redisConfig = {
+    host: options.host,
+    port: options.port,
+    password: options.auth,
+    schemasDir: options.dir,
+    flush: options.flush,
+    timeout: parseInt(options.timeout),
+    deploymentType: options.deployment,
+    clusterNodes: options.clusterNodes,
+    sentinels: options.sentinels,
+    sentinelMaster: options.sentinelMaster,
+    sentinelPassword: options.sentinelPassword,
+    ssl: options.ssl,
+    dryRun: options.dryRun,
+    verbose: options.verbose,
+    color: colorize,
+    prefix: options.prefix,
+    database: parseInt(options.db),
+    flushMode: options.flushMode,
+    variables: variables,
+    backupFile: options.backup,
+    batchSize: parseInt(options.batchSize),
+    ttlRules: ttlRules,
+    aclSetup: aclSetup,
+    useTransactions: options.useTransactions
+  };
+
+  // Execute health check if requested
+  if (options.healthCheck) {
+    console.log(colorize ? chalk.blue(`Running Redis health check...`) : `Running Redis health check...`);
+
+    performHealthCheck(redisConfig)
+      .then(health => {
+        if (health.status === 'healthy') {
+          console.log(colorize ? chalk.green(`Health check passed:`) : `Health check passed:`);
+          console.log(JSON.stringify(health, null, 2));
+        } else {
+          console.error(colorize ? chalk.red(`Health check failed:`) : `Health check failed:`);
+          console.error(JSON.stringify(health, null, 2));
+          process.exit(1);
+        }
+      })
+      .catch(error => {
+        console.error(colorize ? chalk.red(`Health check failed: ${error.message}`) : `Health check failed: ${error.message}`);
         process.exit(1);
+      });
+  }
+
+  // The backup requested with --backup is taken by redisInit before any change
+  // Execute redis initialization
+  const executeInit = async () => {
+    try {
+      // Handle multi-region setup if configured
+      if (regions) {
+        console.log(colorize ? chalk.blue(`Initializing multiple regions...`) : `Initializing multiple regions...`);
+
+        const primaryResult = await redisInit(redisConfig);
+
+        if (!primaryResult.success) {
+          console.error(colorize ? chalk.red(`Primary region initialization failed: ${primaryResult.error}`) : `Primary region initialization failed: ${primaryResult.error}`);
+          process.exit(1);
+        }
+
+        console.log(colorize ? chalk.green(`Primary region initialized successfully!`) : `Primary region initialized successfully!`);
+
+        for (const [regionName, regionConfig] of Object.entries(regions)) {
+          console.log(colorize ? chalk.blue(`Initializing region ${regionName}...`) : `Initializing region ${regionName}...`);
+
+          const regionResult = await redisInit({
+            ...redisConfig,
+            host: regionConfig.host,
+            port: regionConfig.port,
+            password: regionConfig.password
+          });
+
+          if (regionResult.success) {
+            console.log(colorize ? chalk.green(`Region ${regionName} initialized successfully!`) : `Region ${regionName} initialized successfully!`);
+          } else {
+            console.error(colorize ? chalk.red(`Region ${regionName} initialization failed: ${regionResult.error}`) : `Region ${regionName} initialization failed: ${regionResult.error}`);
+          }
+        }
+
+        console.log();
+        console.log(colorize ? chalk.green('Multi-region initialization completed!') : 'Multi-region initialization completed!');
+        process.exit(0);
       }
-    })
-    .catch(error => {
-      console.error(colorize ? chalk.red(`Health check failed: ${error.message}`) : `Health check failed: ${error.message}`);
-      process.exit(1);
-    });
-}
 
-// Backup data if requested
-if (options.backup) {
-  console.log(colorize ? chalk.blue(`Creating Redis backup...`) : `Creating Redis backup...`);
+      // Single region initialization
+      const result = await redisInit(redisConfig);
 
-  backupRedisData(redisConfig)
-    .then(result => {
       if (result.success) {
-        console.log(colorize ? chalk.green(`Backup created successfully: ${result.count} keys saved to ${options.backup}`) : `Backup created successfully: ${result.count} keys saved to ${options.backup}`);
+        console.log();
+        console.log(colorize ? chalk.green('Redis initialization completed successfully!') : 'Redis initialization completed successfully!');
+        process.exit(0);
       } else {
-        console.error(colorize ? chalk.red(`Backup failed: ${result.error}`) : `Backup failed: ${result.error}`);
+        console.error(colorize ? chalk.red(`Redis initialization failed: ${result.error}`) : `Redis initialization failed: ${result.error}`);
         process.exit(1);
       }
-    })
-    .catch(error => {
-      console.error(colorize ? chalk.red(`Backup failed: ${error.message}`) : `Backup failed: ${error.message}`);
+    } catch (error) {
+      console.error(colorize ? chalk.red(`Uncaught error: ${error.message}`) : `Uncaught error: ${error.message}`);
       process.exit(1);
-    });
+    }
+  };
+
+  // Start initialization process
+  executeInit();
 }
 
-// Execute redis initialization
-const executeInit = async () => {
-  try {
-    // Handle multi-region setup if configured
-    if (regions) {
-      console.log(colorize ? chalk.blue(`Initializing multiple regions...`) : `Initializing multiple regions...`);
+/**
+ * Migrate one schema up or down to a specific version
+ * @param {Object} options - Parsed CLI options, including global options
+ */
+async function runMigrate(options) {
+  const colorize = options.color;
 
-      const primaryResult = await redisInit(redisConfig);
+  printBanner(colorize);
 
-      if (!primaryResult.success) {
-        console.error(colorize ? chalk.red(`Primary region initialization failed: ${primaryResult.error}`) : `Primary region initialization failed: ${primaryResult.error}`);
-        process.exit(1);
-      }
+  const targetVersion = parseInt(options.to, 10);
+  if (isNaN(targetVersion)) {
+    console.error(colorize ? chalk.red(`Invalid target version: ${options.to}`) : `Invalid target version: ${options.to}`);
+    process.exit(1);
+  }
 
-      console.log(colorize ? chalk.green(`Primary region initialized successfully!`) : `Primary region initialized successfully!`);
+  console.log(colorize ? chalk.blue(`Schema:     ${chalk.yellow(options.schema)}`) : `Schema:     ${options.schema}`);
+  console.log(colorize ? chalk.blue(`Target:     ${chalk.yellow(`version ${targetVersion}`)}`) : `Target:     version ${targetVersion}`);
+  console.log();
 
-      for (const [regionName, regionConfig] of Object.entries(regions)) {
-        console.log(colorize ? chalk.blue(`Initializing region ${regionName}...`) : `Initializing region ${regionName}...`);
+  const result = await redisMigrate({
+    host: options.host,
+    port: options.port,
+    password: options.auth,
+    schemasDir: options.dir,
+    timeout: parseInt(options.timeout),
+    deploymentType: options.deployment,
+    clusterNodes: options.clusterNodes,
+    sentinels: options.sentinels,
+    sentinelMaster: options.sentinelMaster,
+    sentinelPassword: options.sentinelPassword,
+    ssl: options.ssl,
+    dryRun: options.dryRun,
+    verbose: options.verbose,
+    color: colorize,
+    prefix: options.prefix,
+    database: parseInt(options.db),
+    variables: loadVariables(options, colorize).variables,
+    useTransactions: options.useTransactions
+  }, options.schema, targetVersion);
 
-        const regionResult = await redisInit({
-          ...redisConfig,
-          host: regionConfig.host,
-          port: regionConfig.port,
-          password: regionConfig.password
-        });
+  if (result.success) {
+    const steps = result.files.length > 0 ? ` (${result.files.join(', ')})` : '';
+    console.log();
+    console.log(colorize ? chalk.green(`Schema ${result.schema} migrated from version ${result.fromVersion} to ${result.toVersion}${steps}`) : `Schema ${result.schema} migrated from version ${result.fromVersion} to ${result.toVersion}${steps}`);
+    process.exit(0);
+  } else {
+    console.error(colorize ? chalk.red(`Migration failed: ${result.error}`) : `Migration failed: ${result.error}`);
+    process.exit(1);
+  }
+}
 
-        if (regionResult.success) {
-          console.log(colorize ? chalk.green(`Region ${regionName} initialized successfully!`) : `Region ${regionName} initialized successfully!`);
-        } else {
-          console.error(colorize ? chalk.red(`Region ${regionName} initialization failed: ${regionResult.error}`) : `Region ${regionName} initialization failed: ${regionResult.error}`);
-        }
+/**
+ * Lint schema files without connecting to Redis
+ * @param {Object} options - Parsed CLI options, including global options
+ */
+async function runLint(options) {
+  const colorize = options.color;
+  const json = options.format === 'json';
+
+  if (!['text', 'json'].includes(options.format)) {
+    console.error(colorize ? chalk.red(`Invalid report format: ${options.format}`) : `Invalid report format: ${options.format}`);
+    process.exit(2);
+  }
+
+  const result = await lintSchemas({
+    schemasDir: options.dir,
+    variables: loadVariables(options, colorize, json).variables
+  });
+
+  if (result.error) {
+    console.error(colorize ? chalk.red(`Lint failed: ${result.error}`) : `Lint failed: ${result.error}`);
+    process.exit(2);
+  }
+
+  if (json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    if (options.verbose) {
+      for (const fragment of result.fragments) {
+        console.log(`Skipped ${fragment}: fragments are only checked through @include`);
       }
+    }
 
-      console.log();
-      console.log(colorize ? chalk.green('Multi-region initialization completed!') : 'Multi-region initialization completed!');
-      process.exit(0);
+    for (const diagnostic of result.diagnostics) {
+      const line = formatDiagnostic(diagnostic);
+      console.log(colorize ? (diagnostic.severity === 'error' ? chalk.red(line) : chalk.yellow(line)) : line);
     }
 
-    // Single region initialization
-    const result = await redisInit(redisConfig);
+    const summary = `${result.filesChecked} files checked: ${result.errorCount} errors, ${result.warningCount} warnings`;
+    console.log(colorize ? (result.success ? chalk.green(summary) : chalk.red(summary)) : summary);
+  }
 
-    if (result.success) {
-      console.log();
-      console.log(colorize ? chalk.green('Redis initialization completed successfully!') : 'Redis initialization completed successfully!');
-      process.exit(0);
-    } else {
-      console.error(colorize ? chalk.red(`Redis initialization failed: ${result.error}`) : `Redis initialization failed: ${result.error}`);
-      process.exit(1);
+  process.exit(result.success ? 0 : 1);
+}
+
+/**
+ * Build the Redis connection configuration from CLI options
+ * @param {Object} options - Parsed CLI options, including global options
+ * @returns {Object} - Connection configuration
+ */
+function getConnectionConfig(options) {
+  return {
+    host: options.host,
+    port: options.port,
+    password: options.auth,
+    timeout: parseInt(options.timeout),
+    deploymentType: options.deployment,
+    clusterNodes: options.clusterNodes,
+    sentinels: options.sentinels,
+    sentinelMaster: options.sentinelMaster,
+    sentinelPassword: options.sentinelPassword,
+    ssl: options.ssl,
+    verbose: options.verbose,
+    color: options.color,
+    prefix: options.prefix,
+    database: parseInt(options.db)
+  };
+}
+
+/**
+ * Build the key filter and encryption options of a backup or restore
+ * @param {Object} options - Parsed CLI options
+ * @returns {Object} - Backup file options
+ */
+function getBackupFileConfig(options) {
+  return {
+    include: options.include,
+    exclude: options.exclude,
+    types: options.type,
+    keyListFile: options.keyList,
+    encryptionKeyFile: options.encryptionKeyFile
+  };
+}
+
+/**
+ * Format a size in bytes for people
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - Formatted size
+ */
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+
+  return unit === 0 ? `${value} B` : `${value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Back up Redis data to a file
+ * @param {string} file - Backup file
+ * @param {Object} options - Parsed CLI options, including global options
+ */
+async function runBackup(file, options) {
+  const colorize = options.color;
+
+  printBanner(colorize);
+
+  console.log(colorize ? chalk.blue(`Host:       ${chalk.yellow(options.host)}`) : `Host:       ${options.host}`);
+  console.log(colorize ? chalk.blue(`Database:   ${chalk.yellow(options.db)}`) : `Database:   ${options.db}`);
+  console.log(colorize ? chalk.blue(`Prefix:     ${chalk.yellow(options.prefix || 'none')}`) : `Prefix:     ${options.prefix || 'none'}`);
+  console.log(colorize ? chalk.blue(`Backup:     ${chalk.yellow(file)}`) : `Backup:     ${file}`);
+  console.log();
+
+  const result = await redisBackup({
+    ...getConnectionConfig(options),
+    ...getBackupFileConfig(options),
+    backupFile: file
+  });
+
+  if (!result.success) {
+    console.error(colorize ? chalk.red(`Backup failed: ${result.error}`) : `Backup failed: ${result.error}`);
+    process.exit(1);
+  }
+
+  if (result.errors > 0) {
+    console.log(colorize ? chalk.yellow(`${result.errors} keys could not be backed up`) : `${result.errors} keys could not be backed up`);
+  }
+  console.log(colorize ? chalk.green(`Backup created: ${result.count} keys saved to ${file}`) : `Backup created: ${result.count} keys saved to ${file}`);
+  process.exit(0);
+}
+
+/**
+ * Restore Redis data from a backup file
+ * @param {string} file - Backup file
+ * @param {Object} options - Parsed CLI options, including global options
+ */
+async function runRestore(file, options) {
+  const colorize = options.color;
+
+  printBanner(colorize);
+
+  console.log(colorize ? chalk.blue(`Host:       ${chalk.yellow(options.host)}`) : `Host:       ${options.host}`);
+  console.log(colorize ? chalk.blue(`Database:   ${chalk.yellow(options.db)}`) : `Database:   ${options.db}`);
+  console.log(colorize ? chalk.blue(`Prefix:     ${chalk.yellow(options.prefix || 'none')}`) : `Prefix:     ${options.prefix || 'none'}`);
+  console.log(colorize ? chalk.blue(`Backup:     ${chalk.yellow(file)}`) : `Backup:     ${file}`);
+  console.log();
+
+  const result = await redisRestore({
+    ...getConnectionConfig(options),
+    ...getBackupFileConfig(options),
+    backupFile: file,
+    renamePattern: options.renamePattern,
+    sourceDatabase: options.sourceDb !== undefined ? parseInt(options.sourceDb) : undefined,
+    verify: options.verify,
+    deltaDir: options.deltaDir,
+    until: options.until,
+    interactive: Boolean(process.stdin.isTTY) && !options.yes
+  });
+
+  for (const mismatch of result.mismatches || []) {
+    console.error(colorize ? chalk.red(`  ${mismatch.key}: ${mismatch.error}`) : `  ${mismatch.key}: ${mismatch.error}`);
+  }
+
+  if (!result.success) {
+    console.error(colorize ? chalk.red(`Restore failed: ${result.error}`) : `Restore failed: ${result.error}`);
+    process.exit(1);
+  }
+
+  if (result.errors > 0) {
+    console.log(colorize ? chalk.yellow(`${result.errors} keys could not be restored`) : `${result.errors} keys could not be restored`);
+  }
+  const verified = options.verify ? ' and verified' : '';
+  const deltas = options.deltaDir ? `, ${result.deltas} delta backups replayed` : '';
+  console.log(colorize ? chalk.green(`Restore completed: ${result.count} keys restored${verified}${deltas}`) : `Restore completed: ${result.count} keys restored${verified}${deltas}`);
+  process.exit(0);
+}
+
+/**
+ * Write delta backups of changed keys until interrupted
+ * @param {string} directory - Delta backup directory
+ * @param {Object} options - Parsed CLI options, including global options
+ */
+async function runBackupWatch(directory, options) {
+  const colorize = options.color;
+
+  printBanner(colorize);
+
+  console.log(colorize ? chalk.blue(`Host:       ${chalk.yellow(options.host)}`) : `Host:       ${options.host}`);
+  console.log(colorize ? chalk.blue(`Database:   ${chalk.yellow(options.db)}`) : `Database:   ${options.db}`);
+  console.log(colorize ? chalk.blue(`Prefix:     ${chalk.yellow(options.prefix || 'none')}`) : `Prefix:     ${options.prefix || 'none'}`);
+  console.log(colorize ? chalk.blue(`Deltas:     ${chalk.yellow(directory)}`) : `Deltas:     ${directory}`);
+  console.log();
+
+  // Stop on Ctrl+C or a service stop, after writing the last delta backup
+  const controller = new AbortController();
+  process.once('SIGINT', () => controller.abort());
+  process.once('SIGTERM', () => controller.abort());
+
+  const result = await redisIncrementalBackup({
+    ...getConnectionConfig(options),
+    ...getBackupFileConfig(options),
+    deltaDir: directory,
+    interval: options.interval,
+    deltaExtension: options.extension,
+    configureNotifications: options.configureNotifications,
+    signal: controller.signal
+  });
+
+  if (!result.success) {
+    console.error(colorize ? chalk.red(`Incremental backup failed: ${result.error}`) : `Incremental backup failed: ${result.error}`);
+    process.exit(1);
+  }
+
+  if (result.errors > 0) {
+    console.log(colorize ? chalk.yellow(`${result.errors} keys could not be backed up`) : `${result.errors} keys could not be backed up`);
+  }
+  const summary = `Incremental backup stopped: ${result.deltas} delta backups with ${result.count} changed and ${result.deleted} deleted keys`;
+  console.log(colorize ? chalk.green(summary) : summary);
+  process.exit(0);
+}
+
+/**
+ * Print a summary of a backup file
+ * @param {string} file - Backup file
+ * @param {Object} options - Parsed CLI options, including global options
+ */
+async function runBackupInspect(file, options) {
+  const colorize = options.color;
+
+  if (!['text', 'json'].includes(options.format)) {
+    console.error(colorize ? chalk.red(`Invalid report format: ${options.format}`) : `Invalid report format: ${options.format}`);
+    process.exit(1);
+  }
+
+  const report = await inspectBackup(file, getBackupFileConfig(options));
+
+  if (!report.success) {
+    console.error(colorize ? chalk.red(`Inspect failed: ${report.error}`) : `Inspect failed: ${report.error}`);
+    process.exit(1);
+  }
+
+  if (options.format === 'json') {
+    console.log(JSON.stringify(report, null, 2));
+    process.exit(0);
+  }
+
+  const { header } = report;
+  const heading = text => console.log(colorize ? chalk.bold(text) : text);
+  const rows = (entries, format) => {
+    const width = Math.max(0, ...entries.map(([name]) => name.length));
+    for (const [name, ...values] of entries) {
+      console.log(`  ${name.padEnd(width)}  ${format(...values)}`);
     }
-  } catch (error) {
-    console.error(colorize ? chalk.red(`Uncaught error: ${error.message}`) : `Uncaught error: ${error.message}`);
+  };
+
+  console.log(`File:       ${file} (${formatBytes(report.fileSize)})`);
+  console.log(`Format:     ${header.format === 'rdb' ? `RDB version ${header.rdbVersion}` : `redis-init backup version ${header.version}`}`);
+  if (header.timestamp) {
+    console.log(`Created:    ${header.timestamp}`);
+  }
+  if (header.host) {
+    console.log(`Source:     ${header.host}:${header.port}, database ${header.database || 0}`);
+  }
+  console.log(`Prefix:     ${header.prefix || 'none'}`);
+  console.log(`Keys:       ${report.keys} (${formatBytes(report.dataSize)} of data)${report.errors > 0 ? `, ${report.errors} keys could not be backed up` : ''}`);
+
+  console.log();
+  heading('Types');
+  rows(Object.entries(report.types)
+    .sort(([, a], [, b]) => b.keys - a.keys)
+    .map(([type, { keys, dataSize }]) => [type, keys, dataSize]),
+  (keys, dataSize) => `${String(keys).padStart(8)}  ${formatBytes(dataSize)}`);
+
+  console.log();
+  heading('Prefixes');
+  rows(Object.entries(report.prefixes)
+    .sort(([, a], [, b]) => b - a)
+    .map(([prefix, keys]) => [prefix || '(none)', keys]),
+  keys => String(keys).padStart(8));
+
+  console.log();
+  heading('TTL');
+  rows(Object.entries(report.ttl), keys => String(keys).padStart(8));
+
+  process.exit(0);
+}
+
+/**
+ * List the backups of a directory, newest first
+ * @param {string} directory - Backup directory
+ * @param {Object} options - Parsed CLI options, including global options
+ */
+async function runBackupList(directory, options) {
+  const colorize = options.color;
+  const result = await listBackups(directory);
+
+  if (!result.success) {
+    console.error(colorize ? chalk.red(`Listing backups failed: ${result.error}`) : `Listing backups failed: ${result.error}`);
     process.exit(1);
   }
-};
 
-// Start initialization process
-executeInit();
+  for (const backup of result.backups) {
+    const line = `${backup.modified.toISOString()}  ${formatBytes(backup.size).padStart(10)}  ${path.basename(backup.file)}`;
+    console.log(line);
+  }
+  console.log(colorize ? chalk.blue(`${result.backups.length} backups in ${directory}`) : `${result.backups.length} backups in ${directory}`);
+  process.exit(0);
+}
+
+/**
+ * Delete old backups from a directory
+ * @param {string} directory - Backup directory
+ * @param {Object} options - Parsed CLI options, including global options
+ */
+async function runBackupPrune(directory, options) {
+  const colorize = options.color;
+  const result = await pruneBackups(directory, {
+    keepLast: options.keepLast !== undefined ? parseInt(options.keepLast, 10) : undefined,
+    olderThan: options.olderThan,
+    dryRun: options.dryRun,
+    color: colorize
+  });
+
+  if (!result.success) {
+    console.error(colorize ? chalk.red(`Pruning backups failed: ${result.error}`) : `Pruning backups failed: ${result.error}`);
+    process.exit(1);
+  }
+
+  const summary = options.dryRun
+    ? `${result.deleted.length} backups would be deleted, ${result.kept.length} kept`
+    : `${result.deleted.length} backups deleted, ${result.kept.length} kept`;
+  console.log(colorize ? chalk.green(summary) : summary);
+  process.exit(0);
+}
+
+/**
+ * Run the Lua script tests of the schemas against the server
+ * @param {Object} options - Parsed CLI options, including global options
+ */
+async function runTestScripts(options) {
+  const colorize = options.color;
+
+  printBanner(colorize);
+
+  console.log(colorize ? chalk.blue(`Host:       ${chalk.yellow(options.host)}`) : `Host:       ${options.host}`);
+  console.log(colorize ? chalk.blue(`Schemas:    ${chalk.yellow(options.dir)}`) : `Schemas:    ${options.dir}`);
+  console.log();
+
+  const result = await redisTestScripts({
+    ...getConnectionConfig(options),
+    schemasDir: options.dir
+  });
+
+  if (result.error) {
+    console.error(colorize ? chalk.red(`Script tests failed to run: ${result.error}`) : `Script tests failed to run: ${result.error}`);
+    process.exit(2);
+  }
+
+  process.exit(result.success ? 0 : 1);
+}
+
+/**
+ * Add the key selection and encryption options of backups and restores
+ * @param {Object} command - Commander command
+ * @param {string} verb - What the command does with the keys
+ * @returns {Object} - The command
+ */
+function addBackupFileOptions(command, verb) {
+  return command
+    .option('--include <pattern>', `Only ${verb} keys matching this pattern (repeatable)`, collect, [])
+    .option('--exclude <pattern>', `Do not ${verb} keys matching this pattern (repeatable)`, collect, [])
+    .option('--type <type>', `Only ${verb} keys of this type (repeatable)`, collect, [])
+    .option('--key-list <path>', `File with the names of the keys to ${verb}, one per line`)
+    .option('--encryption-key-file <path>', 'File with the backup encryption key, instead of REDIS_INIT_BACKUP_KEY');
+}
+
+program
+  .command('lint')
+  .description('Validate schema files without connecting to Redis')
+  .option('--format <format>', 'Report format: text, json', 'text')
+  .action((cmdOptions, command) => runLint(command.optsWithGlobals()));
+
+program
+  .command('migrate')
+  .description('Migrate a schema up or down to a specific version using its migration files')
+  .requiredOption('--to <version>', 'Target schema version')
+  .requiredOption('--schema <name>', 'Schema name (file name without extension)')
+  .action((cmdOptions, command) => runMigrate(command.optsWithGlobals()));
+
+program
+  .command('test-scripts')
+  .description('Run the SCRIPT_TEST blocks of the schemas against the server, under a throwaway key prefix')
+  .action((cmdOptions, command) => runTestScripts(command.optsWithGlobals()));
+
+const backupCommand = addBackupFileOptions(program
+  .command('backup')
+  .description('Back up Redis data to a file (.ndjson, .gz, .br or .rdb), or manage backup files')
+  .argument('<file>', 'Backup file'), 'back up')
+  .action((file, cmdOptions, command) => runBackup(file, command.optsWithGlobals()));
+
+addBackupFileOptions(backupCommand
+  .command('watch')
+  .description('Write delta backups of the keys that change, using keyspace notifications, until interrupted')
+  .argument('<directory>', 'Delta backup directory')
+  .option('--interval <duration>', 'Time between delta backups, such as 30s or 5m', '1m')
+  .option('--extension <extension>', 'Extension of delta backups: .ndjson, .ndjson.gz or .ndjson.br', '.ndjson')
+  .option('--configure-notifications', 'Enable keyspace notifications with CONFIG SET if they are off'), 'back up')
+  .action((directory, cmdOptions, command) => runBackupWatch(directory, command.optsWithGlobals()));
+
+backupCommand
+  .command('inspect')
+  .description('Show key counts by type and prefix, sizes and TTLs of a backup file')
+  .argument('<file>', 'Backup file')
+  .option('--format <format>', 'Report format: text, json', 'text')
+  .action((file, cmdOptions, command) => runBackupInspect(file, command.optsWithGlobals()));
+
+backupCommand
+  .command('list')
+  .description('List the backups of a directory, newest first')
+  .argument('<directory>', 'Backup directory')
+  .action((directory, cmdOptions, command) => runBackupList(directory, command.optsWithGlobals()));
+
+backupCommand
+  .command('prune')
+  .description('Delete old backups from a directory')
+  .argument('<directory>', 'Backup directory')
+  .option('--keep-last <count>', 'Keep this many of the newest backups')
+  .option('--older-than <duration>', 'Only delete backups older than this, such as 30d, 12h or 2w')
+  .action((directory, cmdOptions, command) => runBackupPrune(directory, command.optsWithGlobals()));
+
+addBackupFileOptions(program
+  .command('restore')
+  .description('Restore Redis data from a backup file or an RDB file')
+  .argument('<file>', 'Backup file')
+  .option('--verify', 'Read restored keys back and compare them with the backup')
+  .option('--rename-pattern <FROM=TO>', 'Restore keys matching FROM under the name TO, such as "session:*=archive:session:*" (repeatable)', collect, [])
+  .option('--source-db <number>', 'Only restore keys of this database of an RDB file')
+  .option('--delta-dir <directory>', 'Replay the delta backups of an incremental backup taken after the backup file')
+  .option('--until <time>', 'Only replay delta backups up to this time (ISO date or milliseconds since the epoch)')
+  .option('-y, --yes', 'Restore without asking for confirmation'), 'restore')
+  .action((file, cmdOptions, command) => runRestore(file, command.optsWithGlobals()));
+
+program.action(() => runInit(program.opts()));
+
+program.parse(process.argv);
@@ -0,0 +1,403 @@
+/**
+ * Backup file module
+ *
+ * Reads and writes backup files: newline-delimited JSON records, optionally
+ * compressed with gzip or brotli and encrypted with AES-256-GCM.
+ *
+ * Compression is chosen by file extension (.gz or .br). An encrypted file
+ * starts with a header holding the format version, the compression used, the
+ * IV and a key check value, and ends with the GCM authentication tag; the
+ * header is authenticated along with the data.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { pipeline, PassThrough, Writable } = require('stream');
+const { once } = require('events');
+const { StringDecoder } = require('string_decoder');
+
+const pipelineAsync = promisify(pipeline);
+
+// Environment variable holding the backup encryption key
+const BACKUP_KEY_ENV = 'REDIS_INIT_BACKUP_KEY';
+
+// Encrypted file layout
+const ENCRYPTION_MAGIC = Buffer.from('RINITENC');
+const ENCRYPTION_VERSION = 1;
+const IV_LENGTH = 12;
+const KEY_CHECK_LENGTH = 8;
+const TAG_LENGTH = 16;
+const HEADER_LENGTH = ENCRYPTION_MAGIC.length + 2 + IV_LENGTH + KEY_CHECK_LENGTH;
+
+// Compression ids stored in the encrypted header
+const COMPRESSIONS = [null, 'gzip', 'brotli'];
+
+/**
+ * Encode a Redis string for JSON
+ * @param {Buffer|string} value - Value from Redis
+ * @returns {string|Object} - The string itself, or { base64 } if it is not valid UTF-8
+ */
+function encodeValue(value) {
+  if (!Buffer.isBuffer(value)) {
+    return String(value);
+  }
+
+  const text = value.toString('utf8');
+  return Buffer.from(text, 'utf8').equals(value) ? text : { base64: value.toString('base64') };
+}
+
+/**
+ * Decode a value encoded with encodeValue
+ * @param {string|Object} value - Encoded value
+ * @returns {string|Buffer} - String, or Buffer for binary values
+ */
+function decodeValue(value) {
+  return value !== null && typeof value === 'object' ? Buffer.from(value.base64, 'base64') : value;
+}
+
+/**
+ * Get the compression implied by a backup file's extension
+ * @param {string} filePath - Backup file path
+ * @returns {string|null} - 'gzip', 'brotli' or null
+ */
+function getCompression(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (extension === '.gz') return 'gzip';
+  if (extension === '.br') return 'brotli';
+  return null;
+}
+
+/**
+ * Parse a 32-byte encryption key
+ * @param {string|Buffer} key - Key as 64 hex characters, base64 or raw bytes
+ * @returns {Buffer} - Key
+ */
+function parseKey(key) {
+  if (Buffer.isBuffer(key) && key.length === 32) {
+    return key;
+  }
+
+  const text = key.toString().trim();
+  const parsed = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+
+  if (parsed.length !== 32) {
+    throw new Error('Backup encryption key must be 32 bytes, given as 64 hex characters or base64');
+  }
+
+  return parsed;
+}
+
+/**
+ * Find the backup encryption key
+ *
+ * Taken from `encryptionKey`, then `encryptionKeyFile`, then the
+ * REDIS_INIT_BACKUP_KEY environment variable.
+ * @param {Object} config - Configuration options
+ * @returns {Buffer|null} - Key, or null if none is configured
+ */
+function resolveBackupKey(config = {}) {
+  if (config.encryptionKey) {
+    return parseKey(config.encryptionKey);
+  }
+
+  if (config.encryptionKeyFile) {
+    try {
+      return parseKey(fs.readFileSync(config.encryptionKeyFile));
+    } catch (error) {
+      throw new Error(`${config.encryptionKeyFile}: ${error.message}`);
+    }
+  }
+
+  const env = config.env || process.env;
+  return env[BACKUP_KEY_ENV] ? parseKey(env[BACKUP_KEY_ENV]) : null;
+}
+
+/**
+ * Derive the value that tells whether a key fits an encrypted file
+ * @param {Buffer} key - Encryption key
+ * @param {Buffer} iv - The file's IV
+ * @returns {Buffer} - Key check value
+ */
+function getKeyCheck(key, iv) {
+  return crypto.createHmac('sha256', key).update('redis-init-backup-key-check').update(iv).digest().subarray(0, KEY_CHECK_LENGTH);
+}
+
+/**
+ * Create a compression stream
+ * @param {string|null} compression - 'gzip', 'brotli' or null
+ * @returns {Object|null} - Transform stream, or null without compression
+ */
+function createCompressor(compression) {
+  if (compression === 'gzip') return zlib.createGzip();
+  if (compression === 'brotli') return zlib.createBrotliCompress();
+  return null;
+}
+
+/**
+ * Create a decompression stream
+ * @param {string|null} compression - 'gzip', 'brotli' or null
+ * @returns {Object|null} - Transform stream, or null without compression
+ */
+function createDecompressor(compression) {
+  if (compression === 'gzip') return zlib.createGunzip();
+  if (compression === 'brotli') return zlib.createBrotliDecompress();
+  return null;
+}
+
+/**
+ * Open a backup file for writing, one JSON record per line
+ *
+ * Records go to a temporary file that only replaces the backup file when
+ * the writer is closed, so a failed backup never leaves a truncated file.
+ * @param {string} filePath - Backup file path
+ * @param {Object} config - Configuration options with the encryption key, if any
+ * @returns {Promise<Object>} - Writer with write(record), close() and abort()
+ */
+async function openBackupWriter(filePath, config = {}) {
+  const key = resolveBackupKey(config);
+  const compression = getCompression(filePath);
+
+  await fs.ensureDir(path.dirname(filePath));
+
+  const tempPath = `${filePath}.tmp`;
+  const file = fs.createWriteStream(tempPath);
+  await once(file, 'open');
+
+  const stages = [createCompressor(compression)];
+
+  if (key) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const header = Buffer.concat([
+      ENCRYPTION_MAGIC,
+      Buffer.from([ENCRYPTION_VERSION, COMPRESSIONS.indexOf(compression)]),
+      iv,
+      getKeyCheck(key, iv)
+    ]);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(header);
+
+    stages.push(cipher, async function* (source) {
+      yield header;
+      yield* source;
+      yield cipher.getAuthTag();
+    });
+  }
+
+  const head = new PassThrough();
+  const finished = pipelineAsync(head, ...stages.filter(Boolean), file);
+  // Failures surface through write() and close()
+  finished.catch(() => {});
+
+  return {
+    async write(record) {
+      // Wait for the file to catch up instead of buffering the whole database
+      if (!head.write(`${JSON.stringify(record)}\n`)) {
+        await Promise.race([once(head, 'drain'), finished]);
+      }
+    },
+
+    async close() {
+      head.end();
+      await finished;
+      await fs.rename(tempPath, filePath);
+    },
+
+    async abort() {
+      head.destroy();
+      await finished.catch(() => {});
+      await fs.remove(tempPath);
+    }
+  };
+}
+
+/**
+ * Read the header and authentication tag of an encrypted backup file
+ * @param {string} filePath - Backup file path
+ * @returns {Promise<Object|null>} - Header and tag, or null if the file is not encrypted
+ */
+async function readEncryptionHeader(filePath) {
+  const fd = await fs.open(filePath, 'r');
+
+  try {
+    const { size } = await fs.fstat(fd);
+    const header = Buffer.alloc(HEADER_LENGTH);
+    const { bytesRead } = await fs.read(fd, header, 0, HEADER_LENGTH, 0);
+
+    if (bytesRead < ENCRYPTION_MAGIC.length || !header.subarray(0, ENCRYPTION_MAGIC.length).equals(ENCRYPTION_MAGIC)) {
+      return null;
+    }
+    if (size < HEADER_LENGTH + TAG_LENGTH) {
+      throw new Error('Encrypted backup file is truncated');
+    }
+    if (header[ENCRYPTION_MAGIC.length] !== ENCRYPTION_VERSION) {
+      throw new Error(`Unsupported encrypted backup version ${header[ENCRYPTION_MAGIC.length]}`);
+    }
+
+    const tag = Buffer.alloc(TAG_LENGTH);
+    await fs.read(fd, tag, 0, TAG_LENGTH, size - TAG_LENGTH);
+
+    const ivStart = ENCRYPTION_MAGIC.length + 2;
+    return {
+      header,
+      tag,
+      size,
+      compression: COMPRESSIONS[header[ENCRYPTION_MAGIC.length + 1]] || null,
+      iv: header.subarray(ivStart, ivStart + IV_LENGTH),
+      keyCheck: header.subarray(ivStart + IV_LENGTH)
+    };
+  } finally {
+    await fs.close(fd);
+  }
+}
+
+/**
+ * Open the decrypted and decompressed contents of a backup file as a stream
+ *
+ * Encrypted files are authenticated in full before anything is returned,
+ * so a tampered file never yields a single record.
+ * @param {string} filePath - Backup file path
+ * @param {Object} config - Configuration options with the encryption key, if any
+ * @returns {Promise<Object>} - Readable stream of the NDJSON bytes
+ */
+async function openBackupStream(filePath, config) {
+  const encryption = await readEncryptionHeader(filePath);
+
+  if (!encryption) {
+    const magic = Buffer.alloc(2);
+    const fd = await fs.open(filePath, 'r');
+    try {
+      await fs.read(fd, magic, 0, 2, 0);
+    } finally {
+      await fs.close(fd);
+    }
+
+    const compression = magic[0] === 0x1f && magic[1] === 0x8b ? 'gzip' : getCompression(filePath);
+    const decompressor = createDecompressor(compression);
+    const file = fs.createReadStream(filePath);
+    return decompressor ? pipeline(file, decompressor, () => {}) : file;
+  }
+
+  const key = resolveBackupKey(config);
+  if (!key) {
+    throw new Error(`Backup file is encrypted: set ${BACKUP_KEY_ENV} or give the encryption key`);
+  }
+  if (!getKeyCheck(key, encryption.iv).equals(encryption.keyCheck)) {
+    throw new Error('Cannot decrypt backup: wrong encryption key');
+  }
+
+  const openCiphertext = () => fs.createReadStream(filePath, {
+    start: HEADER_LENGTH,
+    end: encryption.size - TAG_LENGTH - 1
+  });
+  const createDecipher = () => {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, encryption.iv);
+    decipher.setAAD(encryption.header);
+    decipher.setAuthTag(encryption.tag);
+    return decipher;
+  };
+
+  try {
+    await pipelineAsync(openCiphertext(), createDecipher(), new Writable({
+      write: (chunk, encoding, callback) => callback()
+    }));
+  } catch (error) {
+    throw new Error('Cannot decrypt backup: the file has been modified or is corrupt');
+  }
+
+  const stages = [openCiphertext(), createDecipher(), createDecompressor(encryption.compression)].filter(Boolean);
+  return pipeline(...stages, () => {});
+}
+
+/**
+ * Split a stream of UTF-8 bytes into lines
+ * @param {Object} stream - Readable stream
+ * @returns {AsyncGenerator<string>} - Lines without their line endings
+ */
+async function* readLines(stream) {
+  // Characters split across chunks are put back together by the decoder
+  const decoder = new StringDecoder('utf8');
+  let buffered = '';
+
+  for await (const chunk of stream) {
+    buffered += decoder.write(chunk);
+    const lines = buffered.split('\n');
+    buffered = lines.pop();
+    for (const line of lines) {
+      yield line.replace(/\r$/, '');
+    }
+  }
+
+  buffered += decoder.end();
+  if (buffered) {
+    yield buffered.replace(/\r$/, '');
+  }
+}
+
+/**
+ * Read a backup file record by record
+ *
+ * Yields the header first and then one record per key. Compressed and
+ * encrypted files are detected automatically, and backups written before the
+ * NDJSON format (a single JSON document) are read as well.
+ * @param {string} filePath - Backup file path
+ * @param {Object} config - Configuration options with the encryption key, if any
+ * @returns {AsyncGenerator<Object>} - Header, then key records
+ */
+async function* readBackup(filePath, config = {}) {
+  const stream = await openBackupStream(filePath, config);
+  let lineNumber = 0;
+  let legacy = null;
+
+  try {
+    for await (const line of readLines(stream)) {
+      lineNumber++;
+
+      if (legacy !== null) {
+        legacy.push(line);
+        continue;
+      }
+
+      if (lineNumber === 1 && !line.includes('"format"')) {
+        legacy = [line];
+        continue;
+      }
+
+      if (!line.trim()) continue;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Invalid backup record on line ${lineNumber}: ${error.message}`);
+      }
+
+      if (record.end) return;
+      yield record;
+    }
+  } finally {
+    stream.destroy();
+  }
+
+  if (legacy !== null) {
+    const { keys, ...header } = JSON.parse(legacy.join('\n'));
+    yield { ...header, format: 'redis-init-backup', version: 1 };
+    for (const [key, data] of Object.entries(keys || {})) {
+      yield { key, ...data };
+    }
+    return;
+  }
+
+  throw new Error('Backup file is incomplete: the end marker is missing');
+}
+
+module.exports = {
+  BACKUP_KEY_ENV,
+  encodeValue,
+  decodeValue,
+  resolveBackupKey,
+  openBackupWriter,
+  readBackup
+};
@@ -2,164 +2,681 @@
  * Backup and restore module
  *
  * Handles backing up and restoring Redis data.
+ *
+ * Backups are newline-delimited JSON: a header line, one line per key and a
+ * footer line with the key count, so they can be written and read as a
+ * stream no matter how large the database is. Keys and values that are not
+ * valid UTF-8 are stored as { base64 } objects. Compression and encryption
+ * of the file are handled by the backup file module.
  */
 
 const fs = require('fs-extra');
+const path = require('path');
+const inquirer = require('inquirer');
 const { log } = require('./utils');
+const { encodeValue, decodeValue, openBackupWriter, readBackup } = require('./backup-file');
+const { isRdbFile, readRdb, openRdbWriter } = require('./rdb');
+const { createKeyFilter, parseRenamePatterns, renameKey } = require('./key-filter');
+
+// Version of the NDJSON backup format
+const BACKUP_FORMAT_VERSION = 2;
+
+// Keys requested per SCAN call
+const SCAN_COUNT = 1000;
+
+// Raw replies keep binary keys and values intact
+const RAW = { returnBuffers: true };
+
+// Keys restored at the same time
+const RESTORE_BATCH_SIZE = 100;
+
+// Most values sent in one command when restoring large keys
+const RESTORE_CHUNK_SIZE = 1000;
+
+// Consumer group used for a moment to create empty streams
+const STREAM_PLACEHOLDER_GROUP = 'redis-init-restore';
+
+// File names of backups in a backup directory
+const BACKUP_FILE_PATTERN = /\.(ndjson|json|rdb)(\.(gz|br))?$/i;
+
+// Units of retention durations, in milliseconds
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+// TTL ranges reported when inspecting a backup, by upper bound in milliseconds
+const TTL_RANGES = [
+  ['under 1 minute', DURATION_UNITS.m],
+  ['under 1 hour', DURATION_UNITS.h],
+  ['under 1 day', DURATION_UNITS.d],
+  ['under 1 week', DURATION_UNITS.w],
+  ['1 week or more', Infinity]
+];
 
 /**
- * Backup Redis data to a file
+ * Split a flat [field, value, ...] reply into encoded pairs
+ * @param {Array} reply - Flat reply
+ * @returns {Array} - [field, value] pairs
+ */
+function toPairs(reply) {
+  const pairs = [];
+  for (let i = 0; i < reply.length; i += 2) {
+    pairs.push([encodeValue(reply[i]), encodeValue(reply[i + 1])]);
+  }
+  return pairs;
+}
+
+/**
+ * Convert a flat [name, value, ...] info reply into an object
+ * @param {Array} reply - Flat reply
+ * @returns {Object} - Reply as an object
+ */
+function infoToObject(reply) {
+  const result = {};
+  for (let i = 0; i < reply.length; i += 2) {
+    const value = reply[i + 1];
+    result[String(reply[i])] = Buffer.isBuffer(value) ? value.toString() : value;
+  }
+  return result;
+}
+
+/**
+ * Build a SCAN MATCH pattern, escaping glob characters so the prefix matches literally
+ * @param {string} prefix - Key prefix
+ * @param {string} pattern - Glob pattern for the rest of the key
+ * @returns {string} - MATCH pattern for keys starting with the prefix
+ */
+function getMatchPattern(prefix, pattern = '*') {
+  return prefix ? `${prefix.replace(/[*?[\]\\]/g, '\\$&')}${pattern}` : pattern;
+}
+
+/**
+ * Get the name of a key without its prefix, as key filters see it
+ *
+ * Binary keys are handled as latin1 strings so every byte is kept.
+ * @param {Buffer|string} key - Key
+ * @param {string} prefix - Key prefix
+ * @returns {string} - Key name
+ */
+function getKeyName(key, prefix) {
+  const binary = Buffer.isBuffer(key);
+  const name = binary ? key.toString('latin1') : key;
+  const start = binary ? Buffer.from(prefix).toString('latin1') : prefix;
+  return name.startsWith(start) ? name.slice(start.length) : name;
+}
+
+/**
+ * Get a client for every master: each master of a cluster, or the client itself
  * @param {Object} client - Redis client
- * @param {Object} config - Configuration options
- * @returns {Promise<Object>} - Backup result
+ * @returns {Promise<Array<Object>>} - Clients of the masters
  */
-async function backupRedisData(client, config) {
-  try {
-    if (!config.backupFile) {
-      return { success: false, error: 'No backup file specified' };
-    }
+async function getMasterNodes(client) {
+  return client.isCluster
+    ? Promise.all(client.cluster.masters.map(master => client.cluster.nodeClient(master)))
+    : [client];
+}
 
-    log('info', `Backing up Redis data to ${config.backupFile}...`, config);
+/**
+ * Iterate over matching keys with SCAN, one batch at a time
+ *
+ * Cluster clients are scanned master by master, and each batch comes with
+ * the client of the node that holds its keys.
+ * @param {Object} client - Redis client
+ * @param {string} pattern - MATCH pattern
+ * @returns {AsyncGenerator<Object>} - Batches of { node, keys }
+ */
+async function* scanKeys(client, pattern) {
+  for (const node of await getMasterNodes(client)) {
+    let cursor = '0';
+    do {
+      const [nextCursor, keys] = await node.sendCommand(['SCAN', cursor, 'MATCH', pattern, 'COUNT', String(SCAN_COUNT)], RAW);
+      cursor = String(nextCursor);
+      if (keys.length > 0) {
+        yield { node, keys };
+      }
+    } while (cursor !== '0');
+  }
+}
+
+/**
+ * Iterate over the keys of a key list, in batches like scanKeys
+ * @param {Object} client - Redis client
+ * @param {Set<string>} names - Key names, without the prefix
+ * @param {string} prefix - Key prefix
+ * @returns {Generator<Object>} - Batches of { node, keys }
+ */
+function* listKeys(client, names, prefix) {
+  const keys = [...names].map(name => `${prefix}${name}`);
+  for (let i = 0; i < keys.length; i += SCAN_COUNT) {
+    yield { node: client, keys: keys.slice(i, i + SCAN_COUNT) };
+  }
+}
+
+/**
+ * Read a stream's entries, metadata and consumer groups
+ * @param {Object} client - Redis client
+ * @param {Buffer|string} key - Stream key
+ * @returns {Promise<Object>} - Stream value
+ */
+async function readStream(client, key) {
+  const entries = await client.sendCommand(['XRANGE', key, '-', '+'], RAW);
+  const info = infoToObject(await client.sendCommand(['XINFO', 'STREAM', key], RAW));
+  const groups = [];
+
+  for (const groupReply of await client.sendCommand(['XINFO', 'GROUPS', key], RAW)) {
+    const group = infoToObject(groupReply);
+    const consumers = (await client.sendCommand(['XINFO', 'CONSUMERS', key, group.name], RAW))
+      .map(consumer => infoToObject(consumer).name);
+    const pending = group.pending > 0
+      ? await client.sendCommand(['XPENDING', key, group.name, '-', '+', String(group.pending)], RAW)
+      : [];
+
+    groups.push({
+      name: group.name,
+      lastDeliveredId: group['last-delivered-id'],
+      entriesRead: group['entries-read'] !== undefined ? group['entries-read'] : null,
+      consumers,
+      pending: pending.map(([id, consumer, , deliveries]) => ({
+        id: String(id),
+        consumer: String(consumer),
+        deliveries
+      }))
+    });
+  }
+
+  return {
+    lastId: info['last-generated-id'],
+    entriesAdded: info['entries-added'] !== undefined ? info['entries-added'] : null,
+    maxDeletedId: info['max-deleted-entry-id'] || null,
+    entries: entries.map(([id, fields]) => [String(id), toPairs(fields)]),
+    groups
+  };
+}
+
+/**
+ * Read one key into a backup record
+ * @param {Object} client - Redis client
+ * @param {Buffer|string} key - Key
+ * @param {Object} [filter] - Key filter selecting the types to read
+ * @returns {Promise<Object|null>} - Backup record, or null if the key no longer exists or is not selected
+ */
+async function readKey(client, key, filter) {
+  const [typeReply, pttl] = await Promise.all([
+    client.sendCommand(['TYPE', key], RAW),
+    client.sendCommand(['PTTL', key])
+  ]);
+  const type = String(typeReply);
+  const record = { key: encodeValue(key), type, pttl };
+
+  if (filter && type !== 'none' && !filter.matchesType(type)) {
+    return null;
+  }
 
-    const pattern = config.prefix ? `${config.prefix}*` : '*';
-    let keys;
+  switch (type) {
+    case 'none':
+      // Expired or deleted since SCAN returned it
+      return null;
 
-    try {
-      keys = await client.keys(pattern);
-    } catch (error) {
-      return { success: false, error: `Failed to get keys: ${error.message}` };
+    case 'string': {
+      // Also covers bitmaps and HyperLogLogs, which are binary strings
+      const value = await client.sendCommand(['GET', key], RAW);
+      if (value === null) return null;
+      record.value = encodeValue(value);
+      break;
     }
 
-    if (keys.length === 0) {
-      log('warn', `No keys found matching pattern ${pattern}`, config);
+    case 'hash':
+      record.value = toPairs(await client.sendCommand(['HGETALL', key], RAW));
+      break;
+
+    case 'list':
+      record.value = (await client.sendCommand(['LRANGE', key, '0', '-1'], RAW)).map(encodeValue);
+      break;
 
-      // Create an empty backup file
-      await fs.writeFile(config.backupFile, JSON.stringify({
-        timestamp: new Date().toISOString(),
-        prefix: config.prefix || '',
-        host: config.host,
-        port: config.port,
-        database: config.database || 0,
-        keys: {}
-      }, null, 2));
-
-      return { success: true, count: 0 };
+    case 'set':
+      record.value = (await client.sendCommand(['SMEMBERS', key], RAW)).map(encodeValue);
+      break;
+
+    case 'zset':
+      // Scores stay strings so inf and full double precision survive
+      record.value = toPairs(await client.sendCommand(['ZRANGE', key, '0', '-1', 'WITHSCORES'], RAW));
+      break;
+
+    case 'stream':
+      record.value = await readStream(client, key);
+      break;
+
+    default: {
+      // Module types (JSON, time series, ...) are saved in Redis' own serialization format
+      const dump = await client.sendCommand(['DUMP', key], RAW);
+      if (dump === null) return null;
+      record.dump = dump.toString('base64');
     }
+  }
 
-    log('info', `Found ${keys.length} keys to backup`, config);
+  return record;
+}
 
-    const backup = {
+/**
+ * Backup Redis data to a file
+ *
+ * Keys are found with SCAN rather than KEYS, so Redis is never blocked, and
+ * written as they are read. Every type is supported: strings (including
+ * bitmaps and HyperLogLogs), hashes, lists, sets, sorted sets, and streams
+ * with their consumer groups; module types are saved with DUMP.
+ *
+ * A backup file ending in .rdb is written as an RDB file that redis-server
+ * can load directly.
+ *
+ * Keys can be selected with `include` and `exclude` patterns, `types` and a
+ * `keyListFile` (see the key filter module).
+ * @param {Object} client - Redis client
+ * @param {Object} config - Configuration options
+ * @returns {Promise<Object>} - Backup result
+ */
+async function backupRedisData(client, config) {
+  if (!config.backupFile) {
+    return { success: false, error: 'No backup file specified' };
+  }
+
+  let writer;
+  try {
+    log('info', `Backing up Redis data to ${config.backupFile}...`, config);
+
+    const prefix = config.prefix || '';
+    const filter = createKeyFilter(config);
+    // A single include pattern narrows the SCAN itself
+    const include = [].concat(config.include || []);
+    const pattern = getMatchPattern(prefix, include.length === 1 ? include[0] : '*');
+    const batches = filter.keys ? listKeys(client, filter.keys, prefix) : scanKeys(client, pattern);
+
+    writer = path.extname(config.backupFile).toLowerCase() === '.rdb'
+      ? await openRdbWriter(config.backupFile, config)
+      : await openBackupWriter(config.backupFile, config);
+    await writer.write({
+      format: 'redis-init-backup',
+      version: BACKUP_FORMAT_VERSION,
       timestamp: new Date().toISOString(),
       prefix: config.prefix || '',
       host: config.host,
       port: config.port,
-      database: config.database || 0,
-      keys: {}
-    };
+      database: config.database || 0
+    });
 
-    // Process keys in batches to avoid memory issues
-    const batchSize = 1000;
-    for (let i = 0; i < keys.length; i += batchSize) {
-      const batchKeys = keys.slice(i, i + batchSize);
+    let count = 0;
+    let errorCount = 0;
 
-      for (const key of batchKeys) {
-        try {
-          const type = await client.type(key);
-
-          switch (type) {
-            case 'string':
-              backup.keys[key] = {
-                type,
-                value: await client.get(key),
-                ttl: await client.ttl(key)
-              };
-              break;
-
-            case 'hash':
-              backup.keys[key] = {
-                type,
-                value: await client.hGetAll(key),
-                ttl: await client.ttl(key)
-              };
-              break;
-
-            case 'list':
-              backup.keys[key] = {
-                type,
-                value: await client.lRange(key, 0, -1),
-                ttl: await client.ttl(key)
-              };
-              break;
-
-            case 'set':
-              backup.keys[key] = {
-                type,
-                value: await client.sMembers(key),
-                ttl: await client.ttl(key)
-              };
-              break;
-
-            case 'zset':
-              const members = await client.zRange(key, 0, -1, { WITHSCORES: true });
-              const zsetValue = {};
-
-              // Convert array [member1, score1, member2, score2, ...] to object
-              for (let i = 0; i < members.length; i += 2) {
-                zsetValue[members[i]] = parseFloat(members[i + 1]);
-              }
-
-              backup.keys[key] = {
-                type,
-                value: zsetValue,
-                ttl: await client.ttl(key)
-              };
-              break;
-
-            case 'stream':
-              log('warn', `Stream backup not supported for key ${key}`, config);
-              backup.keys[key] = {
-                type,
-                value: null,
-                ttl: await client.ttl(key),
-                error: 'Stream backup not supported'
-              };
-              break;
-
-            default:
-              log('warn', `Unknown type ${type} for key ${key}`, config);
-              backup.keys[key] = {
-                type,
-                value: null,
-                error: `Unknown type: ${type}`
-              };
-          }
+    for await (const { node, keys } of batches) {
+      const selected = keys.filter(key => filter.matchesName(getKeyName(key, prefix)));
+      const records = await Promise.all(selected.map(key => readKey(node, key, filter).catch(error => {
+        log('error', `Failed to backup key ${key}: ${error.message}`, config);
+        return { key: encodeValue(key), error: error.message };
+      })));
 
-          if (i % 100 === 0 && config.verbose) {
-            log('info', `Processed ${i} of ${keys.length} keys...`, config);
-          }
-        } catch (error) {
-          log('error', `Failed to backup key ${key}: ${error.message}`, config);
-          backup.keys[key] = {
-            error: error.message
-          };
+      for (const record of records) {
+        if (!record) continue;
+
+        await writer.write(record);
+        if (record.error) {
+          errorCount++;
+        } else {
+          count++;
         }
       }
+
+      if (config.verbose) {
+        log('info', `Backed up ${count} keys...`, config);
+      }
     }
 
-    // Save backup to file
-    await fs.ensureDir(path.dirname(config.backupFile));
-    await fs.writeFile(config.backupFile, JSON.stringify(backup, null, 2));
+    await writer.write({ end: true, count, errors: errorCount });
+    await writer.close();
 
-    log('success', `Backup successful: ${keys.length} keys saved to ${config.backupFile}`, config);
-    return { success: true, count: keys.length };
+    if (count === 0 && errorCount === 0) {
+      log('warn', `No keys found matching pattern ${pattern}`, config);
+    }
+
+    log('success', `Backup successful: ${count} keys saved to ${config.backupFile}`, config);
+    return { success: true, count, errors: errorCount };
   } catch (error) {
+    if (writer) {
+      await writer.abort();
+    }
     log('error', `Backup failed: ${error.message}`, config);
     return { success: false, error: error.message };
   }
 }
 
+/**
+ * Bring a backup record to the current format
+ *
+ * Version 1 backups stored hashes and sorted sets as objects and TTLs in
+ * seconds.
+ * @param {Object} record - Key record
+ * @param {number} version - Backup format version
+ * @returns {Object} - Key record in the current format
+ */
+function normalizeRecord(record, version) {
+  if (version >= BACKUP_FORMAT_VERSION) {
+    return record;
+  }
+
+  const { ttl, ...rest } = record;
+  const normalized = { ...rest, pttl: ttl > 0 ? ttl * 1000 : -1 };
+
+  if (record.type === 'hash' && record.value && !Array.isArray(record.value)) {
+    normalized.value = Object.entries(record.value);
+  } else if (record.type === 'zset' && record.value && !Array.isArray(record.value)) {
+    normalized.value = Object.entries(record.value).map(([member, score]) => [member, String(score)]);
+  }
+
+  return normalized;
+}
+
+/**
+ * Get the key a backed up key is restored to
+ *
+ * The key is moved from the backup's prefix to the target prefix and its
+ * name is changed by the first rename pattern that matches it.
+ * @param {string|Buffer} key - Decoded key
+ * @param {string} backupPrefix - Prefix the backup was taken with
+ * @param {string} targetPrefix - Prefix to restore under
+ * @param {Array<Object>} renames - Parsed rename patterns
+ * @returns {string|Buffer} - Target key
+ */
+function getTargetKey(key, backupPrefix, targetPrefix, renames) {
+  if (backupPrefix === targetPrefix && renames.length === 0) {
+    return key;
+  }
+
+  const name = renameKey(getKeyName(key, backupPrefix), renames);
+  return Buffer.isBuffer(key)
+    ? Buffer.concat([Buffer.from(targetPrefix), Buffer.from(name, 'latin1')])
+    : `${targetPrefix}${name}`;
+}
+
+/**
+ * Split a command with many arguments into several commands
+ * @param {Array} command - Command name and key
+ * @param {Array} items - Arguments to spread over the commands
+ * @returns {Array} - Commands
+ */
+function chunkCommand(command, items) {
+  const commands = [];
+  for (let i = 0; i < items.length; i += RESTORE_CHUNK_SIZE) {
+    commands.push([...command, ...items.slice(i, i + RESTORE_CHUNK_SIZE)]);
+  }
+  return commands;
+}
+
+/**
+ * Build the commands that recreate a stream with its consumer groups
+ * @param {string|Buffer} key - Target key
+ * @param {Object} stream - Stream value from the backup
+ * @returns {Array} - Commands
+ */
+function getStreamCommands(key, stream) {
+  const commands = [];
+
+  if (stream.entries.length > 0) {
+    for (const [id, fields] of stream.entries) {
+      commands.push(['XADD', key, id, ...fields.flat().map(decodeValue)]);
+    }
+  } else {
+    // XSETID needs an existing stream, and an empty one can only be made through a group
+    commands.push(['XGROUP', 'CREATE', key, STREAM_PLACEHOLDER_GROUP, '0', 'MKSTREAM']);
+    commands.push(['XGROUP', 'DESTROY', key, STREAM_PLACEHOLDER_GROUP]);
+  }
+
+  const setId = ['XSETID', key, stream.lastId];
+  if (stream.entriesAdded !== null && stream.entriesAdded !== undefined) {
+    setId.push('ENTRIESADDED', String(stream.entriesAdded), 'MAXDELETEDID', stream.maxDeletedId || '0-0');
+  }
+  commands.push(setId);
+
+  for (const group of stream.groups) {
+    const create = ['XGROUP', 'CREATE', key, group.name, group.lastDeliveredId];
+    if (group.entriesRead !== null && group.entriesRead !== undefined) {
+      create.push('ENTRIESREAD', String(group.entriesRead));
+    }
+    commands.push(create);
+
+    for (const consumer of group.consumers) {
+      commands.push(['XGROUP', 'CREATECONSUMER', key, group.name, consumer]);
+    }
+
+    // Put pending entries back into the group's PEL with their delivery counts
+    for (const entry of group.pending) {
+      commands.push(['XCLAIM', key, group.name, entry.consumer, '0', entry.id,
+        'RETRYCOUNT', String(entry.deliveries), 'FORCE', 'JUSTID']);
+    }
+  }
+
+  return commands;
+}
+
+/**
+ * Build the commands that replace a key with its backed up value
+ * @param {string|Buffer} key - Target key
+ * @param {Object} record - Key record in the current format
+ * @returns {Array} - Commands, starting with DEL so the key is replaced rather than merged
+ */
+function getRestoreCommands(key, record) {
+  const commands = [['DEL', key]];
+  const value = record.value;
+
+  // Keys deleted since the base backup, recorded by delta backups
+  if (record.deleted) {
+    return commands;
+  }
+
+  switch (record.type) {
+    case 'string':
+      commands.push(['SET', key, decodeValue(value)]);
+      break;
+
+    case 'hash':
+      commands.push(...chunkCommand(['HSET', key], value.flat().map(decodeValue)));
+      break;
+
+    case 'list':
+      commands.push(...chunkCommand(['RPUSH', key], value.map(decodeValue)));
+      break;
+
+    case 'set':
+      commands.push(...chunkCommand(['SADD', key], value.map(decodeValue)));
+      break;
+
+    case 'zset':
+      commands.push(...chunkCommand(['ZADD', key], value.flatMap(([member, score]) => [score, decodeValue(member)])));
+      break;
+
+    case 'stream':
+      commands.push(...getStreamCommands(key, value));
+      break;
+
+    default:
+      if (!record.dump) {
+        throw new Error(`Cannot restore key of type ${record.type}`);
+      }
+      commands.push(['RESTORE', key, '0', Buffer.from(record.dump, 'base64')]);
+  }
+
+  if (record.pttl > 0) {
+    commands.push(['PEXPIRE', key, String(record.pttl)]);
+  }
+
+  return commands;
+}
+
+/**
+ * Replace one key in a transaction, so it is never seen half restored
+ * @param {Object} client - Redis client
+ * @param {string|Buffer} key - Target key
+ * @param {Object} record - Key record in the current format
+ * @returns {Promise<void>}
+ */
+async function restoreKey(client, key, record) {
+  const multi = client.multi();
+  for (const command of getRestoreCommands(key, record)) {
+    multi.addCommand(command);
+  }
+
+  try {
+    await multi.exec();
+  } catch (error) {
+    // node-redis reports failed commands of a transaction in one error; surface the first
+    const failed = error.replies && error.replies.find(reply => reply instanceof Error);
+    throw failed || error;
+  }
+}
+
+/**
+ * Bring a backed up or live value to a form that can be compared
+ *
+ * Hash fields, set members and sorted set members have no fixed order, and
+ * sorted set scores may be written differently for the same number.
+ * @param {Object} record - Key record in the current format
+ * @returns {string} - Comparable value
+ */
+function getComparableValue(record) {
+  const sortPairs = pairs => [...pairs].sort(([a], [b]) => (JSON.stringify(a) < JSON.stringify(b) ? -1 : 1));
+
+  switch (record.type) {
+    case 'hash':
+      return JSON.stringify(sortPairs(record.value));
+
+    case 'set':
+      return JSON.stringify(record.value.map(member => JSON.stringify(member)).sort());
+
+    case 'zset':
+      return JSON.stringify(sortPairs(record.value.map(([member, score]) => [member, Number(score)])));
+
+    case 'stream':
+      return JSON.stringify({
+        ...record.value,
+        groups: [...record.value.groups]
+          .sort((a, b) => (a.name < b.name ? -1 : 1))
+          .map(group => ({ ...group, consumers: [...group.consumers].sort() }))
+      });
+
+    default:
+      return JSON.stringify(record.value !== undefined ? record.value : record.dump);
+  }
+}
+
+/**
+ * Compare a restored key with its backup record
+ * @param {Object} client - Redis client
+ * @param {string|Buffer} key - Target key
+ * @param {Object} record - Key record in the current format
+ * @returns {Promise<string|null>} - What differs, or null if the key matches
+ */
+async function verifyKey(client, key, record) {
+  const actual = await readKey(client, key);
+
+  if (record.deleted) {
+    return actual ? 'key should have been deleted' : null;
+  }
+  if (!actual) {
+    return 'key is missing';
+  }
+  if (actual.type !== record.type) {
+    return `expected type ${record.type} but found ${actual.type}`;
+  }
+  if (getComparableValue(actual) !== getComparableValue(record)) {
+    return 'value differs from the backup';
+  }
+  if (record.pttl > 0 && !(actual.pttl > 0 && actual.pttl <= record.pttl)) {
+    return `expected a TTL of at most ${record.pttl}ms but found ${actual.pttl}`;
+  }
+  if (record.pttl <= 0 && actual.pttl !== -1) {
+    return `expected no TTL but found ${actual.pttl}ms`;
+  }
+
+  return null;
+}
+
+/**
+ * Read the header of a backup, NDJSON or RDB
+ * @param {AsyncGenerator<Object>} source - Records of the backup
+ * @returns {Promise<Object|null>} - Header record
+ */
+async function readBackupHeader(source) {
+  for await (const record of source) {
+    return record;
+  }
+  return null;
+}
+
+/**
+ * Parse a point in time given as an ISO date or milliseconds since the epoch
+ * @param {string|number} value - Time
+ * @returns {number} - Milliseconds since the epoch
+ */
+function parseTime(value) {
+  const time = typeof value === 'number' || /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (isNaN(time)) {
+    throw new Error(`Invalid time: ${value}`);
+  }
+  return time;
+}
+
+/**
+ * Find the delta backups to replay on top of a base backup
+ *
+ * Deltas are the backups of `deltaDir` whose header marks them as such.
+ * Those taken after the base backup and no later than `until` are
+ * returned, oldest first.
+ * @param {Object} baseHeader - Header of the base backup
+ * @param {Object} config - Configuration options
+ * @returns {Promise<Array<string>>} - Delta backup files
+ */
+async function findDeltas(baseHeader, config) {
+  const until = config.until !== undefined && config.until !== null ? parseTime(config.until) : Infinity;
+  const after = baseHeader.timestamp ? Date.parse(baseHeader.timestamp) : -Infinity;
+
+  if (until < after) {
+    throw new Error(`The base backup was taken at ${baseHeader.timestamp}, after ${new Date(until).toISOString()}`);
+  }
+
+  const list = await listBackups(config.deltaDir);
+  if (!list.success) {
+    throw new Error(list.error);
+  }
+
+  const deltas = [];
+  for (const { file } of list.backups) {
+    if (path.resolve(file) === path.resolve(config.backupFile) || await isRdbFile(file)) continue;
+
+    const header = await readBackupHeader(readBackup(file, config));
+    const time = Date.parse(header.timestamp);
+    if (header.type === 'delta' && time > after && time <= until) {
+      deltas.push({ file, time });
+    }
+  }
+
+  log('info', `Found ${deltas.length} delta backups to replay`, config);
+  // Deltas of the same millisecond are told apart by the number in their name
+  return deltas.sort((a, b) => a.time - b.time || path.basename(a.file).localeCompare(path.basename(b.file)))
+    .map(delta => delta.file);
+}
+
 /**
  * Restore Redis data from a backup file
+ *
+ * Each key is replaced as a whole in its own transaction, keeping its TTL
+ * to the millisecond. With `verify`, every restored key is read back and
+ * compared with the backup.
+ *
+ * RDB files, such as a dump.rdb from redis-server, are restored as well. Only
+ * their keys starting with `prefix` are restored, and only those from
+ * `sourceDatabase` if it is set.
+ *
+ * The same key filters as for backups select the keys to restore, and
+ * `renamePattern` mappings such as "session:*=archive:session:*" restore
+ * keys under new names.
+ *
+ * With `deltaDir`, the delta backups written by an incremental backup are
+ * replayed on top of the backup file, up to the time given by `until`.
  * @param {Object} client - Redis client
  * @param {Object} config - Configuration options
  * @returns {Promise<Object>} - Restore result
@@ -174,25 +691,63 @@ async function restoreRedisData(client, config) {
       return { success: false, error: `Backup file not found: ${config.backupFile}` };
     }
 
+    if (config.until !== undefined && config.until !== null && !config.deltaDir) {
+      return { success: false, error: 'A restore time needs the directory of the delta backups (deltaDir)' };
+    }
+
     log('info', `Restoring Redis data from ${config.backupFile}...`, config);
 
-    // Load backup data
-    const backup = JSON.parse(await fs.readFile(config.backupFile, 'utf8'));
-    const keys = Object.keys(backup.keys);
+    const filter = createKeyFilter(config);
+    const renames = parseRenamePatterns(config.renamePattern);
+    const rdb = await isRdbFile(config.backupFile);
+    const readSource = file => (file === config.backupFile && rdb
+      ? readRdb(file, { prefix: config.prefix, database: config.sourceDatabase })
+      : readBackup(file, config));
+
+    const baseHeader = await readBackupHeader(readSource(config.backupFile));
+    const deltas = config.deltaDir ? await findDeltas(baseHeader, config) : [];
+    const files = [config.backupFile, ...deltas];
+
+    // Key records of the backup and its deltas that pass the filters, in the current format
+    const readRecords = async function* () {
+      for (const file of files) {
+        let header = null;
+
+        for await (const rawRecord of readSource(file)) {
+          if (rawRecord.format) {
+            header = rawRecord;
+            continue;
+          }
+
+          const record = header.format === 'rdb' ? rawRecord : normalizeRecord(rawRecord, header.version);
+          const name = getKeyName(decodeValue(record.key), header.prefix || '');
+          // Keys that could not be backed up have no type, and deleted keys have no value, so only name filters apply
+          if (filter.matchesName(name) && (record.error ? !filter.types : record.deleted || filter.matchesType(record.type))) {
+            yield { header, record };
+          }
+        }
+      }
+    };
 
-    if (keys.length === 0) {
+    // Count keys first so the whole backup never has to be held in memory
+    let total = 0;
+    for await (const record of readRecords()) {
+      total++;
+    }
+
+    if (total === 0) {
       log('warn', 'Backup file contains no keys', config);
-      return { success: true, count: 0 };
+      return { success: true, count: 0, errors: 0 };
     }
 
-    log('info', `Found ${keys.length} keys to restore`, config);
+    log('info', `Found ${total} keys to restore`, config);
 
     // Confirm restore if interactive
     if (config.interactive) {
       const answers = await inquirer.prompt([{
         type: 'confirm',
         name: 'confirm',
-        message: `Restore ${keys.length} keys from backup? This may overwrite existing data.`,
+        message: `Restore ${total} keys from backup? Existing keys with the same names will be replaced.`,
         default: false
       }]);
 
@@ -203,114 +758,299 @@ async function restoreRedisData(client, config) {
     }
 
     // Check if prefix should be adjusted
-    let targetPrefix = config.prefix || '';
-    const backupPrefix = backup.prefix || '';
+    const targetPrefix = config.prefix || '';
+    const backupPrefix = baseHeader.prefix || '';
 
     if (backupPrefix !== targetPrefix) {
       log('info', `Adjusting key prefixes from "${backupPrefix}" to "${targetPrefix}"`, config);
     }
 
-    // Restore keys in batches
     let restoredCount = 0;
     let errorCount = 0;
-    const pipeline = client.pipeline();
+    const mismatches = [];
 
-    for (const [key, data] of Object.entries(backup.keys)) {
-      if (data.error) {
-        log('warn', `Skipping key ${key}: ${data.error}`, config);
-        errorCount++;
-        continue;
-      }
+    // Keys of a batch are restored concurrently, which node-redis pipelines
+    const processBatch = async batch => {
+      if (batch.length === 0) return;
 
-      // Adjust key prefix if needed
-      let targetKey = key;
-      if (backupPrefix !== targetPrefix) {
-        if (key.startsWith(backupPrefix)) {
-          targetKey = targetPrefix + key.substring(backupPrefix.length);
-        } else {
-          targetKey = targetPrefix + key;
+      await Promise.all(batch.map(async ({ name, key, record }) => {
+        try {
+          await restoreKey(client, key, record);
+          restoredCount++;
+        } catch (error) {
+          log('error', `Failed to restore key ${name}: ${error.message}`, config);
+          errorCount++;
+          return;
         }
-      }
 
-      try {
-        switch (data.type) {
-          case 'string':
-            pipeline.set(targetKey, data.value);
-            break;
-
-          case 'hash':
-            if (Object.keys(data.value).length > 0) {
-              pipeline.hSet(targetKey, data.value);
-            }
-            break;
-
-          case 'list':
-            if (data.value.length > 0) {
-              pipeline.del(targetKey); // Clear existing list
-              pipeline.rPush(targetKey, data.value);
-            }
-            break;
-
-          case 'set':
-            if (data.value.length > 0) {
-              pipeline.del(targetKey); // Clear existing set
-              pipeline.sAdd(targetKey, data.value);
-            }
-            break;
-
-          case 'zset':
-            if (Object.keys(data.value).length > 0) {
-              pipeline.del(targetKey); // Clear existing zset
-
-              // Convert object to array of score-member pairs
-              const args = [];
-              for (const [member, score] of Object.entries(data.value)) {
-                args.push(score);
-                args.push(member);
-              }
-
-              pipeline.zAdd(targetKey, args);
-            }
-            break;
-
-          default:
-            log('warn', `Cannot restore key ${key} of type ${data.type}`, config);
-            errorCount++;
-            continue;
+        if (config.verify) {
+          const difference = await verifyKey(client, key, record);
+          if (difference) {
+            log('error', `Verification failed for key ${name}: ${difference}`, config);
+            mismatches.push({ key: name, error: difference });
+          }
         }
+      }));
 
-        // Set TTL if it was finite
-        if (data.ttl && data.ttl > 0) {
-          pipeline.expire(targetKey, data.ttl);
-        }
+      if (config.verbose) {
+        log('info', `Restored ${restoredCount} of ${total} keys...`, config);
+      }
+    };
+
+    let batch = [];
+    let batchHeader = null;
+    for await (const { header, record } of readRecords()) {
+      const name = typeof record.key === 'string' ? record.key : `base64:${record.key.base64}`;
 
-        restoredCount++;
-      } catch (error) {
-        log('error', `Failed to restore key ${key}: ${error.message}`, config);
+      if (record.error) {
+        log('warn', `Skipping key ${name}: ${record.error}`, config);
         errorCount++;
+        continue;
       }
 
-      // Execute pipeline in batches to avoid memory issues
-      if (pipeline.length >= 1000) {
-        await pipeline.exec();
-        pipeline.length = 0; // Clear pipeline
+      // A delta may change keys of the batch before it, so each file is restored in its own batches
+      if (header !== batchHeader) {
+        await processBatch(batch);
+        batch = [];
+        batchHeader = header;
       }
-    }
 
-    // Execute any remaining commands
-    if (pipeline.length > 0) {
-      await pipeline.exec();
+      batch.push({ name, key: getTargetKey(decodeValue(record.key), header.prefix || '', targetPrefix, renames), record });
+      if (batch.length >= RESTORE_BATCH_SIZE) {
+        await processBatch(batch);
+        batch = [];
+      }
     }
+    await processBatch(batch);
 
     log('success', `Restore completed: ${restoredCount} keys restored, ${errorCount} errors`, config);
-    return { success: true, count: restoredCount, errors: errorCount };
+    const deltaResult = config.deltaDir ? { deltas: deltas.length } : {};
+
+    if (config.verify) {
+      if (mismatches.length > 0) {
+        return {
+          success: false,
+          error: `Verification failed: ${mismatches.length} keys differ from the backup`,
+          count: restoredCount,
+          errors: errorCount,
+          ...deltaResult,
+          mismatches
+        };
+      }
+      log('success', `Verified ${restoredCount} restored keys against the backup`, config);
+    }
+
+    return { success: true, count: restoredCount, errors: errorCount, ...deltaResult, mismatches };
   } catch (error) {
     log('error', `Restore failed: ${error.message}`, config);
     return { success: false, error: error.message };
   }
 }
 
+/**
+ * Get the approximate size in bytes of the data of a backup value
+ * @param {*} value - Encoded value
+ * @returns {number} - Size in bytes
+ */
+function getDataSize(value) {
+  if (value === null || value === undefined) {
+    return 0;
+  }
+  if (typeof value !== 'object') {
+    return Buffer.byteLength(String(value));
+  }
+  if (typeof value.base64 === 'string' && Object.keys(value).length === 1) {
+    return Buffer.from(value.base64, 'base64').length;
+  }
+  return Object.values(value).reduce((total, item) => total + getDataSize(item), 0);
+}
+
+/**
+ * Summarize the content of a backup file without restoring it
+ *
+ * Reports the backup header and, for the keys, counts and sizes by type,
+ * counts by the first segment of their name (up to the first colon, after
+ * the backup's prefix) and how their TTLs are distributed.
+ * @param {string} filePath - Backup file, NDJSON or RDB
+ * @param {Object} config - Configuration options, such as the encryption key
+ * @returns {Promise<Object>} - Backup summary
+ */
+async function inspectBackup(filePath, config = {}) {
+  try {
+    if (!fs.existsSync(filePath)) {
+      return { success: false, error: `Backup file not found: ${filePath}` };
+    }
+
+    const rdb = await isRdbFile(filePath);
+    const report = {
+      success: true,
+      file: filePath,
+      fileSize: (await fs.stat(filePath)).size,
+      header: null,
+      keys: 0,
+      errors: 0,
+      dataSize: 0,
+      types: {},
+      prefixes: {},
+      ttl: { 'no TTL': 0, ...Object.fromEntries(TTL_RANGES.map(([label]) => [label, 0])) }
+    };
+
+    for await (const rawRecord of rdb ? readRdb(filePath) : readBackup(filePath, config)) {
+      if (rawRecord.format) {
+        report.header = rawRecord;
+        continue;
+      }
+
+      const record = rdb ? rawRecord : normalizeRecord(rawRecord, report.header.version);
+      if (record.error) {
+        report.errors++;
+        continue;
+      }
+
+      const name = getKeyName(decodeValue(record.key), report.header.prefix || '');
+      const size = getDataSize(record.key) + (record.dump ? Buffer.from(record.dump, 'base64').length : getDataSize(record.value));
+      const separator = name.indexOf(':');
+      const group = separator === -1 ? '' : name.slice(0, separator + 1);
+
+      report.keys++;
+      report.dataSize += size;
+      report.types[record.type] = report.types[record.type] || { keys: 0, dataSize: 0 };
+      report.types[record.type].keys++;
+      report.types[record.type].dataSize += size;
+      report.prefixes[group] = (report.prefixes[group] || 0) + 1;
+
+      if (record.pttl > 0) {
+        report.ttl[TTL_RANGES.find(([, limit]) => record.pttl < limit)[0]]++;
+      } else {
+        report.ttl['no TTL']++;
+      }
+    }
+
+    return report;
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Parse a retention duration such as 30d or 12h
+ * @param {string|number} duration - Number followed by s, m, h, d or w, or milliseconds
+ * @returns {number} - Duration in milliseconds
+ */
+function parseDuration(duration) {
+  if (typeof duration === 'number' && duration >= 0) {
+    return duration;
+  }
+
+  const match = /^(\d+)([smhdw])$/.exec(String(duration).trim());
+  if (!match) {
+    throw new Error(`Invalid duration: ${duration} (use a number followed by s, m, h, d or w)`);
+  }
+  return parseInt(match[1], 10) * DURATION_UNITS[match[2]];
+}
+
+/**
+ * List the backups of a backup directory, newest first
+ *
+ * Files ending in .ndjson, .json or .rdb, optionally followed by .gz or
+ * .br, are backups.
+ * @param {string} directory - Backup directory
+ * @returns {Promise<Object>} - Result with backups as { file, size, modified }
+ */
+async function listBackups(directory) {
+  try {
+    if (!fs.existsSync(directory)) {
+      return { success: false, error: `Backup directory not found: ${directory}` };
+    }
+
+    const backups = [];
+    for (const name of await fs.readdir(directory)) {
+      if (!BACKUP_FILE_PATTERN.test(name)) continue;
+
+      const file = path.join(directory, name);
+      const stats = await fs.stat(file);
+      if (stats.isFile()) {
+        backups.push({ file, size: stats.size, modified: stats.mtime });
+      }
+    }
+
+    backups.sort((a, b) => b.modified - a.modified);
+    return { success: true, backups };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Delete old backups from a backup directory
+ *
+ * A backup is deleted when it is not one of the `keepLast` newest backups
+ * and, if `olderThan` is set, when it was last modified longer ago than
+ * that. With both options, `keepLast` backups are kept however old they are.
+ * @param {string} directory - Backup directory
+ * @param {Object} config - Retention options: keepLast, olderThan, dryRun
+ * @returns {Promise<Object>} - Result with the deleted and kept files
+ */
+async function pruneBackups(directory, config = {}) {
+  try {
+    const keepLast = config.keepLast !== undefined && config.keepLast !== null ? Number(config.keepLast) : null;
+    const olderThan = config.olderThan !== undefined && config.olderThan !== null ? parseDuration(config.olderThan) : null;
+
+    if (keepLast === null && olderThan === null) {
+      return { success: false, error: 'Give keepLast or olderThan to choose the backups to delete' };
+    }
+    if (keepLast !== null && !(Number.isInteger(keepLast) && keepLast >= 0)) {
+      return { success: false, error: `Invalid keepLast value: ${config.keepLast}` };
+    }
+
+    const list = await listBackups(directory);
+    if (!list.success) {
+      return list;
+    }
+
+    const cutoff = olderThan !== null ? Date.now() - olderThan : null;
+    const deleted = [];
+    const kept = [];
+
+    for (const [index, backup] of list.backups.entries()) {
+      const expired = (keepLast === null || index >= keepLast) && (cutoff === null || backup.modified.getTime() < cutoff);
+
+      if (!expired) {
+        kept.push(backup.file);
+        continue;
+      }
+
+      if (config.dryRun) {
+        log('info', `Would delete backup ${backup.file}`, config);
+      } else {
+        await fs.remove(backup.file);
+        log('info', `Deleted backup ${backup.file}`, config);
+      }
+      deleted.push(backup.file);
+    }
+
+    return { success: true, deleted, kept };
+  } catch (error) {
+    log('error', `Pruning backups failed: ${error.message}`, config);
+    return { success: false, error: error.message };
+  }
+}
+
 module.exports = {
   backupRedisData,
-  restoreRedisData
+  restoreRedisData,
+  inspectBackup,
+  listBackups,
+  pruneBackups,
+  readBackup,
+  encodeValue,
+  decodeValue,
+  // Shared with incremental backups and script tests
+  BACKUP_FORMAT_VERSION,
+  getMasterNodes,
+  scanKeys,
+  getMatchPattern,
+  getKeyName,
+  readKey,
+  parseDuration
 };
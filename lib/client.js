@@ -7,14 +7,349 @@
 const redis = require('redis');
 const fs = require('fs');
 const inquirer = require('inquirer');
-const { log } = require('./utils');
+const { log, getCommandKey } = require('./utils');
+
+// Commands without a key that must reach every master in cluster mode
+const CLUSTER_FAN_OUT_COMMANDS = ['FLUSHALL', 'FLUSHDB', 'KEYS', 'SCRIPT', 'FUNCTION', 'DBSIZE'];
+
+// Errors that mean the master behind Sentinel went away or was demoted
+const SENTINEL_FAILOVER_ERROR = /READONLY|ECONNREFUSED|ECONNRESET|EPIPE|ETIMEDOUT|Socket closed|client is closed/i;
+
+/**
+ * Parse a list of host:port addresses
+ * @param {Array|string} nodes - Addresses as "host:port" strings, objects or a comma-separated string
+ * @param {Object} defaultNode - Address to use when the list is empty
+ * @returns {Array} - Addresses as { host, port }
+ */
+function parseNodeList(nodes, defaultNode) {
+  if (typeof nodes === 'string') {
+    nodes = nodes.split(',').map(node => node.trim()).filter(Boolean);
+  }
+
+  if (!nodes || nodes.length === 0) {
+    nodes = [defaultNode];
+  }
+
+  return nodes.map(node => {
+    if (typeof node === 'string') {
+      const [host, port] = node.split(':');
+      return { host, port: parseInt(port || defaultNode.port) };
+    }
+    return { host: node.host, port: parseInt(node.port || defaultNode.port) };
+  });
+}
+
+/**
+ * Create a Redis Cluster client
+ *
+ * The returned object has the same surface as a single-node client: keyed
+ * commands are routed by key slot, while KEYS, DBSIZE, FLUSHDB, FLUSHALL,
+ * SCRIPT and FUNCTION are sent to every master and their replies combined.
+ * @param {Object} config - Redis configuration
+ * @returns {Object} - Redis cluster client
+ */
+function createClusterClient(config) {
+  const rootNodes = parseNodeList(config.clusterNodes, { host: config.host, port: config.port || 6379 });
+  const clusterOptions = {
+    rootNodes: rootNodes.map(node => ({ socket: node })),
+    defaults: {
+      socket: {
+        connectTimeout: parseInt(config.timeout),
+        tls: config.ssl
+      },
+      password: config.password
+    }
+  };
+
+  if (config.verbose) {
+    log('info', `Creating Redis Cluster client with seed nodes: ${rootNodes.map(node => `${node.host}:${node.port}`).join(', ')}`, config);
+  }
+
+  const cluster = redis.createCluster(clusterOptions);
+
+  // Send a command to every master and collect the replies
+  const sendToMasters = args => Promise.all(cluster.masters.map(async node => {
+    const nodeClient = await cluster.nodeClient(node);
+    return nodeClient.sendCommand(args);
+  }));
+
+  const client = {
+    isCluster: true,
+    cluster,
+
+    connect: () => cluster.connect(),
+    quit: () => cluster.quit(),
+
+    async select(database) {
+      if (parseInt(database) !== 0) {
+        throw new Error('Redis Cluster only supports database 0');
+      }
+      return 'OK';
+    },
+
+    async sendCommand(args, options) {
+      const cmd = String(args[0]).toUpperCase();
+
+      if (CLUSTER_FAN_OUT_COMMANDS.includes(cmd)) {
+        const replies = await sendToMasters([cmd, ...args.slice(1)]);
+
+        if (cmd === 'KEYS') return replies.flat();
+        if (cmd === 'DBSIZE') return replies.reduce((total, size) => total + size, 0);
+        return replies[0];
+      }
+
+      // Command options, such as returnBuffers, are passed on when given
+      return options
+        ? cluster.sendCommand(getCommandKey(args), false, args, options)
+        : cluster.sendCommand(getCommandKey(args), false, args);
+    },
+
+    ping: () => client.sendCommand(['PING']),
+    info: async () => {
+      const nodeClient = await cluster.nodeClient(cluster.masters[0]);
+      return nodeClient.info();
+    },
+    keys: pattern => client.sendCommand(['KEYS', pattern]),
+    dbSize: () => client.sendCommand(['DBSIZE']),
+    flushDb: () => client.sendCommand(['FLUSHDB']),
+    flushAll: () => client.sendCommand(['FLUSHALL']),
+    scriptLoad: script => client.sendCommand(['SCRIPT', 'LOAD', script]),
+
+    // Keys in one call may live in different slots, so delete them one by one
+    async del(keys) {
+      const results = await Promise.all([].concat(keys).map(key => cluster.del(key)));
+      return results.reduce((total, count) => total + count, 0);
+    },
+
+    // Transactions are routed by the first key and must stay within one slot
+    multi() {
+      const multi = cluster.multi();
+      return {
+        sendCommand(args) {
+          multi.addCommand(getCommandKey(args), args);
+          return this;
+        },
+        addCommand(args) {
+          return this.sendCommand(args);
+        },
+        exec: () => multi.exec()
+      };
+    }
+  };
+
+  // Everything else (get, hSet, type, ttl, ...) is keyed and routed by the cluster client
+  return new Proxy(client, {
+    get(target, property) {
+      if (property in target) {
+        return target[property];
+      }
+
+      const value = cluster[property];
+      return typeof value === 'function' ? value.bind(cluster) : value;
+    }
+  });
+}
+
+/**
+ * Convert a flat [field, value, ...] reply into an object
+ * @param {Array} reply - Flat field/value reply
+ * @returns {Object} - Reply as an object
+ */
+function replyToObject(reply) {
+  const result = {};
+  for (let i = 0; i < reply.length; i += 2) {
+    result[reply[i]] = reply[i + 1];
+  }
+  return result;
+}
+
+/**
+ * Create a Redis client that connects through Sentinel
+ *
+ * The current master is resolved with SENTINEL GET-MASTER-ADDR-BY-NAME on
+ * connect. When a command fails because the master went away or was demoted,
+ * the master is resolved again and the command retried once, so a failover
+ * during initialization does not abort the run.
+ * @param {Object} config - Redis configuration
+ * @returns {Object} - Redis client connected to the current master
+ */
+function createSentinelClient(config) {
+  const sentinels = parseNodeList(config.sentinels, { host: config.host, port: 26379 });
+  const masterName = config.sentinelMaster || 'mymaster';
+  let master = null;
+  let masterClient = null;
+
+  if (config.verbose) {
+    log('info', `Creating Redis Sentinel client for master "${masterName}" with sentinels: ${sentinels.map(node => `${node.host}:${node.port}`).join(', ')}`, config);
+  }
+
+  // Ask each sentinel in turn until one answers
+  async function querySentinels(args) {
+    let lastError;
+
+    for (const sentinel of sentinels) {
+      const sentinelClient = redis.createClient({
+        socket: {
+          host: sentinel.host,
+          port: sentinel.port,
+          connectTimeout: parseInt(config.timeout),
+          tls: config.ssl,
+          reconnectStrategy: false
+        },
+        password: config.sentinelPassword || undefined
+      });
+      sentinelClient.on('error', () => {});
+
+      try {
+        await sentinelClient.connect();
+        return await sentinelClient.sendCommand(args);
+      } catch (error) {
+        lastError = error;
+        log('warn', `Sentinel ${sentinel.host}:${sentinel.port} failed: ${error.message}`, config);
+      } finally {
+        if (sentinelClient.isOpen) {
+          await sentinelClient.quit();
+        }
+      }
+    }
+
+    throw new Error(`No sentinel answered ${args.join(' ')}: ${lastError ? lastError.message : 'no sentinels configured'}`);
+  }
+
+  async function connectToMaster() {
+    const address = await querySentinels(['SENTINEL', 'GET-MASTER-ADDR-BY-NAME', masterName]);
+    if (!address) {
+      throw new Error(`Sentinels do not know a master named "${masterName}"`);
+    }
+
+    master = { host: address[0], port: parseInt(address[1]) };
+    log('info', `Sentinel resolved master "${masterName}" to ${master.host}:${master.port}`, config);
+
+    const previousClient = masterClient;
+    masterClient = redis.createClient({
+      socket: {
+        host: master.host,
+        port: master.port,
+        connectTimeout: parseInt(config.timeout),
+        tls: config.ssl,
+        // Failover is handled by asking the sentinels again, not by reconnecting to the old address
+        reconnectStrategy: false
+      },
+      password: config.password,
+      database: config.database || 0
+    });
+    masterClient.on('error', error => log('warn', `Connection to master ${master.host}:${master.port} failed: ${error.message}`, config));
+
+    await masterClient.connect();
+
+    if (previousClient && previousClient.isOpen) {
+      await previousClient.disconnect();
+    }
+  }
+
+  async function withFailover(call) {
+    try {
+      return await call(masterClient);
+    } catch (error) {
+      if (!SENTINEL_FAILOVER_ERROR.test(error.message)) {
+        throw error;
+      }
+
+      log('warn', `Lost master ${master.host}:${master.port} (${error.message}), asking sentinels for the current master...`, config);
+      await connectToMaster();
+      return call(masterClient);
+    }
+  }
+
+  const client = {
+    isSentinel: true,
+    masterName,
+
+    get master() {
+      return master;
+    },
+
+    connect: () => connectToMaster(),
+
+    async quit() {
+      if (masterClient && masterClient.isOpen) {
+        await masterClient.quit();
+      }
+    },
+
+    // Transactions are not retried, they are queued on the current master
+    multi: () => masterClient.multi(),
+
+    /**
+     * Describe the sentinel view of the master: quorum and known replicas
+     * @returns {Promise<Object>} - Sentinel information
+     */
+    async sentinelInfo() {
+      const masterInfo = replyToObject(await querySentinels(['SENTINEL', 'MASTER', masterName]));
+      const replicas = (await querySentinels(['SENTINEL', 'REPLICAS', masterName])).map(replyToObject);
+
+      let quorumReachable = true;
+      let quorumStatus;
+      try {
+        quorumStatus = await querySentinels(['SENTINEL', 'CKQUORUM', masterName]);
+      } catch (error) {
+        quorumReachable = false;
+        quorumStatus = error.message;
+      }
+
+      return {
+        masterName,
+        master: `${masterInfo.ip}:${masterInfo.port}`,
+        quorum: parseInt(masterInfo.quorum, 10),
+        sentinels: parseInt(masterInfo['num-other-sentinels'], 10) + 1,
+        quorumReachable,
+        quorumStatus,
+        replicas: replicas.map(replica => ({
+          address: `${replica.ip}:${replica.port}`,
+          flags: replica.flags
+        }))
+      };
+    }
+  };
+
+  // Every other command goes to the current master and survives a failover
+  return new Proxy(client, {
+    get(target, property) {
+      if (property in target) {
+        return target[property];
+      }
+
+      if (!masterClient) {
+        return undefined;
+      }
+
+      const value = masterClient[property];
+      if (typeof value !== 'function') {
+        return value;
+      }
+
+      return (...args) => withFailover(currentClient => currentClient[property](...args));
+    }
+  });
+}
 
 /**
  * Create and configure Redis client
+ *
+ * Returns a cluster client when config.deploymentType is "cluster" and a
+ * Sentinel-backed client when it is "sentinel".
  * @param {Object} config - Redis configuration
  * @returns {Object} - Redis client
  */
 function createRedisClient(config) {
+  if (config.deploymentType === 'cluster') {
+    return createClusterClient(config);
+  }
+
+  if (config.deploymentType === 'sentinel') {
+    return createSentinelClient(config);
+  }
+
   const clientOptions = {
     socket: {
       host: config.host,
@@ -207,6 +542,8 @@ async function flushDatabase(client, config) {
 
 module.exports = {
   createRedisClient,
+  createClusterClient,
+  createSentinelClient,
   testConnection,
   flushDatabase,
   loadRedisConfig
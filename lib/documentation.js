@@ -7,7 +7,7 @@
 const fs = require('fs');
 const path = require('path');
 const { parseSchemaContent } = require('./schema-loader');
-const { findLuaScriptsInSchema } = require('./lua-scripts');
+const { findLuaScriptsInSchema, findLuaFunctionsInSchema, findScriptTestsInSchema } = require('./lua-scripts');
 
 /**
  * Generate documentation for Redis schemas
@@ -20,6 +20,7 @@ function generateDocumentation(schemasDir, options = {}) {
     schemas: {},
     keyPatterns: {},
     scripts: {},
+    functions: {},
     generated: new Date().toISOString(),
     directory: schemasDir
   };
@@ -35,16 +36,20 @@ function generateDocumentation(schemasDir, options = {}) {
     return docs;
   }
 
+  const testCounts = {};
+
   // Process each schema file
   for (const file of files) {
     const filePath = path.join(schemasDir, file);
     const content = fs.readFileSync(filePath, 'utf8');
 
     // Parse schema content
-    const { commands, metadata } = parseSchemaContent(content, file);
+    const { commands, metadata } = parseSchemaContent(content, filePath);
 
     // Find Lua scripts
     const scripts = findLuaScriptsInSchema(content, file);
+    const libraries = findLuaFunctionsInSchema(content, file);
+    const scriptTests = findScriptTestsInSchema(content, file);
 
     // Extract key patterns
     const keyPatterns = new Set();
@@ -61,7 +66,7 @@ function generateDocumentation(schemasDir, options = {}) {
     for (const command of commands) {
       if (command.length === 0) continue;
 
-      const cmd = command[0].toUpperCase();
+      const cmd = String(command[0]).toUpperCase();
 
       // Categorize command types
       if (['SET', 'GET', 'MSET', 'MGET', 'SETEX', 'SETNX', 'APPEND'].includes(cmd)) {
@@ -102,7 +107,8 @@ function generateDocumentation(schemasDir, options = {}) {
       commandCount: commands.length,
       commandTypes,
       keyPatterns: Array.from(keyPatterns),
-      scripts: scripts.map(s => s.name)
+      scripts: scripts.map(s => s.name),
+      functions: libraries.map(library => library.name)
     };
 
     // Add key patterns
@@ -122,16 +128,41 @@ function generateDocumentation(schemasDir, options = {}) {
       docs.scripts[script.name] = {
         source: file,
         description: extractScriptDescription(script.script),
-        lineCount: script.script.split('\n').length
+        keys: script.keys,
+        args: script.args,
+        returns: script.returns,
+        lineCount: script.script.split('\n').length,
+        tests: 0
+      };
+    }
+
+    for (const test of scriptTests) {
+      testCounts[test.name] = (testCounts[test.name] || 0) + 1;
+    }
+
+    // Add function libraries
+    for (const library of libraries) {
+      docs.functions[library.name] = {
+        source: file,
+        description: extractScriptDescription(library.code.replace(/^\s*#!.*\n/, '')),
+        functions: library.functions
       };
     }
   }
 
+  // Tests can be in another file than their script
+  for (const [name, count] of Object.entries(testCounts)) {
+    if (docs.scripts[name]) {
+      docs.scripts[name].tests = count;
+    }
+  }
+
   // Generate summary
   docs.summary = {
     schemaCount: Object.keys(docs.schemas).length,
     keyPatternCount: Object.keys(docs.keyPatterns).length,
     scriptCount: Object.keys(docs.scripts).length,
+    functionCount: Object.keys(docs.functions).length,
     totalCommands: Object.values(docs.schemas).reduce((total, schema) => total + schema.commandCount, 0)
   };
 
@@ -161,7 +192,10 @@ function extractScriptDescription(script) {
 
   for (const line of lines) {
     if (line.trim().startsWith('--')) {
-      description.push(line.trim().substring(2).trim());
+      // @keys, @args and @returns lines are the script's signature
+      if (!/^--\s*@/.test(line.trim())) {
+        description.push(line.trim().substring(2).trim());
+      }
     } else if (line.trim() && !line.trim().startsWith('--')) {
       break;
     }
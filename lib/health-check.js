@@ -100,6 +100,20 @@ async function performHealthCheck(client, config) {
       healthInfo.dbSizeError = error.message;
     }
 
+    // Report quorum and replicas when connected through Sentinel
+    if (client.isSentinel) {
+      try {
+        healthInfo.sentinel = await client.sentinelInfo();
+
+        if (!healthInfo.sentinel.quorumReachable) {
+          healthInfo.sentinelAlert = `Sentinel quorum cannot be reached for master ${healthInfo.sentinel.masterName}: ${healthInfo.sentinel.quorumStatus}`;
+        }
+      } catch (error) {
+        log('warn', `Health check - sentinel query failed: ${error.message}`, config);
+        healthInfo.sentinelError = error.message;
+      }
+    }
+
     // Measure response time
     healthInfo.responseTime = Date.now() - startTime;
 
@@ -108,7 +122,7 @@ async function performHealthCheck(client, config) {
       healthInfo.status = 'healthy';
 
       // Add warnings if there are alerts
-      if (healthInfo.memoryAlert || healthInfo.clientsAlert) {
+      if (healthInfo.memoryAlert || healthInfo.clientsAlert || healthInfo.sentinelAlert) {
         healthInfo.status = 'warning';
         healthInfo.warnings = [];
 
@@ -119,6 +133,10 @@ async function performHealthCheck(client, config) {
         if (healthInfo.clientsAlert) {
           healthInfo.warnings.push(healthInfo.clientsAlert);
         }
+
+        if (healthInfo.sentinelAlert) {
+          healthInfo.warnings.push(healthInfo.sentinelAlert);
+        }
       }
     } else {
       healthInfo.status = 'unhealthy';
@@ -0,0 +1,377 @@
+/**
+ * Incremental backup module
+ *
+ * Keeps point-in-time backups between full backups. Keyspace notifications
+ * tell which keys change; their names are recorded in a journal and, at
+ * every interval, the current value of each changed key is written to a
+ * delta backup in the delta directory.
+ *
+ * Delta backups are NDJSON backups whose header has type "delta", with
+ * { key, deleted: true } records for keys that no longer exist. Restoring a
+ * backup with a delta directory replays the deltas taken after it.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { once } = require('events');
+const { log } = require('./utils');
+const { encodeValue, decodeValue, openBackupWriter } = require('./backup-file');
+const { createKeyFilter } = require('./key-filter');
+const {
+  BACKUP_FORMAT_VERSION,
+  getMasterNodes,
+  getMatchPattern,
+  getKeyName,
+  readKey,
+  parseDuration
+} = require('./backup');
+
+// Time between delta backups when no interval is given
+const DEFAULT_INTERVAL = 60 * 1000;
+
+// Extension of delta backups when none is given
+const DEFAULT_EXTENSION = '.ndjson';
+
+// Extensions delta backups can have; RDB files cannot mark deleted keys
+const DELTA_EXTENSION_PATTERN = /^\.ndjson(\.(gz|br))?$/i;
+
+// Keyspace notifications are needed for every key event class
+const NOTIFICATION_FLAGS = ['K', 'A'];
+
+// Journal of the keys changed since the last delta backup
+const JOURNAL_FILE = 'incremental.journal';
+
+// Journal entries being written to a delta backup
+const FLUSHING_JOURNAL_FILE = 'incremental.journal.flushing';
+
+/**
+ * Make sure a node publishes keyspace notifications for every key event
+ * @param {Object} node - Redis client of a master
+ * @param {Object} config - Configuration options
+ * @returns {Promise<void>}
+ */
+async function ensureNotifications(node, config) {
+  const reply = await node.sendCommand(['CONFIG', 'GET', 'notify-keyspace-events']);
+  const flags = String(reply[1] || '');
+  const missing = NOTIFICATION_FLAGS.filter(flag => !flags.includes(flag));
+
+  if (missing.length === 0) {
+    return;
+  }
+
+  if (!config.configureNotifications) {
+    throw new Error(`Keyspace notifications are not enabled (notify-keyspace-events is "${flags}"): set it to "KA" or use configureNotifications`);
+  }
+
+  await node.sendCommand(['CONFIG', 'SET', 'notify-keyspace-events', `${flags}${missing.join('')}`]);
+  log('info', `Enabled keyspace notifications (notify-keyspace-events ${flags}${missing.join('')})`, config);
+}
+
+/**
+ * Read the keys recorded in journal files
+ * @param {Array<string>} files - Journal files, oldest first
+ * @returns {Promise<Array<Buffer>>} - Keys
+ */
+async function readJournal(files) {
+  const keys = [];
+
+  for (const file of files) {
+    if (!await fs.pathExists(file)) continue;
+
+    for (const line of (await fs.readFile(file, 'utf8')).split('\n')) {
+      try {
+        keys.push(Buffer.from(decodeValue(JSON.parse(line).key)));
+      } catch (error) {
+        // Empty lines and a last line cut short by a crash
+      }
+    }
+  }
+
+  return keys;
+}
+
+/**
+ * Open a journal file for appending
+ * @param {string} file - Journal file
+ * @returns {Promise<Object>} - Write stream
+ */
+async function openJournal(file) {
+  const stream = fs.createWriteStream(file, { flags: 'a' });
+  await once(stream, 'open');
+  return stream;
+}
+
+/**
+ * Close a journal file once everything has been written to it
+ * @param {Object} stream - Write stream
+ * @returns {Promise<void>}
+ */
+async function closeJournal(stream) {
+  stream.end();
+  await once(stream, 'finish');
+}
+
+/**
+ * Start an incremental backup
+ *
+ * Subscribes to the keyspace notifications of the keys under the prefix
+ * (on every master of a cluster) and writes a delta backup of the changed
+ * keys every `interval` (milliseconds or a duration such as "5m"). The
+ * key filters of backups apply. Notifications must be enabled on the server,
+ * or `configureNotifications` enables them with CONFIG SET.
+ *
+ * Changed keys are journaled in `deltaDir`, so a restarted incremental
+ * backup picks up the keys an interrupted one had not saved yet. Start it
+ * before taking the base backup so no change falls between the two.
+ *
+ * A delta backup is stamped with the time it starts, before its keys are
+ * read, so it can hold writes made while it was being written; a restore
+ * `until` that time may include them.
+ *
+ * A delta backup that fails is retried at the next interval. Anything that
+ * fails beyond that, such as its temporary file not being removed, stops
+ * the timer and resolves `stopped` with the error, which stop() reports.
+ * @param {Object} client - Redis client
+ * @param {Object} config - Configuration options, including deltaDir
+ * @returns {Promise<Object>} - Result with flush() and stop() functions and the stopped promise
+ */
+async function startIncrementalBackup(client, config) {
+  if (!config.deltaDir) {
+    return { success: false, error: 'No delta directory specified' };
+  }
+
+  const subscribers = [];
+  let journal;
+  try {
+    const extension = config.deltaExtension || DEFAULT_EXTENSION;
+    if (!DELTA_EXTENSION_PATTERN.test(extension)) {
+      throw new Error(`Unsupported delta backup extension: ${extension} (use .ndjson, .ndjson.gz or .ndjson.br)`);
+    }
+
+    const interval = config.interval === undefined || config.interval === null
+      ? DEFAULT_INTERVAL
+      : typeof config.interval === 'number' ? config.interval : parseDuration(config.interval);
+    if (!(interval > 0)) {
+      throw new Error(`Invalid interval: ${config.interval}`);
+    }
+
+    const prefix = config.prefix || '';
+    const database = config.database || 0;
+    const filter = createKeyFilter(config);
+    const include = [].concat(config.include || []);
+    const channelPrefix = `__keyspace@${database}__:`;
+    const pattern = `${channelPrefix}${getMatchPattern(prefix, include.length === 1 ? include[0] : '*')}`;
+    const journalPath = path.join(config.deltaDir, JOURNAL_FILE);
+    const flushingPath = path.join(config.deltaDir, FLUSHING_JOURNAL_FILE);
+
+    await fs.ensureDir(config.deltaDir);
+
+    // Changed keys by their latin1 name, so binary keys are told apart
+    const pending = new Map();
+    for (const key of await readJournal([flushingPath, journalPath])) {
+      pending.set(key.toString('latin1'), key);
+    }
+    if (pending.size > 0) {
+      log('info', `Recovered ${pending.size} changed keys from the journal`, config);
+    }
+
+    journal = await openJournal(journalPath);
+    // Entries recorded while the journal is being rotated
+    let rotating = null;
+
+    const record = (key, event) => {
+      pending.set(key.toString('latin1'), key);
+
+      const line = `${JSON.stringify({ time: Date.now(), key: encodeValue(key), event })}\n`;
+      if (rotating) {
+        rotating.push(line);
+      } else {
+        journal.write(line);
+      }
+    };
+
+    // The flushing journal only goes away once its keys are in a delta backup
+    const rotateJournal = async () => {
+      rotating = [];
+      try {
+        await closeJournal(journal);
+        if (await fs.pathExists(flushingPath)) {
+          await fs.appendFile(flushingPath, await fs.readFile(journalPath));
+          await fs.remove(journalPath);
+        } else {
+          await fs.move(journalPath, flushingPath);
+        }
+      } finally {
+        journal = await openJournal(journalPath);
+        for (const line of rotating) {
+          journal.write(line);
+        }
+        rotating = null;
+      }
+    };
+
+    for (const node of await getMasterNodes(client)) {
+      await ensureNotifications(node, config);
+
+      const subscriber = await node.duplicate();
+      await subscriber.connect();
+      subscribers.push(subscriber);
+
+      await subscriber.pSubscribe(pattern, (event, channel) => {
+        const key = channel.subarray(channelPrefix.length);
+        if (filter.matchesName(getKeyName(key, prefix))) {
+          record(key, event.toString());
+        }
+      }, true);
+    }
+
+    let since = new Date().toISOString();
+    const totals = { deltas: 0, count: 0, deleted: 0, errors: 0 };
+    // Numbers the delta files, as two deltas can start in the same millisecond
+    let sequence = 0;
+
+    const writeDelta = async () => {
+      if (pending.size === 0) {
+        return { success: true, count: 0, deleted: 0, errors: 0 };
+      }
+
+      const keys = [...pending.values()];
+      pending.clear();
+
+      // Keys are read after this time, so later writes may be in the delta
+      const timestamp = new Date().toISOString();
+      sequence++;
+      const deltaFile = path.join(config.deltaDir, `delta-${timestamp.replace(/[-:.]/g, '')}-${String(sequence).padStart(6, '0')}${extension}`);
+      let writer;
+      try {
+        await rotateJournal();
+
+        writer = await openBackupWriter(deltaFile, config);
+        await writer.write({
+          format: 'redis-init-backup',
+          version: BACKUP_FORMAT_VERSION,
+          type: 'delta',
+          timestamp,
+          since,
+          prefix,
+          host: config.host,
+          port: config.port,
+          database
+        });
+
+        let count = 0;
+        let deleted = 0;
+        let errorCount = 0;
+
+        for (const key of keys) {
+          let keyRecord;
+          try {
+            keyRecord = await readKey(client, key);
+          } catch (error) {
+            log('error', `Failed to backup key ${key}: ${error.message}`, config);
+            keyRecord = { key: encodeValue(key), error: error.message };
+          }
+
+          if (!keyRecord) {
+            await writer.write({ key: encodeValue(key), deleted: true });
+            deleted++;
+          } else if (keyRecord.error) {
+            await writer.write(keyRecord);
+            errorCount++;
+          } else if (filter.matchesType(keyRecord.type)) {
+            await writer.write(keyRecord);
+            count++;
+          }
+        }
+
+        await writer.write({ end: true, count, deleted, errors: errorCount });
+        await writer.close();
+        await fs.remove(flushingPath);
+
+        since = timestamp;
+        totals.deltas++;
+        totals.count += count;
+        totals.deleted += deleted;
+        totals.errors += errorCount;
+
+        log('success', `Delta backup written: ${count} keys saved and ${deleted} deleted keys recorded in ${deltaFile}`, config);
+        return { success: true, file: deltaFile, count, deleted, errors: errorCount };
+      } catch (error) {
+        if (writer) {
+          await writer.abort();
+        }
+        // Keep the keys for the next delta backup, unless they changed again meanwhile
+        for (const key of keys) {
+          const name = key.toString('latin1');
+          if (!pending.has(name)) pending.set(name, key);
+        }
+        log('error', `Delta backup failed: ${error.message}`, config);
+        return { success: false, error: error.message };
+      }
+    };
+
+    // Delta backups are written one at a time, and one that fails does not
+    // stop the next from being written
+    let queue = Promise.resolve();
+    const flush = () => {
+      const result = queue.then(writeDelta);
+      queue = result.catch(() => {});
+      return result;
+    };
+
+    let failure = null;
+    let onFailure;
+    const stopped = new Promise(resolve => { onFailure = resolve; });
+
+    const timer = setInterval(() => {
+      flush().catch(error => {
+        if (failure) return;
+        failure = error;
+        clearInterval(timer);
+        log('error', `Incremental backup stopped: ${error.message}`, config);
+        onFailure(error);
+      });
+    }, interval);
+    log('info', `Incremental backup started: delta backups of ${pattern.slice(channelPrefix.length)} every ${interval / 1000}s in ${config.deltaDir}`, config);
+
+    return {
+      success: true,
+      flush,
+      stopped,
+
+      /**
+       * Stop listening for changes and write a last delta backup
+       * @returns {Promise<Object>} - Totals of the incremental backup
+       */
+      async stop() {
+        clearInterval(timer);
+        await Promise.all(subscribers.map(async subscriber => {
+          await subscriber.pUnsubscribe();
+          await subscriber.quit();
+        }));
+
+        // The journal keeps the keys a failed backup did not write, for the next run
+        const last = failure
+          ? { success: false, error: failure.message }
+          : await flush().catch(error => ({ success: false, error: error.message }));
+        await closeJournal(journal);
+
+        log('info', `Incremental backup stopped: ${totals.deltas} delta backups written`, config);
+        return last.success ? { success: true, ...totals } : { ...last, ...totals, success: false };
+      }
+    };
+  } catch (error) {
+    for (const subscriber of subscribers) {
+      await subscriber.quit().catch(() => {});
+    }
+    if (journal) {
+      await closeJournal(journal).catch(() => {});
+    }
+    log('error', `Incremental backup failed: ${error.message}`, config);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  startIncrementalBackup
+};
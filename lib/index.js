@@ -5,13 +5,49 @@
  */
 
 const { createRedisClient, testConnection, flushDatabase, loadRedisConfig } = require('./client');
-const { loadSchemas, validateSchemas } = require('./schema-loader');
+const { loadSchemas, parseSchemas, migrateSchema, validateSchemas } = require('./schema-loader');
 const { applyTTL } = require('./utils');
-const { backupRedisData, restoreRedisData } = require('./backup');
+const { expandTemplateVariables } = require('./templates');
+const { backupRedisData, restoreRedisData, readBackup, inspectBackup, listBackups, pruneBackups } = require('./backup');
+const { startIncrementalBackup } = require('./incremental-backup');
 const { performHealthCheck } = require('./health-check');
 const { configureAcl } = require('./security');
 const { generateDocumentation } = require('./documentation');
-const { registerLuaScripts } = require('./lua-scripts');
+const { lintSchemas } = require('./lint');
+const { registerLuaScripts, registerLuaFunctions, getScriptRunner } = require('./lua-scripts');
+const { runScriptTests } = require('./script-tests');
+const { resolveTemplateVariables } = require('./variables');
+
+/**
+ * Check that the schemas parse without errors, without touching Redis
+ *
+ * The check gets its own built-in variables, so generators such as
+ * RANDOM_INT give the load itself the values it would have without it.
+ * @param {Object} config - Configuration options
+ * @param {Object} options - Initialization options
+ * @param {boolean} fromString - Whether the schema comes from a string
+ * @returns {boolean} - Whether the schemas can be loaded
+ */
+function checkSchemas(config, options, fromString = false) {
+  const variables = expandTemplateVariables(options.variables, { seed: options.seed, now: options.now });
+  return parseSchemas({ ...config, variables }, fromString).success;
+}
+
+/**
+ * Build the result of an initialization whose schemas failed to load
+ * @param {Object} result - Result of loadSchemas
+ * @returns {Object} - Initialization result
+ */
+function schemaLoadFailure(result) {
+  return {
+    success: false,
+    error: 'Schema loading failed',
+    details: result.details,
+    errors: result.errors,
+    diagnostics: result.diagnostics,
+    unresolvedVariables: result.unresolvedVariables
+  };
+}
 
 /**
  * Initialize Redis with schema files
@@ -37,6 +73,10 @@ async function redisInit(options = {}) {
     flush: options.flush || false,
     flushMode: options.flushMode || 'db',
     deploymentType: options.deploymentType || 'standalone',
+    clusterNodes: options.clusterNodes || [],
+    sentinels: options.sentinels || [],
+    sentinelMaster: options.sentinelMaster || 'mymaster',
+    sentinelPassword: options.sentinelPassword || null,
     dryRun: options.dryRun || false,
     batchSize: options.batchSize || 100,
     useTransactions: options.useTransactions || false,
@@ -54,6 +94,9 @@ async function redisInit(options = {}) {
 
   let client;
   try {
+    // Add built-in variables, frozen by `now` and made reproducible by `seed`
+    config.variables = expandTemplateVariables(config.variables, { seed: options.seed, now: options.now });
+
     // Load Redis configuration file if specified
     if (options.configFile) {
       const configResult = await loadRedisConfig(options.configFile);
@@ -89,6 +132,12 @@ async function redisInit(options = {}) {
       }
     }
 
+    // Parse every schema before anything is flushed or replaced; with errors,
+    // loadSchemas reports them without running any command
+    if (!checkSchemas(config, options)) {
+      return schemaLoadFailure(await loadSchemas(client, config));
+    }
+
     // Create backup if requested
     if (config.backupFile) {
       const backupResult = await backupRedisData(client, config);
@@ -111,14 +160,16 @@ async function redisInit(options = {}) {
       console.warn(`Warning: Some Lua scripts failed to register: ${scriptsResult.error}`);
     }
 
+    // Load Lua function libraries from schemas
+    const functionsResult = await registerLuaFunctions(client, config);
+    if (!functionsResult.success) {
+      console.warn(`Warning: Some Lua function libraries failed to load${functionsResult.error ? `: ${functionsResult.error}` : ''}`);
+    }
+
     // Load schemas
     const schemasLoaded = await loadSchemas(client, config);
     if (!schemasLoaded.success) {
-      return {
-        success: false,
-        error: 'Schema loading failed',
-        details: schemasLoaded.details
-      };
+      return schemaLoadFailure(schemasLoaded);
     }
 
     // Apply TTL rules if specified
@@ -141,7 +192,10 @@ async function redisInit(options = {}) {
       success: true,
       commandsExecuted: schemasLoaded.commandsExecuted,
       filesProcessed: schemasLoaded.filesProcessed,
+      migrations: schemasLoaded.migrations || [],
+      stats: schemasLoaded.stats,
       scriptCount: scriptsResult.count || 0,
+      functionCount: functionsResult.count || 0,
       dbSize: validationResult.dbSize || 0,
       prefix: config.prefix
     };
@@ -175,6 +229,9 @@ async function redisInitFromString(options = {}, schemaContent, schemaName = 'in
 
   let client;
   try {
+    // Add built-in variables
+    config.variables = expandTemplateVariables(config.variables, { seed: options.seed, now: options.now });
+
     // Create Redis client
     client = createRedisClient(config);
 
@@ -194,6 +251,12 @@ async function redisInitFromString(options = {}, schemaContent, schemaName = 'in
       }
     }
 
+    // Parse every schema before anything is flushed or replaced; with errors,
+    // loadSchemas reports them without running any command
+    if (!checkSchemas(config, options, true)) {
+      return schemaLoadFailure(await loadSchemas(client, config, true));
+    }
+
     // Create backup if requested
     if (config.backupFile) {
       const backupResult = await backupRedisData(client, config);
@@ -216,14 +279,16 @@ async function redisInitFromString(options = {}, schemaContent, schemaName = 'in
       console.warn(`Warning: Some Lua scripts failed to register: ${scriptsResult.error}`);
     }
 
+    // Load Lua function libraries from schema content
+    const functionsResult = await registerLuaFunctions(client, config, true);
+    if (!functionsResult.success) {
+      console.warn(`Warning: Some Lua function libraries failed to load${functionsResult.error ? `: ${functionsResult.error}` : ''}`);
+    }
+
     // Load schema from string
     const result = await loadSchemas(client, config, true);
     if (!result.success) {
-      return {
-        success: false,
-        error: 'Schema loading failed',
-        details: result.details
-      };
+      return schemaLoadFailure(result);
     }
 
     // Apply TTL rules if specified
@@ -245,7 +310,9 @@ async function redisInitFromString(options = {}, schemaContent, schemaName = 'in
     return {
       success: true,
       commandsExecuted: result.commandsExecuted,
+      stats: result.stats,
       scriptCount: scriptsResult.count || 0,
+      functionCount: functionsResult.count || 0,
       dbSize: validationResult.dbSize || 0,
       prefix: config.prefix
     };
@@ -263,12 +330,203 @@ async function redisInitFromString(options = {}, schemaContent, schemaName = 'in
   }
 }
 
+/**
+ * Migrate a schema up or down to a specific version
+ * @param {Object} options - Connection and schema options
+ * @param {string} schemaName - Schema name (file name without extension)
+ * @param {number} targetVersion - Version to migrate to
+ * @returns {Promise<Object>} - Result of migration with success flag
+ */
+async function redisMigrate(options = {}, schemaName, targetVersion) {
+  const config = {
+    ...options,
+    host: options.host || '127.0.0.1',
+    port: options.port || 6379,
+    database: options.database || 0,
+    schemasDir: options.schemasDir || './schemas',
+    prefix: options.prefix || '',
+    variables: options.variables || {}
+  };
+
+  if (!schemaName) {
+    return { success: false, error: 'No schema name provided' };
+  }
+
+  try {
+    // Add built-in variables
+    config.variables = expandTemplateVariables(config.variables, { seed: options.seed, now: options.now });
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+
+  return withRedisClient(config, client => migrateSchema(client, config, schemaName, targetVersion));
+}
+
+/**
+ * Back up Redis data to a file
+ * @param {Object} options - Connection and backup options, including backupFile
+ * @returns {Promise<Object>} - Backup result
+ */
+async function redisBackup(options = {}) {
+  const config = {
+    ...options,
+    host: options.host || '127.0.0.1',
+    port: options.port || 6379,
+    database: options.database || 0,
+    prefix: options.prefix || ''
+  };
+
+  if (!config.backupFile) {
+    return { success: false, error: 'No backup file specified' };
+  }
+
+  return withRedisClient(config, client => backupRedisData(client, config));
+}
+
+/**
+ * Restore Redis data from a backup file
+ * @param {Object} options - Connection and restore options, including backupFile
+ * @returns {Promise<Object>} - Restore result
+ */
+async function redisRestore(options = {}) {
+  const config = {
+    ...options,
+    host: options.host || '127.0.0.1',
+    port: options.port || 6379,
+    database: options.database || 0,
+    prefix: options.prefix || ''
+  };
+
+  if (!config.backupFile) {
+    return { success: false, error: 'No backup file specified' };
+  }
+
+  return withRedisClient(config, client => restoreRedisData(client, config));
+}
+
+/**
+ * Run an incremental backup until it is stopped
+ *
+ * Delta backups are written to deltaDir until `signal`, an AbortSignal,
+ * is aborted; a last delta backup is written before disconnecting.
+ * @param {Object} options - Connection and incremental backup options, including deltaDir and signal
+ * @returns {Promise<Object>} - Incremental backup result
+ */
+async function redisIncrementalBackup(options = {}) {
+  const config = {
+    ...options,
+    host: options.host || '127.0.0.1',
+    port: options.port || 6379,
+    database: options.database || 0,
+    prefix: options.prefix || ''
+  };
+
+  if (!config.deltaDir) {
+    return { success: false, error: 'No delta directory specified' };
+  }
+  if (!config.signal) {
+    return { success: false, error: 'No stop signal specified' };
+  }
+
+  return withRedisClient(config, async client => {
+    const incremental = await startIncrementalBackup(client, config);
+    if (!incremental.success) {
+      return incremental;
+    }
+
+    // Run until the signal is aborted, or until a failure stops the backup
+    if (!config.signal.aborted) {
+      await Promise.race([
+        new Promise(resolve => config.signal.addEventListener('abort', resolve, { once: true })),
+        incremental.stopped
+      ]);
+    }
+    return incremental.stop();
+  });
+}
+
+/**
+ * Run the Lua script tests of the schemas against a server
+ * @param {Object} options - Connection and schema options
+ * @returns {Promise<Object>} - Test report
+ */
+async function redisTestScripts(options = {}) {
+  const config = {
+    ...options,
+    host: options.host || '127.0.0.1',
+    port: options.port || 6379,
+    database: options.database || 0,
+    schemasDir: options.schemasDir || './schemas',
+    prefix: options.prefix || ''
+  };
+
+  return withRedisClient(config, client => runScriptTests(client, config));
+}
+
+/**
+ * Connect to Redis, run an operation and disconnect
+ * @param {Object} config - Connection options
+ * @param {Function} operation - Called with the connected client
+ * @returns {Promise<Object>} - Result of the operation
+ */
+async function withRedisClient(config, operation) {
+  let client;
+  let connected = false;
+  try {
+    // Create Redis client
+    client = createRedisClient(config);
+
+    // Test connection
+    connected = await testConnection(client, config);
+    if (!connected) {
+      return { success: false, error: 'Failed to connect to Redis server' };
+    }
+
+    // Select database if specified
+    if (config.database !== 0) {
+      try {
+        await client.select(config.database);
+        console.log(`Switched to database ${config.database}`);
+      } catch (error) {
+        return { success: false, error: `Failed to select database ${config.database}: ${error.message}` };
+      }
+    }
+
+    return await operation(client);
+  } catch (error) {
+    return { success: false, error: error.message };
+  } finally {
+    // Close Redis connection; quitting a client that never connected would never settle
+    if (connected) {
+      try {
+        await client.quit();
+      } catch (error) {
+        console.error(`Error disconnecting: ${error.message}`);
+      }
+    }
+  }
+}
+
 // Export module functionality
 module.exports = {
   redisInit,
   redisInitFromString,
+  redisMigrate,
+  redisBackup,
+  redisRestore,
+  redisIncrementalBackup,
+  redisTestScripts,
+  lintSchemas,
+  resolveTemplateVariables,
   performHealthCheck,
   backupRedisData,
   restoreRedisData,
+  readBackup,
+  inspectBackup,
+  listBackups,
+  pruneBackups,
+  startIncrementalBackup,
+  getScriptRunner,
+  runScriptTests,
   generateDocumentation
 };
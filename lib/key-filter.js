@@ -0,0 +1,218 @@
+/**
+ * Key filter module
+ *
+ * Selects the keys a backup or restore works on and renames keys on restore.
+ *
+ * Patterns use the Redis glob syntax of KEYS and SCAN MATCH (*, ?, [abc],
+ * [^a], [a-z] and \ escapes) and, like TTL rules and ACL key patterns, apply
+ * to key names without their prefix.
+ */
+
+const fs = require('fs-extra');
+
+/**
+ * Turn a single value or a list into a list
+ * @param {*} value - Value, list of values, or nothing
+ * @returns {Array} - List of values
+ */
+function toList(value) {
+  return value === undefined || value === null ? [] : [].concat(value);
+}
+
+/**
+ * Escape a character for use in a regular expression
+ * @param {string} char - Character
+ * @param {RegExp} special - Characters that need escaping
+ * @returns {string} - Escaped character
+ */
+function escapeChar(char, special = /[.*+?^${}()|[\]\\/-]/) {
+  return special.test(char) ? `\\${char}` : char;
+}
+
+/**
+ * Convert a [...] class of a glob pattern into a regular expression class
+ * @param {string} pattern - Glob pattern
+ * @param {number} start - Index of the opening [
+ * @returns {Object|null} - { source, end }, or null if the class is not closed
+ */
+function parseClass(pattern, start) {
+  let i = start + 1;
+  let source = '[';
+
+  if (pattern[i] === '^') {
+    source += '^';
+    i++;
+  }
+
+  while (i < pattern.length && pattern[i] !== ']') {
+    if (pattern[i] === '\\' && i + 1 < pattern.length) {
+      i++;
+    }
+
+    let from = pattern[i];
+    if (pattern[i + 1] === '-' && i + 2 < pattern.length && pattern[i + 2] !== ']') {
+      let to = pattern[i + 2];
+      // Redis accepts ranges in either order
+      if (from > to) [from, to] = [to, from];
+      source += `${escapeChar(from)}-${escapeChar(to)}`;
+      i += 3;
+    } else {
+      source += escapeChar(from);
+      i++;
+    }
+  }
+
+  return i < pattern.length ? { source: `${source}]`, end: i } : null;
+}
+
+/**
+ * Convert a Redis glob pattern into a regular expression
+ *
+ * Every * becomes a capturing group, so rename patterns can reuse what it
+ * matched.
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} - Regular expression matching whole key names
+ */
+function globToRegExp(pattern) {
+  let source = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const charClass = char === '[' ? parseClass(pattern, i) : null;
+
+    if (char === '*') {
+      source += '(.*)';
+    } else if (char === '?') {
+      source += '.';
+    } else if (char === '\\' && i + 1 < pattern.length) {
+      source += escapeChar(pattern[++i]);
+    } else if (charClass) {
+      source += charClass.source;
+      i = charClass.end;
+    } else {
+      source += escapeChar(char);
+    }
+  }
+
+  return new RegExp(`^${source}$`, 's');
+}
+
+/**
+ * Read a key list file with one key name per line
+ * @param {string} filePath - Key list file
+ * @returns {Set<string>} - Key names
+ */
+function readKeyList(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Key list file not found: ${filePath}`);
+  }
+
+  const names = fs.readFileSync(filePath, 'utf8').split(/\r?\n/).filter(name => name !== '');
+  return new Set(names);
+}
+
+/**
+ * Create the key filter of a backup or restore
+ *
+ * Options: `include` and `exclude` glob patterns (a key must match one
+ * include pattern, if any are given, and no exclude pattern), `types` such
+ * as ['hash', 'string'], and `keyListFile`, a file of key names to keep.
+ * @param {Object} config - Configuration options
+ * @returns {Object} - Key filter
+ */
+function createKeyFilter(config) {
+  const include = toList(config.include).map(globToRegExp);
+  const exclude = toList(config.exclude).map(globToRegExp);
+  const types = toList(config.types);
+  const keys = config.keyListFile ? readKeyList(config.keyListFile) : null;
+
+  return {
+    keys,
+    types: types.length > 0 ? types : null,
+
+    /**
+     * Check whether a key name, without its prefix, is selected
+     * @param {string} name - Key name
+     * @returns {boolean} - Whether the key is selected
+     */
+    matchesName(name) {
+      return (!keys || keys.has(name))
+        && (include.length === 0 || include.some(regex => regex.test(name)))
+        && !exclude.some(regex => regex.test(name));
+    },
+
+    /**
+     * Check whether a key type is selected
+     * @param {string} type - Key type, as reported by TYPE
+     * @returns {boolean} - Whether the type is selected
+     */
+    matchesType(type) {
+      return types.length === 0 || types.includes(type);
+    }
+  };
+}
+
+/**
+ * Parse rename patterns such as "session:*=archive:session:*"
+ *
+ * Each * of the target is replaced by what the * at the same position in
+ * the source matched; \* writes a literal *.
+ * @param {string|Array<string>} renamePattern - One or more FROM=TO mappings
+ * @returns {Array<Object>} - Parsed mappings as { regex, target }
+ */
+function parseRenamePatterns(renamePattern) {
+  return toList(renamePattern).map(mapping => {
+    const separator = mapping.indexOf('=');
+    if (separator === -1) {
+      throw new Error(`Invalid rename pattern "${mapping}": expected FROM=TO`);
+    }
+
+    const regex = globToRegExp(mapping.slice(0, separator));
+    const wildcards = regex.source.split('(.*)').length - 1;
+    const to = mapping.slice(separator + 1);
+    // Literal parts of the target, between its wildcards
+    const target = [];
+    let literal = '';
+
+    for (let i = 0; i < to.length; i++) {
+      if (to[i] === '\\' && i + 1 < to.length) {
+        literal += to[++i];
+      } else if (to[i] === '*') {
+        target.push(literal);
+        literal = '';
+      } else {
+        literal += to[i];
+      }
+    }
+    target.push(literal);
+
+    if (target.length - 1 > wildcards) {
+      throw new Error(`Invalid rename pattern "${mapping}": the target has more * than the source`);
+    }
+
+    return { regex, target };
+  });
+}
+
+/**
+ * Rename a key name with the first rename pattern that matches it
+ * @param {string} name - Key name, without its prefix
+ * @param {Array<Object>} renames - Parsed rename patterns
+ * @returns {string} - New key name, or the same name if no pattern matches
+ */
+function renameKey(name, renames) {
+  for (const { regex, target } of renames) {
+    const match = regex.exec(name);
+    if (match) {
+      return target.slice(1).reduce((result, literal, index) => `${result}${match[index + 1]}${literal}`, target[0]);
+    }
+  }
+  return name;
+}
+
+module.exports = {
+  globToRegExp,
+  createKeyFilter,
+  parseRenamePatterns,
+  renameKey
+};
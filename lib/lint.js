@@ -0,0 +1,238 @@
+/**
+ * Schema lint module
+ *
+ * Validates schema files offline, without connecting to Redis.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { checkCommandArity } = require('./utils');
+const { expandTemplateVariables } = require('./templates');
+const { findLuaScriptsInSchema, findLuaFunctionsInSchema, findScriptTestsInSchema, getLibraryCode } = require('./lua-scripts');
+const { checkLua } = require('./lua-check');
+const { parseScriptTest } = require('./script-tests');
+const { parseSchemaContent, sortSchemasByDependencies, findSchemaFiles } = require('./schema-loader');
+
+/**
+ * Get the 1-based column of the first non-blank character of a line
+ * @param {string} line - Source line
+ * @returns {number} - Column number
+ */
+function getIndentColumn(line = '') {
+  return line.length - line.trimStart().length + 1;
+}
+
+/**
+ * Turn a dependency sorting error into a diagnostic on the offending file
+ * @param {Error} error - Error thrown by sortSchemasByDependencies
+ * @param {Array} schemaFiles - Parsed schema files
+ * @param {string} schemasDir - Schemas directory
+ * @returns {Object} - Diagnostic
+ */
+function dependencyDiagnostic(error, schemaFiles, schemasDir) {
+  const schema = schemaFiles.find(s => error.message.includes(path.basename(s.path)));
+  if (!schema) {
+    return { file: schemasDir, line: 1, column: 1, severity: 'error', message: error.message };
+  }
+
+  const lineIndex = schema.content.split('\n').findIndex(line => /dependencies:/.test(line));
+  const line = lineIndex === -1 ? 1 : lineIndex + 1;
+
+  return {
+    file: schema.path,
+    line,
+    column: lineIndex === -1 ? 1 : getIndentColumn(schema.content.split('\n')[lineIndex]),
+    severity: 'error',
+    message: error.message
+  };
+}
+
+/**
+ * Check the Lua code of a schema block, placing its diagnostics in the schema
+ * @param {string} file - Schema file
+ * @param {Object} block - Script or library found in the schema
+ * @param {string} code - Lua code of the block
+ * @param {Object} options - Options of checkLua
+ * @returns {Array} - Diagnostics
+ */
+function getLuaDiagnostics(file, block, code, options = {}) {
+  const kind = options.library ? 'Lua function library' : 'Lua script';
+
+  return checkLua(code, options).map(diagnostic => ({
+    file,
+    line: block.line + diagnostic.line,
+    column: diagnostic.column,
+    severity: diagnostic.severity,
+    message: `${kind} ${block.name}: ${diagnostic.message}`
+  }));
+}
+
+/**
+ * Lint the schema files in a directory
+ *
+ * Runs the same parsing, template processing, Lua script extraction and
+ * dependency sorting as a real load, checks every command's argument
+ * count against the Redis arity table, and checks the Lua code of scripts
+ * and function libraries.
+ * @param {Object} config - Configuration options
+ * @returns {Promise<Object>} - Lint report
+ */
+async function lintSchemas(config) {
+  const schemasDir = config.schemasDir;
+  if (!fs.existsSync(schemasDir)) {
+    return { success: false, error: `Schemas directory not found: ${schemasDir}` };
+  }
+
+  let variables;
+  try {
+    variables = expandTemplateVariables(config.variables, { seed: config.seed, now: config.now });
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+  const migrationsDir = path.join(schemasDir, 'migrations');
+  // Fragments are checked through the schemas that include them
+  const { files, fragments } = findSchemaFiles(schemasDir);
+
+  const diagnostics = [];
+  const schemaFiles = [];
+  const scriptSources = {};
+  const scripts = [];
+  const scriptTests = [];
+  const librarySources = {};
+  const functionLibraries = {};
+  const sourceLines = {};
+
+  const getSourceLine = (file, line) => {
+    if (!sourceLines[file]) {
+      sourceLines[file] = fs.readFileSync(file, 'utf8').split('\n');
+    }
+    return sourceLines[file][line - 1];
+  };
+
+  for (const file of files) {
+    const content = fs.readFileSync(file, 'utf8');
+    const lines = content.split('\n');
+    const parsed = parseSchemaContent(content, file, { variables });
+
+    diagnostics.push(...parsed.diagnostics);
+    sourceLines[file] = lines;
+
+    parsed.commands.forEach((command, index) => {
+      const problem = checkCommandArity(command);
+      if (problem) {
+        const source = parsed.sources[index];
+        const line = parsed.lineNumbers[index];
+        diagnostics.push({
+          file: source,
+          line,
+          column: getIndentColumn(getSourceLine(source, line)),
+          severity: 'error',
+          message: problem
+        });
+      }
+    });
+
+    scriptTests.push(...findScriptTestsInSchema(content, file));
+
+    for (const script of findLuaScriptsInSchema(content, file)) {
+      scripts.push(script);
+      const line = script.line;
+      const column = getIndentColumn(lines[line - 1]);
+
+      if (scriptSources[script.name]) {
+        diagnostics.push({
+          file, line, column,
+          severity: 'error',
+          message: `Lua script ${script.name} is already defined in ${scriptSources[script.name]}`
+        });
+      } else {
+        scriptSources[script.name] = file;
+      }
+
+      if (!script.script.trim()) {
+        diagnostics.push({ file, line, column, severity: 'warning', message: `Lua script ${script.name} is empty` });
+      }
+
+      diagnostics.push(...getLuaDiagnostics(file, script, script.script));
+    }
+
+    for (const library of findLuaFunctionsInSchema(content, file)) {
+      const line = library.line;
+      const column = getIndentColumn(lines[line - 1]);
+      const report = (severity, message) => diagnostics.push({ file, line, column, severity, message });
+
+      if (librarySources[library.name]) {
+        report('error', `Lua function library ${library.name} is already defined in ${librarySources[library.name]}`);
+        continue;
+      }
+      librarySources[library.name] = file;
+
+      try {
+        getLibraryCode(library);
+      } catch (error) {
+        report('error', error.message);
+      }
+
+      if (library.functions.length === 0) {
+        report('warning', `Lua function library ${library.name} registers no functions`);
+      }
+
+      diagnostics.push(...getLuaDiagnostics(file, library, library.code, { library: true }));
+
+      // Function names are global, so FUNCTION LOAD rejects a name taken by another library
+      for (const fn of library.functions) {
+        if (functionLibraries[fn.name]) {
+          report('error', `Lua function ${fn.name} is already registered by library ${functionLibraries[fn.name]}`);
+        } else {
+          functionLibraries[fn.name] = library.name;
+        }
+      }
+    }
+
+    // Migration files are applied by the migration runner, not ordered by dependencies
+    if (!file.startsWith(migrationsDir + path.sep)) {
+      schemaFiles.push({ path: file, content, metadata: parsed.metadata });
+    }
+  }
+
+  // Tests can call scripts defined in other files
+  for (const test of scriptTests) {
+    try {
+      parseScriptTest(test, scripts);
+    } catch (error) {
+      diagnostics.push({
+        file: test.source,
+        line: error.line,
+        column: getIndentColumn(getSourceLine(test.source, error.line)),
+        severity: 'error',
+        message: error.message
+      });
+    }
+  }
+
+  try {
+    sortSchemasByDependencies(schemaFiles);
+  } catch (error) {
+    diagnostics.push(dependencyDiagnostic(error, schemaFiles, schemasDir));
+  }
+
+  // A fragment included by several schemas would otherwise be reported once per include
+  const unique = diagnostics.filter((diagnostic, index) => diagnostics.findIndex(other =>
+    other.file === diagnostic.file && other.line === diagnostic.line &&
+    other.column === diagnostic.column && other.message === diagnostic.message) === index);
+
+  const errorCount = unique.filter(d => d.severity === 'error').length;
+
+  return {
+    success: errorCount === 0,
+    filesChecked: files.length,
+    fragments,
+    errorCount,
+    warningCount: unique.length - errorCount,
+    diagnostics: unique
+  };
+}
+
+module.exports = {
+  lintSchemas
+};
@@ -0,0 +1,643 @@
+/**
+ * Lua check module
+ *
+ * Checks Lua scripts and function libraries offline, before they reach
+ * SCRIPT LOAD or FUNCTION LOAD. A small parser for Lua 5.1, the version
+ * Redis embeds, reports syntax errors, and the parse tree is used to warn
+ * about code that breaks on Redis:
+ *
+ * - keys given to redis.call as literals or built by concatenation, which
+ *   a cluster cannot route because they are not declared in KEYS
+ * - global variables, which Redis refuses to create and which are nil when
+ *   read unless they are part of the scripting environment
+ * - commands scripts are not allowed to run
+ */
+
+const { getCommandKey } = require('./utils');
+
+const KEYWORDS = new Set([
+  'and', 'break', 'do', 'else', 'elseif', 'end', 'false', 'for', 'function', 'if', 'in',
+  'local', 'nil', 'not', 'or', 'repeat', 'return', 'then', 'true', 'until', 'while'
+]);
+
+// Longest first, so .. is not read as two dots
+const SYMBOLS = [
+  '...', '..', '==', '~=', '<=', '>=',
+  '+', '-', '*', '/', '%', '^', '#', '<', '>', '=', '(', ')', '{', '}', '[', ']', ';', ':', ',', '.'
+];
+
+// Left and right priorities of binary operators, as in the Lua 5.1 parser
+const BINARY_PRIORITY = {
+  or: [1, 1], and: [2, 2],
+  '<': [3, 3], '>': [3, 3], '<=': [3, 3], '>=': [3, 3], '~=': [3, 3], '==': [3, 3],
+  '..': [5, 4], '+': [6, 6], '-': [6, 6], '*': [7, 7], '/': [7, 7], '%': [7, 7], '^': [10, 9]
+};
+
+// Priority of not, - and #
+const UNARY_PRIORITY = 8;
+
+// Tokens that end a block
+const BLOCK_FOLLOW = new Set(['else', 'elseif', 'end', 'until', '<eof>']);
+
+// Globals of the Redis scripting environment
+const REDIS_GLOBALS = new Set([
+  'redis', 'KEYS', 'ARGV', 'cjson', 'cmsgpack', 'bit', 'struct',
+  'math', 'string', 'table', 'os', 'coroutine', '_G', '_VERSION',
+  'assert', 'error', 'gcinfo', 'getmetatable', 'setmetatable', 'ipairs', 'pairs', 'next',
+  'pcall', 'xpcall', 'rawequal', 'rawget', 'rawset', 'select', 'tonumber', 'tostring',
+  'type', 'unpack', 'loadstring'
+]);
+
+// Commands Redis refuses to run from scripts and functions
+const SCRIPT_DISALLOWED_COMMANDS = [
+  'AUTH', 'HELLO', 'RESET', 'QUIT', 'SELECT',
+  'MULTI', 'EXEC', 'DISCARD', 'WATCH', 'UNWATCH',
+  'SUBSCRIBE', 'PSUBSCRIBE', 'SSUBSCRIBE', 'UNSUBSCRIBE', 'PUNSUBSCRIBE', 'SUNSUBSCRIBE',
+  'EVAL', 'EVALSHA', 'EVAL_RO', 'EVALSHA_RO', 'FCALL', 'FCALL_RO', 'SCRIPT', 'FUNCTION',
+  'MONITOR', 'SYNC', 'PSYNC', 'REPLICAOF', 'SLAVEOF', 'SHUTDOWN', 'CLIENT'
+];
+
+// Expression shapes the checks care about
+const OTHER = { kind: 'other' };
+
+/**
+ * Create a Lua syntax error at a position
+ * @param {string} message - Error message
+ * @param {number} line - 1-based line
+ * @param {number} column - 1-based column
+ * @returns {Error} - Error with line and column
+ */
+function syntaxError(message, line, column) {
+  return Object.assign(new Error(message), { line, column });
+}
+
+/**
+ * Split Lua code into tokens
+ *
+ * A first line starting with # (such as #!lua name=mylib) is skipped, as
+ * Lua and Redis do.
+ * @param {string} code - Lua code
+ * @returns {Array<Object>} - Tokens as { type, value, line, column }
+ */
+function tokenize(code) {
+  const tokens = [];
+  let i = 0;
+  let line = 1;
+  let lineStart = 0;
+
+  if (code.startsWith('#')) {
+    i = code.indexOf('\n') === -1 ? code.length : code.indexOf('\n');
+  }
+
+  // Level of a long bracket such as [==[ at a position, or -1
+  const longBracketLevel = position => {
+    const match = /\[(=*)\[/y;
+    match.lastIndex = position;
+    return match.test(code) ? match.lastIndex - position - 2 : -1;
+  };
+
+  // Skip a long string or comment, counting its lines
+  const skipLongBracket = (level, what, startLine, startColumn) => {
+    const close = `]${'='.repeat(level)}]`;
+    const end = code.indexOf(close, i);
+    if (end === -1) {
+      throw syntaxError(`unfinished long ${what} starting at line ${startLine}`, startLine, startColumn);
+    }
+
+    for (let j = i; j < end; j++) {
+      if (code[j] === '\n') {
+        line++;
+        lineStart = j + 1;
+      }
+    }
+    i = end + close.length;
+  };
+
+  const number = /0[xX][0-9a-fA-F]+|(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/y;
+  const name = /[A-Za-z_][A-Za-z0-9_]*/y;
+
+  while (i < code.length) {
+    const char = code[i];
+
+    if (char === '\n') {
+      line++;
+      i++;
+      lineStart = i;
+      continue;
+    }
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    const column = i - lineStart + 1;
+    const token = (type, value) => tokens.push({ type, value, line, column });
+
+    if (code.startsWith('--', i)) {
+      const level = longBracketLevel(i + 2);
+      if (level >= 0) {
+        const startLine = line;
+        i += level + 4;
+        skipLongBracket(level, 'comment', startLine, column);
+      } else {
+        while (i < code.length && code[i] !== '\n') i++;
+      }
+      continue;
+    }
+
+    if (char === '[' && longBracketLevel(i) >= 0) {
+      const level = longBracketLevel(i);
+      const startLine = line;
+      const start = i + level + 2;
+      i = start;
+      skipLongBracket(level, 'string', startLine, column);
+      tokens.push({ type: 'string', value: code.slice(start, i - level - 2).replace(/^\r?\n/, ''), line: startLine, column });
+      continue;
+    }
+
+    if (char === '"' || char === '\'') {
+      let value = '';
+      i++;
+      while (code[i] !== char) {
+        if (i >= code.length || code[i] === '\n') {
+          throw syntaxError(`unfinished string near '${char}${value}'`, line, column);
+        }
+        if (code[i] === '\\') {
+          i++;
+          if (code[i] === '\n') {
+            line++;
+            lineStart = i + 1;
+          }
+        }
+        value += code[i++];
+      }
+      i++;
+      token('string', value);
+      continue;
+    }
+
+    if (/\d/.test(char) || (char === '.' && /\d/.test(code[i + 1]))) {
+      number.lastIndex = i;
+      number.test(code);
+      const end = number.lastIndex;
+      if (/[A-Za-z0-9_.]/.test(code[end] || '')) {
+        throw syntaxError(`malformed number near '${code.slice(i, end + 1)}'`, line, column);
+      }
+      token('number', code.slice(i, end));
+      i = end;
+      continue;
+    }
+
+    name.lastIndex = i;
+    if (name.test(code)) {
+      const value = code.slice(i, name.lastIndex);
+      token(KEYWORDS.has(value) ? 'keyword' : 'name', value);
+      i = name.lastIndex;
+      continue;
+    }
+
+    const symbol = SYMBOLS.find(s => code.startsWith(s, i));
+    if (!symbol) {
+      throw syntaxError(`unexpected symbol near '${char}'`, line, column);
+    }
+    token('symbol', symbol);
+    i += symbol.length;
+  }
+
+  tokens.push({ type: 'eof', value: '<eof>', line, column: i - lineStart + 1 });
+  return tokens;
+}
+
+/**
+ * Check Lua code
+ *
+ * Returns a syntax error, or the warnings of code that parses. With
+ * `library`, the code is a function library, which has no KEYS and ARGV
+ * globals: its functions receive keys and arguments as parameters.
+ * @param {string} code - Lua code
+ * @param {Object} options - Check options
+ * @returns {Array<Object>} - Diagnostics as { line, column, severity, message }
+ */
+function checkLua(code, options = {}) {
+  const diagnostics = [];
+  const warn = (token, message) => diagnostics.push({ line: token.line, column: token.column, severity: 'warning', message });
+  const globals = options.library
+    ? new Set([...REDIS_GLOBALS].filter(name => name !== 'KEYS' && name !== 'ARGV'))
+    : REDIS_GLOBALS;
+  const reported = new Set();
+
+  let tokens;
+  try {
+    tokens = tokenize(code);
+  } catch (error) {
+    return [{ line: error.line, column: error.column, severity: 'error', message: error.message }];
+  }
+
+  let position = 0;
+  const scopes = [new Set()];
+  let loopDepth = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const blockFollows = () => BLOCK_FOLLOW.has(peek().value) && peek().type !== 'name' && peek().type !== 'string';
+  const check = value => (peek().type === 'symbol' || peek().type === 'keyword') && peek().value === value;
+  const accept = value => (check(value) ? next() : null);
+  const fail = message => {
+    throw syntaxError(`${message} near '${peek().value}'`, peek().line, peek().column);
+  };
+  const expect = value => accept(value) || fail(`'${value}' expected`);
+  const expectMatch = (value, opener, openToken) => accept(value) || fail(openToken.line === peek().line
+    ? `'${value}' expected`
+    : `'${value}' expected (to close '${opener}' at line ${openToken.line})`);
+  const expectName = () => (peek().type === 'name' ? next() : fail('<name> expected'));
+
+  const declare = token => scopes[scopes.length - 1].add(token.value);
+  const isLocal = value => scopes.some(scope => scope.has(value));
+  const withScope = (names, parse) => {
+    scopes.push(new Set(names.map(token => token.value)));
+    try {
+      return parse();
+    } finally {
+      scopes.pop();
+    }
+  };
+
+  // Globals are reported once, where they are first used
+  const useGlobal = (token, assigned) => {
+    if (isLocal(token.value) || reported.has(token.value)) return;
+
+    if (assigned) {
+      reported.add(token.value);
+      warn(token, `assigns the global variable ${token.value}, which Redis does not allow: declare it local`);
+    } else if (!globals.has(token.value)) {
+      reported.add(token.value);
+      warn(token, `reads the global variable ${token.value}, which is not defined in Redis`);
+    }
+  };
+
+  // A bare name used as a value
+  const read = exp => {
+    if (exp.kind !== 'name') return exp;
+    useGlobal(exp.token, false);
+    return OTHER;
+  };
+
+  const checkRedisCall = (call, args) => {
+    const [command, key] = args;
+    if (!command || command.kind !== 'string') return;
+
+    const name = command.value.toUpperCase();
+    if (SCRIPT_DISALLOWED_COMMANDS.includes(name)) {
+      warn(call, `${name} cannot be called from scripts`);
+    } else if (key && getCommandKey([name, 'key']) !== undefined) {
+      if (key.kind === 'string') {
+        warn(call, `redis.${call.field}("${command.value}") uses the hard-coded key "${key.value}": pass it in KEYS so the script works on a cluster`);
+      } else if (key.kind === 'concat') {
+        warn(call, `redis.${call.field}("${command.value}") builds its key name: pass the key in KEYS so the script works on a cluster`);
+      }
+    }
+  };
+
+  const parts = exp => (exp.kind === 'concat' ? exp.parts : [exp]);
+
+  let expression;
+
+  const expressionList = () => {
+    const list = [expression()];
+    while (accept(',')) {
+      list.push(expression());
+    }
+    return list;
+  };
+
+  const callArguments = () => {
+    if (peek().type === 'string') {
+      return [{ kind: 'string', value: next().value }];
+    }
+    if (check('{')) {
+      table();
+      return [OTHER];
+    }
+    const open = expect('(');
+    if (accept(')')) return [];
+    const args = expressionList();
+    expectMatch(')', '(', open);
+    return args;
+  };
+
+  const primaryExpression = () => {
+    if (peek().type === 'name') {
+      return { kind: 'name', token: next() };
+    }
+    if (check('(')) {
+      const open = next();
+      const inner = read(expression());
+      expectMatch(')', '(', open);
+      return inner;
+    }
+    return fail('unexpected symbol');
+  };
+
+  // Names, fields, indexes and calls: a.b[c]:d(e)
+  const suffixedExpression = () => {
+    let exp = primaryExpression();
+
+    for (;;) {
+      if (check('.')) {
+        next();
+        const field = expectName();
+        const isRedis = exp.kind === 'name' && exp.token.value === 'redis' && !isLocal('redis');
+        const base = exp;
+        read(exp);
+        exp = isRedis ? { kind: 'redis', field: field.value, line: base.token.line, column: base.token.column } : { kind: 'index' };
+      } else if (check('[')) {
+        const open = next();
+        read(exp);
+        read(expression());
+        expectMatch(']', '[', open);
+        exp = { kind: 'index' };
+      } else if (check(':')) {
+        next();
+        read(exp);
+        expectName();
+        callArguments();
+        exp = { kind: 'call' };
+      } else if (check('(') || check('{') || peek().type === 'string') {
+        read(exp);
+        const args = callArguments();
+        if (exp.kind === 'redis' && (exp.field === 'call' || exp.field === 'pcall')) {
+          checkRedisCall(exp, args);
+        }
+        exp = { kind: 'call' };
+      } else {
+        return exp;
+      }
+    }
+  };
+
+  const table = () => {
+    const open = expect('{');
+    while (!check('}')) {
+      if (check('[')) {
+        const bracket = next();
+        read(expression());
+        expectMatch(']', '[', bracket);
+        expect('=');
+        read(expression());
+      } else if (peek().type === 'name' && tokens[position + 1].value === '=' && tokens[position + 1].type === 'symbol') {
+        next();
+        next();
+        read(expression());
+      } else {
+        read(expression());
+      }
+      if (!accept(',') && !accept(';')) break;
+    }
+    expectMatch('}', '{', open);
+  };
+
+  const functionBody = (open, parameters = []) => {
+    expect('(');
+    const names = [...parameters];
+    if (!check(')')) {
+      do {
+        if (accept('...')) break;
+        names.push(expectName());
+      } while (accept(','));
+    }
+    expect(')');
+
+    const outerLoopDepth = loopDepth;
+    loopDepth = 0;
+    withScope(names, block);
+    loopDepth = outerLoopDepth;
+    expectMatch('end', 'function', open);
+  };
+
+  const simpleExpression = () => {
+    const token = peek();
+
+    if (token.type === 'number') {
+      next();
+      return OTHER;
+    }
+    if (token.type === 'string') {
+      next();
+      return { kind: 'string', value: token.value };
+    }
+    if (accept('nil') || accept('true') || accept('false') || accept('...')) {
+      return OTHER;
+    }
+    if (check('{')) {
+      table();
+      return OTHER;
+    }
+    if (check('function')) {
+      functionBody(next());
+      return OTHER;
+    }
+    return read(suffixedExpression());
+  };
+
+  const subExpression = limit => {
+    let left;
+    if (check('not') || check('-') || check('#')) {
+      next();
+      subExpression(UNARY_PRIORITY);
+      left = OTHER;
+    } else {
+      left = simpleExpression();
+    }
+
+    for (;;) {
+      const token = peek();
+      const priority = (token.type === 'symbol' || token.type === 'keyword') && BINARY_PRIORITY[token.value];
+      if (!priority || priority[0] <= limit) {
+        return left;
+      }
+
+      next();
+      const right = subExpression(priority[1]);
+      left = token.value === '..' ? { kind: 'concat', parts: [...parts(left), ...parts(right)] } : OTHER;
+    }
+  };
+
+  expression = () => subExpression(0);
+
+  const assignmentOrCall = () => {
+    const first = suffixedExpression();
+
+    if (check('=') || check(',')) {
+      const targets = [first];
+      while (accept(',')) {
+        targets.push(suffixedExpression());
+      }
+      for (const target of targets) {
+        if (target.kind === 'call' || target.kind === 'string') fail('syntax error');
+      }
+      expect('=');
+      expressionList();
+      for (const target of targets) {
+        if (target.kind === 'name') useGlobal(target.token, true);
+      }
+      return;
+    }
+
+    if (first.kind !== 'call') {
+      fail('syntax error');
+    }
+  };
+
+  const statement = () => {
+    const token = peek();
+
+    switch (token.type === 'keyword' ? token.value : null) {
+      case 'if':
+        next();
+        read(expression());
+        expect('then');
+        block();
+        while (accept('elseif')) {
+          read(expression());
+          expect('then');
+          block();
+        }
+        if (accept('else')) {
+          block();
+        }
+        expectMatch('end', 'if', token);
+        return false;
+
+      case 'while':
+        next();
+        read(expression());
+        expect('do');
+        loopDepth++;
+        block();
+        loopDepth--;
+        expectMatch('end', 'while', token);
+        return false;
+
+      case 'do':
+        next();
+        block();
+        expectMatch('end', 'do', token);
+        return false;
+
+      case 'for': {
+        next();
+        const names = [expectName()];
+        if (accept('=')) {
+          read(expression());
+          expect(',');
+          read(expression());
+          if (accept(',')) read(expression());
+        } else {
+          while (accept(',')) {
+            names.push(expectName());
+          }
+          expect('in');
+          expressionList();
+        }
+        expect('do');
+        loopDepth++;
+        withScope(names, block);
+        loopDepth--;
+        expectMatch('end', 'for', token);
+        return false;
+      }
+
+      case 'repeat':
+        next();
+        loopDepth++;
+        // The condition sees the locals of the loop body
+        withScope([], () => {
+          statements();
+          expectMatch('until', 'repeat', token);
+          read(expression());
+        });
+        loopDepth--;
+        return false;
+
+      case 'function': {
+        next();
+        const base = expectName();
+        let method = false;
+        let field = false;
+        while (check('.') || check(':')) {
+          method = next().value === ':';
+          field = true;
+          expectName();
+          if (method) break;
+        }
+        useGlobal(base, !field);
+        functionBody(token, method ? [{ value: 'self' }] : []);
+        return false;
+      }
+
+      case 'local':
+        next();
+        if (accept('function')) {
+          // The function can call itself, so its name is declared first
+          declare(expectName());
+          functionBody(token);
+        } else {
+          const names = [expectName()];
+          while (accept(',')) {
+            names.push(expectName());
+          }
+          if (accept('=')) {
+            expressionList();
+          }
+          names.forEach(declare);
+        }
+        return false;
+
+      case 'return':
+        next();
+        if (!blockFollows() && !check(';')) {
+          expressionList();
+        }
+        accept(';');
+        return true;
+
+      case 'break':
+        next();
+        if (loopDepth === 0) {
+          throw syntaxError('no loop to break', token.line, token.column);
+        }
+        return true;
+
+      default:
+        assignmentOrCall();
+        return false;
+    }
+  };
+
+  // return and break must be the last statements of a block
+  const statements = () => {
+    while (!blockFollows()) {
+      const last = statement();
+      accept(';');
+      if (last) break;
+    }
+  };
+
+  const block = () => withScope([], statements);
+
+  try {
+    statements();
+    if (peek().type !== 'eof') {
+      fail('\'<eof>\' expected');
+    }
+  } catch (error) {
+    if (error.line === undefined) throw error;
+    return [{ line: error.line, column: error.column, severity: 'error', message: error.message }];
+  }
+
+  return diagnostics;
+}
+
+module.exports = {
+  checkLua
+};
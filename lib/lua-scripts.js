@@ -1,58 +1,135 @@
 /**
  * Lua script support module
  *
- * Handles loading and registering Lua scripts from schema files.
+ * Handles loading and registering Lua scripts and Redis 7 function
+ * libraries from schema files, and calling registered scripts by name.
+ *
+ * The registry is the lua:scripts hash (under the key prefix), mapping each
+ * script name to a JSON entry: { sha, source, script, version, previous }.
+ * The version goes up whenever a script changes, and `previous` keeps the
+ * last versions so applications still calling them keep working.
+ *
+ * Function libraries are recorded the same way in the lua:functions hash,
+ * as { source, functions } entries, which tells the libraries removed from
+ * the schemas apart from those loaded by other applications.
  */
 
 const fs = require('fs');
-const path = require('path');
-const { log } = require('./utils');
+const { log, applyPrefixToCommand } = require('./utils');
+const { checkLua } = require('./lua-check');
 const crypto = require('crypto');
 
+// Previous versions kept in the registry for each script
+const SCRIPT_HISTORY_SIZE = 5;
+
 /**
- * Parse schema content for Lua scripts
+ * Parse a named block of schema lines, such as SCRIPT: name ... END_SCRIPT
  * @param {Array} lines - Schema file lines
- * @param {number} startIndex - Line index where SCRIPT: tag appears
- * @returns {Object|null} - Lua script information or null if invalid
+ * @param {number} startIndex - Line index where the tag appears
+ * @param {string} tag - Tag opening the block, such as SCRIPT:
+ * @param {string} endTag - Line closing the block, such as END_SCRIPT
+ * @returns {Object|null} - Block information or null if invalid
  */
-function parseSchemaForLuaScripts(lines, startIndex) {
-  if (!lines[startIndex] || !lines[startIndex].startsWith('SCRIPT:')) {
+function parseSchemaBlock(lines, startIndex, tag, endTag) {
+  const header = lines[startIndex] ? lines[startIndex].trim() : '';
+  if (!header.startsWith(tag)) {
     return null;
   }
 
-  const scriptName = lines[startIndex].substring(7).trim();
-  if (!scriptName) {
+  const name = header.substring(tag.length).trim();
+  if (!name) {
     return null;
   }
 
   let endIndex = -1;
-  const scriptLines = [];
+  const bodyLines = [];
 
   for (let i = startIndex + 1; i < lines.length; i++) {
-    if (lines[i].trim() === 'END_SCRIPT') {
+    if (lines[i].trim() === endTag) {
       endIndex = i;
       break;
     }
-    scriptLines.push(lines[i]);
+    bodyLines.push(lines[i]);
   }
 
   if (endIndex === -1) {
-    return null; // No END_SCRIPT found
+    return null; // No end tag found
   }
 
   return {
-    name: scriptName,
-    script: scriptLines.join('\n'),
+    name,
+    script: bodyLines.join('\n'),
     startIndex,
     endIndex
   };
 }
 
+/**
+ * Parse schema content for Lua scripts
+ * @param {Array} lines - Schema file lines
+ * @param {number} startIndex - Line index where SCRIPT: tag appears
+ * @returns {Object|null} - Lua script information or null if invalid
+ */
+function parseSchemaForLuaScripts(lines, startIndex) {
+  return parseSchemaBlock(lines, startIndex, 'SCRIPT:', 'END_SCRIPT');
+}
+
+/**
+ * Parse schema content for a Lua function library
+ * @param {Array} lines - Schema file lines
+ * @param {number} startIndex - Line index where FUNCTION: tag appears
+ * @returns {Object|null} - Library information or null if invalid
+ */
+function parseSchemaForLuaFunctions(lines, startIndex) {
+  return parseSchemaBlock(lines, startIndex, 'FUNCTION:', 'END_FUNCTION');
+}
+
+/**
+ * Parse schema content for a Lua script test
+ * @param {Array} lines - Schema file lines
+ * @param {number} startIndex - Line index where SCRIPT_TEST: tag appears
+ * @returns {Object|null} - Test information or null if invalid
+ */
+function parseSchemaForScriptTests(lines, startIndex) {
+  return parseSchemaBlock(lines, startIndex, 'SCRIPT_TEST:', 'END_SCRIPT_TEST');
+}
+
+/**
+ * Read the signature a script declares in its header comments
+ *
+ * The comment lines at the top of a script can declare its keys, its
+ * arguments and what it returns:
+ *
+ *   -- @keys user_key
+ *   -- @args username password
+ *   -- @returns 1 if the password matches, 0 otherwise
+ * @param {string} script - Lua script
+ * @returns {Object} - Signature as { keys, args, returns }
+ */
+function parseScriptSignature(script) {
+  const signature = { keys: [], args: [], returns: null };
+
+  for (const line of script.split('\n').map(l => l.trim()).filter(Boolean)) {
+    if (!line.startsWith('--')) break;
+
+    const tag = /^--\s*@(keys|args|returns)\b(.*)$/.exec(line);
+    if (!tag) continue;
+
+    if (tag[1] === 'returns') {
+      signature.returns = tag[2].trim() || null;
+    } else {
+      signature[tag[1]].push(...tag[2].trim().split(/\s+/).filter(Boolean));
+    }
+  }
+
+  return signature;
+}
+
 /**
  * Find all Lua scripts in schema content
  * @param {string} content - Schema content
  * @param {string} sourceName - Source name for logging
- * @returns {Array} - List of Lua scripts
+ * @returns {Array} - Scripts as { name, script, source, line, keys, args, returns }
  */
 function findLuaScriptsInSchema(content, sourceName) {
   const scripts = [];
@@ -66,7 +143,9 @@ function findLuaScriptsInSchema(content, sourceName) {
         scripts.push({
           name: scriptInfo.name,
           script: scriptInfo.script,
-          source: sourceName
+          source: sourceName,
+          line: i + 1,
+          ...parseScriptSignature(scriptInfo.script)
         });
 
         // Skip to the end of this script
@@ -79,43 +158,336 @@ function findLuaScriptsInSchema(content, sourceName) {
 }
 
 /**
- * Register Lua scripts from schemas
+ * Find all Lua script tests in schema content
+ *
+ * A SCRIPT_TEST: name ... END_SCRIPT_TEST block holds a test of the script
+ * with that name; its lines are read by the script test module.
+ * @param {string} content - Schema content
+ * @param {string} sourceName - Source name for logging
+ * @returns {Array} - Tests as { name, body, source, line }
+ */
+function findScriptTestsInSchema(content, sourceName) {
+  const tests = [];
+  const lines = content.split('\n');
+
+  for (let i = 0; i < lines.length; i++) {
+    if (lines[i].trim().startsWith('SCRIPT_TEST:')) {
+      const test = parseSchemaForScriptTests(lines, i);
+
+      if (test) {
+        tests.push({ name: test.name, body: test.script, source: sourceName, line: i + 1 });
+        i = test.endIndex;
+      }
+    }
+  }
+
+  return tests;
+}
+
+/**
+ * Find the end of a Lua table constructor
+ * @param {string} code - Lua code
+ * @param {number} start - Index of the opening {
+ * @returns {number} - Index of the closing }, or the end of the code
+ */
+function findTableEnd(code, start) {
+  let depth = 0;
+
+  for (let i = start; i < code.length; i++) {
+    if (code[i] === '{') depth++;
+    if (code[i] === '}' && --depth === 0) return i;
+  }
+
+  return code.length;
+}
+
+/**
+ * Find the functions a library registers, with their flags
+ *
+ * Both forms of redis.register_function are recognized: ('name', callback)
+ * and { function_name = 'name', callback = ..., flags = { ... } }.
+ * @param {string} code - Library code
+ * @returns {Array<Object>} - Functions as { name, flags }
+ */
+function findRegisteredFunctions(code) {
+  const functions = [];
+  const call = /redis\.register_function\s*(\(\s*)?(['"{])/g;
+  let match;
+
+  while ((match = call.exec(code)) !== null) {
+    const start = match.index + match[0].length - 1;
+
+    if (match[2] !== '{') {
+      const name = /^(['"])(.*?)\1/.exec(code.slice(start));
+      if (name) functions.push({ name: name[2], flags: [] });
+      continue;
+    }
+
+    const table = code.slice(start, findTableEnd(code, start) + 1);
+    const name = /function_name\s*=\s*(['"])(.*?)\1/.exec(table);
+    const flags = /flags\s*=\s*\{([^}]*)\}/.exec(table);
+
+    if (name) {
+      functions.push({
+        name: name[2],
+        flags: flags ? [...flags[1].matchAll(/(['"])(.*?)\1/g)].map(flag => flag[2]) : []
+      });
+    }
+  }
+
+  return functions;
+}
+
+/**
+ * Find all Lua function libraries in schema content
+ *
+ * A FUNCTION: name ... END_FUNCTION block holds the code of one library.
+ * @param {string} content - Schema content
+ * @param {string} sourceName - Source name for logging
+ * @returns {Array} - Libraries as { name, code, functions, source, line }
+ */
+function findLuaFunctionsInSchema(content, sourceName) {
+  const libraries = [];
+  const lines = content.split('\n');
+
+  for (let i = 0; i < lines.length; i++) {
+    if (lines[i].trim().startsWith('FUNCTION:')) {
+      const library = parseSchemaForLuaFunctions(lines, i);
+
+      if (library) {
+        libraries.push({
+          name: library.name,
+          code: library.script,
+          functions: findRegisteredFunctions(library.script),
+          source: sourceName,
+          line: i + 1
+        });
+
+        i = library.endIndex;
+      }
+    }
+  }
+
+  return libraries;
+}
+
+/**
+ * Get the code FUNCTION LOAD takes for a library
+ *
+ * The #!lua name=... line is added when the block does not start with one.
+ * @param {Object} library - Library found in the schemas
+ * @returns {string} - Library code
+ */
+function getLibraryCode(library) {
+  const code = library.code.trim();
+  const shebang = /^#!lua\b.*?\bname=(\S+)/.exec(code);
+
+  if (!code.startsWith('#!')) {
+    return `#!lua name=${library.name}\n${code}`;
+  }
+  if (!shebang || shebang[1] !== library.name) {
+    throw new Error(`The #! line of library ${library.name} must be "#!lua name=${library.name}"`);
+  }
+  return code;
+}
+
+/**
+ * Turn a flat [field, value, ...] reply into an object
+ * @param {Array} reply - Redis reply
+ * @returns {Object} - Fields and values
+ */
+function replyToObject(reply) {
+  const object = {};
+  for (let i = 0; i < reply.length; i += 2) {
+    object[reply[i]] = reply[i + 1];
+  }
+  return object;
+}
+
+/**
+ * Parse a FUNCTION LIST reply
+ * @param {Array} reply - Redis reply
+ * @returns {Array<Object>} - Libraries as { name, functions: [{ name, flags }] }
+ */
+function parseFunctionList(reply) {
+  return reply.map(replyToObject).map(library => ({
+    name: library.library_name,
+    functions: (library.functions || []).map(replyToObject).map(fn => ({ name: fn.name, flags: fn.flags || [] }))
+  }));
+}
+
+/**
+ * Find blocks, such as Lua scripts, in the schemas being loaded
+ *
+ * The schemas are found and parsed the way loadSchemas does, so blocks of
+ * subdirectories and included fragments count and blocks of a false `@if`
+ * branch do not. Variables whose values are generators are left out, so
+ * looking for blocks uses none of their values.
+ * @param {Object} config - Configuration options
+ * @param {boolean} fromString - Whether loading from string
+ * @param {Function} find - Finds the blocks of one schema, from its content and name
+ * @returns {Array|null} - Blocks found, or null if the schemas directory does not exist
+ */
+function findInSchemas(config, fromString, find) {
+  // Required here, as the schema loader requires this module
+  const { parseSchemas } = require('./schema-loader');
+
+  if (!fromString && !fs.existsSync(config.schemasDir)) {
+    return null;
+  }
+
+  const variables = Object.fromEntries(Object.entries(config.variables || {})
+    .filter(([, value]) => typeof value !== 'function'));
+  const { schemaFiles = [] } = parseSchemas({
+    ...config,
+    schemaName: config.schemaName || 'inline-schema',
+    variables
+  }, fromString);
+
+  return schemaFiles.flatMap(schema => schema.luaBlocks).flatMap(block =>
+    find(block.content, block.source).map(found => ({ ...found, line: found.line + block.line - 1 })));
+}
+
+/**
+ * Get the key of a registry
+ * @param {string} prefix - Key prefix
+ * @param {string} name - Registry name, scripts or functions
+ * @returns {string} - Registry key
+ */
+function getRegistryKey(prefix, name = 'scripts') {
+  return prefix ? `${prefix}lua:${name}` : `lua:${name}`;
+}
+
+/**
+ * Read a registry
  * @param {Object} client - Redis client
+ * @param {string} registryKey - Registry key
+ * @returns {Promise<Object>} - Registry entries by script or library name
+ */
+async function readRegistry(client, registryKey) {
+  const registry = {};
+
+  for (const [name, value] of Object.entries(await client.hGetAll(registryKey) || {})) {
+    try {
+      registry[name] = JSON.parse(value);
+    } catch (error) {
+      // Not written by redis-init
+    }
+  }
+
+  return registry;
+}
+
+/**
+ * Update registry entries and remove stale ones in one transaction
+ *
+ * Entries not named are left as they are, so a script that failed to load
+ * keeps its current entry and its previous versions.
+ * @param {Object} client - Redis client
+ * @param {string} registryKey - Registry key
+ * @param {Object} entries - Entries to write, by script or library name
+ * @param {Array} removed - Names to remove
+ * @returns {Promise<void>}
+ */
+async function writeRegistry(client, registryKey, entries, removed = []) {
+  if (Object.keys(entries).length === 0 && removed.length === 0) {
+    return;
+  }
+
+  // Queued as raw commands, which the transactions of cluster clients also take
+  const multi = client.multi();
+  for (const [name, entry] of Object.entries(entries)) {
+    multi.addCommand(['HSET', registryKey, name, JSON.stringify(entry)]);
+  }
+  if (removed.length > 0) {
+    multi.addCommand(['HDEL', registryKey, ...removed]);
+  }
+  await multi.exec();
+}
+
+/**
+ * Find the registry entries no longer in the schemas being loaded
+ *
+ * Loading a schemas directory covers every schema, while a schema loaded
+ * from a string only replaces the entries it wrote itself.
+ * @param {Object} registry - Registry entries by name
+ * @param {Array} names - Names found in the schemas
  * @param {Object} config - Configuration options
  * @param {boolean} fromString - Whether loading from string
- * @returns {Promise<Object>} - Registration result
+ * @returns {Array} - Names of stale entries
  */
-async function registerLuaScripts(client, config, fromString = false) {
-  try {
-    let scripts = [];
+function findStaleEntries(registry, names, config, fromString) {
+  const source = config.schemaName || 'inline-schema';
+  return Object.keys(registry).filter(name =>
+    !names.includes(name) && (!fromString || registry[name].source === source));
+}
 
-    if (fromString) {
-      if (!config.schemaContent) {
-        return { success: true, count: 0 };
-      }
+/**
+ * Build the registry entry of a script
+ *
+ * A script whose SHA changed gets the next version, and its current version
+ * moves to the front of the previous versions.
+ * @param {Object|undefined} existing - Current registry entry
+ * @param {Object} script - Script found in the schemas
+ * @param {string} sha - SHA1 of the script
+ * @returns {Object} - Registry entry
+ */
+function getRegistryEntry(existing, script, sha) {
+  const entry = { sha, source: script.source, script: script.script, version: 1, previous: [] };
+
+  if (!existing) {
+    return entry;
+  }
+
+  const version = existing.version || 1;
+  if (existing.sha === sha) {
+    return { ...entry, version, previous: existing.previous || [] };
+  }
+
+  return {
+    ...entry,
+    version: version + 1,
+    previous: [{ version, sha: existing.sha, script: existing.script }, ...(existing.previous || [])].slice(0, SCRIPT_HISTORY_SIZE)
+  };
+}
 
-      scripts = findLuaScriptsInSchema(config.schemaContent, config.schemaName || 'inline-schema');
+/**
+ * Check the Lua code of a schema block, logging what the check finds
+ * @param {string} kind - What the block holds, for messages
+ * @param {Object} block - Script or library found in a schema
+ * @param {string} code - Lua code of the block
+ * @param {Object} config - Configuration options
+ * @param {Object} options - Options of checkLua
+ * @returns {boolean} - Whether the code has no syntax error
+ */
+function checkLuaBlock(kind, block, code, config, options = {}) {
+  let valid = true;
+
+  for (const diagnostic of checkLua(code, options)) {
+    const location = `${block.source}:${block.line + diagnostic.line}:${diagnostic.column}`;
+    if (diagnostic.severity === 'error') {
+      log('error', `${location}: ${kind} ${block.name} has a syntax error and is skipped: ${diagnostic.message}`, config);
+      valid = false;
     } else {
-      const schemasDir = config.schemasDir;
-      if (!fs.existsSync(schemasDir)) {
-        return { success: false, error: `Schemas directory not found: ${schemasDir}` };
-      }
+      log('warn', `${location}: ${kind} ${block.name} ${diagnostic.message}`, config);
+    }
+  }
 
-      // Get schema files
-      const files = fs.readdirSync(schemasDir)
-        .filter(file => file.endsWith('.redis') || file.endsWith('.schema'))
-        .map(file => path.join(schemasDir, file));
-
-      // Find Lua scripts in all files
-      for (const file of files) {
-        try {
-          const content = fs.readFileSync(file, 'utf8');
-          const fileScripts = findLuaScriptsInSchema(content, path.basename(file));
-          scripts.push(...fileScripts);
-        } catch (error) {
-          log('error', `Failed to process Lua scripts in ${file}: ${error.message}`, config);
-        }
-      }
+  return valid;
+}
+
+/**
+ * Register Lua scripts from schemas
+ * @param {Object} client - Redis client
+ * @param {Object} config - Configuration options
+ * @param {boolean} fromString - Whether loading from string
+ * @returns {Promise<Object>} - Registration result
+ */
+async function registerLuaScripts(client, config, fromString = false) {
+  try {
+    const scripts = findInSchemas(config, fromString, findLuaScriptsInSchema);
+    if (scripts === null) {
+      return { success: false, error: `Schemas directory not found: ${config.schemasDir}` };
     }
 
     if (scripts.length === 0) {
@@ -125,16 +497,27 @@ async function registerLuaScripts(client, config, fromString = false) {
 
     log('info', `Found ${scripts.length} Lua scripts to register`, config);
 
+    // Scripts with syntax errors would be rejected by SCRIPT LOAD
+    const loadable = scripts.filter(script => checkLuaBlock('Lua script', script, script.script, config));
+
     if (config.dryRun) {
-      log('info', `Dry run: would register ${scripts.length} Lua scripts`, config);
-      return { success: true, count: scripts.length };
+      log('info', `Dry run: would register ${loadable.length} Lua scripts`, config);
+      return { success: true, count: loadable.length };
+    }
+
+    const registryKey = getRegistryKey(config.prefix);
+    let existingRegistry = {};
+    try {
+      existingRegistry = await readRegistry(client, registryKey);
+    } catch (error) {
+      log('warn', `Failed to read script registry, previous versions are not kept: ${error.message}`, config);
     }
 
     // Register each script and store its SHA
     const scriptRegistry = {};
     let successCount = 0;
 
-    for (const script of scripts) {
+    for (const script of loadable) {
       try {
         log('info', `Registering Lua script: ${script.name} from ${script.source}`, config);
 
@@ -148,10 +531,7 @@ async function registerLuaScripts(client, config, fromString = false) {
           log('warn', `SHA mismatch for script ${script.name}: expected ${hash}, got ${sha}`, config);
         }
 
-        scriptRegistry[script.name] = {
-          sha,
-          source: script.source
-        };
+        scriptRegistry[script.name] = getRegistryEntry(existingRegistry[script.name], script, sha);
 
         successCount++;
       } catch (error) {
@@ -159,19 +539,12 @@ async function registerLuaScripts(client, config, fromString = false) {
       }
     }
 
-    // Store script registry in Redis if not in dry-run mode
-    if (successCount > 0 && !config.dryRun) {
-      try {
-        const registryKey = config.prefix ? `${config.prefix}lua:scripts` : 'lua:scripts';
-        await client.del(registryKey);
-
-        // Store script registry for reference
-        for (const [name, info] of Object.entries(scriptRegistry)) {
-          await client.hSet(registryKey, name, JSON.stringify(info));
-        }
-      } catch (error) {
-        log('warn', `Failed to store script registry: ${error.message}`, config);
-      }
+    // Record the loaded scripts; those that failed keep their current entry
+    try {
+      const stale = findStaleEntries(existingRegistry, scripts.map(script => script.name), config, fromString);
+      await writeRegistry(client, registryKey, scriptRegistry, stale);
+    } catch (error) {
+      log('warn', `Failed to store script registry: ${error.message}`, config);
     }
 
     log('success', `Successfully registered ${successCount} of ${scripts.length} Lua scripts`, config);
@@ -188,8 +561,198 @@ async function registerLuaScripts(client, config, fromString = false) {
   }
 }
 
+/**
+ * Load Lua function libraries from schemas
+ *
+ * Each FUNCTION block is loaded with FUNCTION LOAD REPLACE, and the
+ * functions Redis reports for it with FUNCTION LIST are recorded in the
+ * lua:functions registry. Libraries recorded by an earlier load that are no
+ * longer in the schemas are deleted with FUNCTION DELETE. Requires Redis 7.
+ * @param {Object} client - Redis client
+ * @param {Object} config - Configuration options
+ * @param {boolean} fromString - Whether loading from string
+ * @returns {Promise<Object>} - Load result
+ */
+async function registerLuaFunctions(client, config, fromString = false) {
+  try {
+    const libraries = findInSchemas(config, fromString, findLuaFunctionsInSchema);
+    if (libraries === null) {
+      return { success: false, error: `Schemas directory not found: ${config.schemasDir}` };
+    }
+
+    const registryKey = getRegistryKey(config.prefix, 'functions');
+    let registered = {};
+    try {
+      registered = await readRegistry(client, registryKey);
+    } catch (error) {
+      log('warn', `Failed to read function registry, stale libraries are not deleted: ${error.message}`, config);
+    }
+
+    const stale = findStaleEntries(registered, libraries.map(library => library.name), config, fromString);
+
+    if (libraries.length === 0 && stale.length === 0) {
+      log('info', 'No Lua function libraries found in schemas', config);
+      return { success: true, count: 0, deleted: [] };
+    }
+
+    log('info', `Found ${libraries.length} Lua function libraries to load`, config);
+
+    // Libraries with syntax errors would be rejected by FUNCTION LOAD; the loaded version stays
+    const loadable = libraries.filter(library => checkLuaBlock('Lua function library', library, library.code, config, { library: true }));
+
+    if (config.dryRun) {
+      log('info', `Dry run: would load ${loadable.length} Lua function libraries and delete ${stale.length} stale ones`, config);
+      return { success: true, count: loadable.length, deleted: stale };
+    }
+
+    let successCount = 0;
+    for (const library of loadable) {
+      try {
+        log('info', `Loading Lua function library: ${library.name} from ${library.source}`, config);
+        await client.sendCommand(['FUNCTION', 'LOAD', 'REPLACE', getLibraryCode(library)]);
+        successCount++;
+      } catch (error) {
+        log('error', `Failed to load Lua function library ${library.name}: ${error.message}`, config);
+      }
+    }
+
+    const deleted = [];
+    for (const name of stale) {
+      try {
+        await client.sendCommand(['FUNCTION', 'DELETE', name]);
+        log('info', `Deleted stale Lua function library: ${name}`, config);
+        deleted.push(name);
+      } catch (error) {
+        if (/library not found/i.test(error.message)) {
+          deleted.push(name);
+        } else {
+          // Kept in the registry to be deleted next time
+          log('warn', `Failed to delete stale Lua function library ${name}: ${error.message}`, config);
+        }
+      }
+    }
+
+    // Record the libraries as Redis reports them
+    const functionRegistry = {};
+    try {
+      const loaded = parseFunctionList(await client.sendCommand(['FUNCTION', 'LIST']));
+      for (const library of libraries) {
+        const info = loaded.find(item => item.name === library.name);
+        if (info) {
+          functionRegistry[library.name] = { source: library.source, functions: info.functions };
+        }
+      }
+
+      await writeRegistry(client, registryKey, functionRegistry, deleted);
+    } catch (error) {
+      log('warn', `Failed to store function registry: ${error.message}`, config);
+    }
+
+    log('success', `Successfully loaded ${successCount} of ${libraries.length} Lua function libraries`, config);
+
+    return {
+      success: successCount === libraries.length,
+      count: successCount,
+      total: libraries.length,
+      deleted,
+      libraries: functionRegistry
+    };
+  } catch (error) {
+    log('error', `Failed to load Lua function libraries: ${error.message}`, config);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Get a runner that calls registered Lua scripts by name
+ *
+ * `run(name, keys, args)` calls the current version of a script, and a name
+ * such as "rate_limit@2" calls version 2 while it is among the previous
+ * versions of the registry. Scripts are called with EVALSHA, falling back to
+ * EVAL when Redis answers NOSCRIPT (after a restart or SCRIPT FLUSH), which
+ * also puts the script back in the script cache. The prefix is applied to
+ * KEYS, as it is to schema commands.
+ * @param {Object} client - Redis client
+ * @param {string} prefix - Key prefix, of the registry and of KEYS
+ * @returns {Promise<Object>} - Script runner
+ */
+async function getScriptRunner(client, prefix = '') {
+  const registryKey = getRegistryKey(prefix);
+  let registry = await readRegistry(client, registryKey);
+
+  /**
+   * Find the SHA and source of a script
+   * @param {string} name - Script name, optionally followed by @version
+   * @returns {Object} - { sha, script }
+   */
+  const resolve = name => {
+    const [, scriptName, version] = /^(.*?)(?:@(\d+))?$/.exec(name);
+    const entry = registry[scriptName];
+
+    if (!entry) {
+      throw new Error(`Unknown Lua script: ${scriptName}`);
+    }
+    if (!version || Number(version) === (entry.version || 1)) {
+      return entry;
+    }
+
+    const previous = (entry.previous || []).find(item => item.version === Number(version));
+    if (!previous) {
+      throw new Error(`Unknown version ${version} of Lua script ${scriptName}`);
+    }
+    return previous;
+  };
+
+  return {
+    /**
+     * List the names of the registered scripts
+     * @returns {Array<string>} - Script names
+     */
+    names() {
+      return Object.keys(registry);
+    },
+
+    /**
+     * Read the registry again, after scripts were registered
+     * @returns {Promise<void>}
+     */
+    async reload() {
+      registry = await readRegistry(client, registryKey);
+    },
+
+    /**
+     * Call a script
+     * @param {string} name - Script name, optionally followed by @version
+     * @param {Array} keys - Keys, without the prefix
+     * @param {Array} args - Arguments
+     * @returns {Promise<*>} - Reply of the script
+     */
+    async run(name, keys = [], args = []) {
+      const { sha, script } = resolve(name);
+      const params = [String(keys.length), ...keys, ...args].map(arg => (Buffer.isBuffer(arg) ? arg : String(arg)));
+
+      try {
+        return await client.sendCommand(applyPrefixToCommand(['EVALSHA', sha, ...params], prefix));
+      } catch (error) {
+        if (!script || !String(error.message).startsWith('NOSCRIPT')) {
+          throw error;
+        }
+        return client.sendCommand(applyPrefixToCommand(['EVAL', script, ...params], prefix));
+      }
+    }
+  };
+}
+
 module.exports = {
   registerLuaScripts,
+  registerLuaFunctions,
+  getScriptRunner,
   findLuaScriptsInSchema,
-  parseSchemaForLuaScripts
+  findLuaFunctionsInSchema,
+  findScriptTestsInSchema,
+  findInSchemas,
+  getLibraryCode,
+  parseSchemaForLuaScripts,
+  parseSchemaForLuaFunctions,
+  parseSchemaForScriptTests
 };
@@ -8,6 +8,15 @@ const fs = require('fs');
 const path = require('path');
 const { log } = require('./utils');
 
+/**
+ * Get schema name from schema file path
+ * @param {string} filePath - Path to schema file
+ * @returns {string} - Schema name (file name without extension)
+ */
+function getSchemaName(filePath) {
+  return path.basename(filePath, path.extname(filePath));
+}
+
 /**
  * Get schema version from schema file
  * @param {string} filePath - Path to schema file
@@ -99,6 +108,14 @@ async function updateSchemaVersion(client, schemaName, newVersion, config) {
 
 /**
  * Find migration files for a schema
+ *
+ * Builds the chain of `<name>_vN_to_vM.redis` files that leads from
+ * fromVersion to toVersion in the fewest steps, searching breadth-first so
+ * that a large step leading to a dead end does not hide another chain.
+ * Between chains of the same length, larger steps are taken first.
+ * Forward files (N < M) are used when upgrading and reverse files (N > M)
+ * when rolling back. When there is no chain, the error names the version
+ * nearest the target that can be reached.
  * @param {string} schemasDir - Schemas directory
  * @param {string} schemaName - Schema name
  * @param {number} fromVersion - Current version
@@ -107,30 +124,61 @@ async function updateSchemaVersion(client, schemaName, newVersion, config) {
  */
 async function findMigrationFiles(schemasDir, schemaName, fromVersion, toVersion) {
   try {
-    const migrationDir = path.join(schemasDir, 'migrations');
-
-    if (!fs.existsSync(migrationDir)) {
+    if (fromVersion === toVersion) {
       return { success: true, files: [] };
     }
 
-    const files = fs.readdirSync(migrationDir)
-      .filter(file => file.startsWith(`${schemaName}_`))
-      .filter(file => {
-        const versionMatch = file.match(/_v(\d+)_to_v(\d+)\.redis$/);
-        if (!versionMatch) return false;
+    const migrationDir = path.join(schemasDir, 'migrations');
+    const escapedName = schemaName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const filePattern = new RegExp(`^${escapedName}_v(\\d+)_to_v(\\d+)\\.redis$`);
+    const upgrading = fromVersion < toVersion;
+
+    const migrations = (fs.existsSync(migrationDir) ? fs.readdirSync(migrationDir) : [])
+      .map(file => {
+        const versionMatch = file.match(filePattern);
+        if (!versionMatch) return null;
+
+        return {
+          file,
+          from: parseInt(versionMatch[1], 10),
+          to: parseInt(versionMatch[2], 10)
+        };
+      })
+      .filter(migration => migration && (upgrading ? migration.from < migration.to : migration.from > migration.to));
+
+    // Each version reached keeps the migration that first reached it
+    const reachedBy = new Map([[fromVersion, null]]);
+    const pending = [fromVersion];
+    while (pending.length > 0 && !reachedBy.has(toVersion)) {
+      const version = pending.shift();
+      const steps = migrations
+        .filter(migration => migration.from === version && !reachedBy.has(migration.to) &&
+          (upgrading ? migration.to <= toVersion : migration.to >= toVersion))
+        .sort((a, b) => Math.abs(b.to - b.from) - Math.abs(a.to - a.from));
+
+      for (const step of steps) {
+        if (!reachedBy.has(step.to)) {
+          reachedBy.set(step.to, step);
+          pending.push(step.to);
+        }
+      }
+    }
 
-        const startVersion = parseInt(versionMatch[1], 10);
-        const endVersion = parseInt(versionMatch[2], 10);
+    if (!reachedBy.has(toVersion)) {
+      const nearest = [...reachedBy.keys()]
+        .reduce((best, version) => (Math.abs(toVersion - version) < Math.abs(toVersion - best) ? version : best));
+      return {
+        success: false,
+        error: `No migration found for schema ${schemaName} from version ${nearest} towards version ${toVersion}`
+      };
+    }
 
-        return startVersion >= fromVersion && endVersion <= toVersion;
-      })
-      .sort((a, b) => {
-        const versionA = parseInt(a.match(/_v(\d+)_to_v(\d+)\.redis$/)[1], 10);
-        const versionB = parseInt(b.match(/_v(\d+)_to_v(\d+)\.redis$/)[1], 10);
-        return versionA - versionB;
-      });
+    const chain = [];
+    for (let step = reachedBy.get(toVersion); step; step = reachedBy.get(step.from)) {
+      chain.unshift(step);
+    }
 
-    return { success: true, files: files.map(file => path.join(migrationDir, file)) };
+    return { success: true, files: chain.map(migration => path.join(migrationDir, migration.file)) };
   } catch (error) {
     return {
       success: false,
@@ -139,9 +187,57 @@ async function findMigrationFiles(schemasDir, schemaName, fromVersion, toVersion
   }
 }
 
+/**
+ * Decide how a schema should be brought to its declared version
+ *
+ * A schema that has never been applied is loaded in full; one that is
+ * behind is migrated with the files from findMigrationFiles; one that is
+ * current (or ahead of the file) is skipped.
+ * @param {Object} client - Redis client
+ * @param {string} schemasDir - Schemas directory
+ * @param {string} schemaName - Schema name
+ * @param {number} targetVersion - Version declared by the schema file
+ * @param {Object} config - Configuration options
+ * @returns {Promise<Object>} - Migration plan
+ */
+async function planSchemaMigration(client, schemasDir, schemaName, targetVersion, config) {
+  const check = await checkSchemaMigration(client, schemaName, targetVersion, config);
+  if (!check.success) {
+    return check;
+  }
+
+  const plan = {
+    success: true,
+    schema: schemaName,
+    fromVersion: check.storedVersion,
+    toVersion: targetVersion,
+    files: []
+  };
+
+  if (check.storedVersion === 0) {
+    return { ...plan, action: 'apply' };
+  }
+
+  if (!check.needsMigration) {
+    if (check.storedVersion > targetVersion) {
+      log('warn', `Schema ${schemaName} is at version ${check.storedVersion}, newer than the schema file (version ${targetVersion})`, config);
+    }
+    return { ...plan, action: 'skip' };
+  }
+
+  const migrationFiles = await findMigrationFiles(schemasDir, schemaName, check.storedVersion, targetVersion);
+  if (!migrationFiles.success) {
+    return { ...migrationFiles, schema: schemaName, fromVersion: check.storedVersion, toVersion: targetVersion };
+  }
+
+  return { ...plan, action: 'migrate', files: migrationFiles.files };
+}
+
 module.exports = {
+  getSchemaName,
   getSchemaVersion,
   checkSchemaMigration,
   updateSchemaVersion,
-  findMigrationFiles
+  findMigrationFiles,
+  planSchemaMigration
 };
@@ -0,0 +1,1330 @@
+/**
+ * RDB module
+ *
+ * Reads and writes Redis RDB files without a running server, so a backup
+ * can be loaded by redis-server directly and a dump.rdb can be restored
+ * through redis-init.
+ *
+ * Files are written as RDB version 9, which every Redis from 5.0 on loads,
+ * using the plain encoding of each type. Reading understands the encodings
+ * of every version up to 12 (Redis 7.4), except hashes with field
+ * expirations. Keys are read into the same records as NDJSON backups.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { once } = require('events');
+const { encodeValue, decodeValue } = require('./backup-file');
+
+const RDB_MAGIC = Buffer.from('REDIS');
+const RDB_WRITE_VERSION = 9;
+const RDB_MAX_READ_VERSION = 12;
+
+// Value types
+const RDB_TYPE = {
+  STRING: 0,
+  LIST: 1,
+  SET: 2,
+  ZSET: 3,
+  HASH: 4,
+  ZSET_2: 5,
+  MODULE_2: 7,
+  HASH_ZIPMAP: 9,
+  LIST_ZIPLIST: 10,
+  SET_INTSET: 11,
+  ZSET_ZIPLIST: 12,
+  HASH_ZIPLIST: 13,
+  LIST_QUICKLIST: 14,
+  STREAM_LISTPACKS: 15,
+  HASH_LISTPACK: 16,
+  ZSET_LISTPACK: 17,
+  LIST_QUICKLIST_2: 18,
+  STREAM_LISTPACKS_2: 19,
+  SET_LISTPACK: 20,
+  STREAM_LISTPACKS_3: 21
+};
+
+// Special records between keys
+const RDB_OPCODE = {
+  SLOT_INFO: 0xf4,
+  FUNCTION2: 0xf5,
+  MODULE_AUX: 0xf7,
+  IDLE: 0xf8,
+  FREQ: 0xf9,
+  AUX: 0xfa,
+  RESIZEDB: 0xfb,
+  EXPIRETIME_MS: 0xfc,
+  EXPIRETIME: 0xfd,
+  SELECTDB: 0xfe,
+  EOF: 0xff
+};
+
+// Opcodes inside module values
+const MODULE_OPCODE = { EOF: 0, SINT: 1, UINT: 2, FLOAT: 3, DOUBLE: 4, STRING: 5 };
+
+// Quicklist node containers
+const QUICKLIST_NODE_PLAIN = 1;
+
+// Stream entry flags
+const STREAM_ITEM_FLAG_DELETED = 1;
+const STREAM_ITEM_FLAG_SAMEFIELDS = 2;
+
+// Entries per stream node, as with the default stream-node-max-entries
+const STREAM_NODE_ENTRIES = 100;
+
+// Consumer group entries-read value meaning "unknown"
+const INVALID_ENTRIES_READ = 2n ** 64n - 1n;
+
+// Characters of module type names, which are packed into module ids
+const MODULE_NAME_CHARSET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+// Bytes read from an RDB file at a time
+const READ_CHUNK_SIZE = 64 * 1024;
+
+// CRC-64/Jones lookup table, split into 32-bit halves
+const CRC64_TABLE = (() => {
+  const polynomial = 0x95ac9329ac4bc9b5n; // 0xad93d23594c935a9 reflected
+  const high = new Uint32Array(256);
+  const low = new Uint32Array(256);
+
+  for (let i = 0; i < 256; i++) {
+    let crc = BigInt(i);
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 1n ? (crc >> 1n) ^ polynomial : crc >> 1n;
+    }
+    high[i] = Number(crc >> 32n);
+    low[i] = Number(crc & 0xffffffffn);
+  }
+
+  return { high, low };
+})();
+
+/**
+ * Create a running CRC-64, the checksum Redis uses for RDB files and DUMP payloads
+ * @returns {Object} - Checksum with update(buffer) and digest()
+ */
+function createCrc64() {
+  let high = 0;
+  let low = 0;
+
+  return {
+    update(buffer) {
+      for (let i = 0; i < buffer.length; i++) {
+        const index = (low ^ buffer[i]) & 0xff;
+        low = (((low >>> 8) | (high << 24)) ^ CRC64_TABLE.low[index]) >>> 0;
+        high = ((high >>> 8) ^ CRC64_TABLE.high[index]) >>> 0;
+      }
+    },
+
+    // Little-endian, as stored by Redis
+    digest() {
+      const result = Buffer.alloc(8);
+      result.writeUInt32LE(low, 0);
+      result.writeUInt32LE(high, 4);
+      return result;
+    }
+  };
+}
+
+/**
+ * Compute the CRC-64 of a buffer
+ * @param {Buffer} buffer - Data
+ * @returns {Buffer} - Checksum, little-endian
+ */
+function crc64(buffer) {
+  const crc = createCrc64();
+  crc.update(buffer);
+  return crc.digest();
+}
+
+/**
+ * Decompress an LZF-compressed string
+ * @param {Buffer} input - Compressed data
+ * @param {number} length - Uncompressed length
+ * @returns {Buffer} - Uncompressed data
+ */
+function lzfDecompress(input, length) {
+  const output = Buffer.alloc(length);
+  let inputIndex = 0;
+  let outputIndex = 0;
+
+  while (inputIndex < input.length) {
+    const control = input[inputIndex++];
+
+    if (control < 32) {
+      // Literal run
+      input.copy(output, outputIndex, inputIndex, inputIndex + control + 1);
+      inputIndex += control + 1;
+      outputIndex += control + 1;
+      continue;
+    }
+
+    // Back reference
+    let runLength = control >> 5;
+    if (runLength === 7) {
+      runLength += input[inputIndex++];
+    }
+    let reference = outputIndex - ((control & 0x1f) << 8) - input[inputIndex++] - 1;
+
+    if (reference < 0) {
+      throw new Error('Invalid LZF data in RDB file');
+    }
+    for (let i = 0; i < runLength + 2; i++) {
+      output[outputIndex++] = output[reference++];
+    }
+  }
+
+  if (outputIndex !== length) {
+    throw new Error('Invalid LZF data in RDB file');
+  }
+
+  return output;
+}
+
+/**
+ * Get the size of a listpack entry's back length
+ * @param {number} size - Size of the entry's encoding and data
+ * @returns {number} - Bytes used by the back length
+ */
+function getBacklenSize(size) {
+  if (size <= 127) return 1;
+  if (size < 16383) return 2;
+  if (size < 2097151) return 3;
+  if (size < 268435455) return 4;
+  return 5;
+}
+
+/**
+ * Parse a listpack into its elements
+ * @param {Buffer} buffer - Listpack
+ * @returns {Array} - Elements: Buffers for strings, BigInts for integers
+ */
+function parseListpack(buffer) {
+  const items = [];
+  let offset = 6;
+
+  while (buffer[offset] !== 0xff) {
+    if (offset >= buffer.length) {
+      throw new Error('Invalid listpack in RDB file');
+    }
+
+    const encoding = buffer[offset];
+    let value;
+    let size;
+
+    if ((encoding & 0x80) === 0) {
+      value = BigInt(encoding & 0x7f);
+      size = 1;
+    } else if ((encoding & 0xc0) === 0x80) {
+      const length = encoding & 0x3f;
+      value = buffer.subarray(offset + 1, offset + 1 + length);
+      size = 1 + length;
+    } else if ((encoding & 0xe0) === 0xc0) {
+      const unsigned = ((encoding & 0x1f) << 8) | buffer[offset + 1];
+      value = BigInt(unsigned >= 4096 ? unsigned - 8192 : unsigned);
+      size = 2;
+    } else if ((encoding & 0xf0) === 0xe0) {
+      const length = ((encoding & 0x0f) << 8) | buffer[offset + 1];
+      value = buffer.subarray(offset + 2, offset + 2 + length);
+      size = 2 + length;
+    } else {
+      switch (encoding) {
+        case 0xf0: {
+          const length = buffer.readUInt32LE(offset + 1);
+          value = buffer.subarray(offset + 5, offset + 5 + length);
+          size = 5 + length;
+          break;
+        }
+        case 0xf1:
+          value = BigInt(buffer.readInt16LE(offset + 1));
+          size = 3;
+          break;
+        case 0xf2:
+          value = BigInt(buffer.readIntLE(offset + 1, 3));
+          size = 4;
+          break;
+        case 0xf3:
+          value = BigInt(buffer.readInt32LE(offset + 1));
+          size = 5;
+          break;
+        case 0xf4:
+          value = buffer.readBigInt64LE(offset + 1);
+          size = 9;
+          break;
+        default:
+          throw new Error(`Invalid listpack encoding 0x${encoding.toString(16)} in RDB file`);
+      }
+    }
+
+    items.push(value);
+    offset += size + getBacklenSize(size);
+  }
+
+  return items;
+}
+
+/**
+ * Parse a ziplist into its elements
+ * @param {Buffer} buffer - Ziplist
+ * @returns {Array} - Elements: Buffers for strings, BigInts for integers
+ */
+function parseZiplist(buffer) {
+  const items = [];
+  let offset = 10;
+
+  while (buffer[offset] !== 0xff) {
+    if (offset >= buffer.length) {
+      throw new Error('Invalid ziplist in RDB file');
+    }
+
+    // Skip the previous entry's length
+    offset += buffer[offset] === 0xfe ? 5 : 1;
+
+    const encoding = buffer[offset];
+    switch (encoding >> 6) {
+      case 0: {
+        const length = encoding & 0x3f;
+        items.push(buffer.subarray(offset + 1, offset + 1 + length));
+        offset += 1 + length;
+        break;
+      }
+      case 1: {
+        const length = ((encoding & 0x3f) << 8) | buffer[offset + 1];
+        items.push(buffer.subarray(offset + 2, offset + 2 + length));
+        offset += 2 + length;
+        break;
+      }
+      case 2: {
+        const length = buffer.readUInt32BE(offset + 1);
+        items.push(buffer.subarray(offset + 5, offset + 5 + length));
+        offset += 5 + length;
+        break;
+      }
+      default:
+        switch (encoding) {
+          case 0xc0:
+            items.push(BigInt(buffer.readInt16LE(offset + 1)));
+            offset += 3;
+            break;
+          case 0xd0:
+            items.push(BigInt(buffer.readInt32LE(offset + 1)));
+            offset += 5;
+            break;
+          case 0xe0:
+            items.push(buffer.readBigInt64LE(offset + 1));
+            offset += 9;
+            break;
+          case 0xf0:
+            items.push(BigInt(buffer.readIntLE(offset + 1, 3)));
+            offset += 4;
+            break;
+          case 0xfe:
+            items.push(BigInt(buffer.readInt8(offset + 1)));
+            offset += 2;
+            break;
+          default:
+            if (encoding < 0xf1 || encoding > 0xfd) {
+              throw new Error(`Invalid ziplist encoding 0x${encoding.toString(16)} in RDB file`);
+            }
+            // 4-bit immediate integer from 0 to 12
+            items.push(BigInt((encoding & 0x0f) - 1));
+            offset += 1;
+        }
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Parse an intset into its members
+ * @param {Buffer} buffer - Intset
+ * @returns {Array} - Members as BigInts
+ */
+function parseIntset(buffer) {
+  const encoding = buffer.readUInt32LE(0);
+  const length = buffer.readUInt32LE(4);
+  const items = [];
+
+  for (let i = 0; i < length; i++) {
+    const offset = 8 + i * encoding;
+    items.push(encoding === 8 ? buffer.readBigInt64LE(offset) : BigInt(buffer.readIntLE(offset, encoding)));
+  }
+
+  return items;
+}
+
+/**
+ * Parse a zipmap, the hash encoding of Redis 2.4 and earlier
+ * @param {Buffer} buffer - Zipmap
+ * @returns {Array} - Fields and values, alternating
+ */
+function parseZipmap(buffer) {
+  const items = [];
+  let offset = 1;
+
+  const readLength = () => {
+    const first = buffer[offset];
+    if (first < 254) {
+      offset += 1;
+      return first;
+    }
+    if (first === 254) {
+      offset += 5;
+      return buffer.readUInt32LE(offset - 4);
+    }
+    return null;
+  };
+
+  for (let length = readLength(); length !== null; length = readLength()) {
+    items.push(buffer.subarray(offset, offset + length));
+    offset += length;
+
+    const valueLength = readLength();
+    const free = buffer[offset++];
+    items.push(buffer.subarray(offset, offset + valueLength));
+    offset += valueLength + free;
+  }
+
+  return items;
+}
+
+/**
+ * Convert a parsed list element to text for a backup record
+ * @param {Buffer|BigInt} item - Element
+ * @returns {string|Object} - Encoded value
+ */
+function toText(item) {
+  return typeof item === 'bigint' ? String(item) : encodeValue(item);
+}
+
+/**
+ * Convert a parsed list element to an integer
+ * @param {Buffer|BigInt} item - Element
+ * @returns {BigInt} - Integer
+ */
+function toBigInt(item) {
+  return typeof item === 'bigint' ? item : BigInt(item.toString());
+}
+
+/**
+ * Group alternating elements into encoded pairs
+ * @param {Array} items - Elements
+ * @returns {Array} - [first, second] pairs
+ */
+function pairItems(items) {
+  const pairs = [];
+  for (let i = 0; i < items.length; i += 2) {
+    pairs.push([toText(items[i]), toText(items[i + 1])]);
+  }
+  return pairs;
+}
+
+/**
+ * Format a sorted set score the way Redis replies with it
+ * @param {number} score - Score
+ * @returns {string} - Score as text
+ */
+function formatScore(score) {
+  if (score === Infinity) return 'inf';
+  if (score === -Infinity) return '-inf';
+  return String(score);
+}
+
+/**
+ * Parse a sorted set score as written in a backup record
+ * @param {string} score - Score as text
+ * @returns {number} - Score
+ */
+function parseScore(score) {
+  const text = String(score).toLowerCase();
+  if (text === 'inf' || text === '+inf') return Infinity;
+  if (text === '-inf') return -Infinity;
+  return Number(text);
+}
+
+/**
+ * Parse a stream ID
+ * @param {string} id - ID as ms-seq
+ * @returns {Object} - { ms, seq } as BigInts
+ */
+function parseStreamId(id) {
+  const [ms, seq = '0'] = String(id).split('-');
+  return { ms: BigInt(ms), seq: BigInt(seq) };
+}
+
+/**
+ * Format a stream ID
+ * @param {BigInt} ms - Milliseconds part
+ * @param {BigInt} seq - Sequence part
+ * @returns {string} - ID as ms-seq
+ */
+function formatStreamId(ms, seq) {
+  return `${ms}-${seq}`;
+}
+
+/**
+ * Decode the type name packed into a module id
+ * @param {BigInt} id - Module id
+ * @returns {string} - Module type name, such as ReJSON-RL
+ */
+function getModuleTypeName(id) {
+  let name = '';
+  for (let i = 8; i >= 0; i--) {
+    name += MODULE_NAME_CHARSET[Number((id >> BigInt(10 + i * 6)) & 63n)];
+  }
+  return name;
+}
+
+/**
+ * Create a reader over an open RDB file
+ *
+ * Bytes are read ahead in chunks and added to the file's checksum as they
+ * are consumed.
+ * @param {number} fd - File descriptor
+ * @returns {Object} - Reader
+ */
+function createRdbReader(fd) {
+  const crc = createCrc64();
+  let buffer = Buffer.alloc(0);
+  let position = 0;
+  let captured = null;
+
+  const reader = {
+    async take(size) {
+      if (buffer.length - position < size) {
+        const chunks = [buffer.subarray(position)];
+        let available = chunks[0].length;
+
+        while (available < size) {
+          const chunk = Buffer.alloc(Math.max(size - available, READ_CHUNK_SIZE));
+          const { bytesRead } = await fs.read(fd, chunk, 0, chunk.length, null);
+          if (bytesRead === 0) {
+            throw new Error('RDB file is truncated');
+          }
+          chunks.push(chunk.subarray(0, bytesRead));
+          available += bytesRead;
+        }
+
+        buffer = Buffer.concat(chunks);
+        position = 0;
+      }
+
+      const data = buffer.subarray(position, position + size);
+      position += size;
+      crc.update(data);
+      if (captured) {
+        captured.push(data);
+      }
+      return data;
+    },
+
+    async byte() {
+      return (await reader.take(1))[0];
+    },
+
+    // Length, or the special encoding of a string as { encoding }
+    async lengthOrEncoding() {
+      const first = await reader.byte();
+
+      switch (first >> 6) {
+        case 0:
+          return { value: BigInt(first & 0x3f) };
+        case 1:
+          return { value: BigInt(((first & 0x3f) << 8) | await reader.byte()) };
+        case 2:
+          if (first === 0x80) return { value: BigInt((await reader.take(4)).readUInt32BE(0)) };
+          if (first === 0x81) return { value: (await reader.take(8)).readBigUInt64BE(0) };
+          throw new Error(`Invalid length encoding 0x${first.toString(16)} in RDB file`);
+        default:
+          return { encoding: first & 0x3f };
+      }
+    },
+
+    async lengthBig() {
+      const { value } = await reader.lengthOrEncoding();
+      if (value === undefined) {
+        throw new Error('Expected a length in RDB file');
+      }
+      return value;
+    },
+
+    async length() {
+      return Number(await reader.lengthBig());
+    },
+
+    async string() {
+      const { value, encoding } = await reader.lengthOrEncoding();
+
+      switch (encoding) {
+        case undefined:
+          return Buffer.from(await reader.take(Number(value)));
+        case 0:
+          return Buffer.from(String((await reader.take(1)).readInt8(0)));
+        case 1:
+          return Buffer.from(String((await reader.take(2)).readInt16LE(0)));
+        case 2:
+          return Buffer.from(String((await reader.take(4)).readInt32LE(0)));
+        case 3: {
+          const compressedLength = await reader.length();
+          const length = await reader.length();
+          return lzfDecompress(await reader.take(compressedLength), length);
+        }
+        default:
+          throw new Error(`Invalid string encoding ${encoding} in RDB file`);
+      }
+    },
+
+    // Score of the old ZSET type, stored as text
+    async stringDouble() {
+      const length = await reader.byte();
+      if (length === 253) return NaN;
+      if (length === 254) return Infinity;
+      if (length === 255) return -Infinity;
+      return Number((await reader.take(length)).toString());
+    },
+
+    async binaryDouble() {
+      return (await reader.take(8)).readDoubleLE(0);
+    },
+
+    async millisecondTime() {
+      return Number((await reader.take(8)).readBigInt64LE(0));
+    },
+
+    // Keep the bytes consumed from now on, to copy a value verbatim
+    startCapture() {
+      captured = [];
+    },
+
+    endCapture() {
+      const data = Buffer.concat(captured);
+      captured = null;
+      return data;
+    },
+
+    checksum: () => crc.digest()
+  };
+
+  return reader;
+}
+
+/**
+ * Read the opcodes of a module value up to its EOF opcode
+ * @param {Object} reader - RDB reader
+ * @returns {Promise<void>}
+ */
+async function skipModuleOpcodes(reader) {
+  for (let opcode = await reader.length(); opcode !== MODULE_OPCODE.EOF; opcode = await reader.length()) {
+    switch (opcode) {
+      case MODULE_OPCODE.SINT:
+      case MODULE_OPCODE.UINT:
+        await reader.lengthBig();
+        break;
+      case MODULE_OPCODE.FLOAT:
+        await reader.take(4);
+        break;
+      case MODULE_OPCODE.DOUBLE:
+        await reader.take(8);
+        break;
+      case MODULE_OPCODE.STRING:
+        await reader.string();
+        break;
+      default:
+        throw new Error(`Invalid module opcode ${opcode} in RDB file`);
+    }
+  }
+}
+
+/**
+ * Read a module value into a DUMP payload that RESTORE accepts
+ * @param {Object} reader - RDB reader
+ * @param {number} version - RDB version of the file
+ * @returns {Promise<Object>} - { type, dump }
+ */
+async function readModuleValue(reader, version) {
+  reader.startCapture();
+  const id = await reader.lengthBig();
+  await skipModuleOpcodes(reader);
+  const body = reader.endCapture();
+
+  const trailer = Buffer.alloc(2);
+  trailer.writeUInt16LE(version);
+  const payload = Buffer.concat([Buffer.from([RDB_TYPE.MODULE_2]), body, trailer]);
+
+  return {
+    type: getModuleTypeName(id),
+    dump: Buffer.concat([payload, crc64(payload)]).toString('base64')
+  };
+}
+
+/**
+ * Read a stream with its consumer groups
+ * @param {Object} reader - RDB reader
+ * @param {number} type - Stream RDB type, which decides the metadata present
+ * @returns {Promise<Object>} - Stream value
+ */
+async function readStreamValue(reader, type) {
+  const entries = [];
+
+  const nodeCount = await reader.length();
+  for (let node = 0; node < nodeCount; node++) {
+    const masterId = await reader.string();
+    const masterMs = masterId.readBigUInt64BE(0);
+    const masterSeq = masterId.readBigUInt64BE(8);
+    const items = parseListpack(await reader.string());
+    let index = 0;
+    const next = () => items[index++];
+
+    // Master entry: count, deleted, fields and a terminating 0
+    next();
+    next();
+    const masterFields = [];
+    for (let count = Number(next()); count > 0; count--) {
+      masterFields.push(next());
+    }
+    next();
+
+    while (index < items.length) {
+      const flags = Number(next());
+      const id = formatStreamId(masterMs + toBigInt(next()), masterSeq + toBigInt(next()));
+      const fields = [];
+
+      if (flags & STREAM_ITEM_FLAG_SAMEFIELDS) {
+        for (const field of masterFields) {
+          fields.push([toText(field), toText(next())]);
+        }
+      } else {
+        for (let count = Number(next()); count > 0; count--) {
+          fields.push([toText(next()), toText(next())]);
+        }
+      }
+      next(); // lp-count
+
+      if (!(flags & STREAM_ITEM_FLAG_DELETED)) {
+        entries.push([id, fields]);
+      }
+    }
+  }
+
+  await reader.lengthBig(); // length
+  const lastId = formatStreamId(await reader.lengthBig(), await reader.lengthBig());
+  let entriesAdded = null;
+  let maxDeletedId = null;
+
+  if (type >= RDB_TYPE.STREAM_LISTPACKS_2) {
+    await reader.lengthBig(); // first id
+    await reader.lengthBig();
+    maxDeletedId = formatStreamId(await reader.lengthBig(), await reader.lengthBig());
+    entriesAdded = await reader.length();
+  }
+
+  const groups = [];
+  const groupCount = await reader.length();
+  for (let group = 0; group < groupCount; group++) {
+    const name = (await reader.string()).toString();
+    const lastDeliveredId = formatStreamId(await reader.lengthBig(), await reader.lengthBig());
+    let entriesRead = null;
+
+    if (type >= RDB_TYPE.STREAM_LISTPACKS_2) {
+      const value = await reader.lengthBig();
+      entriesRead = value === INVALID_ENTRIES_READ ? null : Number(value);
+    }
+
+    const deliveries = new Map();
+    const pendingCount = await reader.length();
+    for (let i = 0; i < pendingCount; i++) {
+      const rawId = await reader.take(16);
+      const id = formatStreamId(rawId.readBigUInt64BE(0), rawId.readBigUInt64BE(8));
+      await reader.millisecondTime(); // delivery time
+      deliveries.set(id, await reader.length());
+    }
+
+    const consumers = [];
+    const pending = [];
+    const consumerCount = await reader.length();
+    for (let i = 0; i < consumerCount; i++) {
+      const consumer = (await reader.string()).toString();
+      consumers.push(consumer);
+      await reader.millisecondTime(); // seen time
+      if (type >= RDB_TYPE.STREAM_LISTPACKS_3) {
+        await reader.millisecondTime(); // active time
+      }
+
+      for (let count = await reader.length(); count > 0; count--) {
+        const rawId = await reader.take(16);
+        const id = formatStreamId(rawId.readBigUInt64BE(0), rawId.readBigUInt64BE(8));
+        pending.push({ id, consumer, deliveries: deliveries.get(id) });
+      }
+    }
+
+    // In ID order, as XPENDING lists them
+    pending.sort((a, b) => {
+      const first = parseStreamId(a.id);
+      const second = parseStreamId(b.id);
+      if (first.ms !== second.ms) return first.ms < second.ms ? -1 : 1;
+      return first.seq < second.seq ? -1 : first.seq > second.seq ? 1 : 0;
+    });
+
+    groups.push({ name, lastDeliveredId, entriesRead, consumers, pending });
+  }
+
+  return { lastId, entriesAdded, maxDeletedId, entries, groups };
+}
+
+/**
+ * Read a value of the given RDB type
+ * @param {Object} reader - RDB reader
+ * @param {number} type - RDB value type
+ * @param {number} version - RDB version of the file
+ * @returns {Promise<Object>} - { type, value }, or { type, dump } for module types
+ */
+async function readValue(reader, type, version) {
+  const readStrings = async () => {
+    const items = [];
+    for (let count = await reader.length(); count > 0; count--) {
+      items.push(await reader.string());
+    }
+    return items;
+  };
+
+  switch (type) {
+    case RDB_TYPE.STRING:
+      return { type: 'string', value: encodeValue(await reader.string()) };
+
+    case RDB_TYPE.LIST:
+      return { type: 'list', value: (await readStrings()).map(toText) };
+
+    case RDB_TYPE.LIST_ZIPLIST:
+      return { type: 'list', value: parseZiplist(await reader.string()).map(toText) };
+
+    case RDB_TYPE.LIST_QUICKLIST:
+    case RDB_TYPE.LIST_QUICKLIST_2: {
+      const value = [];
+      for (let count = await reader.length(); count > 0; count--) {
+        const container = type === RDB_TYPE.LIST_QUICKLIST_2 ? await reader.length() : null;
+        const node = await reader.string();
+
+        if (container === QUICKLIST_NODE_PLAIN) {
+          value.push(toText(node));
+        } else {
+          const items = type === RDB_TYPE.LIST_QUICKLIST_2 ? parseListpack(node) : parseZiplist(node);
+          value.push(...items.map(toText));
+        }
+      }
+      return { type: 'list', value };
+    }
+
+    case RDB_TYPE.SET:
+      return { type: 'set', value: (await readStrings()).map(toText) };
+
+    case RDB_TYPE.SET_INTSET:
+      return { type: 'set', value: parseIntset(await reader.string()).map(toText) };
+
+    case RDB_TYPE.SET_LISTPACK:
+      return { type: 'set', value: parseListpack(await reader.string()).map(toText) };
+
+    case RDB_TYPE.ZSET:
+    case RDB_TYPE.ZSET_2: {
+      const value = [];
+      for (let count = await reader.length(); count > 0; count--) {
+        const member = toText(await reader.string());
+        const score = type === RDB_TYPE.ZSET_2 ? await reader.binaryDouble() : await reader.stringDouble();
+        value.push([member, formatScore(score)]);
+      }
+      return { type: 'zset', value };
+    }
+
+    case RDB_TYPE.ZSET_ZIPLIST:
+      return { type: 'zset', value: pairItems(parseZiplist(await reader.string())) };
+
+    case RDB_TYPE.ZSET_LISTPACK:
+      return { type: 'zset', value: pairItems(parseListpack(await reader.string())) };
+
+    case RDB_TYPE.HASH: {
+      const value = [];
+      for (let count = await reader.length(); count > 0; count--) {
+        value.push([toText(await reader.string()), toText(await reader.string())]);
+      }
+      return { type: 'hash', value };
+    }
+
+    case RDB_TYPE.HASH_ZIPMAP:
+      return { type: 'hash', value: pairItems(parseZipmap(await reader.string())) };
+
+    case RDB_TYPE.HASH_ZIPLIST:
+      return { type: 'hash', value: pairItems(parseZiplist(await reader.string())) };
+
+    case RDB_TYPE.HASH_LISTPACK:
+      return { type: 'hash', value: pairItems(parseListpack(await reader.string())) };
+
+    case RDB_TYPE.STREAM_LISTPACKS:
+    case RDB_TYPE.STREAM_LISTPACKS_2:
+    case RDB_TYPE.STREAM_LISTPACKS_3:
+      return { type: 'stream', value: await readStreamValue(reader, type) };
+
+    case RDB_TYPE.MODULE_2:
+      return readModuleValue(reader, version);
+
+    default:
+      throw new Error(`Unsupported value type ${type} in RDB file`);
+  }
+}
+
+/**
+ * Check whether a file is an RDB file
+ * @param {string} filePath - File path
+ * @returns {Promise<boolean>} - True if the file starts with the RDB magic string
+ */
+async function isRdbFile(filePath) {
+  const fd = await fs.open(filePath, 'r');
+
+  try {
+    const magic = Buffer.alloc(RDB_MAGIC.length);
+    const { bytesRead } = await fs.read(fd, magic, 0, magic.length, 0);
+    return bytesRead === magic.length && magic.equals(RDB_MAGIC);
+  } finally {
+    await fs.close(fd);
+  }
+}
+
+/**
+ * Read an RDB file key by key
+ *
+ * Yields a header and then one backup record per key. Keys that have
+ * already expired are skipped, as redis-server does when loading.
+ * @param {string} filePath - RDB file path
+ * @param {Object} options - Only keys starting with `prefix`, and only from `database` if set
+ * @returns {AsyncGenerator<Object>} - Header, then key records
+ */
+async function* readRdb(filePath, options = {}) {
+  const fd = await fs.open(filePath, 'r');
+
+  try {
+    const reader = createRdbReader(fd);
+    const magic = await reader.take(RDB_MAGIC.length + 4);
+
+    if (!magic.subarray(0, RDB_MAGIC.length).equals(RDB_MAGIC)) {
+      throw new Error('Not an RDB file');
+    }
+
+    const version = parseInt(magic.subarray(RDB_MAGIC.length).toString(), 10);
+    if (!(version >= 1 && version <= RDB_MAX_READ_VERSION)) {
+      throw new Error(`Unsupported RDB version ${magic.subarray(RDB_MAGIC.length)}`);
+    }
+
+    const prefix = Buffer.from(options.prefix || '');
+    yield { format: 'rdb', rdbVersion: version, prefix: options.prefix || '' };
+
+    let database = 0;
+    let expiresAt = null;
+
+    for (;;) {
+      const type = await reader.byte();
+
+      switch (type) {
+        case RDB_OPCODE.EXPIRETIME_MS:
+          expiresAt = await reader.millisecondTime();
+          continue;
+
+        case RDB_OPCODE.EXPIRETIME:
+          expiresAt = (await reader.take(4)).readUInt32LE(0) * 1000;
+          continue;
+
+        case RDB_OPCODE.SELECTDB:
+          database = await reader.length();
+          continue;
+
+        case RDB_OPCODE.RESIZEDB:
+          await reader.lengthBig();
+          await reader.lengthBig();
+          continue;
+
+        case RDB_OPCODE.SLOT_INFO:
+          await reader.lengthBig();
+          await reader.lengthBig();
+          await reader.lengthBig();
+          continue;
+
+        case RDB_OPCODE.AUX:
+          await reader.string();
+          await reader.string();
+          continue;
+
+        case RDB_OPCODE.FREQ:
+          await reader.byte();
+          continue;
+
+        case RDB_OPCODE.IDLE:
+          await reader.lengthBig();
+          continue;
+
+        case RDB_OPCODE.FUNCTION2:
+          // Functions come from schemas, not from backups
+          await reader.string();
+          continue;
+
+        case RDB_OPCODE.MODULE_AUX:
+          await reader.lengthBig(); // module id
+          await reader.lengthBig(); // when opcode
+          await reader.lengthBig(); // when
+          await skipModuleOpcodes(reader);
+          continue;
+
+        case RDB_OPCODE.EOF: {
+          if (version >= 5) {
+            const expected = reader.checksum();
+            const stored = await reader.take(8);
+            // A zero checksum means it was disabled when the file was saved
+            if (!stored.equals(Buffer.alloc(8)) && !stored.equals(expected)) {
+              throw new Error('RDB file checksum does not match: the file is corrupt');
+            }
+          }
+          return;
+        }
+
+        default: {
+          const key = await reader.string();
+          const value = await readValue(reader, type, version);
+          const expiry = expiresAt;
+          expiresAt = null;
+
+          if (options.database !== undefined && options.database !== null && database !== Number(options.database)) continue;
+          if (!key.subarray(0, prefix.length).equals(prefix)) continue;
+
+          const pttl = expiry === null ? -1 : expiry - Date.now();
+          if (expiry !== null && pttl <= 0) continue;
+
+          yield { key: encodeValue(key), pttl, ...value };
+        }
+      }
+    }
+  } finally {
+    await fs.close(fd);
+  }
+}
+
+/**
+ * Encode a length
+ * @param {number|BigInt} length - Length
+ * @returns {Buffer} - Encoded length
+ */
+function encodeLength(length) {
+  const value = BigInt(length);
+
+  if (value < 64n) {
+    return Buffer.from([Number(value)]);
+  }
+  if (value < 16384n) {
+    return Buffer.from([0x40 | Number(value >> 8n), Number(value & 0xffn)]);
+  }
+  if (value <= 0xffffffffn) {
+    const encoded = Buffer.alloc(5);
+    encoded[0] = 0x80;
+    encoded.writeUInt32BE(Number(value), 1);
+    return encoded;
+  }
+
+  const encoded = Buffer.alloc(9);
+  encoded[0] = 0x81;
+  encoded.writeBigUInt64BE(value, 1);
+  return encoded;
+}
+
+/**
+ * Encode a string
+ * @param {string|Buffer} value - String
+ * @returns {Buffer} - Length-prefixed string
+ */
+function encodeString(value) {
+  const data = Buffer.isBuffer(value) ? value : Buffer.from(String(value));
+  return Buffer.concat([encodeLength(data.length), data]);
+}
+
+/**
+ * Encode a time in milliseconds
+ * @param {number} time - Unix time in milliseconds
+ * @returns {Buffer} - 8 bytes, little-endian
+ */
+function encodeMillisecondTime(time) {
+  const encoded = Buffer.alloc(8);
+  encoded.writeBigInt64LE(BigInt(Math.round(time)));
+  return encoded;
+}
+
+/**
+ * Encode a stream ID as stored in stream keys and PELs
+ * @param {string} id - ID as ms-seq
+ * @returns {Buffer} - 16 bytes, big-endian
+ */
+function encodeStreamId(id) {
+  const { ms, seq } = parseStreamId(id);
+  const encoded = Buffer.alloc(16);
+  encoded.writeBigUInt64BE(ms, 0);
+  encoded.writeBigUInt64BE(seq, 8);
+  return encoded;
+}
+
+/**
+ * Encode one listpack entry with its back length
+ * @param {string|Buffer|number|BigInt} value - Strings are kept as strings, numbers stored as integers
+ * @returns {Buffer} - Entry
+ */
+function encodeListpackEntry(value) {
+  let entry;
+
+  if (typeof value === 'number' || typeof value === 'bigint') {
+    const number = BigInt(value);
+
+    if (number >= 0n && number <= 127n) {
+      entry = Buffer.from([Number(number)]);
+    } else if (number >= -4096n && number <= 4095n) {
+      const unsigned = Number(number < 0n ? number + 8192n : number);
+      entry = Buffer.from([0xc0 | (unsigned >> 8), unsigned & 0xff]);
+    } else if (number >= -32768n && number <= 32767n) {
+      entry = Buffer.alloc(3);
+      entry[0] = 0xf1;
+      entry.writeInt16LE(Number(number), 1);
+    } else if (number >= -8388608n && number <= 8388607n) {
+      entry = Buffer.alloc(4);
+      entry[0] = 0xf2;
+      entry.writeIntLE(Number(number), 1, 3);
+    } else if (number >= -2147483648n && number <= 2147483647n) {
+      entry = Buffer.alloc(5);
+      entry[0] = 0xf3;
+      entry.writeInt32LE(Number(number), 1);
+    } else {
+      entry = Buffer.alloc(9);
+      entry[0] = 0xf4;
+      entry.writeBigInt64LE(number, 1);
+    }
+  } else {
+    const data = Buffer.isBuffer(value) ? value : Buffer.from(String(value));
+    let header;
+
+    if (data.length < 64) {
+      header = Buffer.from([0x80 | data.length]);
+    } else if (data.length < 4096) {
+      header = Buffer.from([0xe0 | (data.length >> 8), data.length & 0xff]);
+    } else {
+      header = Buffer.alloc(5);
+      header[0] = 0xf0;
+      header.writeUInt32LE(data.length, 1);
+    }
+    entry = Buffer.concat([header, data]);
+  }
+
+  // The back length holds the entry size in 7-bit groups, most significant
+  // first; every group but the first has the high bit set
+  const backlen = Buffer.alloc(getBacklenSize(entry.length));
+  let size = entry.length;
+  for (let i = backlen.length - 1; i >= 0; i--) {
+    backlen[i] = (size & 127) | (i > 0 ? 128 : 0);
+    size >>= 7;
+  }
+
+  return Buffer.concat([entry, backlen]);
+}
+
+/**
+ * Encode a listpack
+ * @param {Array} items - Elements
+ * @returns {Buffer} - Listpack
+ */
+function encodeListpack(items) {
+  const entries = Buffer.concat(items.map(encodeListpackEntry));
+  const header = Buffer.alloc(6);
+  header.writeUInt32LE(entries.length + 7, 0);
+  header.writeUInt16LE(Math.min(items.length, 65535), 4);
+  return Buffer.concat([header, entries, Buffer.from([0xff])]);
+}
+
+/**
+ * Encode a stream value as RDB_TYPE_STREAM_LISTPACKS
+ * @param {Object} stream - Stream value from a backup record
+ * @returns {Array} - Encoded chunks
+ */
+function encodeStream(stream) {
+  const chunks = [];
+  const nodes = [];
+  for (let i = 0; i < stream.entries.length; i += STREAM_NODE_ENTRIES) {
+    nodes.push(stream.entries.slice(i, i + STREAM_NODE_ENTRIES));
+  }
+
+  chunks.push(encodeLength(nodes.length));
+  for (const node of nodes) {
+    const [masterId, masterPairs] = node[0];
+    const master = parseStreamId(masterId);
+    const masterFields = masterPairs.map(([field]) => Buffer.from(decodeValue(field)));
+    const items = [node.length, 0, masterFields.length, ...masterFields, 0];
+
+    for (const [id, pairs] of node) {
+      const { ms, seq } = parseStreamId(id);
+      const fields = pairs.map(([field]) => Buffer.from(decodeValue(field)));
+      const values = pairs.map(([, value]) => decodeValue(value));
+      const sameFields = fields.length === masterFields.length && fields.every((field, i) => field.equals(masterFields[i]));
+
+      items.push(sameFields ? STREAM_ITEM_FLAG_SAMEFIELDS : 0, ms - master.ms, seq - master.seq);
+      if (sameFields) {
+        items.push(...values, values.length + 3);
+      } else {
+        items.push(pairs.length, ...pairs.flatMap(([field, value]) => [decodeValue(field), decodeValue(value)]), pairs.length * 2 + 4);
+      }
+    }
+
+    chunks.push(encodeString(encodeStreamId(masterId)), encodeString(encodeListpack(items)));
+  }
+
+  const lastId = parseStreamId(stream.lastId);
+  chunks.push(encodeLength(stream.entries.length), encodeLength(lastId.ms), encodeLength(lastId.seq));
+
+  // Delivery and seen times are not backed up, so they are set to now
+  const now = Date.now();
+  chunks.push(encodeLength(stream.groups.length));
+  for (const group of stream.groups) {
+    const lastDelivered = parseStreamId(group.lastDeliveredId);
+    chunks.push(encodeString(group.name), encodeLength(lastDelivered.ms), encodeLength(lastDelivered.seq));
+
+    chunks.push(encodeLength(group.pending.length));
+    for (const entry of group.pending) {
+      chunks.push(encodeStreamId(entry.id), encodeMillisecondTime(now), encodeLength(entry.deliveries));
+    }
+
+    const consumers = [...new Set([...group.consumers, ...group.pending.map(entry => entry.consumer)])];
+    chunks.push(encodeLength(consumers.length));
+    for (const consumer of consumers) {
+      const owned = group.pending.filter(entry => entry.consumer === consumer);
+      chunks.push(encodeString(consumer), encodeMillisecondTime(now), encodeLength(owned.length));
+      chunks.push(...owned.map(entry => encodeStreamId(entry.id)));
+    }
+  }
+
+  return chunks;
+}
+
+/**
+ * Encode a backup record as an RDB key
+ * @param {Object} record - Key record
+ * @returns {Array} - Encoded chunks
+ */
+function encodeRecord(record) {
+  const chunks = [];
+
+  if (record.pttl > 0) {
+    chunks.push(Buffer.from([RDB_OPCODE.EXPIRETIME_MS]), encodeMillisecondTime(Date.now() + record.pttl));
+  }
+
+  const key = encodeString(decodeValue(record.key));
+
+  if (record.dump) {
+    // A DUMP payload is the value's type and RDB encoding, then a version and checksum
+    const payload = Buffer.from(record.dump, 'base64');
+    chunks.push(payload.subarray(0, 1), key, payload.subarray(1, payload.length - 10));
+    return chunks;
+  }
+
+  const strings = values => [encodeLength(values.length), ...values.map(value => encodeString(decodeValue(value)))];
+
+  switch (record.type) {
+    case 'string':
+      chunks.push(Buffer.from([RDB_TYPE.STRING]), key, encodeString(decodeValue(record.value)));
+      break;
+
+    case 'list':
+      chunks.push(Buffer.from([RDB_TYPE.LIST]), key, ...strings(record.value));
+      break;
+
+    case 'set':
+      chunks.push(Buffer.from([RDB_TYPE.SET]), key, ...strings(record.value));
+      break;
+
+    case 'hash':
+      chunks.push(Buffer.from([RDB_TYPE.HASH]), key, encodeLength(record.value.length));
+      for (const [field, value] of record.value) {
+        chunks.push(encodeString(decodeValue(field)), encodeString(decodeValue(value)));
+      }
+      break;
+
+    case 'zset':
+      chunks.push(Buffer.from([RDB_TYPE.ZSET_2]), key, encodeLength(record.value.length));
+      for (const [member, score] of record.value) {
+        const encodedScore = Buffer.alloc(8);
+        encodedScore.writeDoubleLE(parseScore(score));
+        chunks.push(encodeString(decodeValue(member)), encodedScore);
+      }
+      break;
+
+    case 'stream':
+      chunks.push(Buffer.from([RDB_TYPE.STREAM_LISTPACKS]), key, ...encodeStream(record.value));
+      break;
+
+    default:
+      throw new Error(`Cannot write key of type ${record.type} to an RDB file`);
+  }
+
+  return chunks;
+}
+
+/**
+ * Open an RDB file for writing, one backup record at a time
+ *
+ * Like NDJSON backups, the file is written to a temporary file that only
+ * replaces the RDB file when the writer is closed.
+ * @param {string} filePath - RDB file path
+ * @param {Object} config - Configuration options; `database` is the database keys are written to
+ * @returns {Promise<Object>} - Writer with write(record), close() and abort()
+ */
+async function openRdbWriter(filePath, config = {}) {
+  await fs.ensureDir(path.dirname(filePath));
+
+  const tempPath = `${filePath}.tmp`;
+  const file = fs.createWriteStream(tempPath);
+  await once(file, 'open');
+
+  const crc = createCrc64();
+  const write = async chunks => {
+    const data = Buffer.concat(chunks);
+    crc.update(data);
+    if (!file.write(data)) {
+      await once(file, 'drain');
+    }
+  };
+  const aux = (name, value) => [Buffer.from([RDB_OPCODE.AUX]), encodeString(name), encodeString(value)];
+
+  await write([
+    RDB_MAGIC,
+    Buffer.from(String(RDB_WRITE_VERSION).padStart(4, '0')),
+    ...aux('redis-bits', '64'),
+    ...aux('ctime', String(Math.floor(Date.now() / 1000))),
+    Buffer.from([RDB_OPCODE.SELECTDB]),
+    encodeLength(config.database || 0)
+  ]);
+
+  return {
+    async write(record) {
+      // Headers, footers and keys that could not be read have no place in an RDB file
+      if (record.key === undefined || record.error) return;
+      await write(encodeRecord(record));
+    },
+
+    async close() {
+      await write([Buffer.from([RDB_OPCODE.EOF])]);
+      file.end(crc.digest());
+      await once(file, 'finish');
+      await fs.rename(tempPath, filePath);
+    },
+
+    async abort() {
+      file.end();
+      await once(file, 'close');
+      await fs.remove(tempPath);
+    }
+  };
+}
+
+module.exports = {
+  crc64,
+  isRdbFile,
+  readRdb,
+  openRdbWriter
+};
@@ -7,25 +7,388 @@
 const fs = require('fs');
 const path = require('path');
 const { globSync } = require('glob');
-const { log, applyPrefixToCommand } = require('./utils');
+const { log, applyPrefixToCommand, formatCommand, isKnownCommand } = require('./utils');
 const { executeInTransaction } = require('./transactions');
-const { processTemplate } = require('./templates');
-const { parseSchemaForLuaScripts } = require('./lua-scripts');
+const { renderTemplate, expandTemplateBlocks } = require('./templates');
+const { parseSchemaForLuaScripts, parseSchemaForLuaFunctions, parseSchemaForScriptTests } = require('./lua-scripts');
+const {
+  getSchemaName,
+  checkSchemaMigration,
+  findMigrationFiles,
+  planSchemaMigration,
+  updateSchemaVersion
+} = require('./migrations');
+
+/**
+ * Create a parser diagnostic
+ * @param {string} file - Source name
+ * @param {number} line - Line number (1-based)
+ * @param {number} column - Column number (1-based)
+ * @param {string} severity - Diagnostic severity (error, warning)
+ * @param {string} message - Description of the problem
+ * @returns {Object} - Diagnostic
+ */
+function createDiagnostic(file, line, column, severity, message) {
+  return { file, line, column, severity, message };
+}
+
+/**
+ * Format a diagnostic as file:line:column: severity: message
+ * @param {Object} diagnostic - Diagnostic from parseSchemaContent
+ * @returns {string} - Formatted diagnostic
+ */
+function formatDiagnostic(diagnostic) {
+  return `${diagnostic.file}:${diagnostic.line}:${diagnostic.column}: ${diagnostic.severity}: ${diagnostic.message}`;
+}
+
+/**
+ * Log diagnostics and count the errors among them
+ * @param {Array} diagnostics - Diagnostics from parseSchemaContent
+ * @param {Object} config - Configuration options
+ * @returns {number} - Number of error diagnostics
+ */
+function reportDiagnostics(diagnostics, config) {
+  let errorCount = 0;
+
+  for (const diagnostic of diagnostics) {
+    if (diagnostic.severity === 'error') {
+      errorCount++;
+    }
+    log(diagnostic.severity === 'error' ? 'error' : 'warn', formatDiagnostic(diagnostic), config);
+  }
+
+  return errorCount;
+}
+
+/**
+ * Log the template variables each schema file could not resolve
+ * @param {Array} schemaFiles - Parsed schema files
+ * @param {Object} config - Configuration options
+ * @returns {Object} - Unresolved variable names keyed by schema file
+ */
+function reportUnresolvedVariables(schemaFiles, config) {
+  const report = {};
+
+  for (const schema of schemaFiles) {
+    if (schema.unresolvedVariables.length > 0) {
+      report[schema.path] = schema.unresolvedVariables;
+      log('error', `${schema.path}: unresolved template variables ${schema.unresolvedVariables.join(', ')}`, config);
+    }
+  }
+
+  return report;
+}
+
+// Lua blocks of a schema, handled by the Lua script modules rather than run as commands
+const LUA_BLOCKS = [
+  { tag: 'SCRIPT:', endTag: 'END_SCRIPT', parse: parseSchemaForLuaScripts },
+  { tag: 'FUNCTION:', endTag: 'END_FUNCTION', parse: parseSchemaForLuaFunctions },
+  { tag: 'SCRIPT_TEST:', endTag: 'END_SCRIPT_TEST', parse: parseSchemaForScriptTests }
+];
+
+// Escape sequences understood inside double quotes, as in redis-cli
+const DOUBLE_QUOTE_ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', a: '\x07' };
+
+/**
+ * Start a new command in the tokenizer state
+ * @param {Object} state - Tokenizer state
+ * @param {boolean} recovering - Whether to discard everything up to the next semicolon
+ */
+function resetCommand(state, recovering = false) {
+  state.parts = [];
+  state.current = '';
+  state.bytes = null;
+  state.inToken = false;
+  state.start = null;
+  state.recovering = recovering;
+}
+
+/**
+ * Append a raw byte to the token being built
+ *
+ * Tokens only become Buffers once a \xHH escape produces a byte outside
+ * ASCII; everything else stays a string.
+ * @param {Object} state - Tokenizer state
+ * @param {number} byte - Byte value
+ */
+function appendByte(state, byte) {
+  if (byte < 0x80 && !state.bytes) {
+    state.current += String.fromCharCode(byte);
+    return;
+  }
+
+  state.bytes = state.bytes || [];
+  state.bytes.push(Buffer.from(state.current, 'utf8'), Buffer.from([byte]));
+  state.current = '';
+}
+
+/**
+ * Tokenize one schema line, continuing the command in progress
+ *
+ * Arguments are split the way redis-cli splits them: double-quoted strings
+ * understand \n, \r, \t, \b, \a, \xHH and \<char> escapes, single-quoted
+ * strings only \', and `#` and `;` are ordinary characters inside quotes.
+ * Outside quotes `#` starts a comment and `;` ends the command.
+ * An unquoted `@file(...)` or `@base64(...)` argument is passed on as a
+ * directive for parseSchemaContent to resolve.
+ * Template values are inserted as they are, so quotes, spaces, `#` and `;`
+ * in a value stay part of the argument it appears in.
+ * @param {Object} state - Tokenizer state carried from line to line
+ * @param {string} text - Line text
+ * @param {number} lineNumber - Line number (1-based)
+ * @param {Function} onCommand - Called with the parts and start position of each completed command
+ * @param {Function} onError - Called with the line, column and message of malformed input
+ * @param {Map} [markers] - Template markers replaced by renderTemplate, by offset
+ */
+function tokenizeLine(state, text, lineNumber, onCommand, onError, markers = new Map()) {
+  let quote = null;
+  let quoteColumn = 0;
+
+  // Text between two offsets, with its template markers replaced
+  const renderSlice = (start, end) => {
+    let rendered = '';
+    for (let k = start; k < end; k++) {
+      const marker = markers.get(k);
+      rendered += marker ? marker.value : text[k];
+      k += marker ? marker.length - 1 : 0;
+    }
+    return rendered;
+  };
+
+  const endToken = () => {
+    if (state.inToken) {
+      state.parts.push(state.bytes ? Buffer.concat([...state.bytes, Buffer.from(state.current, 'utf8')]) : state.current);
+      state.current = '';
+      state.bytes = null;
+      state.inToken = false;
+    }
+  };
+
+  const closeQuote = j => {
+    quote = null;
+    const next = text[j + 1];
+    if (next !== undefined && next !== ';' && !/\s/.test(next)) {
+      onError(lineNumber, j + 2, 'Closing quote must be followed by a space');
+    }
+  };
+
+  for (let j = 0; j < text.length; j++) {
+    const char = text[j];
+    const marker = markers.get(j);
+
+    if (marker) {
+      if (!quote) {
+        if (!state.start) {
+          state.start = { line: lineNumber, column: j + 1 };
+        }
+        state.inToken = true;
+      }
+      state.current += marker.value;
+      j += marker.length - 1;
+      continue;
+    }
+
+    if (quote === '"') {
+      if (char === '\\' && j + 1 < text.length) {
+        const next = text[++j];
+        const hex = text.substr(j + 1, 2);
+
+        if (next === 'x' && /^[0-9a-fA-F]{2}$/.test(hex)) {
+          appendByte(state, parseInt(hex, 16));
+          j += 2;
+        } else {
+          state.current += DOUBLE_QUOTE_ESCAPES[next] !== undefined ? DOUBLE_QUOTE_ESCAPES[next] : next;
+        }
+      } else if (char === '"') {
+        closeQuote(j);
+      } else {
+        state.current += char;
+      }
+      continue;
+    }
+
+    if (quote === '\'') {
+      if (char === '\\' && text[j + 1] === '\'') {
+        state.current += '\'';
+        j++;
+      } else if (char === '\'') {
+        closeQuote(j);
+      } else {
+        state.current += char;
+      }
+      continue;
+    }
+
+    if (/\s/.test(char)) {
+      endToken();
+      continue;
+    }
+
+    if (char === '#') {
+      break;
+    }
+
+    if (char === ';') {
+      endToken();
+      if (!state.recovering && state.parts.length > 0) {
+        onCommand(state.parts, state.start);
+      }
+      resetCommand(state);
+      continue;
+    }
+
+    // @file(path) and @base64(data) stand for a whole binary argument
+    const directive = !state.inToken && text.slice(j).match(/^@(file|base64)\(/);
+    if (directive) {
+      if (!state.start) {
+        state.start = { line: lineNumber, column: j + 1 };
+      }
+
+      const close = text.indexOf(')', j);
+      if (close === -1) {
+        onError(lineNumber, j + 1, `@${directive[1]}( is missing its closing parenthesis`);
+        resetCommand(state, !text.trim().endsWith(';'));
+        return;
+      }
+
+      state.parts.push({
+        directive: directive[1],
+        argument: renderSlice(j + directive[0].length, close).trim(),
+        line: lineNumber,
+        column: j + 1
+      });
+
+      const next = text[close + 1];
+      if (next !== undefined && next !== ';' && !/\s/.test(next)) {
+        onError(lineNumber, close + 2, `@${directive[1]}(...) must be followed by a space`);
+      }
+
+      j = close;
+      continue;
+    }
+
+    if (!state.start) {
+      state.start = { line: lineNumber, column: j + 1 };
+    }
+    state.inToken = true;
+
+    if (char === '"' || char === '\'') {
+      quote = char;
+      quoteColumn = j + 1;
+    } else {
+      state.current += char;
+    }
+  }
+
+  if (quote) {
+    onError(lineNumber, quoteColumn, 'Unbalanced quote: string is never closed');
+    // A line ending in a quoted semicolon is usually a one-line command missing its closing
+    // quote; otherwise skip the rest of the command so its other lines are not misread
+    resetCommand(state, !text.trim().endsWith(';'));
+    return;
+  }
+
+  endToken();
+}
+
+/**
+ * Split one line into arguments, quoted the way schema commands are
+ * @param {string} text - Line text
+ * @returns {Array} - Arguments, as strings or Buffers
+ */
+function splitArguments(text) {
+  const state = {};
+  resetCommand(state);
+
+  tokenizeLine(state, text, 1, () => {
+    throw new Error('Unexpected ; outside quotes');
+  }, (line, column, message) => {
+    throw new Error(`${message} (column ${column})`);
+  });
+
+  if (state.parts.some(part => part.directive)) {
+    throw new Error('@file(...) and @base64(...) are only supported in commands');
+  }
+  return state.parts;
+}
+
+/**
+ * Resolve an @file(...) or @base64(...) argument to a Buffer
+ * @param {Object} part - Directive produced by tokenizeLine
+ * @param {string} baseDir - Directory @file paths are relative to
+ * @returns {Object} - The Buffer value, or an error message
+ */
+function resolveDirective(part, baseDir) {
+  const argument = part.argument.replace(/^(["'])(.*)\1$/, '$2');
+
+  if (part.directive === 'file') {
+    const filePath = path.resolve(baseDir, argument);
+    try {
+      return { value: fs.readFileSync(filePath) };
+    } catch (error) {
+      return { error: `Cannot read @file(${argument}): ${error.message}` };
+    }
+  }
+
+  const data = argument.replace(/\s+/g, '');
+  if (data.length % 4 !== 0 || !/^[A-Za-z0-9+/]*={0,2}$/.test(data)) {
+    return { error: 'Invalid base64 data in @base64(...)' };
+  }
+
+  return { value: Buffer.from(data, 'base64') };
+}
+
+/**
+ * Remove a trailing comment from a line, leaving `#` inside quotes alone
+ * @param {string} line - Source line
+ * @returns {string} - Line without its comment
+ */
+function stripComment(line) {
+  let quote = null;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '#') {
+      return line.substring(0, i);
+    }
+  }
+
+  return line;
+}
 
 /**
  * Parse Redis schema from string content
+ *
+ * Problems are collected as diagnostics ({ file, line, column, severity,
+ * message }) rather than thrown, so a whole file can be checked in one pass.
+ * An `@include path [NAME=value ...]` line splices in the commands of another
+ * file, resolved relative to this one, with the given variables in scope.
+ * `@for` / `@if` template blocks are expanded first, and every command keeps
+ * the line it was written on. Template markers left unresolved, or
+ * `${NAME:?message}` markers whose variable is unset, are errors at the
+ * marker's position.
+ * Lua blocks (SCRIPT, FUNCTION, SCRIPT_TEST) that survive the `@if`
+ * blocks, including those of included files, are returned in `luaBlocks`
+ * as { source, line, content }, their template markers left as written.
  * @param {string} content - Schema content
  * @param {string} sourceName - Source name for logging
  * @param {Object} config - Configuration options
- * @returns {Object} - Parsed commands and metadata
+ * @returns {Object} - Parsed commands, the file and line each command starts on, metadata, Lua blocks, diagnostics and unresolved variable names
  */
 function parseSchemaContent(content, sourceName, config = {}) {
+  const diagnostics = [];
+
   try {
     const commands = [];
-    let currentCommand = [];
-    let inLuaScript = false;
-    let luaScriptName = '';
-    let luaScriptContent = '';
+    const lineNumbers = [];
+    const sources = [];
+    const luaBlocks = [];
     let skipToLine = -1;
 
     // Extract metadata
@@ -50,88 +413,236 @@ function parseSchemaContent(content, sourceName, config = {}) {
       metadata.dependencies = dependenciesMatch[1].split(/\s*,\s*/).map(d => d.trim());
     }
 
-    // Process template variables if any
-    let processedContent = content;
-    if (config.variables && Object.keys(config.variables).length > 0) {
-      processedContent = processTemplate(content, config.variables);
+    // Expand @for / @if blocks, then render each line with its loop variables
+    // in scope, keeping the markers that could not be resolved. Commands are
+    // tokenized from the unrendered line, so values are never re-quoted
+    const expanded = expandTemplateBlocks(content, config.variables);
+    const lines = [];
+    const lineMap = [];
+    const lineMarkers = [];
+    const templateProblems = [];
+    const unresolvedVariables = [];
+
+    for (const error of expanded.errors) {
+      diagnostics.push(createDiagnostic(sourceName, error.line, error.column, 'error', error.message));
     }
 
-    const lines = processedContent.split('\n');
+    expanded.lines.forEach(entry => {
+      const template = renderTemplate(entry.text, { ...config.variables, ...entry.scope });
+      lines.push(template.content);
+      lineMap.push(entry.line);
+      lineMarkers.push(new Map(template.markers.map(marker => [marker.offset, marker])));
+      templateProblems.push([
+        ...template.unresolved.map(marker => ({ ...marker, message: `Unresolved template variable ${marker.name}` })),
+        ...template.errors
+      ]);
+    });
+
+    // @file paths are relative to the schema file unless a base directory is given
+    const baseDir = config.baseDir || path.dirname(sourceName);
+
+    const state = {};
+    resetCommand(state);
+
+    const inCommand = () => state.start !== null;
+
+    const reportUnterminated = () => {
+      const name = state.parts.length > 0 ? state.parts[0] : state.current;
+      diagnostics.push(createDiagnostic(sourceName, state.start.line, state.start.column, 'error',
+        `Command ${name} is missing a terminating semicolon`));
+      resetCommand(state);
+    };
 
-    for (let i = 0; i < lines.length; i++) {
-      // Skip lines if in a Lua script block and currently processing with skipToLine
-      if (skipToLine > i) {
-        continue;
+    const onCommand = (tokens, start) => {
+      let resolved = true;
+      const parts = tokens.map(part => {
+        if (!part || !part.directive) return part;
+
+        const result = resolveDirective(part, baseDir);
+        if (result.error) {
+          diagnostics.push(createDiagnostic(sourceName, part.line, part.column, 'error', result.error));
+          resolved = false;
+        }
+        return result.value;
+      });
+
+      if (!resolved) return;
+
+      // Unknown commands may be module commands (JSON.SET, FT.CREATE, ...) or
+      // newer than the command table, so only the server can refuse them
+      if (!isKnownCommand(parts[0])) {
+        diagnostics.push(createDiagnostic(sourceName, start.line, start.column, 'warning',
+          String(parts[0]).includes('.')
+            ? `Unknown command ${parts[0]}; it must be provided by a Redis module`
+            : `Unknown command ${parts[0]}`));
       }
 
-      let line = lines[i];
+      commands.push(parts);
+      lineNumbers.push(start.line);
+      sources.push(sourceName);
+    };
 
-      // Remove comments and trim whitespace
-      line = line.replace(/#.*$/, '').trim();
-      if (!line) continue;
+    const onError = (line, column, message) => {
+      diagnostics.push(createDiagnostic(sourceName, line, column, 'error', message));
+    };
 
-      // Handle Lua scripts separately by the Lua script parser
-      if (line.startsWith('SCRIPT:')) {
-        const scriptResult = parseSchemaForLuaScripts(lines, i);
-        if (scriptResult) {
-          skipToLine = scriptResult.endIndex + 1;
-          continue;
+    // Markers in comments and Lua script bodies never reach Redis, and a marker
+    // repeated by a @for loop is reported once
+    const reported = new Set();
+    const reportTemplateProblems = index => {
+      const lineNumber = lineMap[index];
+      const code = stripComment(expanded.lines[index].text);
+      const problems = templateProblems[index].filter(problem => problem.column <= code.length);
+
+      for (const problem of problems.sort((a, b) => a.column - b.column)) {
+        const key = `${lineNumber}:${problem.column}:${problem.message}`;
+        if (reported.has(key)) continue;
+        reported.add(key);
+
+        onError(lineNumber, problem.column, problem.message);
+        if (!problem.filter && !unresolvedVariables.includes(problem.name)) {
+          unresolvedVariables.push(problem.name);
         }
       }
+    };
 
-      // Add to current command
-      currentCommand.push(line);
+    // Splice the commands of an included fragment into this schema
+    const includeFile = (index, lineNumber, column) => {
+      // Reuse the tokenizer so paths and variable values can be quoted
+      let tokens = [];
+      const includeState = {};
+      resetCommand(includeState);
+      tokenizeLine(includeState, expanded.lines[index].text, lineNumber, parts => { tokens = parts; }, onError, lineMarkers[index]);
+      if (includeState.parts.length > 0) {
+        tokens = includeState.parts;
+      }
 
-      // If line ends with a command terminator, add to commands list
-      if (line.endsWith(';')) {
-        // Remove semicolon and join the command parts
-        const commandStr = currentCommand.join(' ').slice(0, -1);
-        currentCommand = [];
+      const [, target, ...assignments] = tokens;
+      if (typeof target !== 'string' || !target) {
+        onError(lineNumber, column, '@include needs a file path');
+        return;
+      }
 
-        // Parse command into parts
-        const parts = [];
-        let currentPart = '';
-        let inQuotes = false;
+      const variables = {};
+      for (const assignment of assignments) {
+        const match = typeof assignment === 'string' && assignment.match(/^([A-Za-z_][A-Za-z0-9_]*)=([\s\S]*)$/);
+        if (!match) {
+          onError(lineNumber, column, `Invalid include variable ${assignment}; expected NAME=value`);
+          return;
+        }
+        variables[match[1]] = match[2];
+      }
 
-        for (let i = 0; i < commandStr.length; i++) {
-          const char = commandStr[i];
+      const includePath = path.isAbsolute(target) ? target : path.join(baseDir, target);
+      const includeStack = config.includeStack || [path.resolve(sourceName)];
 
-          if (char === '"' && (i === 0 || commandStr[i-1] !== '\\')) {
-            inQuotes = !inQuotes;
-          }
+      if (includeStack.includes(path.resolve(includePath))) {
+        const cycle = [...includeStack, path.resolve(includePath)].map(file => path.basename(file)).join(' -> ');
+        onError(lineNumber, column, `Circular include: ${cycle}`);
+        return;
+      }
 
-          if (char === ' ' && !inQuotes) {
-            if (currentPart) {
-              // Remove surrounding quotes if present
-              if (currentPart.startsWith('"') && currentPart.endsWith('"') && currentPart.length > 1) {
-                currentPart = currentPart.slice(1, -1);
-              }
-              parts.push(currentPart);
-              currentPart = '';
-            }
-          } else {
-            currentPart += char;
-          }
+      let includeContent;
+      try {
+        includeContent = fs.readFileSync(includePath, 'utf8');
+      } catch (error) {
+        onError(lineNumber, column, `Cannot include ${target}: ${error.message}`);
+        return;
+      }
+
+      // Variables given to an include apply to it and its own includes only
+      const included = parseSchemaContent(includeContent, includePath, {
+        ...config,
+        baseDir: undefined,
+        variables: { ...config.variables, ...variables },
+        includeStack: [...includeStack, path.resolve(includePath)]
+      });
+
+      diagnostics.push(...included.diagnostics);
+      unresolvedVariables.push(...included.unresolvedVariables.filter(name => !unresolvedVariables.includes(name)));
+      commands.push(...included.commands);
+      lineNumbers.push(...included.lineNumbers);
+      sources.push(...included.sources);
+      luaBlocks.push(...included.luaBlocks);
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      // Skip lines if in a Lua script block and currently processing with skipToLine
+      if (skipToLine > i) {
+        continue;
+      }
+
+      const rawLine = lines[i];
+      const lineNumber = lineMap[i];
+      const line = rawLine.trim();
+      if (!line) continue;
+
+      if (/^@include(\s|;|$)/.test(line)) {
+        if (inCommand()) {
+          reportUnterminated();
         }
 
-        if (currentPart) {
-          // Remove surrounding quotes if present
-          if (currentPart.startsWith('"') && currentPart.endsWith('"') && currentPart.length > 1) {
-            currentPart = currentPart.slice(1, -1);
-          }
-          parts.push(currentPart);
+        reportTemplateProblems(i);
+        includeFile(i, lineNumber, rawLine.length - rawLine.trimStart().length + 1);
+        continue;
+      }
+
+      // Handle Lua scripts and function libraries separately by the Lua script parser
+      const luaBlock = LUA_BLOCKS.find(block => line.startsWith(block.tag));
+      if (luaBlock) {
+        const column = rawLine.length - rawLine.trimStart().length + 1;
+        const kind = luaBlock.tag.slice(0, -1);
+
+        if (inCommand()) {
+          reportUnterminated();
         }
 
-        if (parts.length > 0) {
-          commands.push(parts);
+        const blockResult = luaBlock.parse(lines, i);
+        if (blockResult) {
+          luaBlocks.push({
+            source: sourceName,
+            line: lineNumber,
+            content: expanded.lines.slice(i, blockResult.endIndex + 1).map(entry => entry.text).join('\n')
+          });
+          skipToLine = blockResult.endIndex + 1;
+          continue;
         }
+
+        const blockName = line.substring(luaBlock.tag.length).trim();
+        const endIndex = lines.findIndex((blockLine, index) => index > i && blockLine.trim() === luaBlock.endTag);
+        if (endIndex === -1) {
+          // Everything after an unterminated block line is Lua code
+          diagnostics.push(createDiagnostic(sourceName, lineNumber, column, 'error',
+            `${kind} block${blockName ? ` ${blockName}` : ''} is missing ${luaBlock.endTag}`));
+          break;
+        }
+
+        diagnostics.push(createDiagnostic(sourceName, lineNumber, column, 'error', `${kind} block has no name`));
+        skipToLine = endIndex + 1;
+        continue;
       }
+
+      reportTemplateProblems(i);
+      tokenizeLine(state, expanded.lines[i].text, lineNumber, onCommand, onError, lineMarkers[i]);
+    }
+
+    if (inCommand() && !state.recovering) {
+      reportUnterminated();
     }
 
-    return { commands, metadata };
+    return { commands, lineNumbers, sources, metadata, luaBlocks, diagnostics, unresolvedVariables };
   } catch (error) {
     log('error', `Failed to parse schema from ${sourceName}: ${error.message}`);
-    return { commands: [], metadata: { version: 1, description: '', dependencies: [] } };
+    diagnostics.push(createDiagnostic(sourceName, 1, 1, 'error', `Failed to parse schema: ${error.message}`));
+    return {
+      commands: [],
+      lineNumbers: [],
+      sources: [],
+      metadata: { version: 1, description: '', dependencies: [] },
+      luaBlocks: [],
+      diagnostics,
+      unresolvedVariables: []
+    };
   }
 }
 
@@ -202,8 +713,275 @@ function sortSchemasByDependencies(schemaFiles) {
   return result;
 }
 
+/**
+ * Build throughput statistics for a loading run
+ * @param {number} commandsExecuted - Number of commands executed
+ * @param {number} batches - Number of pipelined batches sent
+ * @param {number} startTime - Start time in milliseconds
+ * @returns {Object} - Duration, batches and commands per second
+ */
+function getThroughputStats(commandsExecuted, batches, startTime) {
+  const durationMs = Date.now() - startTime;
+  return {
+    durationMs,
+    batches,
+    commandsPerSecond: durationMs > 0 ? Math.round(commandsExecuted / (durationMs / 1000)) : commandsExecuted
+  };
+}
+
+/**
+ * Execute parsed schema commands
+ *
+ * Commands are sent in pipelines of config.batchSize: every command in a
+ * batch is issued before any reply is awaited, so the client writes the
+ * batch in one go. Failures are reported with the file and line they came from.
+ * @param {Object} client - Redis client
+ * @param {Array} commands - Parsed commands
+ * @param {Object} config - Configuration options
+ * @param {string} sourceName - Source name for logging
+ * @param {Array} lineNumbers - Line each command starts on, from parseSchemaContent
+ * @param {Array} sources - File each command came from, from parseSchemaContent
+ * @returns {Promise<Object>} - Commands executed, errors and number of batches
+ */
+async function executeCommands(client, commands, config, sourceName, lineNumbers = [], sources = []) {
+  let commandsExecuted = 0;
+  const errors = [];
+
+  // Prefix keys up front so errors can show the command as sent
+  const processedCommands = commands.map(cmd =>
+    config.prefix ? applyPrefixToCommand(cmd, config.prefix) : cmd
+  );
+
+  // Use transactions if configured
+  if (config.useTransactions && commands.length > 0) {
+    log('info', `Using transaction for ${sourceName} with ${commands.length} commands`, config);
+
+    const result = await executeInTransaction(client, processedCommands, config);
+
+    if (result.success) {
+      commandsExecuted = commands.length;
+      log('success', `Successfully executed ${commandsExecuted} commands in transaction from ${sourceName}`, config);
+    } else {
+      log('error', `Transaction failed for ${sourceName}: ${result.error}`, config);
+      for (const error of result.errors || [{ error: result.error }]) {
+        errors.push({
+          file: error.index !== undefined && sources[error.index] || sourceName,
+          line: error.index !== undefined ? lineNumbers[error.index] : undefined,
+          command: error.command,
+          error: error.error
+        });
+      }
+    }
+
+    return { commandsExecuted, errorCount: errors.length, errors, batches: 1 };
+  }
+
+  const batchSize = Math.max(1, parseInt(config.batchSize) || 100);
+  let batches = 0;
+
+  for (let start = 0; start < processedCommands.length; start += batchSize) {
+    const batch = [];
+
+    for (let i = start; i < Math.min(start + batchSize, processedCommands.length); i++) {
+      const cmdToExecute = processedCommands[i];
+      if (cmdToExecute.length === 0) continue;
+
+      if (config.verbose) {
+        log('info', `Executing: ${formatCommand(cmdToExecute)}`, config);
+      }
+
+      const cmd = String(cmdToExecute[0]).toUpperCase();
+      const args = cmdToExecute.slice(1);
+
+      batch.push({ index: i, reply: client.sendCommand([cmd, ...args]) });
+    }
+
+    const results = await Promise.allSettled(batch.map(item => item.reply));
+    batches++;
+
+    results.forEach((result, j) => {
+      if (result.status === 'fulfilled') {
+        commandsExecuted++;
+        return;
+      }
+
+      const index = batch[j].index;
+      const file = sources[index] || sourceName;
+      const line = lineNumbers[index];
+      const location = line ? `${file}:${line}` : file;
+      log('error', `Error executing command at ${location} (${formatCommand(processedCommands[index])}): ${result.reason.message}`, config);
+      errors.push({
+        file,
+        line,
+        command: formatCommand(processedCommands[index]),
+        error: result.reason.message
+      });
+    });
+  }
+
+  log('success', `Successfully executed ${commandsExecuted} commands from ${sourceName}`, config);
+  return { commandsExecuted, errorCount: errors.length, errors, batches };
+}
+
+/**
+ * Apply the migration files for a schema in order
+ *
+ * The stored version is advanced after every file, so a failure part-way
+ * through the chain resumes from the last completed step on the next run.
+ * @param {Object} client - Redis client
+ * @param {string} schemaName - Schema name
+ * @param {Array} files - Migration file paths
+ * @param {Object} config - Configuration options
+ * @returns {Promise<Object>} - Commands executed, errors and files applied
+ */
+async function applyMigrationFiles(client, schemaName, files, config) {
+  let commandsExecuted = 0;
+  let batches = 0;
+  const applied = [];
+
+  // Check every step before running any of them
+  const steps = files.map(file => ({
+    file,
+    parsed: parseSchemaContent(fs.readFileSync(file, 'utf8'), file, config)
+  }));
+
+  const diagnostics = steps.flatMap(step => step.parsed.diagnostics);
+  const parseErrors = reportDiagnostics(diagnostics, config);
+  if (parseErrors > 0) {
+    const errors = diagnostics
+      .filter(diagnostic => diagnostic.severity === 'error')
+      .map(diagnostic => ({ file: path.basename(diagnostic.file), line: diagnostic.line, error: diagnostic.message }));
+    return { commandsExecuted, errorCount: parseErrors, errors, batches, applied };
+  }
+
+  for (const { file, parsed } of steps) {
+    const fileName = path.basename(file);
+
+    log('info', `Applying migration ${fileName}...`, config);
+    const result = await executeCommands(client, parsed.commands, config, fileName, parsed.lineNumbers, parsed.sources);
+    commandsExecuted += result.commandsExecuted;
+    batches += result.batches;
+
+    if (result.errorCount > 0) {
+      // Later steps assume this one completed, so stop here
+      return { commandsExecuted, errorCount: result.errorCount, errors: result.errors, batches, applied };
+    }
+
+    const stepVersion = parseInt(fileName.match(/_to_v(\d+)\.redis$/)[1], 10);
+    const updated = await updateSchemaVersion(client, schemaName, stepVersion, config);
+    if (!updated.success) {
+      log('error', updated.error, config);
+      return { commandsExecuted, errorCount: 1, errors: [{ file: fileName, error: updated.error }], batches, applied };
+    }
+
+    applied.push(fileName);
+  }
+
+  return { commandsExecuted, errorCount: 0, errors: [], batches, applied };
+}
+
+/**
+ * Find the schema files of a directory
+ *
+ * Fragments, the files another schema file names in an `@include` line,
+ * are listed apart: they are only loaded through the schemas that include
+ * them. Include paths built from template variables are not followed here.
+ * @param {string} schemasDir - Schemas directory
+ * @param {Array} ignore - Glob patterns of other files to leave out
+ * @returns {Object} - Schema files and fragments, as { files, fragments }
+ */
+function findSchemaFiles(schemasDir, ignore = []) {
+  const found = globSync(path.join(schemasDir, '**/*.{redis,schema}'), { ignore }).sort();
+
+  const included = new Set();
+  for (const file of found) {
+    let content;
+    try {
+      content = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      continue;
+    }
+
+    for (const line of content.split(/\r?\n/)) {
+      const match = line.trim().match(/^@include\s+(.*?);?$/);
+      if (!match || match[1].includes('${')) continue;
+
+      let target;
+      try {
+        [target] = splitArguments(match[1]);
+      } catch (error) {
+        continue;
+      }
+
+      const includePath = typeof target === 'string' && path.resolve(path.dirname(file), target);
+      if (includePath && includePath !== path.resolve(file)) {
+        included.add(includePath);
+      }
+    }
+  }
+
+  const isFragment = file => included.has(path.resolve(file));
+  return { files: found.filter(file => !isFragment(file)), fragments: found.filter(isFragment) };
+}
+
+/**
+ * Read and parse the schemas without touching Redis
+ *
+ * Schema files are found in `config.schemasDir`, leaving migration files to
+ * the migration runner and fragments to the schemas that include them.
+ * Diagnostics are returned rather than logged, so the schemas can be
+ * checked before anything destructive runs.
+ * @param {Object} config - Configuration options
+ * @param {boolean} fromString - Whether to parse `config.schemaContent` instead of files
+ * @returns {Object} - Parsed schema files, the fragments left out and their error count, or why there are none
+ */
+function parseSchemas(config, fromString = false) {
+  if (fromString) {
+    if (!config.schemaContent) {
+      return { success: false, details: 'No schema content provided' };
+    }
+
+    const parsed = parseSchemaContent(config.schemaContent, config.schemaName, config);
+    return checkedSchemas([{ path: config.schemaName, content: config.schemaContent, ...parsed }]);
+  }
+
+  const schemasDir = config.schemasDir;
+  if (!fs.existsSync(schemasDir)) {
+    return { success: false, details: 'Schemas directory not found' };
+  }
+
+  const { files, fragments } = findSchemaFiles(schemasDir, [path.join(schemasDir, 'migrations/**')]);
+
+  const schemaFiles = [];
+  for (const file of files) {
+    try {
+      const content = fs.readFileSync(file, 'utf8');
+      schemaFiles.push({ path: file, content, ...parseSchemaContent(content, file, config) });
+    } catch (error) {
+      log('error', `Failed to parse schema file ${file}: ${error.message}`, config);
+    }
+  }
+
+  return { ...checkedSchemas(schemaFiles), fragments };
+}
+
+/**
+ * Count the error diagnostics of parsed schema files
+ * @param {Array} schemaFiles - Parsed schema files
+ * @returns {Object} - The schema files, their error count and whether there are none
+ */
+function checkedSchemas(schemaFiles) {
+  const errorCount = schemaFiles.reduce((count, schema) =>
+    count + schema.diagnostics.filter(diagnostic => diagnostic.severity === 'error').length, 0);
+  return { success: errorCount === 0, schemaFiles, errorCount };
+}
+
 /**
  * Load schema files
+ *
+ * Each schema is brought to the version declared in its `# version:` header:
+ * new schemas are applied in full, outdated ones are migrated with the files
+ * in `<schemasDir>/migrations`, and current ones are skipped.
  * @param {Object} client - Redis client
  * @param {Object} config - Configuration options
  * @param {boolean} fromString - Whether loading from string instead of files
@@ -215,42 +993,35 @@ async function loadSchemas(client, config, fromString = false) {
       return await loadSchemaFromString(client, config);
     }
 
-    // Check if schemas directory exists
     const schemasDir = config.schemasDir;
-    if (!fs.existsSync(schemasDir)) {
+    const parsed = parseSchemas(config);
+    if (parsed.details) {
       log('error', `Schemas directory not found: ${schemasDir}`, config);
-      return { success: false, details: 'Schemas directory not found' };
+      return { success: false, details: parsed.details };
     }
 
-    // Get schema files
-    const files = globSync(path.join(schemasDir, '**/*.{redis,schema}'));
+    if (config.verbose && parsed.fragments.length > 0) {
+      log('info', `Skipping fragments, loaded only through @include: ${parsed.fragments.map(file => path.relative(schemasDir, file)).join(', ')}`, config);
+    }
 
-    if (files.length === 0) {
+    const schemaFiles = parsed.schemaFiles;
+    if (schemaFiles.length === 0) {
       log('warn', `No schema files found in ${schemasDir}`, config);
-      return { success: true, commandsExecuted: 0, filesProcessed: 0 };
+      return { success: true, commandsExecuted: 0, filesProcessed: 0, migrations: [] };
     }
 
-    log('info', `Found ${files.length} schema files to load.`, config);
-
-    // Parse all schemas first to get metadata and validate
-    const schemaFiles = [];
-
-    for (const file of files) {
-      try {
-        const content = fs.readFileSync(file, 'utf8');
-        const parsed = parseSchemaContent(content, file, config);
-
-        schemaFiles.push({
-          path: file,
-          content,
-          commands: parsed.commands,
-          metadata: parsed.metadata
-        });
+    log('info', `Found ${schemaFiles.length} schema files to load.`, config);
+    for (const schema of schemaFiles) {
+      log('info', `Parsed ${path.basename(schema.path)} - version ${schema.metadata.version}`, config);
+    }
 
-        log('info', `Parsed ${path.basename(file)} - version ${parsed.metadata.version}`, config);
-      } catch (error) {
-        log('error', `Failed to parse schema file ${file}: ${error.message}`, config);
-      }
+    // Refuse to touch Redis if any schema has errors
+    const diagnostics = schemaFiles.flatMap(schema => schema.diagnostics);
+    const parseErrors = reportDiagnostics(diagnostics, config);
+    const unresolvedVariables = reportUnresolvedVariables(schemaFiles, config);
+    if (parseErrors > 0) {
+      log('error', `Found ${parseErrors} errors in schema files; no commands were executed.`, config);
+      return { success: false, details: `Schema files contain ${parseErrors} errors`, diagnostics, unresolvedVariables };
     }
 
     // Sort schemas by dependencies
@@ -261,77 +1032,97 @@ async function loadSchemas(client, config, fromString = false) {
       // Process schemas in sorted order
       let commandsExecuted = 0;
       let errorCount = 0;
+      let batches = 0;
+      const errors = [];
+      const migrations = [];
+      const startTime = Date.now();
 
       for (const schema of sortedSchemas) {
         const fileName = path.basename(schema.path);
-        log('info', `Processing ${fileName}...`, config);
-
-        if (config.dryRun) {
-          log('info', `Dry run: would execute ${schema.commands.length} commands from ${fileName}`, config);
+        const schemaName = getSchemaName(schema.path);
+
+        const plan = await planSchemaMigration(client, schemasDir, schemaName, schema.metadata.version, config);
+        if (!plan.success) {
+          log('error', plan.error, config);
+          migrations.push({
+            schema: schemaName,
+            fromVersion: plan.fromVersion,
+            toVersion: plan.toVersion,
+            action: 'failed',
+            files: [],
+            error: plan.error
+          });
+          errorCount++;
           continue;
         }
 
-        // Execute commands
-        let fileCommandsExecuted = 0;
-
-        // Use transactions if configured
-        if (config.useTransactions && schema.commands.length > 0) {
-          log('info', `Using transaction for ${fileName} with ${schema.commands.length} commands`, config);
-
-          // Apply prefix to all commands
-          const processedCommands = schema.commands.map(cmd =>
-            config.prefix ? applyPrefixToCommand(cmd, config.prefix) : cmd
-          );
-
-          const result = await executeInTransaction(client, processedCommands, config);
+        const report = {
+          schema: schemaName,
+          fromVersion: plan.fromVersion,
+          toVersion: plan.toVersion,
+          action: plan.action,
+          files: []
+        };
+        migrations.push(report);
+
+        if (plan.action === 'skip') {
+          log('info', `Skipping ${fileName}: already at version ${plan.fromVersion}`, config);
+          continue;
+        }
 
-          if (result.success) {
-            fileCommandsExecuted = schema.commands.length;
-            commandsExecuted += fileCommandsExecuted;
-            log('success', `Successfully executed ${fileCommandsExecuted} commands in transaction from ${fileName}`, config);
+        if (config.dryRun) {
+          if (plan.action === 'migrate') {
+            report.files = plan.files.map(file => path.basename(file));
+            log('info', `Dry run: would migrate ${fileName} from version ${plan.fromVersion} to ${plan.toVersion} using ${report.files.join(', ')}`, config);
           } else {
-            log('error', `Transaction failed for ${fileName}: ${result.error}`, config);
-            errorCount++;
+            log('info', `Dry run: would execute ${schema.commands.length} commands from ${fileName}`, config);
           }
+          continue;
+        }
+
+        let result;
+        if (plan.action === 'migrate') {
+          log('info', `Migrating ${fileName} from version ${plan.fromVersion} to ${plan.toVersion}...`, config);
+          result = await applyMigrationFiles(client, schemaName, plan.files, config);
+          report.files = result.applied;
         } else {
-          // Process commands individually without batching/pipeline
-          for (const command of schema.commands) {
-            if (command.length === 0) continue;
-
-            try {
-              let cmdToExecute = command;
-
-              // Apply prefix if specified
-              if (config.prefix) {
-                cmdToExecute = applyPrefixToCommand(command, config.prefix);
-              }
-
-              if (config.verbose) {
-                log('info', `Executing: ${cmdToExecute.join(' ')}`, config);
-              }
-
-              const cmd = cmdToExecute[0].toUpperCase();
-              const args = cmdToExecute.slice(1);
-
-              await client.sendCommand([cmd, ...args]);
-              fileCommandsExecuted++;
-              commandsExecuted++;
-            } catch (error) {
-              log('error', `Error executing command ${command.join(' ')}: ${error.message}`, config);
-              errorCount++;
+          log('info', `Processing ${fileName}...`, config);
+          result = await executeCommands(client, schema.commands, config, fileName, schema.lineNumbers, schema.sources);
+
+          // Only record the version once the whole schema has been applied
+          if (result.errorCount === 0) {
+            const updated = await updateSchemaVersion(client, schemaName, plan.toVersion, config);
+            if (!updated.success) {
+              log('error', updated.error, config);
+              result.errorCount++;
+              result.errors.push({ file: fileName, error: updated.error });
             }
           }
+        }
+
+        commandsExecuted += result.commandsExecuted;
+        errorCount += result.errorCount;
+        batches += result.batches;
+        errors.push(...result.errors);
 
-          log('success', `Successfully executed ${fileCommandsExecuted} commands from ${fileName}`, config);
+        if (result.errorCount > 0) {
+          report.error = `Schema ${schemaName} did not reach version ${plan.toVersion}`;
         }
       }
 
+      const stats = getThroughputStats(commandsExecuted, batches, startTime);
+
       log('success', `Schema loading completed. Total commands executed: ${commandsExecuted}. Errors: ${errorCount}.`, config);
+      log('info', `Executed ${commandsExecuted} commands in ${stats.batches} batches in ${stats.durationMs}ms (${stats.commandsPerSecond} commands/s)`, config);
       return {
         success: errorCount === 0,
         commandsExecuted,
         filesProcessed: schemaFiles.length,
-        errorCount
+        errorCount,
+        errors,
+        diagnostics,
+        migrations,
+        stats
       };
     } catch (error) {
       log('error', `Failed to process schemas: ${error.message}`, config);
@@ -357,9 +1148,21 @@ async function loadSchemaFromString(client, config) {
 
     log('info', `Processing schema from string: ${config.schemaName}`, config);
 
-    const parsed = parseSchemaContent(config.schemaContent, config.schemaName, config);
+    const [parsed] = parseSchemas(config, true).schemaFiles;
     const commands = parsed.commands;
 
+    const parseErrors = reportDiagnostics(parsed.diagnostics, config);
+    const unresolvedVariables = reportUnresolvedVariables([parsed], config);
+    if (parseErrors > 0) {
+      log('error', `Found ${parseErrors} errors in schema; no commands were executed.`, config);
+      return {
+        success: false,
+        details: `Schema contains ${parseErrors} errors`,
+        diagnostics: parsed.diagnostics,
+        unresolvedVariables
+      };
+    }
+
     log('info', `Found ${commands.length} commands in schema`, config);
 
     if (config.dryRun) {
@@ -368,65 +1171,95 @@ async function loadSchemaFromString(client, config) {
     }
 
     // Execute commands
-    let commandsExecuted = 0;
-    let errorCount = 0;
+    const startTime = Date.now();
+    const { commandsExecuted, errorCount, errors, batches } =
+      await executeCommands(client, commands, config, config.schemaName, parsed.lineNumbers, parsed.sources);
+    const stats = getThroughputStats(commandsExecuted, batches, startTime);
+
+    log('success', `Schema loading completed. Total commands executed: ${commandsExecuted}. Errors: ${errorCount}.`, config);
+    return {
+      success: errorCount === 0,
+      commandsExecuted,
+      errorCount,
+      errors,
+      diagnostics: parsed.diagnostics,
+      stats
+    };
+  } catch (error) {
+    log('error', `Failed to load schema from string: ${error.message}`, config);
+    return { success: false, details: error.message };
+  }
+}
 
-    // Use transactions if configured
-    if (config.useTransactions && commands.length > 0) {
-      log('info', `Using transaction for schema with ${commands.length} commands`, config);
+/**
+ * Migrate a single schema up or down to a specific version
+ *
+ * Walks the migration files between the stored version and the target,
+ * refusing to start when any step in the chain is missing.
+ * @param {Object} client - Redis client
+ * @param {Object} config - Configuration options
+ * @param {string} schemaName - Schema name
+ * @param {number} targetVersion - Version to migrate to
+ * @returns {Promise<Object>} - Migration result
+ */
+async function migrateSchema(client, config, schemaName, targetVersion) {
+  try {
+    if (!Number.isInteger(targetVersion) || targetVersion < 1) {
+      return { success: false, error: `Invalid target version: ${targetVersion}` };
+    }
 
-      // Apply prefix to all commands
-      const processedCommands = commands.map(cmd =>
-        config.prefix ? applyPrefixToCommand(cmd, config.prefix) : cmd
-      );
+    const check = await checkSchemaMigration(client, schemaName, targetVersion, config);
+    if (!check.success) {
+      return check;
+    }
 
-      const result = await executeInTransaction(client, processedCommands, config);
+    const fromVersion = check.storedVersion;
+    const result = {
+      schema: schemaName,
+      fromVersion,
+      toVersion: targetVersion,
+      files: [],
+      commandsExecuted: 0
+    };
 
-      if (result.success) {
-        commandsExecuted = commands.length;
-        log('success', `Successfully executed ${commandsExecuted} commands in transaction`, config);
-      } else {
-        log('error', `Transaction failed: ${result.error}`, config);
-        errorCount++;
-      }
-    } else {
-      // Process commands individually without pipeline
-      for (const command of commands) {
-        if (command.length === 0) continue;
+    if (fromVersion === 0) {
+      return { ...result, success: false, error: `Schema ${schemaName} has no stored version; run redis-init to apply it first` };
+    }
 
-        try {
-          let cmdToExecute = command;
+    if (fromVersion === targetVersion) {
+      log('info', `Schema ${schemaName} is already at version ${targetVersion}`, config);
+      return { ...result, success: true };
+    }
 
-          // Apply prefix if specified
-          if (config.prefix) {
-            cmdToExecute = applyPrefixToCommand(command, config.prefix);
-          }
+    const migrationFiles = await findMigrationFiles(config.schemasDir, schemaName, fromVersion, targetVersion);
+    if (!migrationFiles.success) {
+      log('error', migrationFiles.error, config);
+      return { ...result, success: false, error: migrationFiles.error };
+    }
 
-          if (config.verbose) {
-            log('info', `Executing: ${cmdToExecute.join(' ')}`, config);
-          }
+    const direction = fromVersion < targetVersion ? 'Migrating' : 'Rolling back';
 
-          const cmd = cmdToExecute[0].toUpperCase();
-          const args = cmdToExecute.slice(1);
+    if (config.dryRun) {
+      result.files = migrationFiles.files.map(file => path.basename(file));
+      log('info', `Dry run: would migrate ${schemaName} from version ${fromVersion} to ${targetVersion} using ${result.files.join(', ')}`, config);
+      return { ...result, success: true };
+    }
 
-          await client.sendCommand([cmd, ...args]);
-          commandsExecuted++;
-        } catch (error) {
-          log('error', `Error executing command ${command.join(' ')}: ${error.message}`, config);
-          errorCount++;
-        }
-      }
+    log('info', `${direction} ${schemaName} from version ${fromVersion} to ${targetVersion}...`, config);
+    const applied = await applyMigrationFiles(client, schemaName, migrationFiles.files, config);
+
+    result.files = applied.applied;
+    result.commandsExecuted = applied.commandsExecuted;
+
+    if (applied.errorCount > 0) {
+      return { ...result, success: false, error: `Migration of ${schemaName} stopped after ${applied.applied.length} of ${migrationFiles.files.length} steps` };
     }
 
-    log('success', `Schema loading completed. Total commands executed: ${commandsExecuted}. Errors: ${errorCount}.`, config);
-    return {
-      success: errorCount === 0,
-      commandsExecuted,
-      errorCount
-    };
+    log('success', `Schema ${schemaName} is now at version ${targetVersion}`, config);
+    return { ...result, success: true };
   } catch (error) {
-    log('error', `Failed to load schema from string: ${error.message}`, config);
-    return { success: false, details: error.message };
+    log('error', `Failed to migrate schema ${schemaName}: ${error.message}`, config);
+    return { success: false, error: error.message };
   }
 }
 
@@ -467,7 +1300,12 @@ async function validateSchemas(client, config) {
 
 module.exports = {
   loadSchemas,
+  parseSchemas,
+  findSchemaFiles,
+  migrateSchema,
   validateSchemas,
   parseSchemaContent,
+  formatDiagnostic,
+  splitArguments,
   sortSchemasByDependencies
 };
@@ -0,0 +1,251 @@
+/**
+ * Lua script test module
+ *
+ * Runs the SCRIPT_TEST blocks of schemas against a server. A test names
+ * the script it calls and gives its keys, its arguments and the reply it
+ * expects, one field per line:
+ *
+ *   SCRIPT_TEST: check_password
+ *   SETUP: HSET user:1 password "secret"
+ *   KEYS: user:1
+ *   ARGV: secret
+ *   EXPECT: 1
+ *   END_SCRIPT_TEST
+ *
+ * Each test runs under its own throwaway key prefix, whose keys are
+ * deleted afterwards, so tests can run against a server holding real data.
+ */
+
+const crypto = require('crypto');
+const { isDeepStrictEqual } = require('util');
+const { log, applyPrefixToCommand } = require('./utils');
+const { splitArguments } = require('./schema-loader');
+const { findInSchemas, findLuaScriptsInSchema, findScriptTestsInSchema } = require('./lua-scripts');
+const { scanKeys, getMatchPattern } = require('./backup');
+
+// Fields of a SCRIPT_TEST block
+const TEST_FIELDS = ['SETUP', 'KEYS', 'ARGV', 'EXPECT', 'EXPECT_ERROR'];
+
+// Commands SETUP can run: applyPrefixToCommand prefixes every key they take,
+// so they cannot touch keys outside the test prefix
+const SETUP_COMMANDS = [
+  'SET', 'SETEX', 'PSETEX', 'SETNX', 'SETRANGE', 'SETBIT', 'APPEND', 'MSET', 'MSETNX',
+  'INCR', 'INCRBY', 'INCRBYFLOAT', 'DECR', 'DECRBY',
+  'HSET', 'HMSET', 'HSETNX', 'HINCRBY', 'HINCRBYFLOAT',
+  'LPUSH', 'RPUSH', 'LPUSHX', 'RPUSHX', 'LSET', 'LINSERT',
+  'SADD', 'ZADD', 'ZINCRBY',
+  'EXPIRE', 'PEXPIRE', 'EXPIREAT', 'PEXPIREAT', 'PERSIST'
+];
+
+/**
+ * Create an error pointing at a line of a schema
+ * @param {string} message - Error message
+ * @param {number} line - Line number (1-based)
+ * @returns {Error} - Error with the line
+ */
+function testError(message, line) {
+  return Object.assign(new Error(message), { line });
+}
+
+/**
+ * Read the fields of a script test and check them against its script
+ *
+ * SETUP lines are commands run before the script, limited to commands whose
+ * keys all get the test prefix (SETUP_COMMANDS). KEYS and ARGV are quoted
+ * like command arguments, EXPECT is the reply as JSON, and EXPECT_ERROR is
+ * text the error of the script must contain. A trailing semicolon is
+ * optional. Lines starting with # or -- are comments.
+ * @param {Object} test - Test found by findScriptTestsInSchema
+ * @param {Array} scripts - Scripts of the schemas
+ * @returns {Object} - Test as { script, setup, keys, args, expect, expectError }
+ */
+function parseScriptTest(test, scripts) {
+  const parsed = { script: scripts.find(script => script.name === test.name), setup: [], keys: [], args: [] };
+
+  if (!parsed.script) {
+    throw testError(`SCRIPT_TEST of unknown Lua script ${test.name}`, test.line);
+  }
+
+  test.body.split('\n').forEach((text, index) => {
+    const line = test.line + index + 1;
+    const trimmed = text.trim();
+    if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith('--')) return;
+
+    const field = /^([A-Z_]+):\s*(.*)$/.exec(trimmed);
+    if (!field || !TEST_FIELDS.includes(field[1])) {
+      throw testError(`Expected a SCRIPT_TEST field (${TEST_FIELDS.join(', ')}), got: ${trimmed}`, line);
+    }
+
+    const value = field[2].replace(/;\s*$/, '');
+    try {
+      switch (field[1]) {
+        case 'SETUP': {
+          const command = splitArguments(value);
+          const name = String(command[0] || '').toUpperCase();
+          if (!SETUP_COMMANDS.includes(name)) {
+            throw new Error(`${name || 'An empty command'} cannot run in SETUP, as its keys would not all get the test prefix`);
+          }
+          parsed.setup.push(command);
+          break;
+        }
+        case 'KEYS':
+          parsed.keys.push(...splitArguments(value));
+          break;
+        case 'ARGV':
+          parsed.args.push(...splitArguments(value));
+          break;
+        case 'EXPECT':
+          parsed.expect = JSON.parse(value);
+          break;
+        default:
+          parsed.expectError = value;
+      }
+    } catch (error) {
+      const message = field[1] === 'EXPECT' ? 'EXPECT must be JSON, such as 1, "OK", ["a", "b"] or null' : error.message;
+      throw testError(`Invalid ${field[1]}: ${message}`, line);
+    }
+  });
+
+  if ((parsed.expect === undefined) === (parsed.expectError === undefined)) {
+    throw testError(`SCRIPT_TEST of ${test.name} needs either EXPECT or EXPECT_ERROR`, test.line);
+  }
+
+  const declared = parsed.script.keys;
+  if (declared.length > 0 && declared.length !== parsed.keys.length) {
+    const keys = declared.length === 1 ? 'key' : 'keys';
+    throw testError(`Lua script ${test.name} takes ${declared.length} ${keys} (${declared.join(', ')}), the test passes ${parsed.keys.length}`, test.line);
+  }
+
+  return parsed;
+}
+
+/**
+ * Remove a key prefix from the strings of a script reply
+ * @param {*} reply - Script reply
+ * @param {string} prefix - Key prefix
+ * @returns {*} - Reply without the prefix
+ */
+function stripPrefix(reply, prefix) {
+  if (Array.isArray(reply)) {
+    return reply.map(item => stripPrefix(item, prefix));
+  }
+  return typeof reply === 'string' && reply.startsWith(prefix) ? reply.slice(prefix.length) : reply;
+}
+
+/**
+ * Delete every key under a prefix
+ * @param {Object} client - Redis client
+ * @param {string} prefix - Key prefix
+ * @returns {Promise<void>}
+ */
+async function deleteKeys(client, prefix) {
+  for await (const { node, keys } of scanKeys(client, getMatchPattern(prefix))) {
+    await node.sendCommand(['DEL', ...keys]);
+  }
+}
+
+/**
+ * Run one script test under a key prefix
+ * @param {Object} client - Redis client
+ * @param {Object} test - Test found by findScriptTestsInSchema
+ * @param {Array} scripts - Scripts of the schemas
+ * @param {string} prefix - Throwaway key prefix
+ * @returns {Promise<string|null>} - Why the test failed, or null if it passed
+ */
+async function runScriptTest(client, test, scripts, prefix) {
+  const { script, setup, keys, args, expect, expectError } = parseScriptTest(test, scripts);
+
+  for (const command of setup) {
+    await client.sendCommand(applyPrefixToCommand(command, prefix));
+  }
+
+  let reply;
+  try {
+    reply = stripPrefix(await client.sendCommand(
+      applyPrefixToCommand(['EVAL', script.script, String(keys.length), ...keys, ...args], prefix)
+    ), prefix);
+  } catch (error) {
+    if (expectError === undefined) {
+      return `failed: ${error.message}`;
+    }
+    return error.message.includes(expectError) ? null : `expected an error containing "${expectError}", got "${error.message}"`;
+  }
+
+  if (expectError !== undefined) {
+    return `expected an error containing "${expectError}", got ${JSON.stringify(reply)}`;
+  }
+  return isDeepStrictEqual(reply, expect) ? null : `expected ${JSON.stringify(expect)}, got ${JSON.stringify(reply)}`;
+}
+
+/**
+ * Run the Lua script tests of the schemas
+ *
+ * Every test runs the script source from its schema with EVAL, so scripts
+ * can be tested before they are registered. Test keys live under
+ * `<prefix>script-test:{<id>}:`, whose hash tag keeps them in one cluster
+ * slot; the prefix is removed from the strings of the reply before it is
+ * compared with EXPECT.
+ * @param {Object} client - Redis client
+ * @param {Object} config - Configuration options
+ * @param {boolean} fromString - Whether loading from string
+ * @returns {Promise<Object>} - Test report
+ */
+async function runScriptTests(client, config, fromString = false) {
+  try {
+    const scripts = findInSchemas(config, fromString, findLuaScriptsInSchema);
+    if (scripts === null) {
+      return { success: false, error: `Schemas directory not found: ${config.schemasDir}` };
+    }
+
+    const tests = findInSchemas(config, fromString, findScriptTestsInSchema);
+    if (tests.length === 0) {
+      log('info', 'No Lua script tests found in schemas', config);
+      return { success: true, passed: 0, failed: 0, tests: [] };
+    }
+
+    log('info', `Running ${tests.length} Lua script tests`, config);
+
+    const runId = crypto.randomBytes(4).toString('hex');
+    const results = [];
+
+    for (const [index, test] of tests.entries()) {
+      const prefix = `${config.prefix || ''}script-test:{${runId}-${index + 1}}:`;
+      const location = `${test.source}:${test.line}`;
+      let error;
+
+      try {
+        error = await runScriptTest(client, test, scripts, prefix);
+      } catch (failure) {
+        error = failure.message;
+      }
+
+      try {
+        await deleteKeys(client, prefix);
+      } catch (cleanupError) {
+        log('warn', `Failed to delete the keys of the test of ${test.name} under ${prefix}: ${cleanupError.message}`, config);
+      }
+
+      if (error) {
+        log('error', `FAIL ${test.name} (${location}): ${error}`, config);
+        results.push({ name: test.name, source: test.source, line: test.line, passed: false, error });
+      } else {
+        log('success', `PASS ${test.name} (${location})`, config);
+        results.push({ name: test.name, source: test.source, line: test.line, passed: true });
+      }
+    }
+
+    const passed = results.filter(result => result.passed).length;
+    const failed = results.length - passed;
+    log(failed === 0 ? 'success' : 'error', `${passed} of ${results.length} Lua script tests passed`, config);
+
+    return { success: failed === 0, passed, failed, tests: results };
+  } catch (error) {
+    log('error', `Failed to run Lua script tests: ${error.message}`, config);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  runScriptTests,
+  parseScriptTest
+};
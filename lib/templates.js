@@ -1,9 +1,113 @@
 /**
  * Template support module
  *
- * Handles schema template variables.
+ * Handles schema template variables and @for / @if blocks.
  */
 
+// Filters available as ${NAME|filter}
+const TEMPLATE_FILTERS = {
+  upper: value => String(value).toUpperCase(),
+  lower: value => String(value).toLowerCase(),
+  trim: value => String(value).trim(),
+  json: value => JSON.stringify(value),
+  base64: value => Buffer.from(String(value)).toString('base64'),
+  urlencode: value => encodeURIComponent(String(value))
+};
+
+/**
+ * Get the 1-based line and column of an offset in content
+ * @param {string} content - Content
+ * @param {number} offset - Character offset
+ * @returns {Object} - Line and column
+ */
+function getPosition(content, offset) {
+  const before = content.slice(0, offset);
+  const lineStart = before.lastIndexOf('\n') + 1;
+
+  return {
+    line: before.split('\n').length,
+    column: offset - lineStart + 1
+  };
+}
+
+/**
+ * Render template variables in content
+ *
+ * Supports `${NAME}`, `${NAME:-default}` (used when NAME is unset or empty),
+ * `${NAME:?message}` (an error when NAME is unset or empty) and filters such
+ * as `${NAME|upper}`, applied left to right. `$${` produces a literal `${`.
+ * A variable whose value is a function is called for every marker, with
+ * any `:`-separated arguments (`${RANDOM_INT:1:100}`).
+ * Markers that cannot be resolved are left in place and reported.
+ * The offset, length and value of every replaced marker are listed in
+ * `markers`, for callers that substitute values themselves.
+ * @param {string} content - Content with template variables
+ * @param {Object} variables - Variables to replace
+ * @returns {Object} - Rendered content, replaced markers, unresolved variables and errors, with their positions
+ */
+function renderTemplate(content, variables) {
+  const values = variables && typeof variables === 'object' ? variables : {};
+  const markers = [];
+  const unresolved = [];
+  const errors = [];
+
+  const rendered = content.replace(/\$?\$\{([^}]*)\}/g, (match, expression, offset) => {
+    const replace = value => {
+      markers.push({ offset, length: match.length, value });
+      return value;
+    };
+
+    if (match.startsWith('$$')) {
+      return replace(match.slice(1));
+    }
+
+    const [head, ...filters] = expression.split('|').map(part => part.trim());
+    const fallback = head.match(/^([^:]*?)\s*:([-?])([\s\S]*)$/);
+    const [name, ...args] = fallback ? [fallback[1]] : head.split(':').map(part => part.trim());
+    const [operator, operand] = fallback ? [fallback[2], fallback[3]] : [];
+    const position = getPosition(content, offset);
+
+    let value = values[name];
+
+    // Generators such as UUID produce a new value for every marker
+    if (typeof value === 'function') {
+      try {
+        value = value(...args);
+      } catch (error) {
+        errors.push({ name, ...position, message: `${name}: ${error.message}` });
+        return match;
+      }
+    } else if (args.length > 0 && value !== undefined) {
+      errors.push({ name, ...position, message: `${name} does not take arguments` });
+      return match;
+    }
+
+    const isSet = value !== undefined && value !== null && value !== '';
+
+    if (!isSet && operator === '-') {
+      value = operand;
+    } else if (!isSet && operator === '?') {
+      errors.push({ name, ...position, message: `${name}: ${operand || 'required variable is not set'}` });
+      return match;
+    } else if (value === undefined || value === null) {
+      unresolved.push({ name, ...position });
+      return match;
+    }
+
+    for (const filter of filters) {
+      if (!TEMPLATE_FILTERS[filter]) {
+        errors.push({ name, filter, ...position, message: `Unknown template filter ${filter} for ${name}` });
+        return match;
+      }
+      value = TEMPLATE_FILTERS[filter](value);
+    }
+
+    return replace(String(value));
+  });
+
+  return { content: rendered, markers, unresolved, errors };
+}
+
 /**
  * Process template variables in content
  * @param {string} content - Content with template variables
@@ -11,47 +115,318 @@
  * @returns {string} - Processed content
  */
 function processTemplate(content, variables) {
-  if (!variables || typeof variables !== 'object' || Object.keys(variables).length === 0) {
-    return content;
-  }
+  return renderTemplate(content, variables).content;
+}
+
+/**
+ * Split schema content into a tree of lines and @for / @if blocks
+ * @param {string} content - Schema content
+ * @param {Array} errors - Receives malformed block errors
+ * @returns {Array} - Top-level nodes
+ */
+function parseTemplateBlocks(content, errors) {
+  const root = { body: [] };
+  const stack = [root];
 
-  return content.replace(/\${([^}]+)}/g, (match, varName) => {
-    // Use variable value if defined, otherwise keep the template marker
-    return variables[varName] !== undefined ? variables[varName] : match;
+  content.split('\n').forEach((text, index) => {
+    const line = index + 1;
+    const trimmed = text.trim();
+    const column = text.length - text.trimStart().length + 1;
+    const current = stack[stack.length - 1];
+    const target = current.elseBody || current.body;
+    const keyword = trimmed.match(/^@(for|if|else|end)\b\s*(.*)$/);
+
+    if (!keyword) {
+      target.push({ type: 'line', text, line });
+      return;
+    }
+
+    const [, name, rest] = keyword;
+
+    if (name === 'for') {
+      const header = rest.match(/^([A-Za-z_][A-Za-z0-9_]*)\s+in\s+(.+)$/);
+      if (!header) {
+        errors.push({ line, column, message: '@for must look like @for NAME in START..END or @for NAME in a, b, c' });
+      }
+      const block = { type: 'for', name: header && header[1], source: header && header[2], line, column, body: [] };
+      target.push(block);
+      stack.push(block);
+    } else if (name === 'if') {
+      if (!rest) {
+        errors.push({ line, column, message: '@if needs a condition' });
+      }
+      const block = { type: 'if', condition: rest, line, column, body: [], elseBody: null };
+      target.push(block);
+      stack.push(block);
+    } else if (name === 'else') {
+      if (current.type !== 'if' || current.elseBody) {
+        errors.push({ line, column, message: '@else without a matching @if' });
+        return;
+      }
+      current.elseBody = [];
+    } else if (stack.length === 1) {
+      errors.push({ line, column, message: '@end without a matching @for or @if' });
+    } else {
+      stack.pop();
+    }
   });
+
+  for (const block of stack.slice(1)) {
+    errors.push({ line: block.line, column: block.column, message: `@${block.type} block is missing @end` });
+  }
+
+  return root.body;
+}
+
+/**
+ * Get the values a @for loop iterates over
+ * @param {string} source - Range (START..END) or comma-separated list
+ * @returns {Array|null} - Values, or null if the source is malformed
+ */
+function getLoopValues(source) {
+  const range = source.match(/^(-?\d+)\s*\.\.\s*(-?\d+)$/);
+  if (range) {
+    const start = parseInt(range[1], 10);
+    const end = parseInt(range[2], 10);
+    const step = start <= end ? 1 : -1;
+    const values = [];
+
+    for (let i = start; i !== end + step; i += step) {
+      values.push(String(i));
+    }
+    return values;
+  }
+
+  if (source.includes('..')) {
+    return null;
+  }
+
+  return source.split(',').map(value => value.trim().replace(/^(["'])(.*)\1$/, '$2')).filter(Boolean);
+}
+
+/**
+ * Evaluate an @if condition
+ *
+ * Conditions are `NAME` (set and not empty), `!NAME`, or `NAME OP value`
+ * where OP is ==, != or a numeric comparison (<, <=, >, >=).
+ * @param {string} condition - Condition text
+ * @param {Object} variables - Variables in scope
+ * @returns {boolean|null} - Result, or null if the condition is malformed
+ */
+function evaluateCondition(condition, variables) {
+  const isSet = name => variables[name] !== undefined && variables[name] !== null && variables[name] !== '';
+
+  const flag = condition.match(/^(!?)\s*([A-Za-z_][A-Za-z0-9_]*)$/);
+  if (flag) {
+    return flag[1] ? !isSet(flag[2]) : isSet(flag[2]);
+  }
+
+  const comparison = condition.match(/^([A-Za-z_][A-Za-z0-9_]*)\s*(==|!=|<=|>=|<|>)\s*(.+)$/);
+  if (!comparison) {
+    return null;
+  }
+
+  const [, name, operator, literal] = comparison;
+  const expected = literal.trim().replace(/^(["'])(.*)\1$/, '$2');
+  const actual = variables[name];
+
+  if (operator === '==') return actual !== undefined && actual !== null && String(actual) === expected;
+  if (operator === '!=') return actual === undefined || actual === null || String(actual) !== expected;
+
+  const left = Number(actual);
+  const right = Number(expected);
+  if (!isSet(name) || Number.isNaN(left) || Number.isNaN(right)) return false;
+  if (operator === '<') return left < right;
+  if (operator === '<=') return left <= right;
+  if (operator === '>') return left > right;
+  return left >= right;
+}
+
+/**
+ * Expand @for and @if blocks in schema content
+ *
+ * `@for i in 1..1000` and `@for region in eu, us` repeat the lines up to the
+ * matching `@end` with the loop variable set; `@if ENV == "dev"` keeps them
+ * only when the condition holds, with an optional `@else`. Blocks nest.
+ * Variable markers in the expanded lines are left for renderTemplate, so each
+ * line comes with the loop variables in scope for it and its source line.
+ * @param {string} content - Schema content
+ * @param {Object} variables - Template variables
+ * @returns {Object} - Expanded lines ({ text, line, scope }) and block errors
+ */
+function expandTemplateBlocks(content, variables) {
+  const values = variables && typeof variables === 'object' ? variables : {};
+  const errors = [];
+  const lines = [];
+  const nodes = parseTemplateBlocks(content, errors);
+
+  const expand = (body, scope) => {
+    for (const node of body) {
+      if (node.type === 'line') {
+        lines.push({ text: node.text, line: node.line, scope });
+        continue;
+      }
+
+      const inScope = { ...values, ...scope };
+
+      if (node.type === 'if') {
+        const result = node.condition ? evaluateCondition(processTemplate(node.condition, inScope), inScope) : null;
+        if (result === null) {
+          if (node.condition) {
+            errors.push({ line: node.line, column: node.column, message: `Invalid @if condition: ${node.condition}` });
+          }
+          continue;
+        }
+
+        const taken = result ? node.body : node.elseBody;
+        if (taken) expand(taken, scope);
+        continue;
+      }
+
+      if (!node.name) continue;
+
+      const source = renderTemplate(node.source, inScope);
+      const unresolved = source.unresolved[0] || source.errors[0];
+      if (unresolved) {
+        errors.push({
+          line: node.line,
+          column: node.column,
+          message: unresolved.message || `Unresolved template variable ${unresolved.name}`
+        });
+        continue;
+      }
+
+      const loopValues = getLoopValues(source.content.trim());
+      if (!loopValues) {
+        errors.push({ line: node.line, column: node.column, message: `Invalid @for range: ${node.source}` });
+        continue;
+      }
+
+      for (const value of loopValues) {
+        expand(node.body, { ...scope, [node.name]: value });
+      }
+    }
+  };
+
+  expand(nodes, {});
+
+  return { lines, errors };
 }
 
+/**
+ * Create a random number generator
+ *
+ * With a seed the sequence is the same on every run (mulberry32 seeded with
+ * a hash of the seed); without one it is Math.random.
+ * @param {string|number} seed - Seed
+ * @returns {Function} - Function returning numbers in [0, 1)
+ */
+function createRandom(seed) {
+  if (seed === undefined || seed === null || seed === '') {
+    return Math.random;
+  }
+
+  let state = 2166136261;
+  for (const char of String(seed)) {
+    state = Math.imul(state ^ char.charCodeAt(0), 16777619);
+  }
+
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Parse the time template variables are generated at
+ * @param {Date|string|number} now - Date, ISO string or milliseconds since the epoch
+ * @returns {Date} - Time
+ */
+function parseNow(now) {
+  if (now === undefined || now === null || now === '') {
+    return new Date();
+  }
+
+  const date = now instanceof Date ? new Date(now.getTime())
+    : new Date(/^\d+$/.test(String(now)) ? Number(now) : now);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid time: ${now}`);
+  }
+
+  return date;
+}
+
+const FAKE_FIRST_NAMES = ['james', 'mary', 'john', 'patricia', 'robert', 'jennifer', 'michael', 'linda', 'david', 'elena'];
+const FAKE_LAST_NAMES = ['smith', 'johnson', 'williams', 'brown', 'jones', 'garcia', 'miller', 'davis', 'martin', 'lopez'];
+
 /**
  * Get commonly used template variables
+ *
+ * `UUID`, `RANDOM_INT`, `FAKE_NAME` and `FAKE_EMAIL` are generators that
+ * produce a new value for every marker. Pass `now` to freeze the time
+ * variables and `seed` to make RANDOM_ID and the generators reproducible.
+ * @param {Object} options - Options
+ * @param {string|number} options.seed - Seed for random values
+ * @param {Date|string|number} options.now - Time to use instead of the clock
  * @returns {Object} - Common template variables
  */
-function getCommonTemplateVariables() {
+function getCommonTemplateVariables(options = {}) {
+  const now = parseNow(options.now);
+  const random = createRandom(options.seed);
+  const pick = list => list[Math.floor(random() * list.length)];
+  const randomId = () => random().toString(36).substring(2, 15).padEnd(13, '0');
+
+  const randomInt = (min = '0', max = String(Number.MAX_SAFE_INTEGER)) => {
+    const low = parseInt(min, 10);
+    const high = parseInt(max, 10);
+    if (isNaN(low) || isNaN(high) || low > high) {
+      throw new Error(`invalid range ${min}..${max}`);
+    }
+    return String(low + Math.floor(random() * (high - low + 1)));
+  };
+
+  const uuid = () => {
+    const bytes = Array.from({ length: 16 }, () => Math.floor(random() * 256));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = bytes.map(byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.substring(0, 8)}-${hex.substring(8, 12)}-${hex.substring(12, 16)}-${hex.substring(16, 20)}-${hex.substring(20)}`;
+  };
+
   return {
-    TIMESTAMP: Date.now().toString(),
-    ISO_DATE: new Date().toISOString(),
-    DATE: new Date().toISOString().split('T')[0],
-    TIME: new Date().toISOString().split('T')[1].split('.')[0],
+    TIMESTAMP: now.getTime().toString(),
+    ISO_DATE: now.toISOString(),
+    DATE: now.toISOString().split('T')[0],
+    TIME: now.toISOString().split('T')[1].split('.')[0],
     HOSTNAME: require('os').hostname(),
     NODE_ENV: process.env.NODE_ENV || 'development',
-    RANDOM_ID: Math.random().toString(36).substring(2, 15) +
-      Math.random().toString(36).substring(2, 15)
+    RANDOM_ID: randomId() + randomId(),
+    UUID: uuid,
+    RANDOM_INT: randomInt,
+    FAKE_NAME: () => `${pick(FAKE_FIRST_NAMES)} ${pick(FAKE_LAST_NAMES)}`,
+    FAKE_EMAIL: () => `${pick(FAKE_FIRST_NAMES)}.${pick(FAKE_LAST_NAMES)}${randomInt('1', '999')}@example.com`
   };
 }
 
 /**
  * Expand template variables with common variables
  * @param {Object} variables - User-provided variables
+ * @param {Object} options - Options for the common variables (seed, now)
  * @returns {Object} - Expanded variables
  */
-function expandTemplateVariables(variables = {}) {
+function expandTemplateVariables(variables = {}, options = {}) {
   return {
-    ...getCommonTemplateVariables(),
+    ...getCommonTemplateVariables(options),
     ...variables
   };
 }
 
 module.exports = {
   processTemplate,
+  renderTemplate,
+  expandTemplateBlocks,
   getCommonTemplateVariables,
   expandTemplateVariables
 };
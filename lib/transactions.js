@@ -4,7 +4,7 @@
  * Provides Redis transaction support for atomic operations.
  */
 
-const { log } = require('./utils');
+const { log, formatCommand } = require('./utils');
 
 /**
  * Execute commands in a Redis transaction
@@ -24,12 +24,12 @@ async function executeInTransaction(client, commands, config) {
     for (const command of commands) {
       if (command.length === 0) continue;
 
-      const cmd = command[0].toUpperCase();
+      const cmd = String(command[0]).toUpperCase();
       const args = command.slice(1);
 
       try {
         if (config?.verbose) {
-          log('info', `Adding to transaction: ${cmd} ${args.join(' ')}`, config);
+          log('info', `Adding to transaction: ${formatCommand([cmd, ...args])}`, config);
         }
 
         multi.sendCommand([cmd, ...args]);
@@ -48,7 +48,7 @@ async function executeInTransaction(client, commands, config) {
       if (results[i] instanceof Error) {
         errors.push({
           index: i,
-          command: commands[i].join(' '),
+          command: formatCommand(commands[i]),
           error: results[i].message
         });
       }
@@ -4,6 +4,78 @@
 
 const chalk = require('chalk');
 
+// Commands where the first argument is always a key
+const FIRST_ARG_KEY_COMMANDS = [
+  'APPEND', 'DECR', 'DECRBY', 'DEL', 'EXISTS', 'EXPIRE', 'EXPIREAT',
+  'GET', 'GETBIT', 'GETRANGE', 'GETSET', 'HDEL', 'HEXISTS', 'HGET',
+  'HGETALL', 'HINCRBY', 'HINCRBYFLOAT', 'HKEYS', 'HLEN', 'HMGET',
+  'HMSET', 'HSET', 'HSETNX', 'HSTRLEN', 'HVALS', 'INCR', 'INCRBY',
+  'INCRBYFLOAT', 'LINDEX', 'LINSERT', 'LLEN', 'LPOP', 'LPUSH',
+  'LPUSHX', 'LRANGE', 'LREM', 'LSET', 'LTRIM', 'PERSIST', 'PEXPIRE',
+  'PEXPIREAT', 'PSETEX', 'PTTL', 'RENAME', 'RENAMENX', 'RPOP', 'RPUSH',
+  'RPUSHX', 'SADD', 'SCARD', 'SDIFF', 'SDIFFSTORE', 'SET', 'SETBIT',
+  'SETEX', 'SETNX', 'SETRANGE', 'SINTER', 'SINTERSTORE', 'SISMEMBER',
+  'SMEMBERS', 'SMOVE', 'SPOP', 'SRANDMEMBER', 'SREM', 'STRLEN',
+  'SUNION', 'SUNIONSTORE', 'TTL', 'TYPE', 'ZADD', 'ZCARD', 'ZCOUNT',
+  'ZINCRBY', 'ZINTERSTORE', 'ZLEXCOUNT', 'ZRANGE', 'ZRANGEBYLEX',
+  'ZRANGEBYSCORE', 'ZRANK', 'ZREM', 'ZREMRANGEBYLEX', 'ZREMRANGEBYRANK',
+  'ZREMRANGEBYSCORE', 'ZREVRANGE', 'ZREVRANGEBYLEX', 'ZREVRANGEBYSCORE',
+  'ZREVRANK', 'ZSCORE', 'ZUNIONSTORE'
+];
+
+// Arity of the commands understood by Redis 7, and of the hash field expiry
+// commands of Redis 7.4 and 8.0, as reported by COMMAND INFO: the number of
+// arguments including the command name, negative meaning "at least"
+const REDIS_COMMAND_ARITY = {
+  ACL: -2, APPEND: 3, ASKING: 1, AUTH: -2, BGREWRITEAOF: 1, BGSAVE: -1,
+  BITCOUNT: -2, BITFIELD: -2, BITFIELD_RO: -2, BITOP: -4, BITPOS: -3,
+  BLMOVE: 6, BLMPOP: -5, BLPOP: -3, BRPOP: -3, BRPOPLPUSH: 4, BZMPOP: -5,
+  BZPOPMAX: -3, BZPOPMIN: -3, CLIENT: -2, CLUSTER: -2, COMMAND: -1,
+  CONFIG: -2, COPY: -3, DBSIZE: 1, DEBUG: -2, DECR: 2, DECRBY: 3, DEL: -2,
+  DISCARD: 1, DUMP: 2, ECHO: 2, EVAL: -3, EVALSHA: -3, EVALSHA_RO: -3,
+  EVAL_RO: -3, EXEC: 1, EXISTS: -2, EXPIRE: -3, EXPIREAT: -3, EXPIRETIME: 2,
+  FAILOVER: -1, FCALL: -3, FCALL_RO: -3, FLUSHALL: -1, FLUSHDB: -1,
+  FUNCTION: -2, GEOADD: -5, GEODIST: -4, GEOHASH: -2, GEOPOS: -2,
+  GEORADIUS: -6, GEORADIUSBYMEMBER: -5, GEORADIUSBYMEMBER_RO: -5,
+  GEORADIUS_RO: -6, GEOSEARCH: -7, GEOSEARCHSTORE: -8, GET: 2, GETBIT: 3,
+  GETDEL: 2, GETEX: -2, GETRANGE: 4, GETSET: 3, HDEL: -3, HELLO: -1,
+  HEXISTS: 3, HEXPIRE: -6, HEXPIREAT: -6, HEXPIRETIME: -5, HGET: 3,
+  HGETALL: 2, HGETDEL: -5, HGETEX: -5, HINCRBY: 4, HINCRBYFLOAT: 4, HKEYS: 2,
+  HLEN: 2, HMGET: -3, HMSET: -4, HPERSIST: -5, HPEXPIRE: -6, HPEXPIREAT: -6,
+  HPEXPIRETIME: -5, HPTTL: -5, HRANDFIELD: -2, HSCAN: -3, HSET: -4,
+  HSETEX: -6, HSETNX: 4, HSTRLEN: 3, HTTL: -5, HVALS: 2, INCR: 2, INCRBY: 3,
+  INCRBYFLOAT: 3,
+  INFO: -1, KEYS: 2, LASTSAVE: 1, LATENCY: -2, LCS: -3, LINDEX: 3, LINSERT: 5,
+  LLEN: 2, LMOVE: 5, LMPOP: -4, LOLWUT: -1, LPOP: -2, LPOS: -3, LPUSH: -3,
+  LPUSHX: -3, LRANGE: 4, LREM: 4, LSET: 4, LTRIM: 4, MEMORY: -2, MGET: -2,
+  MIGRATE: -6, MODULE: -2, MONITOR: 1, MOVE: 3, MSET: -3, MSETNX: -3,
+  MULTI: 1, OBJECT: -2, PERSIST: 2, PEXPIRE: -3, PEXPIREAT: -3,
+  PEXPIRETIME: 2, PFADD: -2, PFCOUNT: -2, PFDEBUG: 3, PFMERGE: -2,
+  PFSELFTEST: 1, PING: -1, PSETEX: 4, PSUBSCRIBE: -2, PSYNC: -3, PTTL: 2,
+  PUBLISH: 3, PUBSUB: -2, PUNSUBSCRIBE: -1, QUIT: -1, RANDOMKEY: 1,
+  READONLY: 1, READWRITE: 1, RENAME: 3, RENAMENX: 3, REPLCONF: -1,
+  REPLICAOF: 3, RESET: 1, RESTORE: -4, 'RESTORE-ASKING': -4, ROLE: 1,
+  RPOP: -2, RPOPLPUSH: 3, RPUSH: -3, RPUSHX: -3, SADD: -3, SAVE: 1, SCAN: -2,
+  SCARD: 2, SCRIPT: -2, SDIFF: -2, SDIFFSTORE: -3, SELECT: 2, SET: -3,
+  SETBIT: 4, SETEX: 4, SETNX: 3, SETRANGE: 4, SHUTDOWN: -1, SINTER: -2,
+  SINTERCARD: -3, SINTERSTORE: -3, SISMEMBER: 3, SLAVEOF: 3, SLOWLOG: -2,
+  SMEMBERS: 2, SMISMEMBER: -3, SMOVE: 4, SORT: -2, SORT_RO: -2, SPOP: -2,
+  SPUBLISH: 3, SRANDMEMBER: -2, SREM: -3, SSCAN: -3, SSUBSCRIBE: -2,
+  STRLEN: 2, SUBSCRIBE: -2, SUBSTR: 4, SUNION: -2, SUNIONSTORE: -3,
+  SUNSUBSCRIBE: -1, SWAPDB: 3, SYNC: 1, TIME: 1, TOUCH: -2, TTL: 2, TYPE: 2,
+  UNLINK: -2, UNSUBSCRIBE: -1, UNWATCH: 1, WAIT: 3, WAITAOF: 4, WATCH: -2,
+  XACK: -4, XADD: -5, XAUTOCLAIM: -6, XCLAIM: -6, XDEL: -3, XGROUP: -2,
+  XINFO: -2, XLEN: 2, XPENDING: -3, XRANGE: -4, XREAD: -4, XREADGROUP: -7,
+  XREVRANGE: -4, XSETID: -3, XTRIM: -4, ZADD: -4, ZCARD: 2, ZCOUNT: 4,
+  ZDIFF: -3, ZDIFFSTORE: -4, ZINCRBY: 4, ZINTER: -3, ZINTERCARD: -3,
+  ZINTERSTORE: -4, ZLEXCOUNT: 4, ZMPOP: -4, ZMSCORE: -3, ZPOPMAX: -2,
+  ZPOPMIN: -2, ZRANDMEMBER: -2, ZRANGE: -4, ZRANGEBYLEX: -4,
+  ZRANGEBYSCORE: -4, ZRANGESTORE: -5, ZRANK: -3, ZREM: -3, ZREMRANGEBYLEX: 4,
+  ZREMRANGEBYRANK: 4, ZREMRANGEBYSCORE: 4, ZREVRANGE: -4, ZREVRANGEBYLEX: -4,
+  ZREVRANGEBYSCORE: -4, ZREVRANK: -3, ZSCAN: -3, ZSCORE: 3, ZUNION: -3,
+  ZUNIONSTORE: -4
+};
+
 /**
  * Log a message with appropriate formatting
  * @param {string} level - Log level (info, success, warn, error)
@@ -53,6 +125,16 @@ function log(level, message, config = { color: true }, prefix = true) {
   console.log(formattedMessage);
 }
 
+/**
+ * Prepend a prefix to a key, keeping binary keys as Buffers
+ * @param {string} prefix - Key prefix
+ * @param {string|Buffer} key - Key
+ * @returns {string|Buffer} - Prefixed key
+ */
+function prefixKey(prefix, key) {
+  return Buffer.isBuffer(key) ? Buffer.concat([Buffer.from(prefix), key]) : `${prefix}${key}`;
+}
+
 /**
  * Apply prefix to a Redis command
  * @param {Array} command - Command parts
@@ -64,42 +146,23 @@ function applyPrefixToCommand(command, prefix) {
     return command;
   }
 
-  const cmd = command[0].toUpperCase();
+  const cmd = String(command[0]).toUpperCase();
   const args = [...command.slice(1)];
 
-  // Commands where the first argument is always a key
-  const firstArgKeyCommands = [
-    'APPEND', 'DECR', 'DECRBY', 'DEL', 'EXISTS', 'EXPIRE', 'EXPIREAT',
-    'GET', 'GETBIT', 'GETRANGE', 'GETSET', 'HDEL', 'HEXISTS', 'HGET',
-    'HGETALL', 'HINCRBY', 'HINCRBYFLOAT', 'HKEYS', 'HLEN', 'HMGET',
-    'HMSET', 'HSET', 'HSETNX', 'HSTRLEN', 'HVALS', 'INCR', 'INCRBY',
-    'INCRBYFLOAT', 'LINDEX', 'LINSERT', 'LLEN', 'LPOP', 'LPUSH',
-    'LPUSHX', 'LRANGE', 'LREM', 'LSET', 'LTRIM', 'PERSIST', 'PEXPIRE',
-    'PEXPIREAT', 'PSETEX', 'PTTL', 'RENAME', 'RENAMENX', 'RPOP', 'RPUSH',
-    'RPUSHX', 'SADD', 'SCARD', 'SDIFF', 'SDIFFSTORE', 'SET', 'SETBIT',
-    'SETEX', 'SETNX', 'SETRANGE', 'SINTER', 'SINTERSTORE', 'SISMEMBER',
-    'SMEMBERS', 'SMOVE', 'SPOP', 'SRANDMEMBER', 'SREM', 'STRLEN',
-    'SUNION', 'SUNIONSTORE', 'TTL', 'TYPE', 'ZADD', 'ZCARD', 'ZCOUNT',
-    'ZINCRBY', 'ZINTERSTORE', 'ZLEXCOUNT', 'ZRANGE', 'ZRANGEBYLEX',
-    'ZRANGEBYSCORE', 'ZRANK', 'ZREM', 'ZREMRANGEBYLEX', 'ZREMRANGEBYRANK',
-    'ZREMRANGEBYSCORE', 'ZREVRANGE', 'ZREVRANGEBYLEX', 'ZREVRANGEBYSCORE',
-    'ZREVRANK', 'ZSCORE', 'ZUNIONSTORE'
-  ];
-
   // Special cases for commands with multiple keys or special formats
   switch (cmd) {
     case 'MSET':
     case 'MSETNX':
       // Every odd argument is a key
       for (let i = 0; i < args.length; i += 2) {
-        args[i] = `${prefix}${args[i]}`;
+        args[i] = prefixKey(prefix, args[i]);
       }
       break;
 
     case 'MGET':
       // All arguments are keys
       for (let i = 0; i < args.length; i++) {
-        args[i] = `${prefix}${args[i]}`;
+        args[i] = prefixKey(prefix, args[i]);
       }
       break;
 
@@ -107,18 +170,18 @@ function applyPrefixToCommand(command, prefix) {
     case 'RENAMENX':
       // First two arguments are keys
       if (args.length >= 2) {
-        args[0] = `${prefix}${args[0]}`;
-        args[1] = `${prefix}${args[1]}`;
+        args[0] = prefixKey(prefix, args[0]);
+        args[1] = prefixKey(prefix, args[1]);
       }
       break;
 
     case 'SCAN':
       // Second argument might be a MATCH pattern
       for (let i = 1; i < args.length; i++) {
-        if (args[i].toUpperCase() === 'MATCH' && i + 1 < args.length) {
+        if (String(args[i]).toUpperCase() === 'MATCH' && i + 1 < args.length) {
           // Skip adding prefix if pattern already includes glob characters
           if (!args[i + 1].includes('*') && !args[i + 1].includes('?') && !args[i + 1].includes('[')) {
-            args[i + 1] = `${prefix}${args[i + 1]}`;
+            args[i + 1] = prefixKey(prefix, args[i + 1]);
           }
           break;
         }
@@ -127,13 +190,15 @@ function applyPrefixToCommand(command, prefix) {
 
     case 'EVALSHA':
     case 'EVAL':
-      // Handle Lua script calls - first arg is script/sha, second is key count
+    case 'FCALL':
+    case 'FCALL_RO':
+      // Handle Lua script and function calls - first arg is script/sha/function, second is key count
       // Then come keys, which need prefixes
       if (args.length >= 2) {
         const keyCount = parseInt(args[1], 10);
         if (!isNaN(keyCount) && keyCount > 0) {
           for (let i = 2; i < 2 + keyCount && i < args.length; i++) {
-            args[i] = `${prefix}${args[i]}`;
+            args[i] = prefixKey(prefix, args[i]);
           }
         }
       }
@@ -141,8 +206,8 @@ function applyPrefixToCommand(command, prefix) {
 
     default:
       // For commands where first argument is always a key
-      if (firstArgKeyCommands.includes(cmd) && args.length > 0) {
-        args[0] = `${prefix}${args[0]}`;
+      if (FIRST_ARG_KEY_COMMANDS.includes(cmd) && args.length > 0) {
+        args[0] = prefixKey(prefix, args[0]);
       }
       break;
   }
@@ -150,13 +215,49 @@ function applyPrefixToCommand(command, prefix) {
   return [cmd, ...args];
 }
 
+/**
+ * Get the key a Redis command operates on, used for cluster slot routing
+ * @param {Array} command - Command parts
+ * @returns {string|undefined} - First key of the command, if it has one
+ */
+function getCommandKey(command) {
+  if (command.length < 2) {
+    return undefined;
+  }
+
+  const cmd = String(command[0]).toUpperCase();
+  const args = command.slice(1);
+
+  switch (cmd) {
+    case 'MSET':
+    case 'MSETNX':
+    case 'MGET':
+      return args[0];
+
+    case 'EVALSHA':
+    case 'EVAL':
+    case 'FCALL':
+    case 'FCALL_RO':
+      return parseInt(args[1], 10) > 0 ? args[2] : undefined;
+
+    default:
+      return FIRST_ARG_KEY_COMMANDS.includes(cmd) ? args[0] : undefined;
+  }
+}
+
 /**
  * Apply TTL rules to Redis keys
+ *
+ * Matching keys are found with SCAN, on every master of a cluster, and the
+ * EXPIREs of each batch are pipelined to the node that holds its keys.
  * @param {Object} client - Redis client
  * @param {Object} config - Configuration options
  * @returns {Promise<Object>} - Result of TTL application
  */
 async function applyTTL(client, config) {
+  // Required here, as the backup module requires this one
+  const { scanKeys, getMatchPattern } = require('./backup');
+
   try {
     const expiryRules = config.ttlRules || {};
 
@@ -169,30 +270,22 @@ async function applyTTL(client, config) {
     let totalKeysAffected = 0;
 
     for (const [pattern, seconds] of Object.entries(expiryRules)) {
-      const fullPattern = config.prefix ? `${config.prefix}${pattern}` : pattern;
-      const keys = await client.keys(fullPattern);
+      const fullPattern = getMatchPattern(config.prefix, pattern);
+      let keysAffected = 0;
 
-      if (keys.length === 0) {
-        log('info', `No keys matched pattern ${fullPattern}`, config);
-        continue;
+      for await (const { node, keys } of scanKeys(client, fullPattern)) {
+        const replies = await Promise.all(keys.map(key => node.sendCommand(['EXPIRE', key, String(seconds)])));
+        // A key deleted or expired since the scan is not counted
+        keysAffected += replies.filter(reply => reply === 1).length;
       }
 
-      log('info', `Applying TTL of ${seconds}s to ${keys.length} keys matching ${fullPattern}`, config);
-
-      // Apply TTL in batches to avoid blocking Redis
-      const batchSize = 1000;
-      for (let i = 0; i < keys.length; i += batchSize) {
-        const batch = keys.slice(i, Math.min(i + batchSize, keys.length));
-        const pipeline = client.pipeline();
-
-        for (const key of batch) {
-          pipeline.expire(key, seconds);
-        }
-
-        await pipeline.exec();
+      if (keysAffected === 0) {
+        log('info', `No keys matched pattern ${fullPattern}`, config);
+        continue;
       }
 
-      totalKeysAffected += keys.length;
+      log('info', `Applied TTL of ${seconds}s to ${keysAffected} keys matching ${fullPattern}`, config);
+      totalKeysAffected += keysAffected;
     }
 
     log('success', `Applied TTL rules to ${totalKeysAffected} keys`, config);
@@ -203,8 +296,52 @@ async function applyTTL(client, config) {
   }
 }
 
+/**
+ * Render a command for logs and error reports
+ * @param {Array} command - Command parts
+ * @returns {string} - Command text, with binary arguments summarised by size
+ */
+function formatCommand(command) {
+  return command.map(part => Buffer.isBuffer(part) ? `<${part.length} bytes>` : part).join(' ');
+}
+
+/**
+ * Check whether a command name is in the built-in Redis command table
+ * @param {string} name - Command name
+ * @returns {boolean} - True if the table knows the command
+ */
+function isKnownCommand(name) {
+  return Object.prototype.hasOwnProperty.call(REDIS_COMMAND_ARITY, String(name).toUpperCase());
+}
+
+/**
+ * Check a command's argument count against its Redis arity
+ * @param {Array} command - Command parts
+ * @returns {string|null} - Description of the problem, or null if the count is valid or the command unknown
+ */
+function checkCommandArity(command) {
+  const name = String(command[0]).toUpperCase();
+  if (!isKnownCommand(name)) {
+    return null;
+  }
+
+  const arity = REDIS_COMMAND_ARITY[name];
+  if (arity > 0 && command.length !== arity) {
+    return `${name} takes exactly ${arity - 1} argument${arity === 2 ? '' : 's'}, got ${command.length - 1}`;
+  }
+  if (arity < 0 && command.length < -arity) {
+    return `${name} takes at least ${-arity - 1} argument${arity === -2 ? '' : 's'}, got ${command.length - 1}`;
+  }
+
+  return null;
+}
+
 module.exports = {
   log,
   applyPrefixToCommand,
+  getCommandKey,
+  formatCommand,
+  isKnownCommand,
+  checkCommandArity,
   applyTTL
 };
@@ -0,0 +1,179 @@
+/**
+ * Template variable sources module
+ *
+ * Resolves template variables from layered sources: built-in variables,
+ * JSON/YAML files, .env files, the process environment and KEY=VALUE
+ * assignments, recording where each variable came from.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { getCommonTemplateVariables } = require('./templates');
+
+// Environment variables starting with this prefix become template variables
+const DEFAULT_ENV_PREFIX = 'REDIS_INIT_VAR_';
+
+// Escapes understood in double-quoted .env values
+const DOTENV_ESCAPES = { n: '\n', r: '\r', t: '\t' };
+
+/**
+ * Parse the contents of a .env file
+ *
+ * Supports `KEY=value`, `export KEY=value`, `#` comments, single-quoted
+ * values taken literally and double-quoted values with \n, \r, \t escapes.
+ * @param {string} content - .env file content
+ * @returns {Object} - Variables
+ */
+function parseDotEnv(content) {
+  const variables = {};
+
+  content.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) return;
+
+    const match = line.match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_.]*)\s*=\s*(.*)$/);
+    if (!match) {
+      throw new Error(`Invalid line ${index + 1}: expected KEY=value`);
+    }
+
+    const [, name, rawValue] = match;
+    let value = rawValue;
+
+    if (rawValue.startsWith('"')) {
+      let closing = -1;
+      for (let i = 1; i < rawValue.length && closing === -1; i++) {
+        if (rawValue[i] === '\\') i++;
+        else if (rawValue[i] === '"') closing = i;
+      }
+      if (closing === -1) {
+        throw new Error(`Invalid line ${index + 1}: unterminated double-quoted value`);
+      }
+      value = rawValue.substring(1, closing).replace(/\\(.)/g, (match, char) => DOTENV_ESCAPES[char] || char);
+    } else if (rawValue.startsWith('\'')) {
+      const closing = rawValue.indexOf('\'', 1);
+      if (closing === -1) {
+        throw new Error(`Invalid line ${index + 1}: unterminated single-quoted value`);
+      }
+      value = rawValue.substring(1, closing);
+    } else {
+      // An unquoted value ends at a comment
+      value = rawValue.replace(/\s+#.*$/, '').trim();
+    }
+
+    variables[name] = value;
+  });
+
+  return variables;
+}
+
+/**
+ * Load template variables from a .env, YAML or JSON file
+ * @param {string} filePath - Path to the file
+ * @returns {Object} - Variables
+ */
+function loadVariableFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+  let variables;
+
+  if (path.basename(filePath).startsWith('.env') || extension === '.env') {
+    variables = parseDotEnv(content);
+  } else if (extension === '.yaml' || extension === '.yml') {
+    variables = yaml.safeLoad(content);
+  } else {
+    variables = JSON.parse(content);
+  }
+
+  if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+    throw new Error('expected a mapping of variable names to values');
+  }
+
+  return variables;
+}
+
+/**
+ * Parse KEY=VALUE assignments such as those given with --set
+ * @param {Array} assignments - Assignments
+ * @returns {Object} - Variables
+ */
+function parseAssignments(assignments) {
+  const variables = {};
+
+  for (const assignment of assignments) {
+    const match = assignment.match(/^([A-Za-z_][A-Za-z0-9_.]*)=([\s\S]*)$/);
+    if (!match) {
+      throw new Error(`Invalid variable assignment ${assignment}; expected KEY=VALUE`);
+    }
+    variables[match[1]] = match[2];
+  }
+
+  return variables;
+}
+
+/**
+ * Resolve template variables from all sources
+ *
+ * Later sources override earlier ones:
+ * 1. built-in variables (TIMESTAMP, HOSTNAME, ...)
+ * 2. `variables` passed in code
+ * 3. JSON/YAML variable files, in order
+ * 4. .env files, in order
+ * 5. environment variables starting with the prefix, with the prefix removed
+ * 6. KEY=VALUE assignments
+ *
+ * `seed` and `now` options make the built-in variables reproducible.
+ * @param {Object} options - Variable sources
+ * @returns {Object} - Variables and the source each one came from
+ */
+function resolveTemplateVariables(options = {}) {
+  const variables = {};
+  const sources = {};
+  const envPrefix = options.envPrefix !== undefined ? options.envPrefix : DEFAULT_ENV_PREFIX;
+  const env = options.env || process.env;
+
+  const apply = (values, source) => {
+    for (const [name, value] of Object.entries(values)) {
+      variables[name] = value;
+      sources[name] = source;
+    }
+  };
+
+  apply(getCommonTemplateVariables({ seed: options.seed, now: options.now }), 'built-in');
+  apply(options.variables || {}, 'options');
+
+  const applyFile = (file, load) => {
+    try {
+      apply(load(file), file);
+    } catch (error) {
+      throw new Error(`${file}: ${error.message}`);
+    }
+  };
+
+  for (const file of options.variableFiles || []) {
+    applyFile(file, loadVariableFile);
+  }
+
+  for (const file of options.envFiles || []) {
+    applyFile(file, envFile => parseDotEnv(fs.readFileSync(envFile, 'utf8')));
+  }
+
+  if (envPrefix) {
+    for (const [name, value] of Object.entries(env)) {
+      if (name.startsWith(envPrefix) && name.length > envPrefix.length) {
+        apply({ [name.substring(envPrefix.length)]: value }, `env:${name}`);
+      }
+    }
+  }
+
+  apply(parseAssignments(options.set || []), '--set');
+
+  return { variables, sources };
+}
+
+module.exports = {
+  DEFAULT_ENV_PREFIX,
+  parseDotEnv,
+  loadVariableFile,
+  resolveTemplateVariables
+};
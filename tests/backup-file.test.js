@@ -0,0 +1,153 @@
+const { resolveBackupKey, openBackupWriter, readBackup } = require('../lib/backup-file');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+// Backup files are written to a temporary directory
+jest.unmock('fs-extra');
+
+const KEY = 'a'.repeat(64);
+const OTHER_KEY = 'b'.repeat(64);
+
+const records = [
+  { format: 'redis-init-backup', version: 2, prefix: '' },
+  { key: 'session:1', type: 'hash', pttl: 60000, value: [['user', 'jane'], ['password', 's3cret']] },
+  { key: 'greeting', type: 'string', pttl: -1, value: 'héllo wörld' }
+];
+
+/**
+ * Write records to a backup file
+ * @param {string} file - Backup file
+ * @param {Object} config - Configuration options
+ * @returns {Promise<void>}
+ */
+async function writeBackup(file, config = {}) {
+  const writer = await openBackupWriter(file, config);
+  for (const record of records) {
+    await writer.write(record);
+  }
+  await writer.write({ end: true, count: 2, errors: 0 });
+  await writer.close();
+}
+
+/**
+ * Read all records of a backup file
+ * @param {string} file - Backup file
+ * @param {Object} config - Configuration options
+ * @returns {Promise<Array>} - Records
+ */
+async function readAll(file, config = {}) {
+  const result = [];
+  for await (const record of readBackup(file, config)) {
+    result.push(record);
+  }
+  return result;
+}
+
+describe('Backup File Module', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'redis-init-backup-file-'));
+  });
+
+  afterEach(() => {
+    fs.removeSync(dir);
+  });
+
+  describe('resolveBackupKey function', () => {
+    test('should take the key from options, a key file or the environment', () => {
+      const keyFile = path.join(dir, 'backup.key');
+      fs.writeFileSync(keyFile, `${Buffer.alloc(32, 2).toString('base64')}\n`);
+
+      expect(resolveBackupKey({ encryptionKey: KEY, env: {} })).toEqual(Buffer.alloc(32, 0xaa));
+      expect(resolveBackupKey({ encryptionKeyFile: keyFile, env: {} })).toEqual(Buffer.alloc(32, 2));
+      expect(resolveBackupKey({ env: { REDIS_INIT_BACKUP_KEY: OTHER_KEY } })).toEqual(Buffer.alloc(32, 0xbb));
+      expect(resolveBackupKey({ env: {} })).toBeNull();
+    });
+
+    test('should reject keys that are not 32 bytes', () => {
+      expect(() => resolveBackupKey({ encryptionKey: 'hunter2' }))
+        .toThrow('Backup encryption key must be 32 bytes, given as 64 hex characters or base64');
+    });
+  });
+
+  describe('compression', () => {
+    test.each([
+      ['backup.ndjson.gz', data => zlib.gunzipSync(data)],
+      ['backup.ndjson.br', data => zlib.brotliDecompressSync(data)]
+    ])('should compress %s by its extension', async (name, decompress) => {
+      const file = path.join(dir, name);
+
+      await writeBackup(file, { env: {} });
+
+      expect(decompress(fs.readFileSync(file)).toString()).toContain('"session:1"');
+      expect(await readAll(file, { env: {} })).toEqual(records);
+    });
+
+    test('should detect gzip content whatever the extension', async () => {
+      const file = path.join(dir, 'backup.ndjson.gz');
+      await writeBackup(file, { env: {} });
+      const renamed = path.join(dir, 'backup.ndjson');
+      fs.renameSync(file, renamed);
+
+      expect(await readAll(renamed, { env: {} })).toEqual(records);
+    });
+  });
+
+  describe('encryption', () => {
+    test('should encrypt backups when a key is configured', async () => {
+      const file = path.join(dir, 'backup.ndjson.gz');
+
+      await writeBackup(file, { encryptionKey: KEY });
+
+      const content = fs.readFileSync(file);
+      expect(content.subarray(0, 8).toString()).toBe('RINITENC');
+      expect(content.includes('s3cret')).toBe(false);
+      expect(await readAll(file, { encryptionKey: KEY })).toEqual(records);
+    });
+
+    test('should read encrypted backups with the key from the environment', async () => {
+      const file = path.join(dir, 'backup.ndjson');
+      await writeBackup(file, { env: { REDIS_INIT_BACKUP_KEY: KEY } });
+
+      expect(await readAll(file, { env: { REDIS_INIT_BACKUP_KEY: KEY } })).toEqual(records);
+    });
+
+    test('should fail clearly without a key or with the wrong one', async () => {
+      const file = path.join(dir, 'backup.ndjson');
+      await writeBackup(file, { encryptionKey: KEY });
+
+      await expect(readAll(file, { env: {} }))
+        .rejects.toThrow('Backup file is encrypted: set REDIS_INIT_BACKUP_KEY or give the encryption key');
+      await expect(readAll(file, { encryptionKey: OTHER_KEY }))
+        .rejects.toThrow('Cannot decrypt backup: wrong encryption key');
+    });
+
+    test.each([
+      ['data', size => size - 20],
+      ['header', () => 9],
+      ['authentication tag', size => size - 1]
+    ])('should refuse a file whose %s was modified', async (part, getOffset) => {
+      const file = path.join(dir, 'backup.ndjson');
+      await writeBackup(file, { encryptionKey: KEY });
+      const content = fs.readFileSync(file);
+      content[getOffset(content.length)] ^= 0x01;
+      fs.writeFileSync(file, content);
+
+      await expect(readAll(file, { encryptionKey: KEY }))
+        .rejects.toThrow('Cannot decrypt backup: the file has been modified or is corrupt');
+    });
+  });
+
+  test('should not leave a file behind when a backup is aborted', async () => {
+    const file = path.join(dir, 'backup.ndjson.gz');
+    const writer = await openBackupWriter(file, { encryptionKey: KEY });
+    await writer.write(records[0]);
+
+    await writer.abort();
+
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+});
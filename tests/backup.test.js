@@ -1,249 +1,760 @@
-const { backupRedisData, restoreRedisData } = require('../lib/backup');
+const { backupRedisData, restoreRedisData, readBackup, inspectBackup, listBackups, pruneBackups } = require('../lib/backup');
 const fs = require('fs-extra');
+const os = require('os');
 const path = require('path');
 
-jest.mock('fs-extra', () => {
-  return {
-    ensureDir: jest.fn().mockResolvedValue(undefined),
-    writeFile: jest.fn().mockResolvedValue(undefined),
-    readFile: jest.fn().mockResolvedValue(JSON.stringify({
-      timestamp: new Date().toISOString(),
-      prefix: 'myapp:',
-      host: 'localhost',
-      port: 6379,
-      database: 0,
-      keys: {
-        'myapp:key1': { type: 'string', value: 'value1', ttl: 3600 },
-        'myapp:hash1': { type: 'hash', value: { field1: 'value1', field2: 'value2' }, ttl: -1 },
-        'myapp:list1': { type: 'list', value: ['item1', 'item2'], ttl: 3600 }
+// Backups are streamed to real files in a temporary directory
+jest.unmock('fs-extra');
+
+/**
+ * Create a fake client answering the raw commands used by backups
+ * @param {Object} data - Keys as { type, value, pttl }
+ * @returns {Object} - Fake Redis client
+ */
+function createFakeClient(data) {
+  const keys = Object.keys(data);
+  const toBuffer = value => Buffer.isBuffer(value) ? value : Buffer.from(String(value));
+
+  const sendCommand = jest.fn(async ([cmd, ...args]) => {
+    const entry = data[String(args[0])];
+
+    switch (cmd) {
+      case 'SCAN': {
+        // Two keys per page to exercise the cursor
+        const regex = new RegExp(`^${args[2].replace(/\\(.)/g, '$1').replace(/[.+^${}()|[\]]/g, '\\$&').replace(/\*/g, '.*')}$`);
+        const matching = keys.filter(key => regex.test(key));
+        const start = parseInt(args[0], 10);
+        const next = start + 2 >= matching.length ? '0' : String(start + 2);
+        return [Buffer.from(next), matching.slice(start, start + 2).map(toBuffer)];
       }
-    })),
-    existsSync: jest.fn().mockReturnValue(true)
-  };
-});
+      case 'TYPE':
+        return Buffer.from(entry ? entry.type : 'none');
+      case 'PTTL':
+        return entry ? entry.pttl || -1 : -2;
+      case 'GET':
+        return toBuffer(entry.value);
+      case 'HGETALL':
+        return Object.entries(entry.value).flat().map(toBuffer);
+      case 'LRANGE':
+      case 'SMEMBERS':
+        return entry.value.map(toBuffer);
+      case 'ZRANGE':
+        return entry.value.flat().map(toBuffer);
+      case 'XRANGE':
+        return entry.value.entries.map(([id, fields]) => [Buffer.from(id), fields.map(toBuffer)]);
+      case 'XINFO':
+        if (args[0] === 'STREAM') {
+          const stream = data[String(args[1])].value;
+          return ['length', stream.entries.length, 'last-generated-id', Buffer.from(stream.lastId)];
+        }
+        if (args[0] === 'GROUPS') {
+          return data[String(args[1])].value.groups.map(group =>
+            ['name', Buffer.from(group.name), 'pending', group.pending.length, 'last-delivered-id', Buffer.from(group.lastDeliveredId)]);
+        }
+        return data[String(args[1])].value.groups.find(group => group.name === args[2]).consumers
+          .map(name => ['name', Buffer.from(name), 'pending', 0]);
+      case 'XPENDING':
+        return entry.value.groups.find(group => group.name === args[1]).pending
+          .map(([id, consumer]) => [Buffer.from(id), Buffer.from(consumer), 1000, 1]);
+      case 'DUMP':
+        return Buffer.from(entry.value);
+      default:
+        throw new Error(`Unexpected command ${cmd}`);
+    }
+  });
 
-// Mock fs-extra
-jest.mock('fs-extra');
+  // Transactions only record their commands
+  const transactions = [];
+  const multi = jest.fn(() => {
+    const commands = [];
+    transactions.push(commands);
+    return {
+      addCommand(args) {
+        commands.push(args);
+        return this;
+      },
+      exec: async () => commands.map(() => 'OK')
+    };
+  });
+
+  return { sendCommand, multi, transactions };
+}
+
+/**
+ * Read a backup file into its lines
+ * @param {string} file - Backup file
+ * @returns {Array} - Parsed lines
+ */
+function readLines(file) {
+  return fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
 
 describe('Backup Module', () => {
-  describe('backupRedisData function', () => {
-    // Setup test environment
-    beforeEach(() => {
-      // Mock fs.writeFile
-      fs.writeFile.mockReset();
-      fs.writeFile.mockResolvedValue(undefined);
+  let dir;
+  let backupFile;
 
-      // Mock fs.ensureDir
-      fs.ensureDir.mockReset();
-      fs.ensureDir.mockResolvedValue(undefined);
-    });
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'redis-init-backup-'));
+    backupFile = path.join(dir, 'backups', 'backup.ndjson');
+  });
+
+  afterEach(() => {
+    fs.removeSync(dir);
+  });
 
+  describe('backupRedisData function', () => {
     test('should create backup of Redis data', async () => {
-      // Mock client with test data
-      const mockClient = {
-        keys: jest.fn().mockResolvedValue(['key1', 'hash1', 'list1']),
-        type: jest.fn().mockImplementation(key => {
-          if (key === 'key1') return Promise.resolve('string');
-          if (key === 'hash1') return Promise.resolve('hash');
-          if (key === 'list1') return Promise.resolve('list');
-          return Promise.resolve('none');
-        }),
-        get: jest.fn().mockResolvedValue('value1'),
-        hGetAll: jest.fn().mockResolvedValue({ field1: 'value1', field2: 'value2' }),
-        lRange: jest.fn().mockResolvedValue(['item1', 'item2']),
-        ttl: jest.fn().mockResolvedValue(3600)
-      };
+      const client = createFakeClient({
+        key1: { type: 'string', value: 'value1', pttl: 3600000 },
+        hash1: { type: 'hash', value: { field1: 'value1', field2: 'value2' } },
+        list1: { type: 'list', value: ['item1', 'item2'] },
+        set1: { type: 'set', value: ['a', 'b'] },
+        zset1: { type: 'zset', value: [['low', '1.5'], ['high', 'inf']] }
+      });
+
+      const result = await backupRedisData(client, { backupFile, host: 'localhost', port: 6379 });
+
+      expect(result).toEqual({ success: true, count: 5, errors: 0 });
+
+      const lines = readLines(backupFile);
+      expect(lines[0]).toMatchObject({ format: 'redis-init-backup', version: 2, host: 'localhost', port: 6379, prefix: '' });
+      expect(lines.slice(1, -1)).toEqual([
+        { key: 'key1', type: 'string', pttl: 3600000, value: 'value1' },
+        { key: 'hash1', type: 'hash', pttl: -1, value: [['field1', 'value1'], ['field2', 'value2']] },
+        { key: 'list1', type: 'list', pttl: -1, value: ['item1', 'item2'] },
+        { key: 'set1', type: 'set', pttl: -1, value: ['a', 'b'] },
+        { key: 'zset1', type: 'zset', pttl: -1, value: [['low', '1.5'], ['high', 'inf']] }
+      ]);
+      expect(lines[lines.length - 1]).toEqual({ end: true, count: 5, errors: 0 });
+
+      // Keys are found with SCAN, never KEYS
+      const commands = client.sendCommand.mock.calls.map(([args]) => args[0]);
+      expect(commands).toContain('SCAN');
+      expect(commands).not.toContain('KEYS');
+    });
 
-      const config = {
-        backupFile: './backup.json',
-        host: 'localhost',
-        port: 6379
-      };
+    test('should keep binary values such as bitmaps and HyperLogLogs', async () => {
+      const bitmap = Buffer.from([0xff, 0x00, 0x80]);
+      const hll = Buffer.concat([Buffer.from('HYLL'), Buffer.from([0x01, 0xfe, 0x00])]);
+      const client = createFakeClient({
+        'visits:bitmap': { type: 'string', value: bitmap },
+        'visits:hll': { type: 'string', value: hll }
+      });
 
-      const result = await backupRedisData(mockClient, config);
+      await backupRedisData(client, { backupFile });
 
-      expect(result.success).toBe(true);
-      expect(result.count).toBe(3);
+      const [, bitmapRecord, hllRecord] = readLines(backupFile);
+      expect(bitmapRecord.value).toEqual({ base64: bitmap.toString('base64') });
+      expect(Buffer.from(hllRecord.value.base64, 'base64').equals(hll)).toBe(true);
+    });
 
-      // Check that keys were requested
-      expect(mockClient.keys).toHaveBeenCalledWith('*');
+    test('should back up streams with their consumer groups', async () => {
+      const client = createFakeClient({
+        events: {
+          type: 'stream',
+          value: {
+            lastId: '1700000000001-0',
+            entries: [['1700000000000-0', ['type', 'signup']], ['1700000000001-0', ['type', 'login']]],
+            groups: [{
+              name: 'workers',
+              lastDeliveredId: '1700000000001-0',
+              consumers: ['worker-1'],
+              pending: [['1700000000001-0', 'worker-1']]
+            }]
+          }
+        }
+      });
+
+      await backupRedisData(client, { backupFile });
+
+      expect(readLines(backupFile)[1].value).toEqual({
+        lastId: '1700000000001-0',
+        entriesAdded: null,
+        maxDeletedId: null,
+        entries: [
+          ['1700000000000-0', [['type', 'signup']]],
+          ['1700000000001-0', [['type', 'login']]]
+        ],
+        groups: [{
+          name: 'workers',
+          lastDeliveredId: '1700000000001-0',
+          entriesRead: null,
+          consumers: ['worker-1'],
+          pending: [{ id: '1700000000001-0', consumer: 'worker-1', deliveries: 1 }]
+        }]
+      });
+    });
 
-      // Check that the appropriate data was fetched for each key type
-      expect(mockClient.get).toHaveBeenCalledWith('key1');
-      expect(mockClient.hGetAll).toHaveBeenCalledWith('hash1');
-      expect(mockClient.lRange).toHaveBeenCalledWith('list1', 0, -1);
+    test('should fall back to DUMP for module types', async () => {
+      const client = createFakeClient({
+        'doc:1': { type: 'ReJSON-RL', value: Buffer.from([0x07, 0x81, 0x00]) }
+      });
 
-      // Check that TTL was fetched for each key
-      expect(mockClient.ttl).toHaveBeenCalledTimes(3);
+      await backupRedisData(client, { backupFile });
 
-      // Check that the backup was written to the file
-      expect(fs.writeFile).toHaveBeenCalledWith(
-        './backup.json',
-        expect.stringContaining('timestamp'),
-        expect.any(Function)
-      );
+      expect(readLines(backupFile)[1]).toEqual({ key: 'doc:1', type: 'ReJSON-RL', pttl: -1, dump: 'B4EA' });
     });
 
     test('should create backup with prefix filter', async () => {
-      // Mock client with test data
-      const mockClient = {
-        keys: jest.fn().mockResolvedValue(['myapp:key1', 'myapp:hash1']),
-        type: jest.fn().mockResolvedValue('string'),
-        get: jest.fn().mockResolvedValue('value1'),
-        ttl: jest.fn().mockResolvedValue(3600)
-      };
-
-      const config = {
-        backupFile: './backup.json',
-        prefix: 'myapp:'
-      };
+      const client = createFakeClient({
+        'myapp:key1': { type: 'string', value: 'value1' },
+        'myapp:hash1': { type: 'hash', value: { field: 'value' } },
+        'other:key1': { type: 'string', value: 'value1' }
+      });
 
-      const result = await backupRedisData(mockClient, config);
+      const result = await backupRedisData(client, { backupFile, prefix: 'myapp:' });
 
-      expect(result.success).toBe(true);
       expect(result.count).toBe(2);
+      expect(client.sendCommand).toHaveBeenCalledWith(['SCAN', '0', 'MATCH', 'myapp:*', 'COUNT', '1000'], { returnBuffers: true });
+      expect(readLines(backupFile)[0].prefix).toBe('myapp:');
+    });
+
+    test('should select keys by pattern and type', async () => {
+      const client = createFakeClient({
+        'myapp:session:1': { type: 'hash', value: { user: '1' } },
+        'myapp:session:2': { type: 'string', value: 'expired' },
+        'myapp:session:tmp': { type: 'hash', value: { user: '2' } },
+        'myapp:user:1': { type: 'hash', value: { name: 'Jane' } }
+      });
 
-      // Check that keys were requested with prefix
-      expect(mockClient.keys).toHaveBeenCalledWith('myapp:*');
+      const result = await backupRedisData(client, { backupFile, prefix: 'myapp:', include: 'session:*', exclude: '*:tmp', types: ['hash'] });
+
+      expect(result.count).toBe(1);
+      expect(client.sendCommand).toHaveBeenCalledWith(['SCAN', '0', 'MATCH', 'myapp:session:*', 'COUNT', '1000'], { returnBuffers: true });
+      expect(client.sendCommand).not.toHaveBeenCalledWith(['GET', expect.anything()], expect.anything());
+      expect(readLines(backupFile).map(line => line.key)).toEqual([undefined, 'myapp:session:1', undefined]);
     });
 
-    test('should create empty backup if no keys found', async () => {
-      // Mock client with empty data
-      const mockClient = {
-        keys: jest.fn().mockResolvedValue([])
-      };
+    test('should back up the keys of a key list without scanning', async () => {
+      const keyListFile = path.join(dir, 'keys.txt');
+      fs.writeFileSync(keyListFile, 'user:1\nuser:missing\n');
+      const client = createFakeClient({
+        'myapp:user:1': { type: 'string', value: 'Jane' },
+        'myapp:user:2': { type: 'string', value: 'John' }
+      });
 
-      const config = {
-        backupFile: './backup.json'
-      };
+      const result = await backupRedisData(client, { backupFile, prefix: 'myapp:', keyListFile });
 
-      const result = await backupRedisData(mockClient, config);
+      expect(result).toEqual({ success: true, count: 1, errors: 0 });
+      expect(client.sendCommand).not.toHaveBeenCalledWith(expect.arrayContaining(['SCAN']), expect.anything());
+      expect(readLines(backupFile)[1]).toMatchObject({ key: 'myapp:user:1', value: 'Jane' });
+    });
+
+    test('should create empty backup if no keys found', async () => {
+      const result = await backupRedisData(createFakeClient({}), { backupFile });
 
       expect(result.success).toBe(true);
       expect(result.count).toBe(0);
-
-      // Check that an empty backup was written
-      expect(fs.writeFile).toHaveBeenCalled();
-      const backupCall = fs.writeFile.mock.calls[0];
-      const backupContent = JSON.parse(backupCall[1]);
-      expect(backupContent.keys).toEqual({});
+      expect(readLines(backupFile)).toHaveLength(2);
     });
 
-    test('should handle errors during backup', async () => {
-      // Mock client with error
-      const mockClient = {
-        keys: jest.fn().mockRejectedValue(new Error('Redis error'))
-      };
+    test('should record keys that fail and keep going', async () => {
+      const client = createFakeClient({
+        good: { type: 'string', value: 'ok' },
+        bad: { type: 'string', value: 'ok' }
+      });
+      const sendCommand = client.sendCommand.getMockImplementation();
+      client.sendCommand.mockImplementation((args, options) =>
+        args[0] === 'GET' && args[1].toString() === 'bad' ? Promise.reject(new Error('LOADING')) : sendCommand(args, options));
 
-      const config = {
-        backupFile: './backup.json'
-      };
+      const result = await backupRedisData(client, { backupFile });
 
-      const result = await backupRedisData(mockClient, config);
+      expect(result).toEqual({ success: true, count: 1, errors: 1 });
+      expect(readLines(backupFile)[2]).toEqual({ key: 'bad', error: 'LOADING' });
+    });
+
+    test('should handle errors during backup without leaving a partial file', async () => {
+      const client = { sendCommand: jest.fn().mockRejectedValue(new Error('Redis error')) };
+
+      const result = await backupRedisData(client, { backupFile });
 
       expect(result.success).toBe(false);
       expect(result.error).toBe('Redis error');
+      expect(fs.existsSync(backupFile)).toBe(false);
+      expect(fs.existsSync(`${backupFile}.tmp`)).toBe(false);
     });
 
     test('should handle error if no backup file specified', async () => {
-      const mockClient = {};
-
-      const config = {};
-
-      const result = await backupRedisData(mockClient, config);
+      const result = await backupRedisData({}, {});
 
       expect(result.success).toBe(false);
       expect(result.error).toBe('No backup file specified');
     });
   });
 
+  describe('readBackup function', () => {
+    test('should read NDJSON backups record by record', async () => {
+      await backupRedisData(createFakeClient({ key1: { type: 'string', value: 'value1' } }), { backupFile });
+
+      const records = [];
+      for await (const record of readBackup(backupFile)) {
+        records.push(record);
+      }
+
+      expect(records).toHaveLength(2);
+      expect(records[1]).toEqual({ key: 'key1', type: 'string', pttl: -1, value: 'value1' });
+    });
+
+    test('should read backups written before the NDJSON format', async () => {
+      fs.outputFileSync(backupFile, JSON.stringify({
+        timestamp: '2024-01-01T00:00:00.000Z',
+        prefix: 'myapp:',
+        keys: { 'myapp:key1': { type: 'string', value: 'value1', ttl: 3600 } }
+      }, null, 2));
+
+      const records = [];
+      for await (const record of readBackup(backupFile)) {
+        records.push(record);
+      }
+
+      expect(records).toEqual([
+        { format: 'redis-init-backup', version: 1, timestamp: '2024-01-01T00:00:00.000Z', prefix: 'myapp:' },
+        { key: 'myapp:key1', type: 'string', value: 'value1', ttl: 3600 }
+      ]);
+    });
+
+    test('should reject truncated backups', async () => {
+      fs.outputFileSync(backupFile, `${JSON.stringify({ format: 'redis-init-backup', version: 2 })}\n{"key":"a","type":"string","value":"1"}\n`);
+
+      const read = async () => {
+        for await (const record of readBackup(backupFile)) {
+          expect(record).toBeDefined();
+        }
+      };
+
+      await expect(read()).rejects.toThrow('incomplete');
+    });
+  });
+
   describe('restoreRedisData function', () => {
-    // Setup test environment
-    beforeEach(() => {
-      // Mock fs.readFile
-      fs.readFile.mockReset();
-      fs.readFile.mockResolvedValue(JSON.stringify({
+    const data = {
+      'myapp:key1': { type: 'string', value: 'value1', pttl: 3600000 },
+      'myapp:hash1': { type: 'hash', value: { field1: 'value1', field2: 'value2' } },
+      'myapp:list1': { type: 'list', value: ['item1', 'item2'] },
+      'myapp:set1': { type: 'set', value: ['a', 'b'] },
+      'myapp:zset1': { type: 'zset', value: [['low', '1.5'], ['high', 'inf']] },
+      'myapp:bits': { type: 'string', value: Buffer.from([0xff, 0x00]) },
+      'myapp:events': {
+        type: 'stream',
+        value: {
+          lastId: '1700000000001-0',
+          entries: [['1700000000000-0', ['type', 'signup']], ['1700000000001-0', ['type', 'login']]],
+          groups: [{
+            name: 'workers',
+            lastDeliveredId: '1700000000001-0',
+            consumers: ['worker-1'],
+            pending: [['1700000000001-0', 'worker-1']]
+          }]
+        }
+      },
+      'myapp:doc': { type: 'ReJSON-RL', value: Buffer.from([0x07, 0x81, 0x00]) }
+    };
+
+    // Commands of each key's transaction, by key
+    const byKey = client => Object.fromEntries(client.transactions.map(commands => [String(commands[0][1]), commands]));
+
+    test('should replace every type of key in its own transaction', async () => {
+      await backupRedisData(createFakeClient(data), { backupFile });
+      const client = createFakeClient({});
+
+      const result = await restoreRedisData(client, { backupFile });
+
+      expect(result).toEqual({ success: true, count: 8, errors: 0, mismatches: [] });
+      const restored = byKey(client);
+      expect(restored['myapp:key1']).toEqual([['DEL', 'myapp:key1'], ['SET', 'myapp:key1', 'value1'], ['PEXPIRE', 'myapp:key1', '3600000']]);
+      expect(restored['myapp:hash1']).toEqual([['DEL', 'myapp:hash1'], ['HSET', 'myapp:hash1', 'field1', 'value1', 'field2', 'value2']]);
+      expect(restored['myapp:list1']).toEqual([['DEL', 'myapp:list1'], ['RPUSH', 'myapp:list1', 'item1', 'item2']]);
+      expect(restored['myapp:set1']).toEqual([['DEL', 'myapp:set1'], ['SADD', 'myapp:set1', 'a', 'b']]);
+      expect(restored['myapp:zset1']).toEqual([['DEL', 'myapp:zset1'], ['ZADD', 'myapp:zset1', '1.5', 'low', 'inf', 'high']]);
+      expect(restored['myapp:bits'][1]).toEqual(['SET', 'myapp:bits', Buffer.from([0xff, 0x00])]);
+      expect(restored['myapp:events']).toEqual([
+        ['DEL', 'myapp:events'],
+        ['XADD', 'myapp:events', '1700000000000-0', 'type', 'signup'],
+        ['XADD', 'myapp:events', '1700000000001-0', 'type', 'login'],
+        ['XSETID', 'myapp:events', '1700000000001-0'],
+        ['XGROUP', 'CREATE', 'myapp:events', 'workers', '1700000000001-0'],
+        ['XGROUP', 'CREATECONSUMER', 'myapp:events', 'workers', 'worker-1'],
+        ['XCLAIM', 'myapp:events', 'workers', 'worker-1', '0', '1700000000001-0', 'RETRYCOUNT', '1', 'FORCE', 'JUSTID']
+      ]);
+      expect(restored['myapp:doc']).toEqual([['DEL', 'myapp:doc'], ['RESTORE', 'myapp:doc', '0', Buffer.from([0x07, 0x81, 0x00])]]);
+    });
+
+    test('should recreate empty streams', async () => {
+      await backupRedisData(createFakeClient({
+        queue: { type: 'stream', value: { lastId: '5-0', entries: [], groups: [] } }
+      }), { backupFile });
+      const client = createFakeClient({});
+
+      await restoreRedisData(client, { backupFile });
+
+      expect(client.transactions[0]).toEqual([
+        ['DEL', 'queue'],
+        ['XGROUP', 'CREATE', 'queue', 'redis-init-restore', '0', 'MKSTREAM'],
+        ['XGROUP', 'DESTROY', 'queue', 'redis-init-restore'],
+        ['XSETID', 'queue', '5-0']
+      ]);
+    });
+
+    test('should restore legacy backups with TTLs in milliseconds', async () => {
+      fs.outputFileSync(backupFile, JSON.stringify({
         timestamp: new Date().toISOString(),
         prefix: 'myapp:',
-        host: 'localhost',
-        port: 6379,
-        database: 0,
         keys: {
           'myapp:key1': { type: 'string', value: 'value1', ttl: 3600 },
-          'myapp:hash1': { type: 'hash', value: { field1: 'value1', field2: 'value2' }, ttl: -1 },
-          'myapp:list1': { type: 'list', value: ['item1', 'item2'], ttl: 3600 }
+          'myapp:hash1': { type: 'hash', value: { field1: 'value1' }, ttl: -1 },
+          'myapp:zset1': { type: 'zset', value: { member: 2.5 }, ttl: 60 },
+          'myapp:stream1': { type: 'stream', value: null, ttl: -1, error: 'Stream backup not supported' }
         }
-      }));
-
-      // Mock fs.existsSync
-      fs.existsSync.mockReset();
-      fs.existsSync.mockReturnValue(true);
-    });
-
-    test('should restore data from backup file', async () => {
-      // Mock client
-      const mockClient = {
-        set: jest.fn().mockResolvedValue('OK'),
-        hSet: jest.fn().mockResolvedValue('OK'),
-        del: jest.fn().mockResolvedValue(1),
-        rPush: jest.fn().mockResolvedValue(2),
-        expire: jest.fn().mockResolvedValue(1),
-        pipeline: jest.fn().mockReturnValue({
-          commands: [],
-          exec: jest.fn().mockResolvedValue([])
-        })
-      };
+      }, null, 2));
+      const client = createFakeClient({});
 
-      const config = {
-        backupFile: './backup.json',
-        interactive: false
-      };
+      const result = await restoreRedisData(client, { backupFile, prefix: 'myapp:' });
 
-      const result = await restoreRedisData(mockClient, config);
+      expect(result).toMatchObject({ success: true, count: 3, errors: 1 });
+      const restored = byKey(client);
+      expect(restored['myapp:key1']).toContainEqual(['PEXPIRE', 'myapp:key1', '3600000']);
+      expect(restored['myapp:hash1']).toEqual([['DEL', 'myapp:hash1'], ['HSET', 'myapp:hash1', 'field1', 'value1']]);
+      expect(restored['myapp:zset1']).toEqual([['DEL', 'myapp:zset1'], ['ZADD', 'myapp:zset1', '2.5', 'member'], ['PEXPIRE', 'myapp:zset1', '60000']]);
+    });
 
-      expect(result.success).toBe(true);
-      expect(result.count).toBe(3);
+    test('should restore compressed and encrypted backups', async () => {
+      const encryptedFile = path.join(dir, 'backup.ndjson.gz');
+      const encryptionKey = 'c'.repeat(64);
+      await backupRedisData(createFakeClient({ key1: { type: 'string', value: 'value1' } }), { backupFile: encryptedFile, encryptionKey });
+      const client = createFakeClient({});
 
-      // Check that fs.readFile was called with the correct file
-      expect(fs.readFile).toHaveBeenCalledWith('./backup.json', 'utf8');
+      expect(await restoreRedisData(client, { backupFile: encryptedFile, encryptionKey: 'd'.repeat(64) }))
+        .toEqual({ success: false, error: 'Cannot decrypt backup: wrong encryption key' });
+      expect(await restoreRedisData(client, { backupFile: encryptedFile, encryptionKey })).toMatchObject({ success: true, count: 1 });
+      expect(client.transactions[0][1]).toEqual(['SET', 'key1', 'value1']);
     });
 
-    test('should handle error if backup file not found', async () => {
-      fs.existsSync.mockReturnValue(false);
+    test('should export to and restore from RDB files', async () => {
+      const rdbFile = path.join(dir, 'dump.rdb');
+      const { 'myapp:doc': moduleKey, ...rdbData } = data;
+      const result = await backupRedisData(createFakeClient(rdbData), { backupFile: rdbFile, prefix: 'myapp:' });
+      const client = createFakeClient({});
+
+      expect(result).toMatchObject({ success: true, count: 7 });
+      expect(fs.readFileSync(rdbFile).subarray(0, 9).toString()).toBe('REDIS0009');
+      expect(await restoreRedisData(client, { backupFile: rdbFile, prefix: 'myapp:' })).toEqual({ success: true, count: 7, errors: 0, mismatches: [] });
+      const restored = byKey(client);
+      expect(restored['myapp:hash1']).toEqual([['DEL', 'myapp:hash1'], ['HSET', 'myapp:hash1', 'field1', 'value1', 'field2', 'value2']]);
+      expect(restored['myapp:zset1']).toEqual([['DEL', 'myapp:zset1'], ['ZADD', 'myapp:zset1', '1.5', 'low', 'inf', 'high']]);
+      expect(restored['myapp:bits'][1]).toEqual(['SET', 'myapp:bits', Buffer.from([0xff, 0x00])]);
+      expect(restored['myapp:key1'][2][2] <= 3600000).toBe(true);
+      expect(restored['myapp:events']).toContainEqual(['XCLAIM', 'myapp:events', 'workers', 'worker-1', '0', '1700000000001-0', 'RETRYCOUNT', '1', 'FORCE', 'JUSTID']);
+    });
 
-      const mockClient = {};
+    test('should move keys to the target prefix', async () => {
+      await backupRedisData(createFakeClient({ 'myapp:key1': { type: 'string', value: 'value1' } }), { backupFile, prefix: 'myapp:' });
+      const client = createFakeClient({});
+
+      await restoreRedisData(client, { backupFile, prefix: 'staging:' });
+
+      expect(client.transactions[0][1]).toEqual(['SET', 'staging:key1', 'value1']);
+    });
+
+    test('should restore only the selected keys', async () => {
+      await backupRedisData(createFakeClient(data), { backupFile, prefix: 'myapp:' });
+      const client = createFakeClient({});
+
+      const result = await restoreRedisData(client, { backupFile, prefix: 'myapp:', include: ['*1', 'bits'], exclude: 'hash*' });
+
+      expect(result).toMatchObject({ success: true, count: 5 });
+      expect(Object.keys(byKey(client)).sort()).toEqual(['myapp:bits', 'myapp:key1', 'myapp:list1', 'myapp:set1', 'myapp:zset1']);
+
+      const typed = createFakeClient({});
+      expect(await restoreRedisData(typed, { backupFile, prefix: 'myapp:', types: ['stream', 'ReJSON-RL'] })).toMatchObject({ count: 2 });
+      expect(Object.keys(byKey(typed)).sort()).toEqual(['myapp:doc', 'myapp:events']);
+    });
 
-      const config = {
-        backupFile: './nonexistent.json'
+    test('should rename keys with rename patterns', async () => {
+      await backupRedisData(createFakeClient(data), { backupFile, prefix: 'myapp:' });
+      const client = createFakeClient({});
+
+      await restoreRedisData(client, {
+        backupFile,
+        prefix: 'staging:',
+        include: '*1',
+        renamePattern: ['key*=archive:key*', '*1=*:restored']
+      });
+
+      expect(Object.keys(byKey(client)).sort()).toEqual([
+        'staging:archive:key1',
+        'staging:hash:restored',
+        'staging:list:restored',
+        'staging:set:restored',
+        'staging:zset:restored'
+      ]);
+      expect(await restoreRedisData(client, { backupFile, renamePattern: 'nope' }))
+        .toEqual({ success: false, error: 'Invalid rename pattern "nope": expected FROM=TO' });
+    });
+
+    describe('delta backups', () => {
+      let deltaDir;
+
+      // Write a delta backup as an incremental backup would
+      const writeDelta = (timestamp, records, sequence = 1) => {
+        const lines = [
+          { format: 'redis-init-backup', version: 2, type: 'delta', timestamp, prefix: 'myapp:' },
+          ...records,
+          { end: true, count: records.length }
+        ];
+        fs.outputFileSync(path.join(deltaDir, `delta-${timestamp.replace(/[-:.]/g, '')}-${String(sequence).padStart(6, '0')}.ndjson`), lines.map(line => JSON.stringify(line)).join('\n'));
       };
 
-      const result = await restoreRedisData(mockClient, config);
+      beforeEach(async () => {
+        deltaDir = path.join(dir, 'deltas');
+        await backupRedisData(createFakeClient({
+          'myapp:key1': { type: 'string', value: 'base' },
+          'myapp:key2': { type: 'string', value: 'base' }
+        }), { backupFile, prefix: 'myapp:' });
+
+        const base = Date.parse(readLines(backupFile)[0].timestamp);
+        const at = offset => new Date(base + offset).toISOString();
+        writeDelta(at(-1000), [{ key: 'myapp:key1', type: 'string', value: 'before base', pttl: -1 }]);
+        writeDelta(at(2000), [{ key: 'myapp:key1', type: 'string', value: 'second', pttl: -1 }, { key: 'myapp:key2', deleted: true }]);
+        writeDelta(at(1000), [{ key: 'myapp:key1', type: 'string', value: 'first', pttl: -1 }, { key: 'myapp:key3', type: 'set', value: ['a'], pttl: -1 }]);
+      });
+
+      test('should replay the deltas taken after the backup in order', async () => {
+        const client = createFakeClient({});
+
+        const result = await restoreRedisData(client, { backupFile, prefix: 'myapp:', deltaDir });
+
+        expect(result).toMatchObject({ success: true, count: 6, deltas: 2 });
+        expect(client.transactions.map(commands => commands[commands.length - 1])).toEqual([
+          ['SET', 'myapp:key1', 'base'],
+          ['SET', 'myapp:key2', 'base'],
+          ['SET', 'myapp:key1', 'first'],
+          ['SADD', 'myapp:key3', 'a'],
+          ['SET', 'myapp:key1', 'second'],
+          ['DEL', 'myapp:key2']
+        ]);
+      });
+
+      test('should replay deltas of the same millisecond in the order they were written', async () => {
+        const base = Date.parse(readLines(backupFile)[0].timestamp);
+        const at = new Date(base + 3000).toISOString();
+        writeDelta(at, [{ key: 'myapp:key1', type: 'string', value: 'third', pttl: -1 }], 3);
+        writeDelta(at, [{ key: 'myapp:key1', type: 'string', value: 'fourth', pttl: -1 }], 4);
+        // Backups are listed newest first
+        const name = sequence => path.join(deltaDir, `delta-${at.replace(/[-:.]/g, '')}-00000${sequence}.ndjson`);
+        fs.utimesSync(name(3), new Date(base), new Date(base));
+        fs.utimesSync(name(4), new Date(base + 60000), new Date(base + 60000));
+        const client = createFakeClient({});
+
+        const result = await restoreRedisData(client, { backupFile, prefix: 'myapp:', deltaDir });
+
+        expect(result).toMatchObject({ success: true, deltas: 4 });
+        expect(client.transactions.slice(-2).map(commands => commands[commands.length - 1])).toEqual([
+          ['SET', 'myapp:key1', 'third'],
+          ['SET', 'myapp:key1', 'fourth']
+        ]);
+      });
+
+      test('should stop at the restore time', async () => {
+        const base = Date.parse(readLines(backupFile)[0].timestamp);
+        const client = createFakeClient({});
+
+        const result = await restoreRedisData(client, { backupFile, prefix: 'myapp:', deltaDir, until: String(base + 1500) });
+
+        expect(result).toMatchObject({ success: true, count: 4, deltas: 1 });
+        expect(client.transactions[client.transactions.length - 1]).toEqual([['DEL', 'myapp:key3'], ['SADD', 'myapp:key3', 'a']]);
+
+        const earlier = await restoreRedisData(client, { backupFile, deltaDir, until: new Date(base - 500).toISOString() });
+        expect(earlier.success).toBe(false);
+        expect(earlier.error).toMatch(/^The base backup was taken at .*, after /);
+      });
+
+      test('should reject invalid restore times', async () => {
+        expect(await restoreRedisData(createFakeClient({}), { backupFile, deltaDir, until: 'yesterday' }))
+          .toEqual({ success: false, error: 'Invalid time: yesterday' });
+        expect(await restoreRedisData(createFakeClient({}), { backupFile, until: '1700000000000' }))
+          .toEqual({ success: false, error: 'A restore time needs the directory of the delta backups (deltaDir)' });
+      });
+    });
+
+    test('should report keys that fail to restore and keep going', async () => {
+      await backupRedisData(createFakeClient({
+        good: { type: 'string', value: 'ok' },
+        bad: { type: 'string', value: 'ok' }
+      }), { backupFile });
+      const client = createFakeClient({});
+      const multi = client.multi.getMockImplementation();
+      client.multi.mockImplementation(() => {
+        const transaction = multi();
+        return {
+          ...transaction,
+          exec: async () => {
+            const commands = client.transactions[client.transactions.length - 1];
+            if (commands[0][1] !== 'bad') return transaction.exec();
+            throw Object.assign(new Error('1 commands failed'), { replies: ['OK', new Error('OOM command not allowed')] });
+          }
+        };
+      });
+
+      const result = await restoreRedisData(client, { backupFile });
+
+      expect(result).toMatchObject({ success: true, count: 1, errors: 1 });
+    });
+
+    test('should verify restored keys against the backup', async () => {
+      await backupRedisData(createFakeClient(data), { backupFile });
+      // The fake answers reads with the backed up data, as a correct restore would
+      const client = createFakeClient({
+        ...data,
+        'myapp:hash1': { type: 'hash', value: { field2: 'value2', field1: 'value1' } },
+        'myapp:set1': { type: 'set', value: ['b', 'a'] }
+      });
+
+      const result = await restoreRedisData(client, { backupFile, verify: true });
+
+      expect(result).toEqual({ success: true, count: 8, errors: 0, mismatches: [] });
+    });
+
+    test('should fail verification when restored keys differ', async () => {
+      await backupRedisData(createFakeClient(data), { backupFile });
+      const client = createFakeClient({
+        ...data,
+        'myapp:key1': { type: 'string', value: 'changed', pttl: 3600000 },
+        'myapp:list1': { type: 'list', value: ['item1', 'item2'], pttl: 5000 },
+        'myapp:set1': { type: 'hash', value: { a: 'b' } }
+      });
+
+      const result = await restoreRedisData(client, { backupFile, verify: true });
 
       expect(result.success).toBe(false);
-      expect(result.error).toContain('not found');
+      expect(result.error).toBe('Verification failed: 3 keys differ from the backup');
+      expect(result.mismatches).toEqual(expect.arrayContaining([
+        { key: 'myapp:key1', error: 'value differs from the backup' },
+        { key: 'myapp:list1', error: 'expected no TTL but found 5000ms' },
+        { key: 'myapp:set1', error: 'expected type set but found hash' }
+      ]));
     });
 
-    test('should handle error if no backup file specified', async () => {
-      const mockClient = {};
+    test('should handle error if backup file not found', async () => {
+      const result = await restoreRedisData({}, { backupFile: path.join(dir, 'nonexistent.json') });
 
-      const config = {};
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('not found');
+    });
 
-      const result = await restoreRedisData(mockClient, config);
+    test('should handle error if no backup file specified', async () => {
+      const result = await restoreRedisData({}, {});
 
       expect(result.success).toBe(false);
       expect(result.error).toBe('No backup file specified');
     });
 
     test('should handle invalid backup file', async () => {
-      fs.readFile.mockResolvedValue('invalid json');
+      fs.outputFileSync(backupFile, 'invalid json');
 
-      const mockClient = {};
+      const result = await restoreRedisData({}, { backupFile });
 
-      const config = {
-        backupFile: './backup.json'
-      };
+      expect(result.success).toBe(false);
+      expect(result.error).toMatch(/JSON/);
+    });
+  });
+
+  describe('inspectBackup function', () => {
+    test('should count keys by type, prefix and TTL', async () => {
+      await backupRedisData(createFakeClient({
+        'myapp:user:1': { type: 'hash', value: { name: 'Jane' } },
+        'myapp:user:2': { type: 'hash', value: { name: 'John' }, pttl: 30000 },
+        'myapp:session:1': { type: 'string', value: Buffer.alloc(10), pttl: 2 * 24 * 60 * 60 * 1000 },
+        'myapp:counter': { type: 'string', value: '5' }
+      }), { backupFile, prefix: 'myapp:', host: 'localhost', port: 6379 });
+
+      const report = await inspectBackup(backupFile);
+
+      expect(report).toMatchObject({
+        success: true,
+        fileSize: fs.statSync(backupFile).size,
+        header: { format: 'redis-init-backup', version: 2, prefix: 'myapp:', host: 'localhost' },
+        keys: 4,
+        errors: 0,
+        types: {
+          hash: { keys: 2, dataSize: 40 },
+          string: { keys: 2, dataSize: 39 }
+        },
+        prefixes: { 'user:': 2, 'session:': 1, '': 1 },
+        ttl: {
+          'no TTL': 2,
+          'under 1 minute': 1,
+          'under 1 hour': 0,
+          'under 1 day': 0,
+          'under 1 week': 1,
+          '1 week or more': 0
+        }
+      });
+      expect(report.dataSize).toBe(79);
+    });
+
+    test('should inspect RDB files', async () => {
+      const rdbFile = path.join(dir, 'dump.rdb');
+      await backupRedisData(createFakeClient({ list1: { type: 'list', value: ['a', 'b'] } }), { backupFile: rdbFile });
+
+      expect(await inspectBackup(rdbFile)).toMatchObject({ header: { format: 'rdb', rdbVersion: 9 }, keys: 1, types: { list: { keys: 1 } } });
+    });
+
+    test('should fail for missing or unreadable files', async () => {
+      expect(await inspectBackup(path.join(dir, 'missing.ndjson')))
+        .toEqual({ success: false, error: `Backup file not found: ${path.join(dir, 'missing.ndjson')}` });
+
+      fs.outputFileSync(backupFile, '{"format":"redis-init-backup","version":2}\n');
+      expect(await inspectBackup(backupFile)).toEqual({ success: false, error: 'Backup file is incomplete: the end marker is missing' });
+    });
+  });
+
+  describe('backup retention', () => {
+    const day = 24 * 60 * 60 * 1000;
+
+    beforeEach(() => {
+      // Backups of 1, 10, 20 and 40 days ago, and a file that is not a backup
+      for (const [name, age] of [['a.ndjson.gz', 1], ['b.rdb', 10], ['c.ndjson', 20], ['d.json.br', 40], ['notes.txt', 90]]) {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, name);
+        const time = new Date(Date.now() - age * day);
+        fs.utimesSync(file, time, time);
+      }
+    });
+
+    test('should list backups newest first', async () => {
+      const result = await listBackups(dir);
+
+      expect(result.success).toBe(true);
+      expect(result.backups.map(backup => path.basename(backup.file))).toEqual(['a.ndjson.gz', 'b.rdb', 'c.ndjson', 'd.json.br']);
+      expect(result.backups[0].size).toBe(11);
+      expect(Math.round((Date.now() - result.backups[0].modified.getTime()) / day)).toBe(1);
+      expect(await listBackups(path.join(dir, 'missing')))
+        .toEqual({ success: false, error: `Backup directory not found: ${path.join(dir, 'missing')}` });
+    });
+
+    test('should keep the newest backups', async () => {
+      const result = await pruneBackups(dir, { keepLast: 2 });
+
+      expect(result).toEqual({ success: true, deleted: [path.join(dir, 'c.ndjson'), path.join(dir, 'd.json.br')], kept: [path.join(dir, 'a.ndjson.gz'), path.join(dir, 'b.rdb')] });
+      expect(fs.readdirSync(dir).sort()).toEqual(['a.ndjson.gz', 'b.rdb', 'notes.txt']);
+    });
+
+    test('should delete backups older than a duration, always keeping the newest ones', async () => {
+      expect((await pruneBackups(dir, { olderThan: '15d', dryRun: true })).deleted.map(file => path.basename(file))).toEqual(['c.ndjson', 'd.json.br']);
+      expect(fs.readdirSync(dir)).toHaveLength(5);
+
+      const result = await pruneBackups(dir, { olderThan: '5d', keepLast: 3 });
+
+      expect(result.deleted).toEqual([path.join(dir, 'd.json.br')]);
+      expect(fs.readdirSync(dir).sort()).toEqual(['a.ndjson.gz', 'b.rdb', 'c.ndjson', 'notes.txt']);
+    });
 
-      await expect(restoreRedisData(mockClient, config)).rejects.toThrow();
+    test('should reject missing or invalid retention options', async () => {
+      expect(await pruneBackups(dir, {})).toEqual({ success: false, error: 'Give keepLast or olderThan to choose the backups to delete' });
+      expect(await pruneBackups(dir, { keepLast: -1 })).toEqual({ success: false, error: 'Invalid keepLast value: -1' });
+      expect(await pruneBackups(dir, { olderThan: '3 months' }))
+        .toEqual({ success: false, error: 'Invalid duration: 3 months (use a number followed by s, m, h, d or w)' });
+      expect(fs.readdirSync(dir)).toHaveLength(5);
     });
   });
 });
@@ -89,6 +89,198 @@ describe('Client Module', () => {
     });
   });
 
+  describe('cluster deployments', () => {
+    let nodeClients;
+    let cluster;
+
+    beforeEach(() => {
+      nodeClients = [
+        { sendCommand: jest.fn().mockResolvedValue(['a:1']), info: jest.fn().mockResolvedValue('redis_mode:cluster') },
+        { sendCommand: jest.fn().mockResolvedValue(['b:2']) }
+      ];
+
+      cluster = {
+        masters: [{ id: 'm1' }, { id: 'm2' }],
+        nodeClient: jest.fn(node => nodeClients[node.id === 'm1' ? 0 : 1]),
+        sendCommand: jest.fn().mockResolvedValue('OK'),
+        del: jest.fn().mockResolvedValue(1),
+        hGetAll: jest.fn().mockResolvedValue({ name: 'John' })
+      };
+
+      redis.createCluster.mockClear();
+      redis.createCluster.mockReturnValue(cluster);
+    });
+
+    test('should create a cluster client from seed nodes', () => {
+      createRedisClient({
+        deploymentType: 'cluster',
+        clusterNodes: '10.0.0.1:7000, 10.0.0.2:7001',
+        password: 'secret',
+        timeout: 5000
+      });
+
+      const options = redis.createCluster.mock.calls[0][0];
+      expect(options.rootNodes).toEqual([
+        { socket: { host: '10.0.0.1', port: 7000 } },
+        { socket: { host: '10.0.0.2', port: 7001 } }
+      ]);
+      expect(options.defaults.password).toBe('secret');
+    });
+
+    test('should fall back to host and port as the only seed node', () => {
+      createRedisClient({ deploymentType: 'cluster', host: 'redis', port: '7000' });
+
+      const options = redis.createCluster.mock.calls[0][0];
+      expect(options.rootNodes).toEqual([{ socket: { host: 'redis', port: 7000 } }]);
+    });
+
+    test('should route keyed commands by their first key', async () => {
+      const client = createRedisClient({ deploymentType: 'cluster', host: 'redis', port: 7000 });
+
+      await client.sendCommand(['HSET', 'user:1', 'name', 'John']);
+
+      expect(cluster.sendCommand).toHaveBeenCalledWith('user:1', false, ['HSET', 'user:1', 'name', 'John']);
+    });
+
+    test('should send KEYS to every master and merge the results', async () => {
+      const client = createRedisClient({ deploymentType: 'cluster', host: 'redis', port: 7000 });
+
+      const keys = await client.keys('*');
+
+      expect(keys).toEqual(['a:1', 'b:2']);
+      expect(nodeClients[0].sendCommand).toHaveBeenCalledWith(['KEYS', '*']);
+      expect(nodeClients[1].sendCommand).toHaveBeenCalledWith(['KEYS', '*']);
+    });
+
+    test('should flush and load scripts on every master', async () => {
+      const client = createRedisClient({ deploymentType: 'cluster', host: 'redis', port: 7000 });
+
+      await client.flushDb();
+      await client.scriptLoad('return 1');
+
+      for (const nodeClient of nodeClients) {
+        expect(nodeClient.sendCommand).toHaveBeenCalledWith(['FLUSHDB']);
+        expect(nodeClient.sendCommand).toHaveBeenCalledWith(['SCRIPT', 'LOAD', 'return 1']);
+      }
+    });
+
+    test('should delete keys individually and delegate other commands', async () => {
+      const client = createRedisClient({ deploymentType: 'cluster', host: 'redis', port: 7000 });
+
+      const deleted = await client.del(['a:1', 'b:2']);
+      const hash = await client.hGetAll('user:1');
+
+      expect(deleted).toBe(2);
+      expect(cluster.del).toHaveBeenCalledTimes(2);
+      expect(hash).toEqual({ name: 'John' });
+    });
+
+    test('should reject selecting a database other than 0', async () => {
+      const client = createRedisClient({ deploymentType: 'cluster', host: 'redis', port: 7000 });
+
+      await expect(client.select(2)).rejects.toThrow(/only supports database 0/);
+    });
+  });
+
+  describe('sentinel deployments', () => {
+    let sentinelClient;
+    let masterClients;
+
+    const fakeClient = overrides => ({
+      isOpen: true,
+      on: jest.fn(),
+      connect: jest.fn().mockResolvedValue(),
+      quit: jest.fn().mockResolvedValue(),
+      disconnect: jest.fn().mockResolvedValue(),
+      ...overrides
+    });
+
+    beforeEach(() => {
+      console.log = jest.fn(); // Mock console.log
+
+      const masters = [['10.0.0.1', '6379'], ['10.0.0.2', '6379']];
+      sentinelClient = fakeClient({
+        sendCommand: jest.fn(args => {
+          if (args[1] === 'GET-MASTER-ADDR-BY-NAME') return Promise.resolve(masters.shift());
+          if (args[1] === 'MASTER') return Promise.resolve(['name', 'mymaster', 'ip', '10.0.0.1', 'port', '6379', 'quorum', '2', 'num-other-sentinels', '2']);
+          if (args[1] === 'REPLICAS') return Promise.resolve([['ip', '10.0.0.2', 'port', '6379', 'flags', 'slave']]);
+          return Promise.resolve('OK 3 usable Sentinels');
+        })
+      });
+      masterClients = [];
+
+      redis.createClient.mockReset();
+      redis.createClient.mockImplementation(options => {
+        if (options.socket.port === 26379) {
+          return sentinelClient;
+        }
+
+        const masterClient = fakeClient({
+          host: options.socket.host,
+          get: jest.fn().mockResolvedValue('value')
+        });
+        masterClients.push(masterClient);
+        return masterClient;
+      });
+    });
+
+    test('should connect to the master reported by the sentinels', async () => {
+      const client = createRedisClient({
+        deploymentType: 'sentinel',
+        sentinels: ['sentinel-1:26379', 'sentinel-2:26379'],
+        sentinelMaster: 'mymaster',
+        password: 'secret'
+      });
+
+      await client.connect();
+
+      expect(sentinelClient.sendCommand).toHaveBeenCalledWith(['SENTINEL', 'GET-MASTER-ADDR-BY-NAME', 'mymaster']);
+      expect(client.master).toEqual({ host: '10.0.0.1', port: 6379 });
+      expect(masterClients[0].host).toBe('10.0.0.1');
+      expect(await client.get('key')).toBe('value');
+    });
+
+    test('should resolve the master again after a failover', async () => {
+      const client = createRedisClient({ deploymentType: 'sentinel', sentinels: 'sentinel-1:26379' });
+
+      await client.connect();
+      masterClients[0].get.mockRejectedValue(new Error("READONLY You can't write against a read only replica."));
+
+      const value = await client.get('key');
+
+      expect(value).toBe('value');
+      expect(client.master).toEqual({ host: '10.0.0.2', port: 6379 });
+      expect(masterClients[0].disconnect).toHaveBeenCalled();
+      expect(masterClients[1].get).toHaveBeenCalledWith('key');
+    });
+
+    test('should not retry errors unrelated to failover', async () => {
+      const client = createRedisClient({ deploymentType: 'sentinel', sentinels: 'sentinel-1:26379' });
+
+      await client.connect();
+      masterClients[0].get.mockRejectedValue(new Error('WRONGTYPE Operation against a key holding the wrong kind of value'));
+
+      await expect(client.get('key')).rejects.toThrow(/WRONGTYPE/);
+      expect(masterClients).toHaveLength(1);
+    });
+
+    test('should describe quorum and replicas', async () => {
+      const client = createRedisClient({ deploymentType: 'sentinel', sentinels: 'sentinel-1:26379' });
+
+      const info = await client.sentinelInfo();
+
+      expect(info).toEqual({
+        masterName: 'mymaster',
+        master: '10.0.0.1:6379',
+        quorum: 2,
+        sentinels: 3,
+        quorumReachable: true,
+        quorumStatus: 'OK 3 usable Sentinels',
+        replicas: [{ address: '10.0.0.2:6379', flags: 'slave' }]
+      });
+    });
+  });
+
   describe('testConnection function', () => {
     test('should test connection successfully', async () => {
       const mockClient = {
@@ -121,4 +121,63 @@ describe('Documentation Module', () => {
       expect(docs.summary.schemaCount).toBe(0);
     });
   });
+
+  describe('Lua function libraries', () => {
+    test('should list each library with its functions and flags', () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readdirSync.mockReturnValue(['counters.redis']);
+      fs.readFileSync.mockReturnValue([
+        'FUNCTION: counters',
+        '#!lua name=counters',
+        '-- Counter helpers',
+        'redis.register_function("incr_by", function(keys, args) return 1 end)',
+        "redis.register_function{function_name = 'read_counter', callback = function() return 1 end, flags = {'no-writes'}}",
+        'END_FUNCTION'
+      ].join('\n'));
+
+      const docs = generateDocumentation('schemas');
+
+      expect(docs.schemas['counters.redis'].functions).toEqual(['counters']);
+      expect(docs.functions.counters).toEqual({
+        source: 'counters.redis',
+        description: 'Counter helpers',
+        functions: [{ name: 'incr_by', flags: [] }, { name: 'read_counter', flags: ['no-writes'] }]
+      });
+      expect(docs.summary.functionCount).toBe(1);
+    });
+  });
+
+  describe('Lua script signatures', () => {
+    test('should document the keys, arguments, return value and tests of scripts', () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readdirSync.mockReturnValue(['users.redis']);
+      fs.readFileSync.mockReturnValue([
+        'SCRIPT: check_password',
+        '-- Check a user password',
+        '-- @keys user_key',
+        '-- @args password',
+        '-- @returns 1 if the password matches, 0 otherwise',
+        'return redis.call("HGET", KEYS[1], "password") == ARGV[1] and 1 or 0',
+        'END_SCRIPT',
+        'SCRIPT_TEST: check_password',
+        'KEYS: user:1',
+        'ARGV: secret',
+        'EXPECT: 0',
+        'END_SCRIPT_TEST'
+      ].join('\n'));
+
+      const docs = generateDocumentation('schemas');
+
+      expect(docs.scripts.check_password).toEqual({
+        source: 'users.redis',
+        description: 'Check a user password',
+        keys: ['user_key'],
+        args: ['password'],
+        returns: '1 if the password matches, 0 otherwise',
+        lineCount: 5,
+        tests: 1
+      });
+      expect(docs.schemas['users.redis'].commandCount).toBe(0);
+    });
+  });
 });
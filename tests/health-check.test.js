@@ -2,9 +2,18 @@ const { performHealthCheck } = require('../lib/health-check');
 
 describe('Health Check Module', () => {
   describe('performHealthCheck function', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
     test('should return healthy status for healthy Redis', async () => {
       const mockClient = {
-        ping: jest.fn().mockResolvedValue('PONG'),
+        // Replies after a delay, so the response time is never 0ms
+        ping: jest.fn(() => new Promise(resolve => setTimeout(() => resolve('PONG'), 5))),
         info: jest.fn().mockResolvedValue(
           'redis_version:6.2.6\n' +
           'uptime_in_seconds:3600\n' +
@@ -20,8 +29,6 @@ describe('Health Check Module', () => {
         port: 6379
       };
 
-      console.log = jest.fn(); // Mock console.log
-
       const health = await performHealthCheck(mockClient, config);
 
       expect(health.status).toBe('healthy');
@@ -35,6 +42,50 @@ describe('Health Check Module', () => {
       expect(health.responseTime).toBeGreaterThan(0);
     });
 
+    test('should report sentinel quorum and replicas', async () => {
+      const sentinel = {
+        masterName: 'mymaster',
+        master: '10.0.0.1:6379',
+        quorum: 2,
+        sentinels: 3,
+        quorumReachable: true,
+        quorumStatus: 'OK 3 usable Sentinels',
+        replicas: [{ address: '10.0.0.2:6379', flags: 'slave' }]
+      };
+      const mockClient = {
+        isSentinel: true,
+        ping: jest.fn().mockResolvedValue('PONG'),
+        info: jest.fn().mockResolvedValue('redis_version:6.2.6\n'),
+        dbSize: jest.fn().mockResolvedValue(100),
+        sentinelInfo: jest.fn().mockResolvedValue(sentinel)
+      };
+
+      const health = await performHealthCheck(mockClient, { host: 'localhost', port: 6379 });
+
+      expect(health.status).toBe('healthy');
+      expect(health.sentinel).toEqual(sentinel);
+    });
+
+    test('should warn when the sentinel quorum cannot be reached', async () => {
+      const mockClient = {
+        isSentinel: true,
+        ping: jest.fn().mockResolvedValue('PONG'),
+        info: jest.fn().mockResolvedValue('redis_version:6.2.6\n'),
+        dbSize: jest.fn().mockResolvedValue(100),
+        sentinelInfo: jest.fn().mockResolvedValue({
+          masterName: 'mymaster',
+          quorumReachable: false,
+          quorumStatus: 'NOQUORUM 1 usable Sentinels',
+          replicas: []
+        })
+      };
+
+      const health = await performHealthCheck(mockClient, { host: 'localhost', port: 6379 });
+
+      expect(health.status).toBe('warning');
+      expect(health.warnings[0]).toMatch(/quorum cannot be reached/);
+    });
+
     test('should return warning status for high memory usage', async () => {
       const mockClient = {
         ping: jest.fn().mockResolvedValue('PONG'),
@@ -53,8 +104,6 @@ describe('Health Check Module', () => {
         port: 6379
       };
 
-      console.log = jest.fn(); // Mock console.log
-
       const health = await performHealthCheck(mockClient, config);
 
       expect(health.status).toBe('warning');
@@ -80,8 +129,6 @@ describe('Health Check Module', () => {
         port: 6379
       };
 
-      console.log = jest.fn(); // Mock console.log
-
       const health = await performHealthCheck(mockClient, config);
 
       expect(health.status).toBe('warning');
@@ -101,8 +148,6 @@ describe('Health Check Module', () => {
         port: 6379
       };
 
-      console.log = jest.fn(); // Mock console.log
-
       const health = await performHealthCheck(mockClient, config);
 
       expect(health.status).toBe('unhealthy');
@@ -123,8 +168,6 @@ describe('Health Check Module', () => {
         port: 6379
       };
 
-      console.log = jest.fn(); // Mock console.log
-
       const health = await performHealthCheck(mockClient, config);
 
       expect(health.status).toBe('healthy');
@@ -145,8 +188,6 @@ describe('Health Check Module', () => {
         port: 6379
       };
 
-      console.log = jest.fn(); // Mock console.log
-
       const health = await performHealthCheck(mockClient, config);
 
       expect(health.status).toBe('unhealthy');
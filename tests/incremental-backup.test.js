@@ -0,0 +1,270 @@
+const { startIncrementalBackup } = require('../lib/incremental-backup');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// Journals and delta backups are written to a temporary directory
+jest.unmock('fs-extra');
+
+/**
+ * Create a fake client with keyspace notifications
+ * @param {Object} data - String keys and their values
+ * @param {string} flags - Value of notify-keyspace-events
+ * @returns {Object} - Fake Redis client
+ */
+function createFakeClient(data, flags = 'KA') {
+  const subscribers = [];
+
+  const sendCommand = jest.fn(async ([cmd, ...args]) => {
+    const key = String(args[0]);
+
+    switch (cmd) {
+      case 'CONFIG':
+        if (args[0] === 'GET') return ['notify-keyspace-events', flags];
+        flags = args[2];
+        return 'OK';
+      case 'TYPE':
+        return Buffer.from(data[key] === undefined ? 'none' : typeof data[key] === 'string' ? 'string' : 'hash');
+      case 'PTTL':
+        return data[key] === undefined ? -2 : -1;
+      case 'GET':
+        return Buffer.from(data[key]);
+      case 'HGETALL':
+        return Object.entries(data[key]).flat().map(value => Buffer.from(value));
+      default:
+        throw new Error(`Unexpected command ${cmd}`);
+    }
+  });
+
+  const duplicate = jest.fn(async () => {
+    const subscriber = {
+      connect: jest.fn().mockResolvedValue(),
+      pSubscribe: jest.fn(async (pattern, listener) => {
+        subscriber.listener = listener;
+      }),
+      pUnsubscribe: jest.fn().mockResolvedValue(),
+      quit: jest.fn().mockResolvedValue()
+    };
+    subscribers.push(subscriber);
+    return subscriber;
+  });
+
+  // Deliver a keyspace notification the way node-redis does in buffer mode
+  const notify = (key, event) => {
+    for (const subscriber of subscribers) {
+      subscriber.listener(Buffer.from(event), Buffer.from(`__keyspace@0__:${key}`));
+    }
+  };
+
+  return { sendCommand, duplicate, subscribers, notify, getFlags: () => flags };
+}
+
+/**
+ * Read a delta backup into its lines
+ * @param {string} file - Delta backup file
+ * @returns {Array} - Parsed lines
+ */
+function readLines(file) {
+  return fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+describe('Incremental Backup Module', () => {
+  let dir;
+  let deltaDir;
+  let incremental;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'redis-init-incremental-'));
+    deltaDir = path.join(dir, 'deltas');
+    incremental = null;
+  });
+
+  afterEach(async () => {
+    if (incremental && incremental.success) {
+      await incremental.stop();
+    }
+    fs.removeSync(dir);
+  });
+
+  test('should write the changed and deleted keys to a delta backup', async () => {
+    const client = createFakeClient({ 'myapp:user:1': 'alice' });
+
+    incremental = await startIncrementalBackup(client, { deltaDir, prefix: 'myapp:', host: 'localhost', port: 6379 });
+
+    expect(incremental.success).toBe(true);
+    expect(client.subscribers[0].pSubscribe).toHaveBeenCalledWith('__keyspace@0__:myapp:*', expect.any(Function), true);
+
+    client.notify('myapp:user:1', 'set');
+    client.notify('myapp:user:1', 'expire');
+    client.notify('myapp:user:2', 'del');
+
+    const result = await incremental.flush();
+
+    expect(result).toMatchObject({ success: true, count: 1, deleted: 1, errors: 0 });
+    expect(path.basename(result.file)).toMatch(/^delta-\d{8}T\d{9}Z-000001\.ndjson$/);
+
+    const lines = readLines(result.file);
+    expect(lines[0]).toMatchObject({ format: 'redis-init-backup', version: 2, type: 'delta', prefix: 'myapp:', host: 'localhost', port: 6379 });
+    expect(Date.parse(lines[0].since)).toBeLessThanOrEqual(Date.parse(lines[0].timestamp));
+    expect(lines.slice(1)).toEqual([
+      { key: 'myapp:user:1', type: 'string', pttl: -1, value: 'alice' },
+      { key: 'myapp:user:2', deleted: true },
+      { end: true, count: 1, deleted: 1, errors: 0 }
+    ]);
+    expect(fs.existsSync(path.join(deltaDir, 'incremental.journal.flushing'))).toBe(false);
+
+    // Nothing changed since
+    expect(await incremental.flush()).toEqual({ success: true, count: 0, deleted: 0, errors: 0 });
+    expect(fs.readdirSync(deltaDir).filter(file => file.startsWith('delta-'))).toHaveLength(1);
+  });
+
+  test('should only record the selected keys', async () => {
+    const client = createFakeClient({ 'user:1': 'alice', 'user:admin': 'root', 'user:2': { name: 'bob' } });
+
+    incremental = await startIncrementalBackup(client, { deltaDir, include: 'user:*', exclude: 'user:admin', types: ['hash'] });
+
+    expect(client.subscribers[0].pSubscribe).toHaveBeenCalledWith('__keyspace@0__:user:*', expect.any(Function), true);
+    client.notify('user:1', 'set');
+    client.notify('user:admin', 'set');
+    client.notify('user:2', 'hset');
+
+    const result = await incremental.flush();
+
+    expect(result).toMatchObject({ success: true, count: 1, deleted: 0 });
+    expect(readLines(result.file).slice(1, -1).map(line => line.key)).toEqual(['user:2']);
+  });
+
+  test('should pick up the keys journaled by an interrupted incremental backup', async () => {
+    fs.outputFileSync(path.join(deltaDir, 'incremental.journal.flushing'), `${JSON.stringify({ time: 1, key: 'a', event: 'set' })}\n`);
+    fs.outputFileSync(path.join(deltaDir, 'incremental.journal'), `${JSON.stringify({ time: 2, key: 'b', event: 'del' })}\n{"time":3,"ke`);
+    const client = createFakeClient({ a: 'value' });
+
+    incremental = await startIncrementalBackup(client, { deltaDir });
+    const result = await incremental.flush();
+
+    expect(result).toMatchObject({ success: true, count: 1, deleted: 1 });
+    expect(readLines(result.file).slice(1, -1)).toEqual([
+      { key: 'a', type: 'string', pttl: -1, value: 'value' },
+      { key: 'b', deleted: true }
+    ]);
+  });
+
+  test('should journal changes until they are written', async () => {
+    const client = createFakeClient({});
+
+    incremental = await startIncrementalBackup(client, { deltaDir });
+    client.notify('key1', 'set');
+    const result = await incremental.stop();
+    incremental = null;
+
+    expect(result).toEqual({ success: true, deltas: 1, count: 0, deleted: 1, errors: 0 });
+    expect(client.subscribers[0].pUnsubscribe).toHaveBeenCalled();
+    expect(client.subscribers[0].quit).toHaveBeenCalled();
+    expect(fs.readFileSync(path.join(deltaDir, 'incremental.journal'), 'utf8')).toBe('');
+  });
+
+  test('should stop the timer when writing a delta backup fails unexpectedly', async () => {
+    const client = createFakeClient({ key1: 'value' });
+    const remove = jest.spyOn(fs, 'remove').mockRejectedValue(new Error('EACCES: permission denied'));
+
+    try {
+      incremental = await startIncrementalBackup(client, { deltaDir, interval: 10 });
+      client.notify('key1', 'set');
+
+      expect((await incremental.stopped).message).toBe('EACCES: permission denied');
+      const attempts = remove.mock.calls.length;
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect(remove.mock.calls.length).toBe(attempts);
+
+      const result = await incremental.stop();
+      incremental = null;
+      expect(result).toEqual({ success: false, error: 'EACCES: permission denied', deltas: 0, count: 0, deleted: 0, errors: 0 });
+    } finally {
+      remove.mockRestore();
+    }
+  });
+
+  test('should keep writing delta backups after one fails unexpectedly', async () => {
+    const client = createFakeClient({ key1: 'value' });
+    const fsRemove = fs.remove;
+    let failing = true;
+    const remove = jest.spyOn(fs, 'remove').mockImplementation(file => (failing
+      ? Promise.reject(new Error('EACCES: permission denied'))
+      : fsRemove(file)));
+
+    try {
+      incremental = await startIncrementalBackup(client, { deltaDir });
+      client.notify('key1', 'set');
+      await expect(incremental.flush()).rejects.toThrow('EACCES: permission denied');
+
+      failing = false;
+      client.notify('key1', 'set');
+      expect(await incremental.flush()).toMatchObject({ success: true, count: 1 });
+    } finally {
+      remove.mockRestore();
+    }
+  });
+
+  test('should give deltas of the same millisecond their own files', async () => {
+    const client = createFakeClient({ key1: 'value', key2: 'value' });
+    const now = jest.spyOn(Date.prototype, 'toISOString').mockReturnValue('2024-05-01T14:30:00.000Z');
+
+    try {
+      incremental = await startIncrementalBackup(client, { deltaDir });
+      client.notify('key1', 'set');
+      const first = await incremental.flush();
+      client.notify('key2', 'set');
+      const second = await incremental.flush();
+
+      expect([first.file, second.file].map(file => path.basename(file)))
+        .toEqual(['delta-20240501T143000000Z-000001.ndjson', 'delta-20240501T143000000Z-000002.ndjson']);
+      expect(readLines(first.file)[1].key).toBe('key1');
+      expect(readLines(second.file)[1].key).toBe('key2');
+    } finally {
+      now.mockRestore();
+    }
+  });
+
+  test('should subscribe on every master of a cluster', async () => {
+    const nodes = [createFakeClient({}), createFakeClient({})];
+    const client = {
+      isCluster: true,
+      cluster: { masters: ['a', 'b'], nodeClient: master => nodes[master === 'a' ? 0 : 1] },
+      sendCommand: jest.fn()
+    };
+
+    incremental = await startIncrementalBackup(client, { deltaDir });
+
+    expect(incremental.success).toBe(true);
+    expect(nodes[0].duplicate).toHaveBeenCalled();
+    expect(nodes[1].duplicate).toHaveBeenCalled();
+  });
+
+  test('should require keyspace notifications', async () => {
+    const client = createFakeClient({}, 'Ex');
+
+    const result = await startIncrementalBackup(client, { deltaDir });
+
+    expect(result).toEqual({
+      success: false,
+      error: 'Keyspace notifications are not enabled (notify-keyspace-events is "Ex"): set it to "KA" or use configureNotifications'
+    });
+    expect(client.duplicate).not.toHaveBeenCalled();
+
+    incremental = await startIncrementalBackup(client, { deltaDir, configureNotifications: true });
+    expect(incremental.success).toBe(true);
+    expect(client.getFlags()).toBe('ExKA');
+  });
+
+  test('should reject invalid options', async () => {
+    const client = createFakeClient({});
+
+    expect(await startIncrementalBackup(client, {})).toEqual({ success: false, error: 'No delta directory specified' });
+    expect(await startIncrementalBackup(client, { deltaDir, deltaExtension: '.rdb' })).toEqual({
+      success: false,
+      error: 'Unsupported delta backup extension: .rdb (use .ndjson, .ndjson.gz or .ndjson.br)'
+    });
+    expect(await startIncrementalBackup(client, { deltaDir, interval: 'soon' }))
+      .toEqual({ success: false, error: 'Invalid duration: soon (use a number followed by s, m, h, d or w)' });
+  });
+});
@@ -1,13 +1,26 @@
-const { redisInit, redisInitFromString } = require('../lib/index');
+const {
+  redisInit,
+  redisInitFromString,
+  redisBackup,
+  redisRestore,
+  redisIncrementalBackup,
+  redisTestScripts
+} = require('../lib/index');
 const { createRedisClient, testConnection, flushDatabase } = require('../lib/client');
-const { loadSchemas, validateSchemas } = require('../lib/schema-loader');
-const { registerLuaScripts } = require('../lib/lua-scripts');
+const { loadSchemas, parseSchemas, validateSchemas } = require('../lib/schema-loader');
+const { registerLuaScripts, registerLuaFunctions } = require('../lib/lua-scripts');
+const { backupRedisData, restoreRedisData } = require('../lib/backup');
+const { startIncrementalBackup } = require('../lib/incremental-backup');
+const { runScriptTests } = require('../lib/script-tests');
 const redis = require('redis');
 
 // Mock required modules
 jest.mock('../lib/client');
 jest.mock('../lib/schema-loader');
 jest.mock('../lib/lua-scripts');
+jest.mock('../lib/backup');
+jest.mock('../lib/incremental-backup');
+jest.mock('../lib/script-tests');
 jest.mock('redis');
 
 describe('Redis Init Module', () => {
@@ -29,9 +42,11 @@ describe('Redis Init Module', () => {
     // Mock other functions
     testConnection.mockResolvedValue(true);
     flushDatabase.mockResolvedValue(true);
+    parseSchemas.mockReturnValue({ success: true, schemaFiles: [], errorCount: 0 });
     loadSchemas.mockResolvedValue({ success: true, commandsExecuted: 10, filesProcessed: 2 });
     validateSchemas.mockResolvedValue({ success: true, dbSize: 50 });
     registerLuaScripts.mockResolvedValue({ success: true, count: 2 });
+    registerLuaFunctions.mockResolvedValue({ success: true, count: 1, deleted: [] });
   });
 
   describe('redisInit function', () => {
@@ -97,6 +112,21 @@ describe('Redis Init Module', () => {
       expect(result.details).toBe('Schema error');
     });
 
+    test('should not flush or replace scripts when a schema has errors', async () => {
+      const diagnostics = [{ file: 'users.redis', line: 3, column: 1, severity: 'error', message: 'Unknown command SETT' }];
+      parseSchemas.mockReturnValue({ success: false, schemaFiles: [], errorCount: 1 });
+      loadSchemas.mockResolvedValue({ success: false, details: 'Schema files contain 1 errors', diagnostics });
+
+      const result = await redisInit({ flush: true, backupFile: './backup.ndjson' });
+
+      expect(result).toMatchObject({ success: false, error: 'Schema loading failed', diagnostics });
+      expect(parseSchemas).toHaveBeenCalledWith(expect.objectContaining({ schemasDir: './schemas' }), false);
+      expect(backupRedisData).not.toHaveBeenCalled();
+      expect(flushDatabase).not.toHaveBeenCalled();
+      expect(registerLuaScripts).not.toHaveBeenCalled();
+      expect(registerLuaFunctions).not.toHaveBeenCalled();
+    });
+
     test('should select database if specified', async () => {
       const mockClient = {
         connect: jest.fn().mockResolvedValue(true),
@@ -135,6 +165,13 @@ describe('Redis Init Module', () => {
       expect(result.scriptCount).toBe(2);
     });
 
+    test('should load Lua function libraries from schemas', async () => {
+      const result = await redisInit({ schemasDir: './schemas' });
+
+      expect(registerLuaFunctions).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ schemasDir: './schemas' }));
+      expect(result.functionCount).toBe(1);
+    });
+
     test('should handle error during client initialization', async () => {
       createRedisClient.mockImplementation(() => {
         throw new Error('Client initialization error');
@@ -177,6 +214,19 @@ describe('Redis Init Module', () => {
       }), true);
     });
 
+    test('should not flush or replace scripts when the schema has errors', async () => {
+      parseSchemas.mockReturnValue({ success: false, schemaFiles: [], errorCount: 1 });
+      loadSchemas.mockResolvedValue({ success: false, details: 'Schema contains 1 errors' });
+
+      const result = await redisInitFromString({ flush: true }, 'SETT key "value";', 'inline-schema');
+
+      expect(result).toMatchObject({ success: false, details: 'Schema contains 1 errors' });
+      expect(parseSchemas).toHaveBeenCalledWith(expect.objectContaining({ schemaContent: 'SETT key "value";' }), true);
+      expect(flushDatabase).not.toHaveBeenCalled();
+      expect(registerLuaScripts).not.toHaveBeenCalled();
+      expect(registerLuaFunctions).not.toHaveBeenCalled();
+    });
+
     test('should return error if no schema content provided', async () => {
       loadSchemas.mockResolvedValue({
         success: false,
@@ -210,4 +260,95 @@ describe('Redis Init Module', () => {
       }));
     });
   });
+
+  describe('redisBackup and redisRestore functions', () => {
+    test('should back up through a client that is closed afterwards', async () => {
+      backupRedisData.mockResolvedValue({ success: true, count: 3, errors: 0 });
+
+      const result = await redisBackup({ backupFile: './backup.ndjson', prefix: 'myapp:', include: ['user:*'] });
+
+      expect(result).toEqual({ success: true, count: 3, errors: 0 });
+      const client = createRedisClient.mock.results[0].value;
+      expect(backupRedisData).toHaveBeenCalledWith(client, expect.objectContaining({
+        backupFile: './backup.ndjson',
+        prefix: 'myapp:',
+        include: ['user:*']
+      }));
+      expect(client.quit).toHaveBeenCalled();
+    });
+
+    test('should restore with the given options', async () => {
+      restoreRedisData.mockResolvedValue({ success: true, count: 2, errors: 0, mismatches: [] });
+
+      const result = await redisRestore({ backupFile: './backup.ndjson', verify: true, database: 2 });
+
+      expect(result.count).toBe(2);
+      expect(createRedisClient.mock.results[0].value.select).toHaveBeenCalledWith(2);
+      expect(restoreRedisData).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ verify: true }));
+    });
+
+    test('should require a backup file', async () => {
+      expect(await redisBackup({})).toEqual({ success: false, error: 'No backup file specified' });
+      expect(await redisRestore({})).toEqual({ success: false, error: 'No backup file specified' });
+      expect(createRedisClient).not.toHaveBeenCalled();
+    });
+
+    test('should not quit a client that never connected', async () => {
+      testConnection.mockResolvedValue(false);
+
+      const result = await redisBackup({ backupFile: './backup.ndjson' });
+
+      expect(result).toEqual({ success: false, error: 'Failed to connect to Redis server' });
+      expect(createRedisClient.mock.results[0].value.quit).not.toHaveBeenCalled();
+      expect(backupRedisData).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('redisIncrementalBackup function', () => {
+    test('should run until the signal is aborted', async () => {
+      const stop = jest.fn().mockResolvedValue({ success: true, deltas: 2, count: 5, deleted: 1, errors: 0 });
+      startIncrementalBackup.mockResolvedValue({ success: true, flush: jest.fn(), stop, stopped: new Promise(() => {}) });
+      const controller = new AbortController();
+
+      const running = redisIncrementalBackup({ deltaDir: './deltas', signal: controller.signal });
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(startIncrementalBackup).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ deltaDir: './deltas' }));
+      expect(stop).not.toHaveBeenCalled();
+
+      controller.abort();
+
+      expect(await running).toEqual({ success: true, deltas: 2, count: 5, deleted: 1, errors: 0 });
+      expect(createRedisClient.mock.results[0].value.quit).toHaveBeenCalled();
+    });
+
+    test('should stop when the backup fails by itself', async () => {
+      const stop = jest.fn().mockResolvedValue({ success: false, error: 'EACCES: permission denied', deltas: 1, count: 2, deleted: 0, errors: 0 });
+      startIncrementalBackup.mockResolvedValue({ success: true, flush: jest.fn(), stop, stopped: Promise.resolve(new Error('EACCES: permission denied')) });
+
+      const result = await redisIncrementalBackup({ deltaDir: './deltas', signal: new AbortController().signal });
+
+      expect(result).toMatchObject({ success: false, error: 'EACCES: permission denied' });
+      expect(stop).toHaveBeenCalled();
+    });
+
+    test('should require a delta directory and a stop signal', async () => {
+      expect(await redisIncrementalBackup({})).toEqual({ success: false, error: 'No delta directory specified' });
+      expect(await redisIncrementalBackup({ deltaDir: './deltas' })).toEqual({ success: false, error: 'No stop signal specified' });
+      expect(createRedisClient).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('redisTestScripts function', () => {
+    test('should run the script tests of the schemas directory', async () => {
+      runScriptTests.mockResolvedValue({ success: true, passed: 2, failed: 0, tests: [] });
+
+      const result = await redisTestScripts({ schemasDir: './test-schemas', prefix: 'myapp:' });
+
+      expect(result).toMatchObject({ success: true, passed: 2 });
+      const client = createRedisClient.mock.results[0].value;
+      expect(runScriptTests).toHaveBeenCalledWith(client, expect.objectContaining({ schemasDir: './test-schemas', prefix: 'myapp:' }));
+      expect(client.quit).toHaveBeenCalled();
+    });
+  });
 });
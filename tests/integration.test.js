@@ -164,6 +164,7 @@ conditionalTest('Redis Init Integration Tests', () => {
     const result = await redisInit({
       ...redisConfig,
       schemasDir: testSchemasDir,
+      flush: true,
       useTransactions: true
     });
 
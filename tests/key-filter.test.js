@@ -0,0 +1,93 @@
+const { globToRegExp, createKeyFilter, parseRenamePatterns, renameKey } = require('../lib/key-filter');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// Key list files are written to a temporary directory
+jest.unmock('fs-extra');
+
+describe('Key Filter Module', () => {
+  describe('globToRegExp function', () => {
+    test.each([
+      ['session:*', 'session:abc', true],
+      ['session:*', 'sessions:abc', false],
+      ['user:?', 'user:1', true],
+      ['user:?', 'user:12', false],
+      ['user:[0-9]', 'user:7', true],
+      ['user:[9-0]', 'user:7', true],
+      ['user:[^0-9]', 'user:7', false],
+      ['user:[ab]', 'user:b', true],
+      ['a\\*b', 'a*b', true],
+      ['a\\*b', 'axb', false],
+      ['cache.(v1)', 'cache.(v1)', true],
+      ['cache.(v1)', 'cacheX(v1)', false],
+      ['open[bracket', 'open[bracket', true],
+      ['line:*', 'line:a\nb', true]
+    ])('should match %s against %j as Redis does', (pattern, key, expected) => {
+      expect(globToRegExp(pattern).test(key)).toBe(expected);
+    });
+  });
+
+  describe('createKeyFilter function', () => {
+    test('should combine include and exclude patterns with types', () => {
+      const filter = createKeyFilter({ include: ['session:*', 'user:*'], exclude: 'user:admin*', types: ['hash'] });
+
+      expect(filter.matchesName('session:1')).toBe(true);
+      expect(filter.matchesName('user:2')).toBe(true);
+      expect(filter.matchesName('user:admin')).toBe(false);
+      expect(filter.matchesName('cache:1')).toBe(false);
+      expect(filter.matchesType('hash')).toBe(true);
+      expect(filter.matchesType('string')).toBe(false);
+    });
+
+    test('should select every key without options', () => {
+      const filter = createKeyFilter({});
+
+      expect(filter.keys).toBeNull();
+      expect(filter.types).toBeNull();
+      expect(filter.matchesName('anything')).toBe(true);
+      expect(filter.matchesType('ReJSON-RL')).toBe(true);
+    });
+
+    test('should read key lists with one key per line', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'redis-init-key-filter-'));
+      const keyListFile = path.join(dir, 'keys.txt');
+      fs.writeFileSync(keyListFile, 'user:1\r\nuser:2\n\nkey with spaces\n');
+
+      try {
+        const filter = createKeyFilter({ keyListFile });
+
+        expect([...filter.keys]).toEqual(['user:1', 'user:2', 'key with spaces']);
+        expect(filter.matchesName('user:2')).toBe(true);
+        expect(filter.matchesName('user:3')).toBe(false);
+        expect(() => createKeyFilter({ keyListFile: path.join(dir, 'missing.txt') }))
+          .toThrow(`Key list file not found: ${path.join(dir, 'missing.txt')}`);
+      } finally {
+        fs.removeSync(dir);
+      }
+    });
+  });
+
+  describe('rename patterns', () => {
+    test('should move matched wildcards into the target', () => {
+      const renames = parseRenamePatterns(['session:*=archive:session:*', 'user:*:profile:*=profiles:*:*', 'plain=\\*literal']);
+
+      expect(renameKey('session:abc', renames)).toBe('archive:session:abc');
+      expect(renameKey('user:1:profile:home', renames)).toBe('profiles:1:home');
+      expect(renameKey('plain', renames)).toBe('*literal');
+      expect(renameKey('other', renames)).toBe('other');
+    });
+
+    test('should use the first pattern that matches', () => {
+      const renames = parseRenamePatterns(['a:*=first:*', 'a:b*=second:*']);
+
+      expect(renameKey('a:b1', renames)).toBe('first:b1');
+    });
+
+    test('should reject invalid patterns', () => {
+      expect(() => parseRenamePatterns('session:*')).toThrow('Invalid rename pattern "session:*": expected FROM=TO');
+      expect(() => parseRenamePatterns('session:*=*:*'))
+        .toThrow('Invalid rename pattern "session:*=*:*": the target has more * than the source');
+    });
+  });
+});
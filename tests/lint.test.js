@@ -0,0 +1,215 @@
+const { lintSchemas } = require('../lib/lint');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('Lint Module', () => {
+  let schemasDir;
+
+  const writeSchema = (name, content) => {
+    const file = path.join(schemasDir, name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+    return file;
+  };
+
+  beforeEach(() => {
+    schemasDir = fs.mkdtempSync(path.join(os.tmpdir(), 'redis-init-lint-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(schemasDir, { recursive: true, force: true });
+  });
+
+  describe('lintSchemas function', () => {
+    test('should pass valid schemas', async () => {
+      writeSchema('users.redis', '# version: 1\nHSET user:1 name "Jane";\nSADD users 1;\n');
+      writeSchema('sessions.redis', '# dependencies: users.redis\nSET session:1 abc;\n');
+
+      const report = await lintSchemas({ schemasDir });
+
+      expect(report.success).toBe(true);
+      expect(report.filesChecked).toBe(2);
+      expect(report.diagnostics).toEqual([]);
+    });
+
+    test('should check command arity', async () => {
+      const file = writeSchema('users.redis', 'SET user:1;\n  GET user:1 extra;\nHSET user:1 name "Jane";\n');
+
+      const report = await lintSchemas({ schemasDir });
+
+      expect(report.success).toBe(false);
+      expect(report.errorCount).toBe(2);
+      expect(report.diagnostics).toEqual([
+        { file, line: 1, column: 1, severity: 'error', message: 'SET takes at least 2 arguments, got 1' },
+        { file, line: 2, column: 3, severity: 'error', message: 'GET takes exactly 1 argument, got 2' }
+      ]);
+    });
+
+    test('should only warn about commands missing from the command table', async () => {
+      const file = writeSchema('users.redis', 'HSET user:1 name "Jane";\nHEXPIRE user:1 60 FIELDS 1 name;\nHGETDEL user:1 FIELDS 1;\nSETT user:2 x;\n');
+
+      const report = await lintSchemas({ schemasDir });
+
+      expect(report).toMatchObject({ success: false, errorCount: 1, warningCount: 1 });
+      expect(report.diagnostics).toEqual([
+        { file, line: 4, column: 1, severity: 'warning', message: 'Unknown command SETT' },
+        { file, line: 3, column: 1, severity: 'error', message: 'HGETDEL takes at least 4 arguments, got 3' }
+      ]);
+    });
+
+    test('should flag unresolved template variables', async () => {
+      const file = writeSchema('app.redis', [
+        '# uses ${IGNORED}',
+        'SET app:version "${APP_VERSION}";',
+        'SET app:env "${ENV}";',
+        'SET app:url "https://example.com/#${ANCHOR}"; # ${IGNORED}'
+      ].join('\n'));
+
+      const report = await lintSchemas({ schemasDir, variables: { ENV: 'test' } });
+
+      expect(report.diagnostics).toEqual([
+        { file, line: 2, column: 18, severity: 'error', message: 'Unresolved template variable APP_VERSION' },
+        { file, line: 4, column: 35, severity: 'error', message: 'Unresolved template variable ANCHOR' }
+      ]);
+    });
+
+    test('should include parser diagnostics', async () => {
+      writeSchema('users.redis', 'SET user:1 "Jane;\nJSON.SET doc $ "{}";\n');
+
+      const report = await lintSchemas({ schemasDir });
+
+      expect(report.errorCount).toBe(1);
+      expect(report.warningCount).toBe(1);
+      expect(report.diagnostics[0].message).toMatch(/Unbalanced quote/);
+    });
+
+    test('should report missing dependencies on the dependencies line', async () => {
+      const file = writeSchema('sessions.redis', '# version: 1\n# dependencies: users.redis\nSET session:1 abc;\n');
+
+      const report = await lintSchemas({ schemasDir });
+
+      expect(report.diagnostics).toHaveLength(1);
+      expect(report.diagnostics[0]).toMatchObject({ file, line: 2, severity: 'error' });
+      expect(report.diagnostics[0].message).toMatch(/users\.redis was not found/);
+    });
+
+    test('should report Lua scripts defined twice', async () => {
+      writeSchema('a.redis', 'SCRIPT: touch\nreturn 1\nEND_SCRIPT\n');
+      const file = writeSchema('b.redis', 'SET k v;\nSCRIPT: touch\nreturn 2\nEND_SCRIPT\n');
+
+      const report = await lintSchemas({ schemasDir });
+
+      expect(report.diagnostics).toHaveLength(1);
+      expect(report.diagnostics[0]).toMatchObject({ file, line: 2, column: 1, severity: 'error' });
+      expect(report.diagnostics[0].message).toMatch(/touch is already defined/);
+    });
+
+    test('should check Lua function libraries', async () => {
+      writeSchema('a.redis', 'FUNCTION: counters\nredis.register_function("incr_by", function() end)\nEND_FUNCTION\n');
+      const file = writeSchema('b.redis', [
+        'FUNCTION: counters',
+        'END_FUNCTION',
+        'FUNCTION: stats',
+        'redis.register_function{function_name = "incr_by", callback = function() end}',
+        'END_FUNCTION',
+        'FUNCTION: empty',
+        '#!lua name=other',
+        'END_FUNCTION'
+      ].join('\n'));
+
+      const report = await lintSchemas({ schemasDir });
+
+      expect(report.diagnostics.map(({ line, severity, message }) => [line, severity, message])).toEqual([
+        [1, 'error', `Lua function library counters is already defined in ${path.join(schemasDir, 'a.redis')}`],
+        [3, 'error', 'Lua function incr_by is already registered by library counters'],
+        [6, 'error', 'The #! line of library empty must be "#!lua name=empty"'],
+        [6, 'warning', 'Lua function library empty registers no functions']
+      ]);
+      expect(report.diagnostics.every(diagnostic => diagnostic.file === file)).toBe(true);
+    });
+
+    test('should check the Lua code of scripts and libraries', async () => {
+      const file = writeSchema('lua.redis', [
+        'SCRIPT: broken',
+        'if ARGV[1] then',
+        '  return 1',
+        'END_SCRIPT',
+        'SCRIPT: counter',
+        'local current = redis.call("INCR", "counter")',
+        '  total = current',
+        'END_SCRIPT',
+        'FUNCTION: lib',
+        'redis.register_function("get", function(keys) return redis.call("GET", KEYS[1]) end)',
+        'END_FUNCTION'
+      ].join('\n'));
+
+      const report = await lintSchemas({ schemasDir });
+
+      expect(report.diagnostics).toEqual([
+        { file, line: 3, column: 11, severity: 'error', message: 'Lua script broken: \'end\' expected (to close \'if\' at line 1) near \'<eof>\'' },
+        {
+          file, line: 6, column: 17, severity: 'warning',
+          message: 'Lua script counter: redis.call("INCR") uses the hard-coded key "counter": pass it in KEYS so the script works on a cluster'
+        },
+        { file, line: 7, column: 3, severity: 'warning', message: 'Lua script counter: assigns the global variable total, which Redis does not allow: declare it local' },
+        { file, line: 10, column: 72, severity: 'warning', message: 'Lua function library lib: reads the global variable KEYS, which is not defined in Redis' }
+      ]);
+    });
+
+    test('should check Lua script tests', async () => {
+      writeSchema('a.redis', 'SCRIPT: get_user\n-- @keys user_key\nreturn redis.call("HGETALL", KEYS[1])\nEND_SCRIPT\n');
+      const file = writeSchema('b.redis', [
+        'SCRIPT_TEST: get_user',
+        'KEYS: user:1',
+        'EXPECT: []',
+        'END_SCRIPT_TEST',
+        'SCRIPT_TEST: get_user',
+        '  EXPECT: [',
+        'END_SCRIPT_TEST',
+        'SCRIPT_TEST: missing',
+        'EXPECT: 1',
+        'END_SCRIPT_TEST'
+      ].join('\n'));
+
+      const report = await lintSchemas({ schemasDir });
+
+      expect(report.diagnostics).toEqual([
+        { file, line: 6, column: 3, severity: 'error', message: 'Invalid EXPECT: EXPECT must be JSON, such as 1, "OK", ["a", "b"] or null' },
+        { file, line: 8, column: 1, severity: 'error', message: 'SCRIPT_TEST of unknown Lua script missing' }
+      ]);
+    });
+
+    test('should lint migration files without ordering them', async () => {
+      writeSchema('users.redis', '# version: 2\nSET k v;\n');
+      const file = writeSchema(path.join('migrations', 'users_v1_to_v2.redis'), 'HSET user:1 name "Jane"\n');
+
+      const report = await lintSchemas({ schemasDir });
+
+      expect(report.filesChecked).toBe(2);
+      expect(report.diagnostics).toHaveLength(1);
+      expect(report.diagnostics[0]).toMatchObject({ file, line: 1, severity: 'error' });
+    });
+
+    test('should check fragments through the schemas that include them', async () => {
+      const fragment = writeSchema('_common.redis', 'SET config:ttl;\n');
+      writeSchema('users.redis', '@include _common.redis\nSET k v;\n');
+      writeSchema('orders.redis', '@include _common.redis\n');
+
+      const report = await lintSchemas({ schemasDir });
+
+      expect(report.filesChecked).toBe(2);
+      expect(report.fragments).toEqual([fragment]);
+      expect(report.diagnostics).toEqual([
+        { file: fragment, line: 1, column: 1, severity: 'error', message: 'SET takes at least 2 arguments, got 1' }
+      ]);
+    });
+
+    test('should fail when the schemas directory does not exist', async () => {
+      const report = await lintSchemas({ schemasDir: path.join(schemasDir, 'missing') });
+
+      expect(report.success).toBe(false);
+      expect(report.error).toMatch(/not found/);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+const { checkLua } = require('../lib/lua-check');
+
+describe('Lua Check Module', () => {
+  const messages = (code, options) => checkLua(code, options).map(({ line, severity, message }) => [line, severity, message]);
+
+  describe('checkLua function', () => {
+    test('should accept valid scripts', () => {
+      const code = [
+        'local current = tonumber(redis.call("GET", KEYS[1]) or "0")',
+        'local items = { 1, 2, n = 3, ["key"] = 4; "last" }',
+        'for i, value in ipairs(items) do',
+        '  if value == 2 then break elseif value > 2 then current = current + value else current = current - 1 end',
+        'end',
+        'for i = 1, #ARGV, 2 do redis.call("HSET", KEYS[2], ARGV[i], ARGV[i + 1]) end',
+        'local function fact(n) if n <= 1 then return 1 end return n * fact(n - 1) end',
+        'repeat local done = true until done',
+        'local text = [==[',
+        'long ]] string]==] --[[ long',
+        'comment ]]',
+        'return cjson.encode({ current, fact(3), text:upper(), 2 ^ -1 .. "", not nil })'
+      ].join('\n');
+
+      expect(checkLua(code)).toEqual([]);
+    });
+
+    test('should report syntax errors with their position', () => {
+      expect(checkLua('local x = 1\nif x then\n  return x')).toEqual([
+        { line: 3, column: 11, severity: 'error', message: '\'end\' expected (to close \'if\' at line 2) near \'<eof>\'' }
+      ]);
+      expect(messages('local = 1')).toEqual([[1, 'error', '<name> expected near \'=\'']]);
+      expect(messages('x + 1')).toEqual([[1, 'error', 'syntax error near \'+\'']]);
+      expect(messages('return 1\nreturn 2')).toEqual([[2, 'error', '\'<eof>\' expected near \'return\'']]);
+      expect(messages('break')).toEqual([[1, 'error', 'no loop to break']]);
+      expect(messages('return "open')).toEqual([[1, 'error', 'unfinished string near \'"open\'']]);
+      expect(messages('return 3x')).toEqual([[1, 'error', 'malformed number near \'3x\'']]);
+      expect(messages('return [[\nopen')).toEqual([[1, 'error', 'unfinished long string starting at line 1']]);
+    });
+
+    test('should only report the syntax error of code that does not parse', () => {
+      expect(messages('undefined_global = 1\nif then')).toEqual([[2, 'error', 'unexpected symbol near \'then\'']]);
+    });
+
+    test('should warn about keys not passed in KEYS', () => {
+      const code = [
+        'redis.call("SET", "config:version", ARGV[1])',
+        'redis.pcall("hget", "user:" .. ARGV[1], "name")',
+        'redis.call("GET", KEYS[1])',
+        'redis.call("PING", "message")',
+        'redis.call("MGET", KEYS[1], KEYS[2])'
+      ].join('\n');
+
+      expect(messages(code)).toEqual([
+        [1, 'warning', 'redis.call("SET") uses the hard-coded key "config:version": pass it in KEYS so the script works on a cluster'],
+        [2, 'warning', 'redis.pcall("hget") builds its key name: pass the key in KEYS so the script works on a cluster']
+      ]);
+    });
+
+    test('should warn about commands scripts cannot call', () => {
+      expect(messages('redis.call("multi")\nredis.call("EVAL", "return 1", 0)')).toEqual([
+        [1, 'warning', 'MULTI cannot be called from scripts'],
+        [2, 'warning', 'EVAL cannot be called from scripts']
+      ]);
+    });
+
+    test('should warn about globals once', () => {
+      const code = [
+        'counter = 1',
+        'counter = counter + 1',
+        'function helper() return missing end',
+        'local function ok(x) return x end',
+        'return helper() + missing + ok(1)'
+      ].join('\n');
+
+      expect(messages(code)).toEqual([
+        [1, 'warning', 'assigns the global variable counter, which Redis does not allow: declare it local'],
+        [3, 'warning', 'assigns the global variable helper, which Redis does not allow: declare it local'],
+        [3, 'warning', 'reads the global variable missing, which is not defined in Redis']
+      ]);
+    });
+
+    test('should respect the scope of locals', () => {
+      const code = [
+        'do local inner = 1 end',
+        'for i = 1, 2 do end',
+        'return inner, i'
+      ].join('\n');
+
+      expect(messages(code)).toEqual([
+        [3, 'warning', 'reads the global variable inner, which is not defined in Redis'],
+        [3, 'warning', 'reads the global variable i, which is not defined in Redis']
+      ]);
+    });
+
+    test('should check function libraries without KEYS and ARGV', () => {
+      const code = [
+        '#!lua name=mylib',
+        'redis.register_function("get", function(keys, args) return redis.call("GET", keys[1]) end)',
+        'redis.register_function{ function_name = "first", callback = function() return KEYS[1] end }'
+      ].join('\n');
+
+      expect(messages(code, { library: true })).toEqual([
+        [3, 'warning', 'reads the global variable KEYS, which is not defined in Redis']
+      ]);
+      expect(checkLua(code)).toEqual([]);
+    });
+  });
+});
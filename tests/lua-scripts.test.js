@@ -1,8 +1,156 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const redis = require('redis');
+const { createClusterClient } = require('../lib/client');
 const {
   parseSchemaForLuaScripts,
-  findLuaScriptsInSchema
+  findLuaScriptsInSchema,
+  registerLuaScripts,
+  registerLuaFunctions,
+  findLuaFunctionsInSchema,
+  getScriptRunner
 } = require('../lib/lua-scripts');
 
+/**
+ * Create the hash commands of a fake client, with MULTI
+ * @returns {Object} - Hashes and their commands
+ */
+function createFakeHashes() {
+  const hashes = {};
+  const commands = {
+    hGetAll: jest.fn(async key => ({ ...hashes[key] })),
+    hSet: jest.fn(async (key, field, value) => {
+      hashes[key] = { ...hashes[key], [field]: value };
+    }),
+    hDel: jest.fn(async (key, fields) => {
+      [].concat(fields).forEach(field => delete (hashes[key] || {})[field]);
+      if (hashes[key] && Object.keys(hashes[key]).length === 0) {
+        delete hashes[key];
+      }
+    }),
+    del: jest.fn(async key => {
+      delete hashes[key];
+    })
+  };
+
+  // Run HSET and HDEL given as raw commands
+  const run = ([cmd, key, ...args]) => {
+    if (cmd === 'HSET') return commands.hSet(key, ...args);
+    if (cmd === 'HDEL') return commands.hDel(key, args);
+    throw new Error(`Unexpected command ${cmd}`);
+  };
+
+  const multi = jest.fn(() => {
+    const queued = [];
+    const transaction = {
+      addCommand: args => queued.push(args) && transaction,
+      exec: async () => {
+        for (const args of queued) {
+          await run(args);
+        }
+      }
+    };
+    return transaction;
+  });
+
+  return { hashes, ...commands, multi, run };
+}
+
+/**
+ * Create a fake client with a script cache and hashes
+ * @returns {Object} - Fake Redis client
+ */
+function createFakeClient() {
+  const cache = new Set();
+  const sha1 = script => crypto.createHash('sha1').update(script).digest('hex');
+
+  return {
+    ...createFakeHashes(),
+    cache,
+    scriptLoad: jest.fn(async script => {
+      cache.add(sha1(script));
+      return sha1(script);
+    }),
+    sendCommand: jest.fn(async ([cmd, shaOrScript, ...params]) => {
+      if (cmd === 'EVALSHA' && !cache.has(shaOrScript)) {
+        throw new Error('NOSCRIPT No matching script. Please use EVAL.');
+      }
+      if (cmd === 'EVAL') {
+        cache.add(sha1(shaOrScript));
+      }
+      return params;
+    })
+  };
+}
+
+/**
+ * Create a fake Redis 7 client with function libraries
+ * @param {Object} libraries - Loaded libraries, as code by name
+ * @returns {Object} - Fake Redis client
+ */
+function createFunctionClient(libraries = {}) {
+  return {
+    ...createFakeHashes(),
+    libraries,
+    sendCommand: jest.fn(async ([cmd, subcommand, ...args]) => {
+      switch (`${cmd} ${subcommand}`) {
+        case 'FUNCTION LOAD': {
+          const code = args[args.length - 1];
+          const name = /^#!lua name=(\S+)/.exec(code)[1];
+          if (code.includes('syntax error')) throw new Error(`ERR Error compiling function: ${name}`);
+          libraries[name] = code;
+          return name;
+        }
+        case 'FUNCTION DELETE':
+          if (!libraries[args[0]]) throw new Error('ERR Library not found');
+          delete libraries[args[0]];
+          return 'OK';
+        case 'FUNCTION LIST':
+          return Object.entries(libraries).map(([name, code]) => [
+            'library_name', name,
+            'engine', 'LUA',
+            'functions', findLuaFunctionsInSchema(`FUNCTION: ${name}\n${code}\nEND_FUNCTION`, 'redis')[0].functions
+              .map(fn => ['name', fn.name, 'description', null, 'flags', fn.flags])
+          ]);
+        default:
+          throw new Error(`Unexpected command ${cmd}`);
+      }
+    })
+  };
+}
+
+/**
+ * Create a fake node-redis cluster, whose transactions only take raw commands
+ * @returns {Object} - Fake cluster
+ */
+function createFakeCluster() {
+  const { hashes, hGetAll, run } = createFakeHashes();
+  const sha1 = script => crypto.createHash('sha1').update(script).digest('hex');
+  const node = { sendCommand: jest.fn(async ([, , script]) => sha1(script)) };
+
+  return {
+    hashes,
+    hGetAll,
+    masters: [{ host: '127.0.0.1', port: 7000 }],
+    nodeClient: async () => node,
+    sendCommand: jest.fn(async (key, isReadonly, [, , ...params]) => params),
+    multi: () => {
+      const queued = [];
+      const transaction = {
+        addCommand: (key, args) => queued.push(args) && transaction,
+        exec: async () => {
+          for (const args of queued) {
+            await run(args);
+          }
+        }
+      };
+      return transaction;
+    }
+  };
+}
+
 describe('Lua Scripts Module', () => {
   describe('parseSchemaForLuaScripts function', () => {
     test('should extract a Lua script from schema lines', () => {
@@ -98,6 +246,34 @@ describe('Lua Scripts Module', () => {
       expect(scripts[1].script).toContain('Second script');
     });
 
+    test('should read the signature declared in the header comments', () => {
+      const content = [
+        'SCRIPT: check_password',
+        '-- Check a user password',
+        '-- @keys user_key',
+        '-- @args username',
+        '-- @args password',
+        '-- @returns 1 if the password matches',
+        'local stored = redis.call("HGET", KEYS[1], "password")',
+        '-- @keys ignored after the header',
+        'return stored == ARGV[2] and 1 or 0',
+        'END_SCRIPT',
+        'SCRIPT: plain',
+        'return 1',
+        'END_SCRIPT'
+      ].join('\n');
+
+      const [checkPassword, plain] = findLuaScriptsInSchema(content, 'users.redis');
+
+      expect(checkPassword).toMatchObject({
+        line: 1,
+        keys: ['user_key'],
+        args: ['username', 'password'],
+        returns: '1 if the password matches'
+      });
+      expect(plain).toMatchObject({ line: 11, keys: [], args: [], returns: null });
+    });
+
     test('should return empty array if no scripts found', () => {
       const content = `
         # Schema with no scripts
@@ -129,4 +305,304 @@ describe('Lua Scripts Module', () => {
       expect(scripts[0].name).toBe('valid_script');
     });
   });
+
+  describe('registerLuaScripts function', () => {
+    const register = (client, body) => registerLuaScripts(client, {
+      prefix: 'myapp:',
+      schemaContent: `SCRIPT: counter\n${body}\nEND_SCRIPT\nSCRIPT: echo\nreturn ARGV\nEND_SCRIPT`,
+      schemaName: 'counters.redis'
+    }, true);
+
+    test('should keep previous versions of changed scripts', async () => {
+      const client = createFakeClient();
+
+      await register(client, 'return 1');
+      await register(client, 'return 1');
+      await register(client, 'return 2');
+      const result = await register(client, 'return 3');
+
+      expect(result).toMatchObject({ success: true, count: 2 });
+      const counter = JSON.parse(client.hashes['myapp:lua:scripts'].counter);
+      expect(counter).toMatchObject({ source: 'counters.redis', script: 'return 3', version: 3 });
+      expect(counter.previous.map(({ version, script }) => [version, script])).toEqual([[2, 'return 2'], [1, 'return 1']]);
+      expect(JSON.parse(client.hashes['myapp:lua:scripts'].echo)).toMatchObject({ version: 1, previous: [] });
+    });
+
+    test('should only keep the last previous versions', async () => {
+      const client = createFakeClient();
+
+      for (let i = 1; i <= 8; i++) {
+        await register(client, `return ${i}`);
+      }
+
+      const counter = JSON.parse(client.hashes['myapp:lua:scripts'].counter);
+      expect(counter.version).toBe(8);
+      expect(counter.previous.map(({ version }) => version)).toEqual([7, 6, 5, 4, 3]);
+    });
+
+    test('should skip scripts with syntax errors', async () => {
+      const client = createFakeClient();
+
+      const result = await register(client, 'if ARGV[1] then return 1');
+
+      expect(result).toMatchObject({ success: true, count: 1, total: 2 });
+      expect(client.scriptLoad).toHaveBeenCalledTimes(1);
+      expect(client.scriptLoad).toHaveBeenCalledWith('return ARGV');
+      expect(Object.keys(client.hashes['myapp:lua:scripts'])).toEqual(['echo']);
+    });
+
+    test('should keep the entry of a script that no longer loads', async () => {
+      const client = createFakeClient();
+      await register(client, 'return 1');
+      await register(client, 'return 2');
+
+      const result = await register(client, 'if ARGV[1] then return 3');
+
+      expect(result).toMatchObject({ success: true, count: 1 });
+      const counter = JSON.parse(client.hashes['myapp:lua:scripts'].counter);
+      expect(counter).toMatchObject({ script: 'return 2', version: 2 });
+      expect(counter.previous.map(({ version }) => version)).toEqual([1]);
+      expect(client.del).not.toHaveBeenCalled();
+    });
+
+    test('should only replace the entries of the schema loaded from a string', async () => {
+      const client = createFakeClient();
+      const load = (schemaName, content) => registerLuaScripts(client, { schemaName, schemaContent: content }, true);
+      await load('users.redis', 'SCRIPT: get_user\nreturn 1\nEND_SCRIPT\nSCRIPT: old_user\nreturn 2\nEND_SCRIPT');
+      await load('orders.redis', 'SCRIPT: get_order\nreturn 3\nEND_SCRIPT');
+
+      await load('users.redis', 'SCRIPT: get_user\nreturn 4\nEND_SCRIPT');
+
+      const registry = client.hashes['lua:scripts'];
+      expect(Object.keys(registry).sort()).toEqual(['get_order', 'get_user']);
+      expect(JSON.parse(registry.get_user)).toMatchObject({ script: 'return 4', version: 2 });
+      expect(JSON.parse(registry.get_order)).toMatchObject({ source: 'orders.redis', version: 1 });
+    });
+  });
+
+  describe('Lua blocks in a schemas directory', () => {
+    let schemasDir;
+
+    beforeEach(() => {
+      schemasDir = fs.mkdtempSync(path.join(os.tmpdir(), 'redis-init-lua-'));
+      fs.mkdirSync(path.join(schemasDir, 'users'));
+      fs.writeFileSync(path.join(schemasDir, '_scripts.redis'), 'SCRIPT: shared\nreturn 1\nEND_SCRIPT\n');
+      fs.writeFileSync(path.join(schemasDir, 'users', 'users.redis'), [
+        '@include ../_scripts.redis',
+        'SCRIPT: get_user',
+        'return 2',
+        'END_SCRIPT',
+        'FUNCTION: users',
+        "redis.register_function('count_users', function() return 0 end)",
+        'END_FUNCTION',
+        '@if ENV == "dev"',
+        'SCRIPT: reset_users',
+        'return 3',
+        'END_SCRIPT',
+        '@end'
+      ].join('\n'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(schemasDir, { recursive: true, force: true });
+    });
+
+    test('should load scripts of subdirectories and fragments, but not of false @if branches', async () => {
+      const client = createFakeClient();
+      const config = { schemasDir, variables: { ENV: 'prod' } };
+
+      await registerLuaScripts(client, config);
+      const result = await registerLuaScripts(client, config);
+
+      expect(result).toMatchObject({ success: true, count: 2, total: 2 });
+      const registry = client.hashes['lua:scripts'];
+      expect(Object.keys(registry).sort()).toEqual(['get_user', 'shared']);
+      expect(JSON.parse(registry.shared)).toMatchObject({ source: path.join(schemasDir, '_scripts.redis'), version: 1 });
+    });
+
+    test('should keep the libraries of subdirectories', async () => {
+      const client = createFunctionClient();
+
+      await registerLuaFunctions(client, { schemasDir });
+      const result = await registerLuaFunctions(client, { schemasDir });
+
+      expect(result).toMatchObject({ success: true, count: 1, deleted: [] });
+      expect(Object.keys(client.libraries)).toEqual(['users']);
+      expect(JSON.parse(client.hashes['lua:functions'].users))
+        .toMatchObject({ source: path.join(schemasDir, 'users', 'users.redis') });
+    });
+  });
+
+  describe('Lua scripts on a cluster', () => {
+    test('should store the registry and run scripts through a cluster client', async () => {
+      const cluster = createFakeCluster();
+      const createCluster = jest.spyOn(redis, 'createCluster').mockReturnValue(cluster);
+
+      try {
+        const client = createClusterClient({ clusterNodes: ['127.0.0.1:7000'] });
+        const result = await registerLuaScripts(client, { prefix: 'myapp:', schemaContent: 'SCRIPT: echo\nreturn KEYS\nEND_SCRIPT' }, true);
+
+        expect(result).toMatchObject({ success: true, count: 1 });
+        expect(JSON.parse(cluster.hashes['myapp:lua:scripts'].echo)).toMatchObject({ script: 'return KEYS', version: 1 });
+
+        const runner = await getScriptRunner(client, 'myapp:');
+        expect(runner.names()).toEqual(['echo']);
+        expect(await runner.run('echo', ['user:1'])).toEqual(['1', 'myapp:user:1']);
+      } finally {
+        createCluster.mockRestore();
+      }
+    });
+  });
+
+  describe('getScriptRunner function', () => {
+    test('should call scripts by name with prefixed keys', async () => {
+      const client = createFakeClient();
+      await registerLuaScripts(client, { prefix: 'myapp:', schemaContent: 'SCRIPT: echo\nreturn KEYS\nEND_SCRIPT' }, true);
+
+      const runner = await getScriptRunner(client, 'myapp:');
+
+      expect(runner.names()).toEqual(['echo']);
+      expect(await runner.run('echo', ['user:1'], ['a', 2])).toEqual(['1', 'myapp:user:1', 'a', '2']);
+      expect(client.sendCommand).toHaveBeenCalledWith(['EVALSHA', expect.stringMatching(/^[0-9a-f]{40}$/), '1', 'myapp:user:1', 'a', '2']);
+    });
+
+    test('should fall back to EVAL when the script is not cached', async () => {
+      const client = createFakeClient();
+      await registerLuaScripts(client, { schemaContent: 'SCRIPT: echo\nreturn KEYS\nEND_SCRIPT' }, true);
+      client.cache.clear();
+
+      const runner = await getScriptRunner(client);
+
+      expect(await runner.run('echo', ['k'])).toEqual(['1', 'k']);
+      expect(client.sendCommand).toHaveBeenLastCalledWith(['EVAL', 'return KEYS', '1', 'k']);
+
+      // EVAL cached the script again
+      await runner.run('echo', ['k']);
+      expect(client.sendCommand.mock.calls[2][0][0]).toBe('EVALSHA');
+    });
+
+    test('should call previous versions by name and version', async () => {
+      const client = createFakeClient();
+      const schema = body => ({ schemaContent: `SCRIPT: greet\n${body}\nEND_SCRIPT` });
+      await registerLuaScripts(client, schema('return "v1"'), true);
+      await registerLuaScripts(client, schema('return "v2"'), true);
+
+      const runner = await getScriptRunner(client);
+      await runner.run('greet@1');
+      await runner.run('greet@2');
+      await runner.run('greet');
+
+      const sha = script => crypto.createHash('sha1').update(script).digest('hex');
+      expect(client.sendCommand.mock.calls.map(([command]) => command[1]))
+        .toEqual([sha('return "v1"'), sha('return "v2"'), sha('return "v2"')]);
+      await expect(runner.run('greet@5')).rejects.toThrow('Unknown version 5 of Lua script greet');
+      await expect(runner.run('missing')).rejects.toThrow('Unknown Lua script: missing');
+    });
+
+    test('should see scripts registered later after reloading', async () => {
+      const client = createFakeClient();
+      const runner = await getScriptRunner(client);
+
+      await registerLuaScripts(client, { schemaContent: 'SCRIPT: late\nreturn 1\nEND_SCRIPT' }, true);
+      expect(runner.names()).toEqual([]);
+
+      await runner.reload();
+      expect(runner.names()).toEqual(['late']);
+    });
+
+    test('should pass other script errors on', async () => {
+      const client = createFakeClient();
+      await registerLuaScripts(client, { schemaContent: 'SCRIPT: fail\nreturn 1\nEND_SCRIPT' }, true);
+      client.sendCommand.mockRejectedValue(new Error('ERR Error running script'));
+
+      const runner = await getScriptRunner(client);
+
+      await expect(runner.run('fail')).rejects.toThrow('ERR Error running script');
+      expect(client.sendCommand).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Lua function libraries', () => {
+    const schema = `
+      SET key "value";
+
+      FUNCTION: counters
+      -- Counter helpers
+      redis.register_function('incr_by', function(keys, args)
+        return redis.call('INCRBY', keys[1], args[1])
+      end)
+      redis.register_function{
+        function_name = 'read_counter',
+        callback = function(keys) return redis.call('GET', keys[1]) end,
+        flags = { 'no-writes', "allow-stale" }
+      }
+      END_FUNCTION
+    `;
+
+    test('should find libraries with their functions and flags', () => {
+      const libraries = findLuaFunctionsInSchema(schema, 'counters.redis');
+
+      expect(libraries).toHaveLength(1);
+      expect(libraries[0]).toMatchObject({ name: 'counters', source: 'counters.redis' });
+      expect(libraries[0].code).toContain('-- Counter helpers');
+      expect(libraries[0].functions).toEqual([
+        { name: 'incr_by', flags: [] },
+        { name: 'read_counter', flags: ['no-writes', 'allow-stale'] }
+      ]);
+    });
+
+    test('should load libraries and record them in the registry', async () => {
+      const client = createFunctionClient();
+
+      const result = await registerLuaFunctions(client, { prefix: 'myapp:', schemaContent: schema, schemaName: 'counters.redis' }, true);
+
+      expect(result).toMatchObject({ success: true, count: 1, total: 1, deleted: [] });
+      expect(client.sendCommand).toHaveBeenCalledWith(['FUNCTION', 'LOAD', 'REPLACE', expect.stringMatching(/^#!lua name=counters\n-- Counter helpers/)]);
+      expect(JSON.parse(client.hashes['myapp:lua:functions'].counters)).toEqual({
+        source: 'counters.redis',
+        functions: [{ name: 'incr_by', flags: [] }, { name: 'read_counter', flags: ['no-writes', 'allow-stale'] }]
+      });
+    });
+
+    test('should delete libraries removed from the schemas, but not those of others', async () => {
+      const client = createFunctionClient({ other_app: '#!lua name=other_app\nredis.register_function("x", function() end)' });
+      await registerLuaFunctions(client, { schemaContent: schema }, true);
+      await registerLuaFunctions(client, { schemaContent: 'FUNCTION: stats\n#!lua name=stats\nredis.register_function("count", function() end)\nEND_FUNCTION' }, true);
+
+      const result = await registerLuaFunctions(client, { schemaContent: 'SET key value;' }, true);
+
+      expect(result).toMatchObject({ success: true, count: 0, deleted: ['stats'] });
+      expect(Object.keys(client.libraries)).toEqual(['other_app']);
+      expect(client.hashes['lua:functions']).toBeUndefined();
+    });
+
+    test('should not delete the libraries of other schemas loaded from strings', async () => {
+      const client = createFunctionClient();
+      await registerLuaFunctions(client, { schemaContent: schema, schemaName: 'counters.redis' }, true);
+
+      const result = await registerLuaFunctions(client, { schemaContent: 'SET key value;', schemaName: 'users.redis' }, true);
+
+      expect(result).toMatchObject({ success: true, deleted: [] });
+      expect(Object.keys(client.libraries)).toEqual(['counters']);
+      expect(Object.keys(client.hashes['lua:functions'])).toEqual(['counters']);
+    });
+
+    test('should report libraries that fail to load', async () => {
+      const client = createFunctionClient();
+      const content = `${schema}\nFUNCTION: broken\nsyntax error\nEND_FUNCTION\nFUNCTION: renamed\n#!lua name=other\nEND_FUNCTION`;
+
+      const result = await registerLuaFunctions(client, { schemaContent: content }, true);
+
+      expect(result).toMatchObject({ success: false, count: 1, total: 3 });
+      expect(Object.keys(client.libraries)).toEqual(['counters']);
+    });
+
+    test('should skip loading on dry runs', async () => {
+      const client = createFunctionClient();
+
+      expect(await registerLuaFunctions(client, { schemaContent: schema, dryRun: true }, true))
+        .toEqual({ success: true, count: 1, deleted: [] });
+      expect(client.sendCommand).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,164 @@
+const {
+  getSchemaName,
+  findMigrationFiles,
+  planSchemaMigration
+} = require('../lib/migrations');
+const fs = require('fs');
+const path = require('path');
+
+// Mock fs module
+jest.mock('fs');
+
+describe('Migrations Module', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    console.log = jest.fn(); // Mock console.log
+
+    fs.existsSync.mockReturnValue(true);
+    fs.readdirSync.mockReturnValue([
+      'users_v1_to_v2.redis',
+      'users_v2_to_v3.redis',
+      'users_v3_to_v4.redis',
+      'users_v2_to_v4.redis',
+      'users_v3_to_v2.redis',
+      'users_v2_to_v1.redis',
+      'user_profiles_v1_to_v2.redis',
+      'users_v1_to_v2.redis.bak'
+    ]);
+  });
+
+  describe('getSchemaName function', () => {
+    test('should strip directory and extension', () => {
+      expect(getSchemaName('schemas/users.redis')).toBe('users');
+      expect(getSchemaName('/abs/path/products.schema')).toBe('products');
+    });
+  });
+
+  describe('findMigrationFiles function', () => {
+    test('should return the chain of files from one version to another', async () => {
+      const result = await findMigrationFiles('schemas', 'users', 1, 3);
+
+      expect(result.success).toBe(true);
+      expect(result.files).toEqual([
+        path.join('schemas', 'migrations', 'users_v1_to_v2.redis'),
+        path.join('schemas', 'migrations', 'users_v2_to_v3.redis')
+      ]);
+    });
+
+    test('should prefer the largest step available at each version', async () => {
+      const result = await findMigrationFiles('schemas', 'users', 1, 4);
+
+      expect(result.success).toBe(true);
+      expect(result.files.map(file => path.basename(file))).toEqual([
+        'users_v1_to_v2.redis',
+        'users_v2_to_v4.redis'
+      ]);
+    });
+
+    test('should find a chain when the largest step leads to a dead end', async () => {
+      fs.readdirSync.mockReturnValue(['users_v1_to_v3.redis', 'users_v1_to_v2.redis', 'users_v2_to_v4.redis', 'users_v4_to_v5.redis']);
+
+      const result = await findMigrationFiles('schemas', 'users', 1, 5);
+
+      expect(result.success).toBe(true);
+      expect(result.files.map(file => path.basename(file))).toEqual([
+        'users_v1_to_v2.redis',
+        'users_v2_to_v4.redis',
+        'users_v4_to_v5.redis'
+      ]);
+    });
+
+    test('should take the chain with the fewest steps', async () => {
+      fs.readdirSync.mockReturnValue(['users_v1_to_v2.redis', 'users_v2_to_v3.redis', 'users_v3_to_v4.redis', 'users_v1_to_v3.redis']);
+
+      const result = await findMigrationFiles('schemas', 'users', 1, 4);
+
+      expect(result.files.map(file => path.basename(file))).toEqual([
+        'users_v1_to_v3.redis',
+        'users_v3_to_v4.redis'
+      ]);
+    });
+
+    test('should not pick up files for schemas sharing a name prefix', async () => {
+      const result = await findMigrationFiles('schemas', 'user', 1, 2);
+
+      expect(result.success).toBe(false);
+    });
+
+    test('should fail when a step in the chain is missing', async () => {
+      fs.readdirSync.mockReturnValue(['users_v1_to_v2.redis', 'users_v3_to_v4.redis']);
+
+      const result = await findMigrationFiles('schemas', 'users', 1, 4);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toMatch(/from version 2/);
+    });
+
+    test('should walk reverse migration files when rolling back', async () => {
+      const result = await findMigrationFiles('schemas', 'users', 3, 1);
+
+      expect(result.success).toBe(true);
+      expect(result.files.map(file => path.basename(file))).toEqual([
+        'users_v3_to_v2.redis',
+        'users_v2_to_v1.redis'
+      ]);
+    });
+
+    test('should refuse to roll back past a missing step', async () => {
+      const result = await findMigrationFiles('schemas', 'users', 4, 2);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toMatch(/from version 4/);
+    });
+
+    test('should return no files when already at the target version', async () => {
+      const result = await findMigrationFiles('schemas', 'users', 3, 3);
+
+      expect(result.success).toBe(true);
+      expect(result.files).toEqual([]);
+    });
+  });
+
+  describe('planSchemaMigration function', () => {
+    test('should apply the full schema when no version is stored', async () => {
+      const client = { get: jest.fn().mockResolvedValue(null) };
+
+      const plan = await planSchemaMigration(client, 'schemas', 'users', 3, {});
+
+      expect(client.get).toHaveBeenCalledWith('schema:users:version');
+      expect(plan.action).toBe('apply');
+      expect(plan.fromVersion).toBe(0);
+      expect(plan.toVersion).toBe(3);
+    });
+
+    test('should migrate when the stored version is behind', async () => {
+      const client = { get: jest.fn().mockResolvedValue('2') };
+
+      const plan = await planSchemaMigration(client, 'schemas', 'users', 3, { prefix: 'myapp:' });
+
+      expect(client.get).toHaveBeenCalledWith('myapp:schema:users:version');
+      expect(plan.action).toBe('migrate');
+      expect(plan.files.map(file => path.basename(file))).toEqual(['users_v2_to_v3.redis']);
+    });
+
+    test('should skip when the stored version is current', async () => {
+      const client = { get: jest.fn().mockResolvedValue('3') };
+
+      const plan = await planSchemaMigration(client, 'schemas', 'users', 3, {});
+
+      expect(plan.action).toBe('skip');
+      expect(plan.files).toEqual([]);
+    });
+
+    test('should fail when no migration path exists', async () => {
+      fs.readdirSync.mockReturnValue([]);
+      const client = { get: jest.fn().mockResolvedValue('1') };
+
+      const plan = await planSchemaMigration(client, 'schemas', 'users', 2, {});
+
+      expect(plan.success).toBe(false);
+      expect(plan.fromVersion).toBe(1);
+      expect(plan.error).toMatch(/No migration found/);
+    });
+  });
+});
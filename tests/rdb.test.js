@@ -0,0 +1,213 @@
+const { crc64, isRdbFile, readRdb, openRdbWriter } = require('../lib/rdb');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// RDB files are written to a temporary directory
+jest.unmock('fs-extra');
+
+const MODULE_NAME_CHARSET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+/**
+ * Build an RDB file from raw parts, with its EOF opcode and checksum
+ * @param {string} version - Four-digit RDB version
+ * @param {Array} parts - Byte arrays and Buffers
+ * @returns {Buffer} - RDB file content
+ */
+function buildRdb(version, parts) {
+  const content = Buffer.concat([Buffer.from(`REDIS${version}`), ...parts.map(part => Buffer.from(part)), Buffer.from([0xff])]);
+  return Buffer.concat([content, crc64(content)]);
+}
+
+/**
+ * Encode a short string as RDB does
+ * @param {string} value - String shorter than 64 bytes
+ * @returns {Buffer} - Length-prefixed string
+ */
+function shortString(value) {
+  return Buffer.concat([Buffer.from([value.length]), Buffer.from(value)]);
+}
+
+/**
+ * Read all records of an RDB file
+ * @param {string} file - RDB file
+ * @param {Object} options - readRdb options
+ * @returns {Promise<Array>} - Records, without the header
+ */
+async function readAll(file, options) {
+  const records = [];
+  for await (const record of readRdb(file, options)) {
+    records.push(record);
+  }
+  return records.slice(1);
+}
+
+describe('RDB Module', () => {
+  let dir;
+  let rdbFile;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'redis-init-rdb-'));
+    rdbFile = path.join(dir, 'dump.rdb');
+  });
+
+  afterEach(() => {
+    fs.removeSync(dir);
+  });
+
+  test('should compute the CRC-64 Redis uses', () => {
+    expect(crc64(Buffer.from('123456789')).readBigUInt64LE(0)).toBe(0xe9c6d914c4b8d9can);
+  });
+
+  test('should write every type and read it back', async () => {
+    const records = [
+      { key: 'key1', type: 'string', pttl: -1, value: 'value1' },
+      { key: { base64: Buffer.from([0xff, 0x01]).toString('base64') }, type: 'string', pttl: -1, value: { base64: Buffer.from([0xfe, 0x00]).toString('base64') } },
+      { key: 'list1', type: 'list', pttl: -1, value: ['a', 'b', 'c'] },
+      { key: 'set1', type: 'set', pttl: -1, value: ['x', 'y'] },
+      { key: 'zset1', type: 'zset', pttl: -1, value: [['low', '-inf'], ['mid', '1.5'], ['high', 'inf']] },
+      { key: 'hash1', type: 'hash', pttl: -1, value: [['name', 'Jane'], ['bio', 'x'.repeat(5000)]] },
+      {
+        key: 'events',
+        type: 'stream',
+        pttl: -1,
+        value: {
+          lastId: '1700000000005-3',
+          entriesAdded: null,
+          maxDeletedId: null,
+          entries: [
+            ['1700000000000-0', [['type', 'signup'], ['user', '1']]],
+            ['1700000000000-1', [['type', 'login'], ['user', '2']]],
+            ['1700000000005-0', [['other', 'fields']]]
+          ],
+          groups: [{
+            name: 'workers',
+            lastDeliveredId: '1700000000000-1',
+            entriesRead: null,
+            consumers: ['worker-1', 'worker-2'],
+            pending: [
+              { id: '1700000000000-0', consumer: 'worker-2', deliveries: 3 },
+              { id: '1700000000000-1', consumer: 'worker-1', deliveries: 1 }
+            ]
+          }]
+        }
+      }
+    ];
+
+    const writer = await openRdbWriter(rdbFile);
+    await writer.write({ format: 'redis-init-backup', version: 2 });
+    for (const record of records) {
+      await writer.write(record);
+    }
+    await writer.write({ key: 'broken', error: 'LOADING' });
+    await writer.close();
+
+    expect(fs.readFileSync(rdbFile).subarray(0, 9).toString()).toBe('REDIS0009');
+    expect(await isRdbFile(rdbFile)).toBe(true);
+    expect(await readAll(rdbFile)).toEqual(records);
+  });
+
+  test('should write expiry times and skip keys that have expired', async () => {
+    const writer = await openRdbWriter(rdbFile);
+    await writer.write({ key: 'session', type: 'string', pttl: 60000, value: 'token' });
+    await writer.close();
+
+    const [record] = await readAll(rdbFile);
+    expect(record.pttl).toBeGreaterThan(59000);
+    expect(record.pttl).toBeLessThanOrEqual(60000);
+
+    const expired = Buffer.alloc(8);
+    expired.writeBigInt64LE(BigInt(Date.now() - 1000));
+    fs.writeFileSync(rdbFile, buildRdb('0011', [[0xfc], expired, [0x00], shortString('old'), shortString('x')]));
+
+    expect(await readAll(rdbFile)).toEqual([]);
+  });
+
+  test('should read the compact encodings of recent Redis versions', async () => {
+    const intset = [0x0b, ...shortString('ids'), 12, 2, 0, 0, 0, 2, 0, 0, 0, 1, 0, 0x2c, 0x01];
+    const ziplistHash = [0x0d, ...shortString('h'), 16,
+      16, 0, 0, 0, 13, 0, 0, 0, 2, 0,
+      0, 0x01, 0x61,
+      3, 0xf6,
+      0xff];
+    const listpackZset = [0x11, ...shortString('z'), 12,
+      12, 0, 0, 0, 2, 0,
+      0x81, 0x6d, 0x02,
+      0x07, 0x01,
+      0xff];
+    const quicklist = [0x12, ...shortString('l'), 1, 2, 13,
+      13, 0, 0, 0, 2, 0,
+      0x81, 0x78, 0x02,
+      0x81, 0x79, 0x02,
+      0xff];
+    const lzfString = [0x00, ...shortString('lzf'), 0xc3, 5, 10, 0x00, 0x61, 0xe0, 0x00, 0x00];
+    const intString = [0x00, ...shortString('n'), 0xc1, 0x39, 0x30];
+
+    fs.writeFileSync(rdbFile, buildRdb('0011', [
+      [0xfa], shortString('redis-ver'), shortString('7.2.4'),
+      [0xfe, 0], [0xfb, 6, 0],
+      intset, ziplistHash, listpackZset, quicklist, lzfString, intString
+    ]));
+
+    expect(await readAll(rdbFile)).toEqual([
+      { key: 'ids', type: 'set', pttl: -1, value: ['1', '300'] },
+      { key: 'h', type: 'hash', pttl: -1, value: [['a', '5']] },
+      { key: 'z', type: 'zset', pttl: -1, value: [['m', '7']] },
+      { key: 'l', type: 'list', pttl: -1, value: ['x', 'y'] },
+      { key: 'lzf', type: 'string', pttl: -1, value: 'aaaaaaaaaa' },
+      { key: 'n', type: 'string', pttl: -1, value: '12345' }
+    ]);
+  });
+
+  test('should turn module values into DUMP payloads', async () => {
+    let id = 0n;
+    for (const char of 'test-type') {
+      id = (id << 6n) | BigInt(MODULE_NAME_CHARSET.indexOf(char));
+    }
+    id = (id << 10n) | 1n;
+    const encodedId = Buffer.alloc(9);
+    encodedId[0] = 0x81;
+    encodedId.writeBigUInt64BE(id, 1);
+    const body = Buffer.concat([encodedId, Buffer.from([0x05]), shortString('hi'), Buffer.from([0x00])]);
+
+    fs.writeFileSync(rdbFile, buildRdb('0011', [[0x07], shortString('doc'), body]));
+
+    const [record] = await readAll(rdbFile);
+    const payload = Buffer.concat([Buffer.from([0x07]), body, Buffer.from([11, 0])]);
+    expect(record).toEqual({
+      key: 'doc',
+      type: 'test-type',
+      pttl: -1,
+      dump: Buffer.concat([payload, crc64(payload)]).toString('base64')
+    });
+  });
+
+  test('should filter keys by prefix and database', async () => {
+    fs.writeFileSync(rdbFile, buildRdb('0011', [
+      [0xfe, 0],
+      [0x00], shortString('myapp:a'), shortString('1'),
+      [0x00], shortString('other:b'), shortString('2'),
+      [0xfe, 1],
+      [0x00], shortString('myapp:c'), shortString('3')
+    ]));
+
+    expect((await readAll(rdbFile, { prefix: 'myapp:' })).map(record => record.key)).toEqual(['myapp:a', 'myapp:c']);
+    expect((await readAll(rdbFile, { prefix: 'myapp:', database: 1 })).map(record => record.key)).toEqual(['myapp:c']);
+  });
+
+  test('should reject corrupt files', async () => {
+    const content = buildRdb('0011', [[0x00], shortString('a'), shortString('1')]);
+    content[content.length - 1] ^= 0xff;
+    fs.writeFileSync(rdbFile, content);
+    await expect(readAll(rdbFile)).rejects.toThrow('RDB file checksum does not match: the file is corrupt');
+
+    fs.writeFileSync(rdbFile, content.subarray(0, 14));
+    await expect(readAll(rdbFile)).rejects.toThrow('RDB file is truncated');
+
+    fs.writeFileSync(rdbFile, buildRdb('0011', [[0x18], shortString('a')]));
+    await expect(readAll(rdbFile)).rejects.toThrow('Unsupported value type 24 in RDB file');
+
+    fs.writeFileSync(rdbFile, 'not an rdb file');
+    expect(await isRdbFile(rdbFile)).toBe(false);
+  });
+});
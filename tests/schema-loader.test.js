@@ -1,7 +1,13 @@
 const {
+  loadSchemas,
+  parseSchemas,
   parseSchemaContent,
-  sortSchemasByDependencies
+  sortSchemasByDependencies,
+  migrateSchema
 } = require('../lib/schema-loader');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 describe('Schema Loader Module', () => {
   describe('parseSchemaContent function', () => {
@@ -19,6 +25,84 @@ describe('Schema Loader Module', () => {
       expect(result.commands[1]).toEqual(['HSET', 'hash1', 'field1', 'value1', 'field2', 'value2']);
     });
 
+    test('should record the line each command starts on', () => {
+      const content = [
+        '# users',
+        'SET key1 value1;',
+        '',
+        'HSET hash1',
+        '  field1 value1;',
+        'SADD set1 member1;'
+      ].join('\n');
+
+      const result = parseSchemaContent(content, 'test.redis');
+
+      expect(result.lineNumbers).toEqual([2, 4, 6]);
+    });
+
+    test('should report no diagnostics for a valid schema', () => {
+      const result = parseSchemaContent('SET key1 value1;\nHSET hash1 field1 "value 1";', 'test.redis');
+
+      expect(result.diagnostics).toEqual([]);
+    });
+
+    test('should report a trailing command without a semicolon', () => {
+      const content = 'SET key1 value1;\n  SET key2 value2';
+
+      const result = parseSchemaContent(content, 'test.redis');
+
+      expect(result.commands).toHaveLength(1);
+      expect(result.diagnostics).toEqual([{
+        file: 'test.redis',
+        line: 2,
+        column: 3,
+        severity: 'error',
+        message: 'Command SET is missing a terminating semicolon'
+      }]);
+    });
+
+    test('should report unbalanced quotes at the opening quote', () => {
+      const content = 'SET key1 value1;\nHSET hash1\n  field1 "value 1;';
+
+      const result = parseSchemaContent(content, 'test.redis');
+
+      expect(result.diagnostics).toHaveLength(1);
+      expect(result.diagnostics[0]).toMatchObject({ line: 3, column: 10, severity: 'error' });
+      expect(result.diagnostics[0].message).toMatch(/Unbalanced quote/);
+    });
+
+    test('should report a SCRIPT block without END_SCRIPT', () => {
+      const content = 'SET key1 value1;\nSCRIPT: broken\nreturn 1\nSET key2 value2;';
+
+      const result = parseSchemaContent(content, 'test.redis');
+
+      expect(result.commands).toHaveLength(1);
+      expect(result.diagnostics).toHaveLength(1);
+      expect(result.diagnostics[0]).toMatchObject({ line: 2, column: 1, severity: 'error' });
+      expect(result.diagnostics[0].message).toMatch(/broken is missing END_SCRIPT/);
+    });
+
+    test('should report a FUNCTION block without END_FUNCTION', () => {
+      const content = 'SET key1 value1;\n  FUNCTION: mylib\nredis.register_function("f", function() return 1 end)';
+
+      const result = parseSchemaContent(content, 'test.redis');
+
+      expect(result.commands).toHaveLength(1);
+      expect(result.diagnostics).toHaveLength(1);
+      expect(result.diagnostics[0]).toMatchObject({ line: 2, column: 3, severity: 'error', message: 'FUNCTION block mylib is missing END_FUNCTION' });
+    });
+
+    test('should report unknown commands and module commands as warnings', () => {
+      const content = 'SETT key1 value1;\nJSON.SET doc $ "{}";\nHEXPIRE hash 60 FIELDS 1 field;';
+
+      const result = parseSchemaContent(content, 'test.redis');
+
+      expect(result.diagnostics.map(d => [d.line, d.severity, d.message])).toEqual([
+        [1, 'warning', 'Unknown command SETT'],
+        [2, 'warning', 'Unknown command JSON.SET; it must be provided by a Redis module']
+      ]);
+    });
+
     test('should extract metadata', () => {
       const content = `
         # My Schema
@@ -49,6 +133,243 @@ describe('Schema Loader Module', () => {
       expect(result.commands[1][2]).toContain('escaped');
     });
 
+    test('should unescape double-quoted strings like redis-cli', () => {
+      const content = 'SET key "say \\"hi\\"\\tnow\\nplease \\\\ \\x41";';
+
+      const result = parseSchemaContent(content, 'test.redis');
+
+      expect(result.commands[0]).toEqual(['SET', 'key', 'say "hi"\tnow\nplease \\ A']);
+    });
+
+    test('should turn non-ASCII hex escapes into Buffers', () => {
+      const result = parseSchemaContent('SET key "\\x00\\xff";', 'test.redis');
+
+      expect(Buffer.isBuffer(result.commands[0][2])).toBe(true);
+      expect([...result.commands[0][2]]).toEqual([0x00, 0xff]);
+    });
+
+    test('should support single-quoted strings', () => {
+      const content = "SET key 'it\\'s \"raw\" \\n';";
+
+      const result = parseSchemaContent(content, 'test.redis');
+
+      expect(result.commands[0]).toEqual(['SET', 'key', 'it\'s "raw" \\n']);
+    });
+
+    test('should keep # and ; inside quotes', () => {
+      const content = 'SET url "http://example.com/#top"; # trailing comment\nSET list \'a;b\';';
+
+      const result = parseSchemaContent(content, 'test.redis');
+
+      expect(result.commands).toEqual([
+        ['SET', 'url', 'http://example.com/#top'],
+        ['SET', 'list', 'a;b']
+      ]);
+      expect(result.diagnostics).toEqual([]);
+    });
+
+    test('should keep empty quoted arguments', () => {
+      const result = parseSchemaContent('SET key "";', 'test.redis');
+
+      expect(result.commands[0]).toEqual(['SET', 'key', '']);
+    });
+
+    test('should split several commands on one line', () => {
+      const result = parseSchemaContent('SET a 1; SET b 2;', 'test.redis');
+
+      expect(result.commands).toEqual([['SET', 'a', '1'], ['SET', 'b', '2']]);
+      expect(result.lineNumbers).toEqual([1, 1]);
+    });
+
+    test('should read @file arguments as Buffers relative to the schema file', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'redis-init-schema-'));
+      const image = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff]);
+      fs.writeFileSync(path.join(dir, 'logo.png'), image);
+
+      try {
+        const result = parseSchemaContent('SET img @file(logo.png);\nSET img2 @file("logo.png");', path.join(dir, 'assets.redis'));
+
+        expect(result.diagnostics).toEqual([]);
+        expect(result.commands[0][2].equals(image)).toBe(true);
+        expect(result.commands[1][2].equals(image)).toBe(true);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    test('should decode @base64 arguments', () => {
+      const result = parseSchemaContent('SET blob @base64(AAEC/w==);', 'test.redis');
+
+      expect([...result.commands[0][2]]).toEqual([0x00, 0x01, 0x02, 0xff]);
+    });
+
+    test('should leave quoted directives as plain strings', () => {
+      const result = parseSchemaContent('SET literal "@file(logo.png)";', 'test.redis');
+
+      expect(result.commands[0]).toEqual(['SET', 'literal', '@file(logo.png)']);
+    });
+
+    test('should report unreadable files and invalid base64', () => {
+      const content = 'SET img @file(missing.png);\nSET blob @base64(not base64!);\nSET ok 1;';
+
+      const result = parseSchemaContent(content, path.join(os.tmpdir(), 'test.redis'));
+
+      expect(result.commands).toEqual([['SET', 'ok', '1']]);
+      expect(result.diagnostics.map(d => [d.line, d.column])).toEqual([[1, 9], [2, 10]]);
+      expect(result.diagnostics[0].message).toMatch(/Cannot read @file\(missing.png\)/);
+      expect(result.diagnostics[1].message).toMatch(/Invalid base64/);
+    });
+
+    describe('@include directive', () => {
+      let dir;
+
+      const writeFile = (name, content) => {
+        const file = path.join(dir, name);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, content);
+        return file;
+      };
+
+      beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'redis-init-include-'));
+      });
+
+      afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+      });
+
+      test('should splice in included commands relative to the including file', () => {
+        writeFile(path.join('shared', '_config.redis'), 'SET config:ttl 60;\n@include _limits.redis\n');
+        writeFile(path.join('shared', '_limits.redis'), 'SET config:limit 10;\n');
+        const file = writeFile('app.redis', 'SET app:name demo;\n@include shared/_config.redis\nSET app:ready 1;\n');
+
+        const result = parseSchemaContent(fs.readFileSync(file, 'utf8'), file);
+
+        expect(result.diagnostics).toEqual([]);
+        expect(result.commands).toEqual([
+          ['SET', 'app:name', 'demo'],
+          ['SET', 'config:ttl', '60'],
+          ['SET', 'config:limit', '10'],
+          ['SET', 'app:ready', '1']
+        ]);
+        expect(result.sources).toEqual([
+          file,
+          path.join(dir, 'shared', '_config.redis'),
+          path.join(dir, 'shared', '_limits.redis'),
+          file
+        ]);
+        expect(result.lineNumbers).toEqual([1, 1, 1, 3]);
+      });
+
+      test('should scope include variables to the included file', () => {
+        writeFile('_service.redis', 'HSET service:${NAME} region "${REGION}";\n');
+        const file = writeFile('app.redis', [
+          '@include _service.redis NAME=users REGION="eu west"',
+          '@include _service.redis NAME=orders',
+          'SET app:name "${NAME}";'
+        ].join('\n'));
+
+        const result = parseSchemaContent(fs.readFileSync(file, 'utf8'), file, { variables: { REGION: 'us', NAME: 'app' } });
+
+        expect(result.commands).toEqual([
+          ['HSET', 'service:users', 'region', 'eu west'],
+          ['HSET', 'service:orders', 'region', 'us'],
+          ['SET', 'app:name', 'app']
+        ]);
+      });
+
+      test('should report circular includes', () => {
+        writeFile('_a.redis', '@include _b.redis\n');
+        writeFile('_b.redis', 'SET b 1;\n  @include _a.redis\n');
+        const file = writeFile('app.redis', '@include _a.redis\n');
+
+        const result = parseSchemaContent(fs.readFileSync(file, 'utf8'), file);
+
+        expect(result.commands).toEqual([['SET', 'b', '1']]);
+        expect(result.diagnostics).toHaveLength(1);
+        expect(result.diagnostics[0]).toMatchObject({ file: path.join(dir, '_b.redis'), line: 2, column: 3 });
+        expect(result.diagnostics[0].message).toBe('Circular include: app.redis -> _a.redis -> _b.redis -> _a.redis');
+      });
+
+      test('should report unresolved variables of included files', () => {
+        writeFile('_common.redis', 'SET config:region "${REGION}";\n');
+        const file = writeFile('app.redis', '@include _common.redis\n');
+
+        const result = parseSchemaContent(fs.readFileSync(file, 'utf8'), file);
+
+        expect(result.unresolvedVariables).toEqual(['REGION']);
+        expect(result.diagnostics[0]).toMatchObject({ line: 1, column: 20, message: 'Unresolved template variable REGION' });
+      });
+
+      test('should report missing include files and bad variables', () => {
+        const file = writeFile('app.redis', '@include _missing.redis\n@include _missing.redis lower-case\n');
+
+        const result = parseSchemaContent(fs.readFileSync(file, 'utf8'), file);
+
+        expect(result.diagnostics.map(d => [d.line, d.message.split(':')[0]])).toEqual([
+          [1, 'Cannot include _missing.redis'],
+          [2, 'Invalid include variable lower-case; expected NAME=value']
+        ]);
+      });
+    });
+
+    test('should report unresolved and required template variables outside comments', () => {
+      const content = [
+        '# uses ${IGNORED}',
+        'SET app:version "${APP_VERSION}";',
+        'SET app:key "${API_KEY:?set API_KEY first}"; # ${IGNORED}',
+        'SET app:env "${ENV|upper}";'
+      ].join('\n');
+
+      const result = parseSchemaContent(content, 'app.redis', { variables: { ENV: 'test' } });
+
+      expect(result.diagnostics.map(d => [d.line, d.column, d.message])).toEqual([
+        [2, 18, 'Unresolved template variable APP_VERSION'],
+        [3, 14, 'API_KEY: set API_KEY first']
+      ]);
+      expect(result.unresolvedVariables).toEqual(['APP_VERSION', 'API_KEY']);
+      expect(result.commands[2]).toEqual(['SET', 'app:env', 'TEST']);
+    });
+
+    test('should expand @for and @if blocks before parsing', () => {
+      const content = [
+        '@for i in 1..3',
+        '  HSET user:${i} name "User ${i}";',
+        '@end',
+        '@if ENV == "dev"',
+        '  SET fixture:admin "${MISSING}";',
+        '@end'
+      ].join('\n');
+
+      const result = parseSchemaContent(content, 'users.redis', { variables: { ENV: 'prod' } });
+
+      expect(result.diagnostics).toEqual([]);
+      expect(result.commands).toEqual([
+        ['HSET', 'user:1', 'name', 'User 1'],
+        ['HSET', 'user:2', 'name', 'User 2'],
+        ['HSET', 'user:3', 'name', 'User 3']
+      ]);
+      expect(result.lineNumbers).toEqual([2, 2, 2]);
+    });
+
+    test('should report problems inside loops once, on the source line', () => {
+      const content = 'SET a b;\n@for i in 1..3\n  SET user:${i} "${NAME}";\n@end\nGET;';
+
+      const result = parseSchemaContent(content, 'users.redis', {});
+
+      expect(result.diagnostics.map(d => [d.line, d.column, d.message])).toEqual([
+        [3, 18, 'Unresolved template variable NAME']
+      ]);
+      expect(result.lineNumbers).toEqual([1, 3, 3, 3, 5]);
+    });
+
+    test('should report a closing quote followed by other characters', () => {
+      const result = parseSchemaContent('SET key "value"x;', 'test.redis');
+
+      expect(result.diagnostics).toHaveLength(1);
+      expect(result.diagnostics[0]).toMatchObject({ line: 1, column: 16, severity: 'error' });
+    });
+
     test('should handle multi-line commands', () => {
       const content = `
         SET
@@ -87,6 +408,32 @@ describe('Schema Loader Module', () => {
       expect(result.commands[1]).toEqual(['SET', 'app:env', 'test']);
     });
 
+    test('should keep template values with quotes, spaces, # and ; in one argument', () => {
+      const content = [
+        'SET app:config "${CONFIG|json}";',
+        'SET app:title ${TITLE};',
+        'HSET app:labels quoted "${TITLE}" single \'${QUOTE}\' path @base64(${DATA});',
+        'SET app:empty ${EMPTY};'
+      ].join('\n');
+      const variables = {
+        CONFIG: { name: 'app', tags: ['a b', 'c"d'] },
+        TITLE: 'Jane\'s "big" app; #1 \\o/',
+        QUOTE: 'it\'s',
+        DATA: 'aGk=',
+        EMPTY: ''
+      };
+
+      const result = parseSchemaContent(content, 'app.redis', { variables });
+
+      expect(result.diagnostics).toEqual([]);
+      expect(result.commands).toEqual([
+        ['SET', 'app:config', JSON.stringify(variables.CONFIG)],
+        ['SET', 'app:title', variables.TITLE],
+        ['HSET', 'app:labels', 'quoted', variables.TITLE, 'single', 'it\'s', 'path', Buffer.from('hi')],
+        ['SET', 'app:empty', '']
+      ]);
+    });
+
     test('should ignore Lua scripts blocks while parsing commands', () => {
       const content = `
         SET key1 "value1";
@@ -107,6 +454,44 @@ describe('Schema Loader Module', () => {
       expect(result.commands[1]).toEqual(['SET', 'key2', 'value2']);
     });
 
+    test('should ignore Lua function libraries while parsing commands', () => {
+      const content = `
+        SET key1 "value1";
+
+        FUNCTION: counters
+        redis.register_function('incr_by', function(keys, args)
+          return redis.call('INCRBY', keys[1], args[1])
+        end)
+        END_FUNCTION
+
+        SET key2 "value2";
+      `;
+
+      const result = parseSchemaContent(content, 'test.redis');
+
+      expect(result.diagnostics).toEqual([]);
+      expect(result.commands).toEqual([['SET', 'key1', 'value1'], ['SET', 'key2', 'value2']]);
+    });
+
+    test('should ignore Lua script tests while parsing commands', () => {
+      const content = `
+        SET key1 "value1";
+
+        SCRIPT_TEST: get_value
+        SETUP: SET user:1 "Jane";
+        KEYS: user:1
+        EXPECT: "Jane"
+        END_SCRIPT_TEST
+
+        SET key2 "value2";
+      `;
+
+      const result = parseSchemaContent(content, 'test.redis');
+
+      expect(result.diagnostics).toEqual([]);
+      expect(result.commands).toEqual([['SET', 'key1', 'value1'], ['SET', 'key2', 'value2']]);
+    });
+
     test('should handle empty content', () => {
       const content = '';
 
@@ -215,4 +600,234 @@ describe('Schema Loader Module', () => {
       }).toThrow(/depends on missing.redis/);
     });
   });
+
+  describe('migrateSchema function', () => {
+    const migrationDir = path.join('schemas', 'migrations');
+    const migrationFiles = {
+      [path.join(migrationDir, 'users_v3_to_v2.redis')]: 'HDEL user:1000 nickname;',
+      [path.join(migrationDir, 'users_v2_to_v1.redis')]: 'DEL usernames;'
+    };
+    let store;
+    let client;
+
+    beforeEach(() => {
+      console.log = jest.fn(); // Mock console.log
+
+      jest.spyOn(fs, 'existsSync').mockImplementation(file => file === migrationDir);
+      jest.spyOn(fs, 'readdirSync').mockReturnValue(Object.keys(migrationFiles).map(file => path.basename(file)));
+      jest.spyOn(fs, 'readFileSync').mockImplementation(file => migrationFiles[file]);
+
+      store = { 'schema:users:version': '3' };
+      client = {
+        get: jest.fn(key => Promise.resolve(store[key] || null)),
+        set: jest.fn((key, value) => {
+          store[key] = value;
+          return Promise.resolve('OK');
+        }),
+        sendCommand: jest.fn().mockResolvedValue(1)
+      };
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should roll a schema back through reverse migrations', async () => {
+      const result = await migrateSchema(client, { schemasDir: 'schemas' }, 'users', 1);
+
+      expect(result.success).toBe(true);
+      expect(result.fromVersion).toBe(3);
+      expect(result.files).toEqual(['users_v3_to_v2.redis', 'users_v2_to_v1.redis']);
+      expect(client.sendCommand).toHaveBeenNthCalledWith(1, ['HDEL', 'user:1000', 'nickname']);
+      expect(client.sendCommand).toHaveBeenNthCalledWith(2, ['DEL', 'usernames']);
+      expect(store['schema:users:version']).toBe('1');
+    });
+
+    test('should refuse to migrate when a step is missing', async () => {
+      store['schema:users:version'] = '4';
+
+      const result = await migrateSchema(client, { schemasDir: 'schemas' }, 'users', 2);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toMatch(/No migration found/);
+      expect(client.sendCommand).not.toHaveBeenCalled();
+      expect(store['schema:users:version']).toBe('4');
+    });
+
+    test('should refuse to migrate a schema that was never applied', async () => {
+      delete store['schema:users:version'];
+
+      const result = await migrateSchema(client, { schemasDir: 'schemas' }, 'users', 1);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toMatch(/no stored version/);
+    });
+  });
+
+  describe('parseSchemas function', () => {
+    test('should count the errors of a schema without a client', () => {
+      const result = parseSchemas({ schemaContent: 'SET a 1;\nSET b @base64(not base64!);\nSET c "3', schemaName: 'seed' }, true);
+
+      expect(result).toMatchObject({ success: false, errorCount: 2 });
+      expect(result.schemaFiles.map(schema => [schema.path, schema.commands])).toEqual([['seed', [['SET', 'a', '1']]]]);
+      expect(parseSchemas({ schemaContent: 'SET a 1;', schemaName: 'seed' }, true)).toMatchObject({ success: true, errorCount: 0 });
+    });
+
+    test('should list fragments apart from the schema files', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'redis-init-schemas-'));
+      const write = (name, content) => {
+        fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+        fs.writeFileSync(path.join(dir, name), content);
+      };
+
+      try {
+        write('app.redis', '@include shared/_config.redis\n');
+        write(path.join('shared', '_config.redis'), 'SET config:ttl 60;\n');
+        write(path.join('migrations', 'app_v1_to_v2.redis'), 'SET k v;\n');
+
+        const result = parseSchemas({ schemasDir: dir });
+
+        expect(result.schemaFiles.map(schema => [schema.path, schema.commands])).toEqual([
+          [path.join(dir, 'app.redis'), [['SET', 'config:ttl', '60']]]
+        ]);
+        expect(result.fragments).toEqual([path.join(dir, 'shared', '_config.redis')]);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    test('should only treat included files as fragments', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'redis-init-schemas-'));
+
+      try {
+        fs.writeFileSync(path.join(dir, '_legacy.redis'), 'SET legacy 1;\n');
+        fs.writeFileSync(path.join(dir, 'app.redis'), '@include "common.redis" NAME=app;\n');
+        fs.writeFileSync(path.join(dir, 'common.redis'), 'SET common 1;\n');
+
+        const result = parseSchemas({ schemasDir: dir });
+
+        expect(result.schemaFiles.map(schema => schema.path)).toEqual([path.join(dir, '_legacy.redis'), path.join(dir, 'app.redis')]);
+        expect(result.fragments).toEqual([path.join(dir, 'common.redis')]);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    test('should report a missing schemas directory', () => {
+      expect(parseSchemas({ schemasDir: path.join(os.tmpdir(), 'redis-init-missing-schemas') })).toEqual({
+        success: false,
+        details: 'Schemas directory not found'
+      });
+    });
+  });
+
+  describe('loadSchemas from string', () => {
+    const content = [
+      'SET key1 value1;',
+      'SET key2 value2;',
+      'INCR key3;',
+      'SET key4 value4;',
+      'SET key5 value5;'
+    ].join('\n');
+    let client;
+    let inFlight;
+    let maxInFlight;
+
+    beforeEach(() => {
+      console.log = jest.fn(); // Mock console.log
+
+      inFlight = 0;
+      maxInFlight = 0;
+      client = {
+        sendCommand: jest.fn(args => {
+          inFlight++;
+          maxInFlight = Math.max(maxInFlight, inFlight);
+          return new Promise((resolve, reject) => setImmediate(() => {
+            inFlight--;
+            if (args[0] === 'INCR') {
+              reject(new Error('ERR value is not an integer or out of range'));
+            } else {
+              resolve('OK');
+            }
+          }));
+        })
+      };
+    });
+
+    test('should pipeline commands in batches of batchSize', async () => {
+      const result = await loadSchemas(client, {
+        schemaContent: content,
+        schemaName: 'seed',
+        batchSize: 2
+      }, true);
+
+      expect(client.sendCommand).toHaveBeenCalledTimes(5);
+      expect(maxInFlight).toBe(2);
+      expect(result.stats.batches).toBe(3);
+      expect(result.stats.durationMs).toBeGreaterThanOrEqual(0);
+      expect(result.stats.commandsPerSecond).toBeGreaterThanOrEqual(0);
+    });
+
+    test('should send binary arguments to Redis as Buffers', async () => {
+      const result = await loadSchemas(client, {
+        schemaContent: 'SET blob @base64(AAEC/w==);',
+        schemaName: 'seed',
+        prefix: 'app:'
+      }, true);
+
+      expect(result.success).toBe(true);
+      expect(client.sendCommand).toHaveBeenCalledWith(['SET', 'app:blob', Buffer.from([0x00, 0x01, 0x02, 0xff])]);
+    });
+
+    test('should refuse to run a schema with errors', async () => {
+      const result = await loadSchemas(client, {
+        schemaContent: 'SET key1 value1;\nSET key2 "value2;',
+        schemaName: 'seed'
+      }, true);
+
+      expect(result.success).toBe(false);
+      expect(result.diagnostics).toHaveLength(1);
+      expect(client.sendCommand).not.toHaveBeenCalled();
+    });
+
+    test('should refuse to write unresolved template variables', async () => {
+      const result = await loadSchemas(client, {
+        schemaContent: 'SET key1 "${VALUE}";\nSET key2 "${OTHER:-fallback}";',
+        schemaName: 'seed',
+        variables: {}
+      }, true);
+
+      expect(result.success).toBe(false);
+      expect(result.unresolvedVariables).toEqual({ seed: ['VALUE'] });
+      expect(client.sendCommand).not.toHaveBeenCalled();
+    });
+
+    test('should attribute failed commands to their file and line', async () => {
+      const result = await loadSchemas(client, {
+        schemaContent: content,
+        schemaName: 'seed',
+        batchSize: 100
+      }, true);
+
+      expect(result.success).toBe(false);
+      expect(result.commandsExecuted).toBe(4);
+      expect(result.errorCount).toBe(1);
+      expect(result.errors).toEqual([{
+        file: 'seed',
+        line: 3,
+        command: 'INCR key3',
+        error: 'ERR value is not an integer or out of range'
+      }]);
+    });
+
+    test('should show failed commands with their key prefix', async () => {
+      const result = await loadSchemas(client, {
+        schemaContent: content,
+        schemaName: 'seed',
+        prefix: 'myapp:'
+      }, true);
+
+      expect(result.errors.map(error => error.command)).toEqual(['INCR myapp:key3']);
+    });
+  });
 });
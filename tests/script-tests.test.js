@@ -0,0 +1,208 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runScriptTests, parseScriptTest } = require('../lib/script-tests');
+
+const GET_SCRIPT = 'return redis.call("GET", KEYS[1])';
+const CHECK_SCRIPT = [
+  '-- @keys user_key',
+  '-- @args password',
+  'return redis.call("HGET", KEYS[1], "password") == ARGV[1] and 1 or 0'
+].join('\n');
+const KEY_SCRIPT = 'return KEYS';
+const FAIL_SCRIPT = 'return redis.error_reply("no such user")';
+
+/**
+ * Create a fake client that runs the test scripts as JavaScript
+ * @param {Object} data - Keys and their values
+ * @returns {Object} - Fake Redis client
+ */
+function createFakeClient(data = {}) {
+  const scripts = {
+    [GET_SCRIPT]: keys => (data[keys[0]] === undefined ? null : data[keys[0]]),
+    [CHECK_SCRIPT]: (keys, args) => ((data[keys[0]] || {}).password === args[0] ? 1 : 0),
+    [KEY_SCRIPT]: keys => keys,
+    [FAIL_SCRIPT]: () => {
+      throw new Error('no such user');
+    }
+  };
+
+  const sendCommand = jest.fn(async ([cmd, ...args]) => {
+    switch (cmd) {
+      case 'SET':
+        data[args[0]] = args[1];
+        return 'OK';
+      case 'HSET':
+        data[args[0]] = { ...data[args[0]], [args[1]]: args[2] };
+        return 1;
+      case 'SCAN': {
+        const prefix = args[2].slice(0, -1).replace(/\\(.)/g, '$1');
+        return ['0', Object.keys(data).filter(key => key.startsWith(prefix)).map(key => Buffer.from(key))];
+      }
+      case 'DEL':
+        args.forEach(key => delete data[key.toString()]);
+        return args.length;
+      case 'EVAL': {
+        const count = Number(args[1]);
+        return scripts[args[0]](args.slice(2, 2 + count), args.slice(2 + count));
+      }
+      default:
+        throw new Error(`Unexpected command ${cmd}`);
+    }
+  });
+
+  return { sendCommand, data };
+}
+
+/**
+ * Build a schema with the test scripts and the given tests
+ * @param {...string} tests - SCRIPT_TEST blocks
+ * @returns {string} - Schema content
+ */
+function schema(...tests) {
+  return [
+    `SCRIPT: get_value\n${GET_SCRIPT}\nEND_SCRIPT`,
+    `SCRIPT: check_password\n${CHECK_SCRIPT}\nEND_SCRIPT`,
+    `SCRIPT: key_names\n${KEY_SCRIPT}\nEND_SCRIPT`,
+    `SCRIPT: fail\n${FAIL_SCRIPT}\nEND_SCRIPT`,
+    ...tests
+  ].join('\n');
+}
+
+describe('Script Tests Module', () => {
+  const run = (client, content, prefix = 'myapp:') => runScriptTests(client, { prefix, schemaContent: content, schemaName: 'users.redis' }, true);
+
+  describe('runScriptTests function', () => {
+    test('should run the tests under a throwaway prefix and delete their keys', async () => {
+      const client = createFakeClient({ 'myapp:user:1': { password: 'real' } });
+
+      const result = await run(client, schema(
+        'SCRIPT_TEST: check_password\nSETUP: HSET user:1 password "secret";\nKEYS: user:1\nARGV: secret\nEXPECT: 1\nEND_SCRIPT_TEST',
+        'SCRIPT_TEST: check_password\n# The real user is not visible to tests\nKEYS: user:1\nARGV: real\nEXPECT: 1\nEND_SCRIPT_TEST',
+        'SCRIPT_TEST: get_value\nKEYS: missing\nEXPECT: null\nEND_SCRIPT_TEST',
+        'SCRIPT_TEST: key_names\nKEYS: a "b c"\nEXPECT: ["a", "b c"]\nEND_SCRIPT_TEST'
+      ));
+
+      expect(result).toMatchObject({ success: false, passed: 3, failed: 1 });
+      expect(result.tests).toEqual([
+        { name: 'check_password', source: 'users.redis', line: 15, passed: true },
+        { name: 'check_password', source: 'users.redis', line: 21, passed: false, error: 'expected 1, got 0' },
+        { name: 'get_value', source: 'users.redis', line: 27, passed: true },
+        { name: 'key_names', source: 'users.redis', line: 31, passed: true }
+      ]);
+
+      const hset = client.sendCommand.mock.calls.find(([command]) => command[0] === 'HSET')[0];
+      expect(hset[1]).toMatch(/^myapp:script-test:\{[0-9a-f]{8}-1\}:user:1$/);
+      expect(client.data).toEqual({ 'myapp:user:1': { password: 'real' } });
+    });
+
+    test('should check the errors of scripts', async () => {
+      const client = createFakeClient();
+
+      const result = await run(client, schema(
+        'SCRIPT_TEST: fail\nEXPECT_ERROR: no such user\nEND_SCRIPT_TEST',
+        'SCRIPT_TEST: fail\nEXPECT: "OK"\nEND_SCRIPT_TEST',
+        'SCRIPT_TEST: get_value\nKEYS: k\nEXPECT_ERROR: wrong type\nEND_SCRIPT_TEST'
+      ));
+
+      expect(result.tests.map(({ passed, error }) => [passed, error])).toEqual([
+        [true, undefined],
+        [false, 'failed: no such user'],
+        [false, 'expected an error containing "wrong type", got null']
+      ]);
+    });
+
+    test('should report invalid tests as failures', async () => {
+      const client = createFakeClient();
+
+      const result = await run(client, schema(
+        'SCRIPT_TEST: missing\nEXPECT: 1\nEND_SCRIPT_TEST',
+        'SCRIPT_TEST: check_password\nKEYS: a b\nEXPECT: 1\nEND_SCRIPT_TEST'
+      ));
+
+      expect(result).toMatchObject({ success: false, passed: 0, failed: 2 });
+      expect(result.tests.map(test => test.error)).toEqual([
+        'SCRIPT_TEST of unknown Lua script missing',
+        'Lua script check_password takes 1 key (user_key), the test passes 2'
+      ]);
+      expect(client.sendCommand).not.toHaveBeenCalledWith(expect.arrayContaining(['EVAL']));
+    });
+
+    test('should never run SETUP commands whose keys would not get the test prefix', async () => {
+      const client = createFakeClient({ 'myapp:events': 'real', other: 'real' });
+
+      const result = await run(client, schema(
+        'SCRIPT_TEST: get_value\nSETUP: XADD events * field value\nKEYS: events\nEXPECT: null\nEND_SCRIPT_TEST',
+        'SCRIPT_TEST: get_value\nSETUP: SET k v\nSETUP: UNLINK k other\nKEYS: k\nEXPECT: null\nEND_SCRIPT_TEST'
+      ));
+
+      expect(result.tests.map(test => test.error)).toEqual([
+        'Invalid SETUP: XADD cannot run in SETUP, as its keys would not all get the test prefix',
+        'Invalid SETUP: UNLINK cannot run in SETUP, as its keys would not all get the test prefix'
+      ]);
+      const sent = client.sendCommand.mock.calls.map(([command]) => command[0]);
+      expect(sent).not.toContain('XADD');
+      expect(sent).not.toContain('UNLINK');
+      expect(sent).not.toContain('SET');
+      expect(client.data).toEqual({ 'myapp:events': 'real', other: 'real' });
+    });
+
+    test('should find the scripts and tests of included fragments in subdirectories', async () => {
+      const schemasDir = fs.mkdtempSync(path.join(os.tmpdir(), 'redis-init-script-tests-'));
+      try {
+        fs.mkdirSync(path.join(schemasDir, 'users'));
+        fs.writeFileSync(path.join(schemasDir, 'users', '_tests.redis'), 'SCRIPT_TEST: get_value\nKEYS: missing\nEXPECT: null\nEND_SCRIPT_TEST\n');
+        fs.writeFileSync(path.join(schemasDir, 'users', 'users.redis'), `${schema()}\n@include _tests.redis\n`);
+
+        const result = await runScriptTests(createFakeClient(), { schemasDir });
+
+        expect(result).toEqual({
+          success: true,
+          passed: 1,
+          failed: 0,
+          tests: [{ name: 'get_value', source: path.join(schemasDir, 'users', '_tests.redis'), line: 1, passed: true }]
+        });
+      } finally {
+        fs.rmSync(schemasDir, { recursive: true, force: true });
+      }
+    });
+
+    test('should succeed when there are no tests', async () => {
+      expect(await run(createFakeClient(), schema())).toEqual({ success: true, passed: 0, failed: 0, tests: [] });
+    });
+  });
+
+  describe('parseScriptTest function', () => {
+    const scripts = [{ name: 'get_value', script: GET_SCRIPT, keys: [] }];
+    const parse = body => parseScriptTest({ name: 'get_value', body, source: 'users.redis', line: 10 }, scripts);
+
+    test('should read the fields of a test', () => {
+      expect(parse('-- Comment\nSETUP: SET k "a b"\nSETUP: SET other 1;\nKEYS: k\nARGV: 1 \'two words\'\nEXPECT: {"a": [1]}')).toEqual({
+        script: scripts[0],
+        setup: [['SET', 'k', 'a b'], ['SET', 'other', '1']],
+        keys: ['k'],
+        args: ['1', 'two words'],
+        expect: { a: [1] }
+      });
+    });
+
+    test('should point at the line of invalid fields', () => {
+      expect(() => parse('KEYS: k\nEXPECT: OK')).toThrow(expect.objectContaining({
+        line: 12,
+        message: 'Invalid EXPECT: EXPECT must be JSON, such as 1, "OK", ["a", "b"] or null'
+      }));
+      expect(() => parse('KEYS: "k')).toThrow(expect.objectContaining({
+        line: 11,
+        message: 'Invalid KEYS: Unbalanced quote: string is never closed (column 1)'
+      }));
+      expect(() => parse('RETURNS: 1')).toThrow(expect.objectContaining({
+        line: 11,
+        message: 'Expected a SCRIPT_TEST field (SETUP, KEYS, ARGV, EXPECT, EXPECT_ERROR), got: RETURNS: 1'
+      }));
+      expect(() => parse('KEYS: k')).toThrow(expect.objectContaining({
+        line: 10,
+        message: 'SCRIPT_TEST of get_value needs either EXPECT or EXPECT_ERROR'
+      }));
+    });
+  });
+});
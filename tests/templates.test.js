@@ -1,5 +1,7 @@
 const {
   processTemplate,
+  renderTemplate,
+  expandTemplateBlocks,
   getCommonTemplateVariables,
   expandTemplateVariables
 } = require('../lib/templates');
@@ -44,6 +46,123 @@ describe('Templates Module', () => {
     });
   });
 
+  describe('renderTemplate function', () => {
+    test('should use defaults for unset or empty variables', () => {
+      const result = renderTemplate('${HOST:-localhost}:${PORT:-6379} ${EMPTY:-none}', { PORT: '6380', EMPTY: '' });
+
+      expect(result.content).toBe('localhost:6380 none');
+      expect(result.unresolved).toEqual([]);
+      expect(result.errors).toEqual([]);
+    });
+
+    test('should report required variables that are not set', () => {
+      const result = renderTemplate('SET a b;\nSET key "${API_KEY:?API_KEY must be set}";', {});
+
+      expect(result.content).toBe('SET a b;\nSET key "${API_KEY:?API_KEY must be set}";');
+      expect(result.errors).toEqual([
+        { name: 'API_KEY', line: 2, column: 10, message: 'API_KEY: API_KEY must be set' }
+      ]);
+    });
+
+    test('should apply filters from left to right', () => {
+      const variables = { NAME: '  Jane ', CONFIG: { debug: true }, QUERY: 'a b&c' };
+      const result = renderTemplate('${NAME|trim|upper} ${NAME|trim|base64} ${CONFIG|json} ${QUERY|urlencode} ${MISSING:-X|lower}', variables);
+
+      expect(result.content).toBe('JANE SmFuZQ== {"debug":true} a%20b%26c x');
+    });
+
+    test('should report unknown filters', () => {
+      const result = renderTemplate('${NAME|reverse}', { NAME: 'Jane' });
+
+      expect(result.content).toBe('${NAME|reverse}');
+      expect(result.errors).toEqual([
+        { name: 'NAME', filter: 'reverse', line: 1, column: 1, message: 'Unknown template filter reverse for NAME' }
+      ]);
+    });
+
+    test('should report unresolved variables with their positions', () => {
+      const result = renderTemplate('SET a ${A};\n  SET b ${B};', { A: '1' });
+
+      expect(result.content).toBe('SET a 1;\n  SET b ${B};');
+      expect(result.unresolved).toEqual([{ name: 'B', line: 2, column: 9 }]);
+    });
+
+    test('should turn $${ into a literal ${', () => {
+      const result = renderTemplate('SET tpl "$${NAME}";', { NAME: 'Jane' });
+
+      expect(result.content).toBe('SET tpl "${NAME}";');
+      expect(result.unresolved).toEqual([]);
+    });
+  });
+
+  describe('expandTemplateBlocks function', () => {
+    const texts = result => result.lines.map(line => [line.text.trim(), line.line, line.scope]);
+
+    test('should repeat @for bodies over ranges and lists', () => {
+      const content = '@for i in 1..3\nSET user:${i} x;\n@end\n@for region in eu, "us"\nSADD regions ${region};\n@end';
+
+      const result = expandTemplateBlocks(content, {});
+
+      expect(result.errors).toEqual([]);
+      expect(texts(result)).toEqual([
+        ['SET user:${i} x;', 2, { i: '1' }],
+        ['SET user:${i} x;', 2, { i: '2' }],
+        ['SET user:${i} x;', 2, { i: '3' }],
+        ['SADD regions ${region};', 5, { region: 'eu' }],
+        ['SADD regions ${region};', 5, { region: 'us' }]
+      ]);
+    });
+
+    test('should take @for bounds from variables', () => {
+      const result = expandTemplateBlocks('@for i in 1..${COUNT}\nSET k v;\n@end', { COUNT: '2' });
+
+      expect(result.lines).toHaveLength(2);
+    });
+
+    test('should keep @if bodies only when the condition holds', () => {
+      const content = [
+        '@if ENV == "dev"',
+        'SET fixture dev;',
+        '@else',
+        'SET fixture prod;',
+        '@end',
+        '@if !SEED',
+        'SET seeded no;',
+        '@end'
+      ].join('\n');
+
+      expect(texts(expandTemplateBlocks(content, { ENV: 'dev' }))).toEqual([
+        ['SET fixture dev;', 2, {}],
+        ['SET seeded no;', 7, {}]
+      ]);
+      expect(texts(expandTemplateBlocks(content, { ENV: 'prod', SEED: '1' }))).toEqual([
+        ['SET fixture prod;', 4, {}]
+      ]);
+    });
+
+    test('should nest blocks and compare loop variables numerically', () => {
+      const content = '@for i in 1..12\n  @if i > 10\n  SET big:${i} 1;\n  @end\n@end';
+
+      const result = expandTemplateBlocks(content, {});
+
+      expect(result.lines.map(line => line.scope.i)).toEqual(['11', '12']);
+    });
+
+    test('should report malformed blocks', () => {
+      const content = '@end\n@for i 1..3\n@end\n@if ENV ~ dev\n@end\n@for i in 1..${COUNT}\n@end\n@if ENV';
+
+      const result = expandTemplateBlocks(content, {});
+
+      expect(result.errors.map(error => [error.line, error.message])).toEqual([
+        [1, '@end without a matching @for or @if'],
+        [2, '@for must look like @for NAME in START..END or @for NAME in a, b, c'],
+        [8, '@if block is missing @end'],
+        [4, 'Invalid @if condition: ENV ~ dev'],
+        [6, 'Unresolved template variable COUNT']
+      ]);
+    });
+  });
+
   describe('getCommonTemplateVariables function', () => {
     test('should return common variables', () => {
       const variables = getCommonTemplateVariables();
@@ -56,6 +175,45 @@ describe('Templates Module', () => {
       expect(variables).toHaveProperty('NODE_ENV');
       expect(variables).toHaveProperty('RANDOM_ID');
     });
+
+    test('should freeze time variables with now', () => {
+      const variables = getCommonTemplateVariables({ now: '2024-05-01T12:30:15Z' });
+
+      expect(variables).toMatchObject({
+        TIMESTAMP: '1714566615000',
+        ISO_DATE: '2024-05-01T12:30:15.000Z',
+        DATE: '2024-05-01',
+        TIME: '12:30:15'
+      });
+      expect(getCommonTemplateVariables({ now: 1714566615000 }).ISO_DATE).toBe('2024-05-01T12:30:15.000Z');
+      expect(() => getCommonTemplateVariables({ now: 'yesterday' })).toThrow('Invalid time: yesterday');
+    });
+
+    test('should make random values reproducible with a seed', () => {
+      const template = '${RANDOM_ID} ${UUID} ${UUID} ${RANDOM_INT:1:100} ${FAKE_NAME} ${FAKE_EMAIL}';
+      const first = processTemplate(template, getCommonTemplateVariables({ seed: 'fixtures' }));
+      const second = processTemplate(template, getCommonTemplateVariables({ seed: 'fixtures' }));
+      const other = processTemplate(template, getCommonTemplateVariables({ seed: 'other' }));
+
+      expect(first).toBe(second);
+      expect(first).not.toBe(other);
+
+      const [, uuid1, uuid2, number, , , email] = first.split(' ');
+      expect(uuid1).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+      expect(uuid2).not.toBe(uuid1);
+      expect(Number(number)).toBeGreaterThanOrEqual(1);
+      expect(Number(number)).toBeLessThanOrEqual(100);
+      expect(email).toMatch(/^[a-z]+\.[a-z]+\d+@example\.com$/);
+    });
+
+    test('should report invalid generator arguments', () => {
+      const result = renderTemplate('${RANDOM_INT:10:1} ${DATE:1}', getCommonTemplateVariables());
+
+      expect(result.errors.map(error => error.message)).toEqual([
+        'RANDOM_INT: invalid range 10..1',
+        'DATE does not take arguments'
+      ]);
+    });
   });
 
   describe('expandTemplateVariables function', () => {
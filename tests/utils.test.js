@@ -1,4 +1,12 @@
-const { log, applyPrefixToCommand, applyTTL } = require('../lib/utils');
+const {
+  log,
+  applyPrefixToCommand,
+  getCommandKey,
+  formatCommand,
+  isKnownCommand,
+  checkCommandArity,
+  applyTTL
+} = require('../lib/utils');
 
 // Mock console.log
 console.log = jest.fn();
@@ -83,6 +91,12 @@ describe('Utils Module', () => {
       expect(result).toEqual(['EVALSHA', 'sha1', '2', 'prefix:key1', 'prefix:key2', 'arg1', 'arg2']);
     });
 
+    test('should add prefix to FCALL keys', () => {
+      const cmd = ['fcall_ro', 'read_counter', '1', 'counter', 'arg1'];
+      const result = applyPrefixToCommand(cmd, 'prefix:');
+      expect(result).toEqual(['FCALL_RO', 'read_counter', '1', 'prefix:counter', 'arg1']);
+    });
+
     test('should not modify command if prefix is empty', () => {
       const cmd = ['SET', 'mykey', 'value'];
       const result = applyPrefixToCommand(cmd, '');
@@ -94,18 +108,92 @@ describe('Utils Module', () => {
       const result = applyPrefixToCommand(cmd, 'prefix:');
       expect(result).toEqual(cmd);
     });
+
+    test('should keep binary keys as Buffers', () => {
+      const result = applyPrefixToCommand(['SET', Buffer.from([0xff]), 'value'], 'app:');
+
+      expect(Buffer.isBuffer(result[1])).toBe(true);
+      expect([...result[1]]).toEqual([...Buffer.from('app:'), 0xff]);
+    });
+
+    test('should accept command names and SCAN options given as Buffers', () => {
+      expect(applyPrefixToCommand([Buffer.from('hset'), 'user:1', 'name', 'John'], 'app:')[1]).toBe('app:user:1');
+      expect(applyPrefixToCommand(['SCAN', '0', Buffer.from('MATCH'), 'user'], 'app:')).toEqual(['SCAN', '0', Buffer.from('MATCH'), 'app:user']);
+    });
+  });
+
+  describe('getCommandKey function', () => {
+    test('should return the first argument for single-key commands', () => {
+      expect(getCommandKey(['HSET', 'user:1', 'name', 'John'])).toBe('user:1');
+      expect(getCommandKey(['set', 'key', 'value'])).toBe('key');
+      expect(getCommandKey([Buffer.from('get'), 'key'])).toBe('key');
+    });
+
+    test('should return the first key for multi-key commands', () => {
+      expect(getCommandKey(['MSET', 'key1', 'a', 'key2', 'b'])).toBe('key1');
+      expect(getCommandKey(['EVALSHA', 'sha', '2', 'key1', 'key2', 'arg'])).toBe('key1');
+      expect(getCommandKey(['FCALL', 'incr_by', '1', 'counter', '1'])).toBe('counter');
+    });
+
+    test('should return undefined for commands without keys', () => {
+      expect(getCommandKey(['PING'])).toBeUndefined();
+      expect(getCommandKey(['EVAL', 'return 1', '0'])).toBeUndefined();
+      expect(getCommandKey(['CONFIG', 'SET', 'maxmemory', '100mb'])).toBeUndefined();
+    });
+  });
+
+  describe('formatCommand function', () => {
+    test('should summarise binary arguments by size', () => {
+      expect(formatCommand(['SET', 'img', Buffer.alloc(2048)])).toBe('SET img <2048 bytes>');
+    });
+  });
+
+  describe('isKnownCommand function', () => {
+    test('should recognise Redis commands in any case', () => {
+      expect(isKnownCommand('HSET')).toBe(true);
+      expect(isKnownCommand('zadd')).toBe(true);
+      expect(isKnownCommand('SETT')).toBe(false);
+      expect(isKnownCommand('JSON.SET')).toBe(false);
+      expect(isKnownCommand('hexpire')).toBe(true);
+    });
+  });
+
+  describe('checkCommandArity function', () => {
+    test('should accept valid argument counts', () => {
+      expect(checkCommandArity(['SET', 'key', 'value', 'EX', '60'])).toBeNull();
+      expect(checkCommandArity(['GET', 'key'])).toBeNull();
+      expect(checkCommandArity(['PING'])).toBeNull();
+    });
+
+    test('should report commands with the wrong number of arguments', () => {
+      expect(checkCommandArity(['GET', 'key', 'extra'])).toBe('GET takes exactly 1 argument, got 2');
+      expect(checkCommandArity(['HSET', 'key', 'field'])).toBe('HSET takes at least 3 arguments, got 2');
+      expect(checkCommandArity(['DEL'])).toBe('DEL takes at least 1 argument, got 0');
+    });
+
+    test('should ignore unknown commands', () => {
+      expect(checkCommandArity(['JSON.SET', 'doc'])).toBeNull();
+    });
   });
 
   describe('applyTTL function', () => {
+    /**
+     * Create a fake client whose SCAN returns the given keys in pages
+     * @param {Array<Array>} pages - Keys of each SCAN reply
+     * @returns {Object} - Fake Redis client
+     */
+    const createScanClient = (...pages) => ({
+      sendCommand: jest.fn(async ([cmd, cursor]) => {
+        if (cmd === 'SCAN') {
+          const page = Number(cursor);
+          return [String(page + 1 < pages.length ? page + 1 : 0), (pages[page] || []).map(key => Buffer.from(key))];
+        }
+        return 1;
+      })
+    });
+
     test('should apply TTL rules to matching keys', async () => {
-      const mockClient = {
-        keys: jest.fn().mockResolvedValue(['session:1', 'session:2']),
-        expire: jest.fn().mockResolvedValue(1),
-        pipeline: jest.fn().mockReturnValue({
-          expire: jest.fn(),
-          exec: jest.fn().mockResolvedValue([])
-        })
-      };
+      const mockClient = createScanClient(['session:1'], ['session:2']);
 
       const config = {
         ttlRules: {
@@ -117,21 +205,17 @@ describe('Utils Module', () => {
 
       expect(result.success).toBe(true);
       expect(result.keysAffected).toBe(2);
-      expect(mockClient.keys).toHaveBeenCalledWith('session:*');
+      expect(mockClient.sendCommand).toHaveBeenCalledWith(['SCAN', '0', 'MATCH', 'session:*', 'COUNT', '1000'], expect.anything());
+      expect(mockClient.sendCommand).toHaveBeenCalledWith(['EXPIRE', Buffer.from('session:1'), '3600']);
+      expect(mockClient.sendCommand).toHaveBeenCalledWith(['EXPIRE', Buffer.from('session:2'), '3600']);
+      expect(mockClient.sendCommand.mock.calls.map(([command]) => command[0])).not.toContain('KEYS');
     });
 
     test('should adjust patterns with prefix', async () => {
-      const mockClient = {
-        keys: jest.fn().mockResolvedValue(['myapp:session:1']),
-        expire: jest.fn().mockResolvedValue(1),
-        pipeline: jest.fn().mockReturnValue({
-          expire: jest.fn(),
-          exec: jest.fn().mockResolvedValue([])
-        })
-      };
+      const mockClient = createScanClient(['my*app:session:1']);
 
       const config = {
-        prefix: 'myapp:',
+        prefix: 'my*app:',
         ttlRules: {
           'session:*': 3600
         }
@@ -140,13 +224,31 @@ describe('Utils Module', () => {
       const result = await applyTTL(mockClient, config);
 
       expect(result.success).toBe(true);
-      expect(mockClient.keys).toHaveBeenCalledWith('myapp:session:*');
+      expect(mockClient.sendCommand).toHaveBeenCalledWith(['SCAN', '0', 'MATCH', 'my\\*app:session:*', 'COUNT', '1000'], expect.anything());
+    });
+
+    test('should set the TTLs of a cluster on the node that holds each key', async () => {
+      const nodes = [createScanClient(['session:1']), createScanClient(['session:2'])];
+      const mockClient = {
+        isCluster: true,
+        cluster: {
+          masters: [0, 1],
+          nodeClient: async master => nodes[master]
+        },
+        sendCommand: jest.fn()
+      };
+
+      const result = await applyTTL(mockClient, { ttlRules: { 'session:*': 60 } });
+
+      expect(result).toEqual({ success: true, keysAffected: 2 });
+      expect(nodes[0].sendCommand).toHaveBeenCalledWith(['EXPIRE', Buffer.from('session:1'), '60']);
+      expect(nodes[1].sendCommand).toHaveBeenCalledWith(['EXPIRE', Buffer.from('session:2'), '60']);
+      expect(mockClient.sendCommand).not.toHaveBeenCalled();
     });
 
     test('should return success with no keys affected if no rules', async () => {
       const mockClient = {
-        keys: jest.fn(),
-        expire: jest.fn()
+        sendCommand: jest.fn()
       };
 
       const config = {
@@ -157,12 +259,12 @@ describe('Utils Module', () => {
 
       expect(result.success).toBe(true);
       expect(result.keysAffected).toBe(0);
-      expect(mockClient.keys).not.toHaveBeenCalled();
+      expect(mockClient.sendCommand).not.toHaveBeenCalled();
     });
 
     test('should handle errors', async () => {
       const mockClient = {
-        keys: jest.fn().mockRejectedValue(new Error('Redis error'))
+        sendCommand: jest.fn().mockRejectedValue(new Error('Redis error'))
       };
 
       const config = {
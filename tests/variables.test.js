@@ -0,0 +1,100 @@
+const { parseDotEnv, loadVariableFile, resolveTemplateVariables } = require('../lib/variables');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('Variables Module', () => {
+  let dir;
+
+  const writeFile = (name, content) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, content);
+    return file;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'redis-init-vars-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('parseDotEnv function', () => {
+    test('should parse assignments, quotes and comments', () => {
+      const content = [
+        '# comment',
+        'export APP_VERSION=1.2.0',
+        'GREETING="Hello\\nWorld \\"quoted\\"" # trailing',
+        'RAW=\'keep \\n as is\'',
+        'URL=https://example.com/#top # comment',
+        'EMPTY='
+      ].join('\n');
+
+      expect(parseDotEnv(content)).toEqual({
+        APP_VERSION: '1.2.0',
+        GREETING: 'Hello\nWorld "quoted"',
+        RAW: 'keep \\n as is',
+        URL: 'https://example.com/#top',
+        EMPTY: ''
+      });
+    });
+
+    test('should reject malformed lines', () => {
+      expect(() => parseDotEnv('NOT AN ASSIGNMENT')).toThrow('Invalid line 1');
+      expect(() => parseDotEnv('A="open')).toThrow('unterminated');
+    });
+  });
+
+  describe('loadVariableFile function', () => {
+    test('should load JSON, YAML and .env files', () => {
+      expect(loadVariableFile(writeFile('vars.json', '{"A": "1"}'))).toEqual({ A: '1' });
+      expect(loadVariableFile(writeFile('vars.yaml', 'A: one\nB:\n  nested: true\n'))).toEqual({ A: 'one', B: { nested: true } });
+      expect(loadVariableFile(writeFile('.env.local', 'A=1\n'))).toEqual({ A: '1' });
+    });
+
+    test('should reject files that are not mappings', () => {
+      expect(() => loadVariableFile(writeFile('vars.yml', '- a\n- b\n'))).toThrow('mapping');
+    });
+  });
+
+  describe('resolveTemplateVariables function', () => {
+    test('should layer sources in order of precedence', () => {
+      const json = writeFile('vars.json', '{"A": "json", "B": "json", "C": "json", "D": "json"}');
+      const envFile = writeFile('.env', 'B=dotenv\nC=dotenv\nD=dotenv\n');
+
+      const result = resolveTemplateVariables({
+        variables: { A: 'options', E: 'options' },
+        variableFiles: [json],
+        envFiles: [envFile],
+        env: { REDIS_INIT_VAR_C: 'env', REDIS_INIT_VAR_D: 'env', PATH: '/usr/bin' },
+        set: ['D=set']
+      });
+
+      expect(result.variables).toMatchObject({ A: 'json', B: 'dotenv', C: 'env', D: 'set', E: 'options' });
+      expect(result.sources).toMatchObject({
+        A: json,
+        B: envFile,
+        C: 'env:REDIS_INIT_VAR_C',
+        D: '--set',
+        E: 'options',
+        TIMESTAMP: 'built-in'
+      });
+      expect(result.variables).not.toHaveProperty('PATH');
+    });
+
+    test('should use a custom environment prefix', () => {
+      const result = resolveTemplateVariables({ env: { APP_REGION: 'eu', REDIS_INIT_VAR_X: '1' }, envPrefix: 'APP_' });
+
+      expect(result.variables.REGION).toBe('eu');
+      expect(result.variables).not.toHaveProperty('X');
+    });
+
+    test('should name the file that failed to load', () => {
+      const file = writeFile('.env', 'BROKEN\n');
+
+      expect(() => resolveTemplateVariables({ envFiles: [file], env: {} })).toThrow(`${file}: Invalid line 1`);
+      expect(() => resolveTemplateVariables({ set: ['NOVALUE'], env: {} })).toThrow('expected KEY=VALUE');
+    });
+  });
+});